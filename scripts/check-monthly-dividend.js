@@ -1,57 +1,66 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
-const fs = require('fs').promises;
-const path = require('path');
+const {
+  getDividendDataPath,
+  readDividendData,
+  writeDividendData,
+  applyDividendUpdate,
+  promotePaidDividends
+} = require('./lib/dividend-data');
+const { getTicker, getPayoutPeriodKey, resolveSymbols } = require('./lib/tickers');
+const { writeCalendarFeed } = require('./lib/ics');
+const { appendAuditEntries, formatAuditEntry } = require('./lib/audit');
+const { getClosesForExDates, getDistributionYield } = require('./lib/prices');
+const { fetchFromSource, formatSourceHealth, writeSourceHealthSummary } = require('./lib/source-client');
+const {
+  CONFLICT_REPORT_PATH,
+  getConsensusOptions,
+  buildConsensus,
+  writeConflictReport
+} = require('./lib/consensus');
 
 // Configuration
-const WNTR_SYMBOL = 'WNTR';
-const SOURCES = {
-  // Free APIs for dividend data
-  POLYGON: process.env.POLYGON_API_KEY ? `https://api.polygon.io/v3/reference/dividends?ticker=${WNTR_SYMBOL}&limit=10&apikey=${process.env.POLYGON_API_KEY}` : null,
-  ALPHA_VANTAGE: process.env.ALPHA_VANTAGE_API_KEY ? `https://www.alphavantage.co/query?function=OVERVIEW&symbol=${WNTR_SYMBOL}&apikey=${process.env.ALPHA_VANTAGE_API_KEY}` : null,
-  
-  // Web scraping sources (as backup)
-  STOCKANALYSIS: 'https://stockanalysis.com/etf/wntr/dividend/',
-  YAHOO_FINANCE: `https://finance.yahoo.com/quote/${WNTR_SYMBOL}/history?period1=1609459200&period2=9999999999&interval=1d&filter=div&frequency=1d`,
-  SEEKING_ALPHA: `https://seekingalpha.com/symbol/${WNTR}/dividends`
-};
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// Polygon's payments-per-year codes for the frequencies the registry knows
+const POLYGON_FREQUENCIES = { 12: 'monthly', 52: 'weekly' };
+// Pages of 1000 results; far more than any registered fund's history
+const MAX_POLYGON_PAGES = 5;
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
 /**
- * Get current dividend data from financeService.js
+ * Source URLs for a ticker
  */
-async function getCurrentDividendData() {
-  try {
-    const financeServicePath = path.join(__dirname, '..', 'src', 'services', 'financeService.js');
-    const content = await fs.readFile(financeServicePath, 'utf8');
+function getSources(symbol) {
+  return {
+    // Free APIs for dividend data
+    POLYGON: process.env.POLYGON_API_KEY ? `https://api.polygon.io/v3/reference/dividends?ticker=${symbol}&sort=ex_dividend_date&order=desc&limit=1000&apikey=${process.env.POLYGON_API_KEY}` : null,
+    ALPHA_VANTAGE: process.env.ALPHA_VANTAGE_API_KEY ? `https://www.alphavantage.co/query?function=DIVIDENDS&symbol=${symbol}&apikey=${process.env.ALPHA_VANTAGE_API_KEY}` : null,
     
-    // Extract the dividend array from the return statement
-    const match = content.match(/return \[([\s\S]*?)\];/);
-    if (match) {
-      const dividendArrayStr = match[1];
-      // Parse the dividend objects (simplified parsing)
-      const dividends = [];
-      const dividendMatches = dividendArrayStr.match(/\{[^}]+\}/g);
-      
-      if (dividendMatches) {
-        dividendMatches.forEach(div => {
-          const monthMatch = div.match(/month:\s*"([^"]+)"/);
-          const yearMatch = div.match(/year:\s*(\d+)/);
-          const dividendMatch = div.match(/dividend:\s*([\d.]+)/);
-          
-          if (monthMatch && yearMatch && dividendMatch) {
-            dividends.push({
-              month: monthMatch[1],
-              year: parseInt(yearMatch[1]),
-              dividend: parseFloat(dividendMatch[1])
-            });
-          }
-        });
-      }
-      
-      return dividends;
-    }
+    // Keyless endpoints behind the public sites (as backup)
+    STOCKANALYSIS: `https://stockanalysis.com/etf/${symbol.toLowerCase()}/dividend/`,
+    YAHOO_FINANCE: `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?range=max&interval=1mo&events=div`,
+    SEEKING_ALPHA: `https://seekingalpha.com/api/v3/symbols/${symbol.toLowerCase()}/dividend_history?group_by=all&sort=-date`
+  };
+}
+
+/**
+ * Get current dividend data from the ticker's dividend data file
+ */
+async function getCurrentDividendData(symbol, dataDir) {
+  try {
+    const data = await readDividendData(getDividendDataPath(symbol, dataDir));
     
-    return [];
+    return data.dividends.map(record => {
+      const [year, month] = record.exDate.split('-').map(Number);
+      return {
+        month: MONTH_NAMES[month - 1],
+        year,
+        dividend: record.amount,
+        exDate: record.exDate
+      };
+    });
   } catch (error) {
     console.error('Error reading current dividend data:', error);
     return [];
@@ -59,31 +68,59 @@ async function getCurrentDividendData() {
 }
 
 /**
- * Check Polygon.io for new dividend data
+ * Convert a Polygon.io dividend result to a source dividend
  */
-async function checkPolygonAPI() {
-  if (!SOURCES.POLYGON) {
+function fromPolygonResult(result) {
+  return {
+    dividend: result.cash_amount,
+    exDate: result.ex_dividend_date,
+    recordDate: result.record_date || null,
+    payDate: result.pay_date || null,
+    declarationDate: result.declaration_date || null,
+    // SC is Polygon's special cash dividend; frequency 0 is a one-time payment
+    type: result.dividend_type === 'SC' || result.frequency === 0 ? 'special' : 'regular',
+    source: 'Polygon.io'
+  };
+}
+
+/**
+ * Fetch the ticker's full distribution history from Polygon.io, following
+ * pagination (newest first)
+ * @param {Object} options - { http }: axios-compatible client (get(url, config) resolving to { data })
+ * @returns {Array|null} Source dividends, or null when unavailable
+ */
+async function checkPolygonAPI(symbol, { http = axios } = {}) {
+  const { POLYGON } = getSources(symbol);
+  if (!POLYGON) {
     console.log('Polygon API key not configured');
     return null;
   }
 
   try {
-    console.log('Checking Polygon.io for WNTR dividends...');
-    const response = await axios.get(SOURCES.POLYGON, {
-      timeout: 10000
-    });
+    console.log(`Fetching ${symbol} distribution history from Polygon.io...`);
+    const results = [];
+    let url = POLYGON;
+
+    for (let page = 0; url && page < MAX_POLYGON_PAGES; page++) {
+      const response = await http.get(url);
+      results.push(...((response.data && response.data.results) || []));
+      // next_url doesn't carry the API key
+      url = response.data && response.data.next_url
+        ? `${response.data.next_url}&apikey=${process.env.POLYGON_API_KEY}`
+        : null;
+    }
 
-    if (response.data && response.data.results && response.data.results.length > 0) {
-      const latestDividend = response.data.results[0];
-      const exDate = new Date(latestDividend.ex_dividend_date);
+    if (results.length > 0) {
+      const latestRegular = results.find(result => result.frequency !== 0 && result.dividend_type !== 'SC');
+      const frequency = latestRegular && POLYGON_FREQUENCIES[latestRegular.frequency];
+      const ticker = getTicker(symbol);
       
-      return {
-        month: exDate.toLocaleString('default', { month: 'short' }),
-        year: exDate.getFullYear(),
-        dividend: latestDividend.cash_amount,
-        exDate: latestDividend.ex_dividend_date,
-        source: 'Polygon.io'
-      };
+      // Flag a fund that has changed payout frequency so the registry can be updated
+      if (frequency && frequency !== ticker.payoutFrequency) {
+        console.warn(`⚠️  Polygon reports ${frequency} payouts for ${symbol}, but the registry says ${ticker.payoutFrequency}`);
+      }
+      
+      return results.map(fromPolygonResult);
     }
   } catch (error) {
     console.error('Error checking Polygon API:', error.message);
@@ -93,41 +130,40 @@ async function checkPolygonAPI() {
 }
 
 /**
- * Scrape StockAnalysis.com for dividend data
+ * Scrape the full dividend table from StockAnalysis.com (newest first)
+ * @param {Object} options - { http }: axios-compatible client
+ * @returns {Array|null} Source dividends, or null when unavailable
  */
-async function scrapeStockAnalysis() {
+async function scrapeStockAnalysis(symbol, { http = axios } = {}) {
   try {
-    console.log('Scraping StockAnalysis.com for WNTR dividends...');
-    const response = await axios.get(SOURCES.STOCKANALYSIS, {
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      }
+    console.log(`Scraping StockAnalysis.com for ${symbol} dividends...`);
+    const response = await http.get(getSources(symbol).STOCKANALYSIS, {
+      headers: { 'User-Agent': BROWSER_USER_AGENT }
     });
 
     const $ = cheerio.load(response.data);
+    const dividends = [];
     
-    // Look for dividend table
-    const dividendRows = $('table tr').slice(1); // Skip header
-    const latestRow = dividendRows.first();
+    // Every row of the dividend table (skipping the header)
+    $('table tr').slice(1).each((index, row) => {
+      const cells = $(row).find('td');
+      if (cells.length < 3) return;
+      
+      const exDate = parseTableDate($(cells[0]).text());
+      const amount = parseFloat($(cells[1]).text().trim().replace('$', ''));
+      if (!exDate || !(amount > 0)) return;
+      
+      dividends.push({
+        dividend: amount,
+        exDate,
+        recordDate: cells.length >= 4 ? parseTableDate($(cells[2]).text()) : null,
+        payDate: cells.length >= 4 ? parseTableDate($(cells[3]).text()) : null,
+        source: 'StockAnalysis.com'
+      });
+    });
     
-    if (latestRow.length > 0) {
-      const cells = latestRow.find('td');
-      if (cells.length >= 3) {
-        const dateText = $(cells[0]).text().trim();
-        const amountText = $(cells[1]).text().trim().replace('$', '');
-        
-        const date = new Date(dateText);
-        if (!isNaN(date.getTime())) {
-          return {
-            month: date.toLocaleString('default', { month: 'short' }),
-            year: date.getFullYear(),
-            dividend: parseFloat(amountText),
-            exDate: date.toISOString().split('T')[0],
-            source: 'StockAnalysis.com'
-          };
-        }
-      }
+    if (dividends.length > 0) {
+      return dividends;
     }
   } catch (error) {
     console.error('Error scraping StockAnalysis:', error.message);
@@ -137,99 +173,495 @@ async function scrapeStockAnalysis() {
 }
 
 /**
- * Check if we have a new dividend compared to current data
+ * Fetch the ticker's dividend history from Alpha Vantage (newest first)
+ * @param {Object} options - { http }: axios-compatible client
+ * @returns {Array|null} Source dividends, or null when unavailable
+ */
+async function checkAlphaVantageAPI(symbol, { http = axios } = {}) {
+  const { ALPHA_VANTAGE } = getSources(symbol);
+  if (!ALPHA_VANTAGE) {
+    console.log('Alpha Vantage API key not configured');
+    return null;
+  }
+
+  try {
+    console.log(`Fetching ${symbol} dividend history from Alpha Vantage...`);
+    const response = await http.get(ALPHA_VANTAGE);
+    // Missing dates are the string "None"
+    const dividends = ((response.data && response.data.data) || [])
+      .map(row => ({
+        dividend: parseFloat(row.amount),
+        exDate: toOptionalDate(row.ex_dividend_date),
+        recordDate: toOptionalDate(row.record_date),
+        payDate: toOptionalDate(row.payment_date),
+        declarationDate: toOptionalDate(row.declaration_date),
+        source: 'Alpha Vantage'
+      }))
+      .filter(item => item.exDate && item.dividend > 0);
+
+    if (dividends.length > 0) {
+      return dividends;
+    }
+  } catch (error) {
+    console.error('Error checking Alpha Vantage API:', error.message);
+  }
+
+  return null;
+}
+
+/**
+ * Fetch the ticker's dividend events from Yahoo Finance's chart API (newest
+ * first). Yahoo only has the ex-date and amount.
+ * @param {Object} options - { http }: axios-compatible client
+ * @returns {Array|null} Source dividends, or null when unavailable
+ */
+async function checkYahooFinanceAPI(symbol, { http = axios } = {}) {
+  try {
+    console.log(`Fetching ${symbol} dividend events from Yahoo Finance...`);
+    const response = await http.get(getSources(symbol).YAHOO_FINANCE, {
+      headers: { 'User-Agent': BROWSER_USER_AGENT }
+    });
+    const [result] = (response.data && response.data.chart && response.data.chart.result) || [];
+    const events = (result && result.events && result.events.dividends) || {};
+
+    const dividends = Object.values(events)
+      .map(event => ({
+        dividend: event.amount,
+        // Stamped at the ex-date's market open (seconds), which is the same day in UTC
+        exDate: new Date(event.date * 1000).toISOString().split('T')[0],
+        recordDate: null,
+        payDate: null,
+        declarationDate: null,
+        source: 'Yahoo Finance'
+      }))
+      .filter(item => item.dividend > 0)
+      .sort((a, b) => b.exDate.localeCompare(a.exDate));
+
+    if (dividends.length > 0) {
+      return dividends;
+    }
+  } catch (error) {
+    console.error('Error checking Yahoo Finance:', error.message);
+  }
+
+  return null;
+}
+
+/**
+ * Fetch the ticker's dividend history from Seeking Alpha's site API (newest
+ * first). It is undocumented and often blocks non-browser clients.
+ * @param {Object} options - { http }: axios-compatible client
+ * @returns {Array|null} Source dividends, or null when unavailable
+ */
+async function checkSeekingAlphaAPI(symbol, { http = axios } = {}) {
+  try {
+    console.log(`Fetching ${symbol} dividend history from Seeking Alpha...`);
+    const response = await http.get(getSources(symbol).SEEKING_ALPHA, {
+      headers: { 'User-Agent': BROWSER_USER_AGENT, Accept: 'application/json' }
+    });
+
+    const dividends = ((response.data && response.data.data) || [])
+      .map(({ attributes = {} }) => ({
+        // amount is as paid; adjusted_amount is restated for later splits
+        dividend: attributes.amount,
+        exDate: toOptionalDate(attributes.ex_date),
+        recordDate: toOptionalDate(attributes.record_date),
+        payDate: toOptionalDate(attributes.pay_date),
+        declarationDate: toOptionalDate(attributes.declare_date),
+        ...(/special/i.test(attributes.freq || '') ? { type: 'special' } : {}),
+        source: 'Seeking Alpha'
+      }))
+      .filter(item => item.exDate && item.dividend > 0);
+
+    if (dividends.length > 0) {
+      return dividends;
+    }
+  } catch (error) {
+    console.error('Error checking Seeking Alpha:', error.message);
+  }
+
+  return null;
+}
+
+/**
+ * A YYYY-MM-DD date from an API field, or null
+ */
+function toOptionalDate(value) {
+  return typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? value : null;
+}
+
+/**
+ * Parse a table date cell (e.g. "Jun 9, 2025") into YYYY-MM-DD
  */
-function isNewDividend(newDiv, currentDividends) {
-  if (!newDiv) return false;
+function parseTableDate(text) {
+  // Parsed as a local date, so read it back in local time (toISOString would shift it east of UTC)
+  const date = new Date(text.trim());
+  if (isNaN(date.getTime())) return null;
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Find the record a source dividend refers to: the same ex-date, or the
+ * regular record for the same payout period (month, or week for weekly
+ * payers) when the source doesn't list that record under its own ex-date,
+ * i.e. an estimate or a record whose ex-date the source has since moved.
+ * Specials only ever match by ex-date.
+ */
+function findExistingRecord(newDividend, records, frequency, reportedExDates = new Set()) {
+  const sameExDate = records.find(record => record.exDate === newDividend.exDate);
+  if (sameExDate || newDividend.type === 'special') {
+    return sameExDate;
+  }
   
-  return !currentDividends.some(existing => 
-    existing.month === newDiv.month && 
-    existing.year === newDiv.year
-  );
+  const period = getPayoutPeriodKey(newDividend.exDate, frequency);
+  return records.find(record => record.type !== 'special' &&
+    !reportedExDates.has(record.exDate) &&
+    getPayoutPeriodKey(record.exDate, frequency) === period);
 }
 
 /**
- * Update the financeService.js file with new dividend data
+ * Merge one source dividend into the data file's records
+ * Missing records are added, an estimate for the same payout period is
+ * replaced, and changed amounts or dates on declared or paid records are
+ * kept as corrections. A paid record stays paid.
+ * @returns {Object|null} Audit entry for the change, or null when nothing changed
  */
-async function updateFinanceService(newDividend, currentDividends) {
+function mergeSourceDividend(data, newDividend, { ticker, today, closes, reportedExDates }) {
+  const existing = findExistingRecord(newDividend, data.dividends, ticker.payoutFrequency, reportedExDates);
+  // A new record gets the ticker's usual gap after the ex-dividend date when the
+  // source omits the pay date; an existing record keeps the one it has
+  const payDate = newDividend.payDate || (existing ? null : addDays(newDividend.exDate, ticker.payDateOffsetDays));
+  const effectivePayDate = payDate || existing.payDate;
+  const fields = {
+    exDate: newDividend.exDate,
+    recordDate: newDividend.recordDate || null,
+    payDate,
+    declarationDate: newDividend.declarationDate || null,
+    amount: newDividend.dividend,
+    // From the close on (or just before) the ex-date; empty until that price is known
+    yield: getDistributionYield(newDividend.dividend, newDividend.exDate, closes),
+    source: newDividend.source,
+    status: effectivePayDate <= today ? 'paid' : 'declared'
+  };
+  if (newDividend.type === 'special') {
+    fields.type = 'special';
+  }
+  
+  const entry = {
+    date: today,
+    symbol: ticker.symbol,
+    exDate: newDividend.exDate,
+    source: newDividend.source
+  };
+  
+  if (!existing) {
+    data.dividends.push(fields);
+    return { ...entry, action: 'added', changes: [{ field: 'amount', from: null, to: fields.amount }] };
+  }
+  
+  // Keep dates the source didn't report, and leave unchanged records alone
+  const update = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null));
+  if (existing.status === 'paid') {
+    update.status = 'paid';
+  }
+  const changedFields = Object.keys(update).filter(key => key !== 'source' && key !== 'yield' && update[key] !== existing[key]);
+  if (changedFields.length === 0) {
+    return null;
+  }
+  
+  const updated = applyDividendUpdate(existing, update, { date: today, reason: `Reported by ${newDividend.source}` });
+  data.dividends = data.dividends.map(record => (record === existing ? updated : record));
+  
+  return {
+    ...entry,
+    // An estimate being replaced is a confirmation; anything but a new status is a correction
+    action: existing.status === 'estimated'
+      ? 'confirmed'
+      : changedFields.every(field => field === 'status') ? 'paid' : 'corrected',
+    changes: changedFields.map(field => ({
+      field,
+      from: existing[field] === undefined ? null : existing[field],
+      to: update[field]
+    }))
+  };
+}
+
+/**
+ * Sync the ticker's data file with a source's full distribution history:
+ * backfill missing records, confirm estimates and pick up corrections.
+ * Records the source doesn't list are kept. Yields come from the close on or
+ * before each ex-date (cached in public/data/prices), and existing records
+ * are repriced once their close is available. Every change is appended to
+ * the audit log (public/data/dividend-audit.json).
+ * @param {Object} options - { http, dataDir, priceDir, auditPath, today } overrides (today as YYYY-MM-DD)
+ * @returns {Array|null} Audit entries for the changes, or null when the file couldn't be updated
+ */
+async function syncDividendHistory(sourceDividends, symbol, {
+  http,
+  dataDir,
+  priceDir,
+  auditPath,
+  today = new Date().toISOString().split('T')[0]
+} = {}) {
   try {
-    const financeServicePath = path.join(__dirname, '..', 'src', 'services', 'financeService.js');
-    let content = await fs.readFile(financeServicePath, 'utf8');
+    const ticker = getTicker(symbol);
+    const filePath = getDividendDataPath(symbol, dataDir);
+    const data = await readDividendData(filePath);
+    const exDates = [...new Set([...data.dividends, ...sourceDividends].map(item => item.exDate))];
+    const closes = await getClosesForExDates(symbol, exDates, { http, priceDir, today });
+    const entries = [];
     
-    // Calculate yield (rough estimate based on typical WNTR price ~$37)
-    const estimatedPrice = 37; // You could fetch real price here
-    const yieldPercent = ((newDividend.dividend / estimatedPrice) * 100).toFixed(2);
-    
-    // Create new dividend entry
-    const newDividendEntry = `      { month: "${newDividend.month}", year: ${newDividend.year}, dividend: ${newDividend.dividend}, yield: ${yieldPercent}, exDate: "${newDividend.exDate}" },`;
+    // Oldest first, so each estimate is matched by the distribution for its own period
+    const ordered = [...sourceDividends].sort((a, b) => a.exDate.localeCompare(b.exDate));
+    const reportedExDates = new Set(ordered.map(item => item.exDate));
+    for (const newDividend of ordered) {
+      try {
+        const entry = mergeSourceDividend(data, newDividend, { ticker, today, closes, reportedExDates });
+        if (entry) entries.push(entry);
+      } catch (error) {
+        console.error(`Skipping ${symbol} dividend ex ${newDividend.exDate}:`, error.message);
+      }
+    }
     
-    // Find the dividend array and add the new entry at the beginning
-    const arrayMatch = content.match(/(return \[)([\s\S]*?)(\];)/);
-    if (arrayMatch) {
-      const beforeArray = arrayMatch[1];
-      const existingArray = arrayMatch[2];
-      const afterArray = arrayMatch[3];
-      
-      // Add new dividend at the beginning (most recent first)
-      const updatedArray = beforeArray + '\n' + newDividendEntry + existingArray + afterArray;
-      content = content.replace(arrayMatch[0], updatedArray);
+    // Reprice records whose yield predates their ex-date close (or was estimated from a reference price)
+    data.dividends = data.dividends.map(record => {
+      const yieldPercent = getDistributionYield(record.amount, record.exDate, closes);
+      if (yieldPercent === null || yieldPercent === record.yield) return record;
       
-      await fs.writeFile(financeServicePath, content);
-      console.log(`✅ Added new ${newDividend.month} ${newDividend.year} dividend ($${newDividend.dividend}) from ${newDividend.source}`);
-      return true;
+      entries.push({
+        date: today,
+        symbol,
+        exDate: record.exDate,
+        source: 'price history',
+        action: 'repriced',
+        changes: [{ field: 'yield', from: record.yield === undefined ? null : record.yield, to: yieldPercent }]
+      });
+      return { ...record, yield: yieldPercent };
+    });
+    
+    const paidBefore = data.dividends.filter(record => record.status === 'paid').map(record => record.exDate);
+    const promoted = promotePaidDividends(data, today);
+    data.dividends
+      .filter(record => record.status === 'paid' && !paidBefore.includes(record.exDate))
+      .forEach(record => entries.push({
+        date: today,
+        symbol,
+        exDate: record.exDate,
+        source: record.source,
+        action: 'paid',
+        changes: [{ field: 'status', from: 'declared', to: 'paid' }]
+      }));
+    
+    if (entries.length === 0) {
+      return [];
     }
+    
+    await writeDividendData(data, filePath, { today });
+    await appendAuditEntries(entries, auditPath);
+    
+    if (promoted > 0) {
+      console.log(`✅ Marked ${promoted} declared ${symbol} dividend(s) as paid`);
+    }
+    entries
+      .filter(entry => entry.action !== 'paid')
+      .forEach(entry => console.log(`✅ ${formatAuditEntry(entry)}`));
+    return entries;
   } catch (error) {
-    console.error('Error updating financeService.js:', error);
+    console.error('Error updating dividend data file:', error);
   }
   
-  return false;
+  return null;
 }
 
 /**
- * Main function to check for new monthly dividends
+ * Distribution history sources, queried through lib/source-client: each
+ * request gets the source's timeout (ms) and up to `retries` more attempts
+ * on transient failures; `responseError` picks errors out of a 200 body.
+ * Ids are used by DIVIDEND_SOURCE_PRIORITY.
+ */
+const SOURCES = [
+  {
+    id: 'polygon',
+    label: 'Polygon.io',
+    fetch: checkPolygonAPI,
+    isConfigured: () => Boolean(process.env.POLYGON_API_KEY),
+    timeout: 10000,
+    retries: 2
+  },
+  {
+    id: 'stockanalysis',
+    label: 'StockAnalysis.com',
+    fetch: scrapeStockAnalysis,
+    timeout: 15000,
+    retries: 2
+  },
+  {
+    id: 'alphavantage',
+    label: 'Alpha Vantage',
+    fetch: checkAlphaVantageAPI,
+    isConfigured: () => Boolean(process.env.ALPHA_VANTAGE_API_KEY),
+    timeout: 10000,
+    // The free tier's daily limit doesn't reset within a run
+    retries: 0,
+    responseError: data => data && (data.Note || data.Information || data['Error Message'])
+  },
+  {
+    id: 'yahoo',
+    label: 'Yahoo Finance',
+    fetch: checkYahooFinanceAPI,
+    timeout: 10000,
+    retries: 2,
+    responseError: data => data && data.chart && data.chart.error && data.chart.error.description
+  },
+  {
+    id: 'seekingalpha',
+    label: 'Seeking Alpha',
+    fetch: checkSeekingAlphaAPI,
+    timeout: 15000,
+    retries: 1,
+    responseError: data => data && Array.isArray(data.errors) && data.errors.map(error => error.detail || error.title).join('; ')
+  }
+];
+
+/**
+ * Query every source for one ticker's distribution history and sync the
+ * data file with the distributions they agree on
+ * @param {Object} options - { http, consensus, dataDir, priceDir, auditPath, today } overrides
+ * @returns {Object} { changed, conflicts, health } - Whether the data file changed, distributions left out
+ *   because sources disagree, and each source's health (see fetchFromSource)
  */
-async function checkForNewMonthlyDividend() {
-  console.log('🔍 Checking for new WNTR monthly dividend...');
+async function checkTicker(symbol, {
+  http = axios,
+  consensus: consensusOptions = getConsensusOptions(),
+  dataDir,
+  priceDir,
+  auditPath,
+  today
+} = {}) {
+  console.log(`🔍 Syncing ${symbol} dividend history...`);
   
   // Get current dividend data
-  const currentDividends = await getCurrentDividendData();
-  console.log(`Current dividend data: ${currentDividends.length} entries`);
-  
-  // Check multiple sources for new dividend data
-  const sources = [
-    checkPolygonAPI,
-    scrapeStockAnalysis
-  ];
-  
-  for (const checkSource of sources) {
-    try {
-      const newDividend = await checkSource();
-      
-      if (newDividend && isNewDividend(newDividend, currentDividends)) {
-        console.log(`🎉 New dividend found: ${newDividend.month} ${newDividend.year} - $${newDividend.dividend}`);
-        
-        const updated = await updateFinanceService(newDividend, currentDividends);
-        if (updated) {
-          console.log('✅ Successfully updated dividend data!');
-          process.exit(0); // Success
-        }
-      }
-    } catch (error) {
-      console.error(`Error checking source:`, error.message);
-      continue; // Try next source
+  const currentDividends = await getCurrentDividendData(symbol, dataDir);
+  console.log(`Current ${symbol} dividend data: ${currentDividends.length} entries`);
+  
+  const results = [];
+  const health = [];
+  for (const source of SOURCES) {
+    const result = await fetchFromSource(source, symbol, { http });
+    health.push(result.health);
+    if (result.dividends) {
+      const [latest] = result.dividends;
+      console.log(`🔎 ${result.dividends.length} ${symbol} distribution(s) from ${source.label}, latest ex ${latest.exDate} - $${latest.dividend}`);
+      results.push({ id: source.id, label: source.label, dividends: result.dividends });
+    }
+  }
+  console.log(`🩺 ${symbol} sources: ${health.map(formatSourceHealth).join('; ')}`);
+  
+  if (results.length === 0) {
+    console.log(`ℹ️  No ${symbol} dividend history found this check.`);
+    return { changed: false, conflicts: [], health };
+  }
+  if (results.length === 1) {
+    console.warn(`⚠️  Only ${results[0].label} responded for ${symbol}; its distributions wait for a second source unless it leads DIVIDEND_SOURCE_PRIORITY`);
+  }
+  
+  const consensus = buildConsensus(results, { ...consensusOptions, frequency: getTicker(symbol).payoutFrequency });
+  consensus.resolved.forEach(item => {
+    console.warn(`⚠️  ${symbol} ${item.key}: sources disagree on ${item.fields.join(', ')}; using ${item.winner} (source priority)`);
+  });
+  consensus.pending.forEach(item => {
+    console.log(`⏳ ${symbol} ex ${item.reports[0].exDate} ($${item.reports[0].amount}) is only reported by ${item.reports[0].source}; waiting for a second source`);
+  });
+  consensus.conflicts.forEach(item => {
+    console.error(`❌ ${symbol} ${item.key}: sources disagree on ${item.fields.join(', ')}: ${item.reports.map(report => `${report.source} ex ${report.exDate} $${report.amount}`).join(' vs ')}`);
+  });
+  
+  const entries = await syncDividendHistory(consensus.accepted, symbol, { http, dataDir, priceDir, auditPath, today });
+  const conflicts = consensus.conflicts.map(item => ({ symbol, ...item }));
+  
+  if (entries && entries.length > 0) {
+    console.log(`✅ Successfully updated ${symbol} dividend data (${entries.length} change(s))!`);
+    return { changed: true, conflicts, health };
+  }
+  
+  console.log(`ℹ️  ${symbol} dividend data is up to date with its sources.`);
+  return { changed: false, conflicts, health };
+}
+
+/**
+ * Main function: check every requested ticker (all registered tickers by default),
+ * report source health, write the conflict report (dividend-conflicts.json)
+ * when sources disagree, then rebuild the calendar feed
+ * (public/data/dividends.ics) from the data files
+ * @param {Array<string>} args - Command-line arguments (--symbol, --all)
+ * @param {Object} options - { http, dataDir, priceDir, auditPath, reportPath, feedPath, today } overrides
+ * @returns {Object} { symbols, updatedCount, conflicts, health }
+ */
+async function checkForNewMonthlyDividend(args = process.argv.slice(2), {
+  http,
+  dataDir,
+  priceDir,
+  auditPath,
+  reportPath,
+  feedPath,
+  today
+} = {}) {
+  const symbols = resolveSymbols(args);
+  const consensus = getConsensusOptions();
+  const conflicts = [];
+  const health = [];
+  let updatedCount = 0;
+  
+  for (const symbol of symbols) {
+    const result = await checkTicker(symbol, { http, consensus, dataDir, priceDir, auditPath, today });
+    if (result.changed) {
+      updatedCount++;
     }
+    conflicts.push(...result.conflicts);
+    health.push(...result.health.map(entry => ({ symbol, ...entry })));
   }
   
-  console.log('ℹ️  No new dividend data found this check.');
-  process.exit(0);
+  console.log(`Done: ${updatedCount} of ${symbols.length} ticker(s) updated.`);
+  
+  await writeSourceHealthSummary(health);
+  
+  await writeConflictReport(conflicts, { reportPath, tolerance: consensus.tolerance });
+  if (conflicts.length > 0) {
+    console.error(`❌ ${conflicts.length} distribution(s) not written because sources disagree; see ${reportPath || CONFLICT_REPORT_PATH}`);
+  }
+
+  const feed = await writeCalendarFeed({ feedPath, dataDir, ...(today ? { today: new Date(`${today}T00:00:00Z`) } : {}) });
+  console.log(`📅 Wrote calendar feed with ${feed.events} event(s) to ${feed.path}`);
+  
+  return { symbols, updatedCount, conflicts, health };
 }
 
-// Run the check
+// Run the check (e.g. `node check-monthly-dividend.js --symbol MSTY`)
 if (require.main === module) {
   checkForNewMonthlyDividend().catch(error => {
     console.error('Script failed:', error);
-    process.exit(1);
+    process.exitCode = 1;
   });
 }
 
-module.exports = { checkForNewMonthlyDividend };
\ No newline at end of file
+module.exports = {
+  SOURCES,
+  checkPolygonAPI,
+  scrapeStockAnalysis,
+  checkAlphaVantageAPI,
+  checkYahooFinanceAPI,
+  checkSeekingAlphaAPI,
+  findExistingRecord,
+  syncDividendHistory,
+  checkTicker,
+  checkForNewMonthlyDividend
+};
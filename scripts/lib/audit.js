@@ -0,0 +1,63 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const AUDIT_LOG_PATH = path.join(__dirname, '..', '..', 'public', 'data', 'dividend-audit.json');
+
+/**
+ * Audit log of every change the updater makes to the dividend data files,
+ * oldest first. Entries are
+ * { date, symbol, exDate, source, action, changes: [{ field, from, to }] }
+ * where action is one of:
+ *   added     - a distribution that wasn't in the file (new or backfilled)
+ *   confirmed - an estimate replaced by the reported distribution
+ *   corrected - a declared or paid record whose amount or dates changed
+ *   paid      - a declared record whose pay date has passed
+ *   repriced  - a yield recomputed from the close on or before the ex-date
+ */
+const AUDIT_ACTIONS = ['added', 'confirmed', 'corrected', 'paid', 'repriced'];
+
+/**
+ * Read the audit log (an empty log when the file doesn't exist yet)
+ */
+async function readAuditLog(filePath = AUDIT_LOG_PATH) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { entries: [] };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Append entries to the audit log
+ */
+async function appendAuditEntries(entries, filePath = AUDIT_LOG_PATH) {
+  if (entries.length === 0) return;
+
+  const log = await readAuditLog(filePath);
+  log.entries.push(...entries);
+  await fs.writeFile(filePath, JSON.stringify(log, null, 2) + '\n');
+}
+
+/**
+ * One-line description of an audit entry, e.g.
+ * "Corrected WNTR ex 2025-06-05 (amount 0.3 -> 0.31) from Polygon.io"
+ */
+function formatAuditEntry(entry) {
+  const action = entry.action.charAt(0).toUpperCase() + entry.action.slice(1);
+  const changes = entry.changes
+    .map(change => (change.from === null ? `${change.field} ${change.to}` : `${change.field} ${change.from} -> ${change.to}`))
+    .join(', ');
+
+  return `${action} ${entry.symbol} ex ${entry.exDate} (${changes}) from ${entry.source}`;
+}
+
+module.exports = {
+  AUDIT_LOG_PATH,
+  AUDIT_ACTIONS,
+  readAuditLog,
+  appendAuditEntries,
+  formatAuditEntry
+};
@@ -0,0 +1,234 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { getPayoutPeriodKey } = require('./tickers');
+
+const CONFLICT_REPORT_PATH = path.join(__dirname, '..', '..', 'dividend-conflicts.json');
+
+// Amounts within this fraction of each other agree (0.005 = 0.5%)
+const DEFAULT_TOLERANCE = 0.005;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Consensus settings from the environment:
+ *   DIVIDEND_SOURCE_PRIORITY     - source ids, most trusted first (e.g. "polygon,stockanalysis");
+ *                                  when set, the top source settles disagreements
+ *   DIVIDEND_CONSENSUS_TOLERANCE - relative amount tolerance (default 0.005)
+ */
+function getConsensusOptions(env = process.env) {
+  const tolerance = parseFloat(env.DIVIDEND_CONSENSUS_TOLERANCE);
+
+  return {
+    priority: (env.DIVIDEND_SOURCE_PRIORITY || '')
+      .split(',')
+      .map(id => id.trim().toLowerCase())
+      .filter(Boolean),
+    tolerance: tolerance >= 0 ? tolerance : DEFAULT_TOLERANCE
+  };
+}
+
+/**
+ * Normalize a source's dividends: amounts rounded to 4 decimals, dates as
+ * YYYY-MM-DD or null, type regular unless special; unusable rows are dropped
+ */
+function normalizeSourceDividends(dividends) {
+  const toDate = (value) => (typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? value : null);
+
+  return (dividends || [])
+    .filter(item => item && toDate(item.exDate) && Number(item.dividend) > 0)
+    .map(item => ({
+      exDate: item.exDate,
+      recordDate: toDate(item.recordDate),
+      payDate: toDate(item.payDate),
+      declarationDate: toDate(item.declarationDate),
+      dividend: parseFloat(Number(item.dividend).toFixed(4)),
+      type: item.type === 'special' ? 'special' : 'regular'
+    }));
+}
+
+/**
+ * Group the sources' reports by the distribution they describe. Reports that
+ * share an ex-date across sources are the same distribution ("ex YYYY-MM-DD");
+ * other regular reports are grouped by payout period (month, or week for
+ * weekly payers) so sources that disagree on the ex-date still line up. A
+ * second unmatched report in the same period from one source gets its own key.
+ * @returns {Map} Key -> reports ({ id, label, item }), in source order
+ */
+function groupReports(sources, frequency) {
+  const exDateCounts = {};
+  sources.forEach(source => {
+    new Set(source.dividends.map(item => item.exDate)).forEach(exDate => {
+      exDateCounts[exDate] = (exDateCounts[exDate] || 0) + 1;
+    });
+  });
+
+  const groups = new Map();
+  sources.forEach(source => {
+    const seen = {};
+    [...source.dividends]
+      .sort((a, b) => a.exDate.localeCompare(b.exDate))
+      .forEach(item => {
+        let key = `ex ${item.exDate}`;
+        if (exDateCounts[item.exDate] === 1 && item.type !== 'special') {
+          const period = getPayoutPeriodKey(item.exDate, frequency);
+          seen[period] = (seen[period] || 0) + 1;
+          key = seen[period] === 1 ? period : `${period}#${seen[period]}`;
+        }
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push({ id: source.id, label: source.label, item });
+      });
+  });
+
+  return groups;
+}
+
+const amountsAgree = (a, b, tolerance) => Math.abs(a - b) <= tolerance * Math.max(a, b);
+
+/**
+ * Fields on which reports of the same distribution disagree
+ */
+function findDisagreements(reports, tolerance) {
+  const [first, ...rest] = reports;
+  const fields = [];
+
+  if (rest.some(report => !amountsAgree(report.item.dividend, first.item.dividend, tolerance))) {
+    fields.push('amount');
+  }
+  if (rest.some(report => report.item.exDate !== first.item.exDate)) {
+    fields.push('exDate');
+  }
+  const payDates = [...new Set(reports.map(report => report.item.payDate).filter(Boolean))];
+  if (payDates.length > 1) {
+    fields.push('payDate');
+  }
+
+  return fields;
+}
+
+/**
+ * Merge agreeing reports into one source dividend: values from the first
+ * report (in priority order), dates a source left out filled in from the
+ * others, and special when any source says so (not every source can tell)
+ */
+function mergeReports(reports) {
+  const [first] = reports;
+  const pick = (field) => {
+    const found = reports.find(report => report.item[field]);
+    return found ? found.item[field] : null;
+  };
+
+  return {
+    ...first.item,
+    recordDate: pick('recordDate'),
+    payDate: pick('payDate'),
+    declarationDate: pick('declarationDate'),
+    type: reports.some(report => report.item.type === 'special') ? 'special' : 'regular',
+    source: reports.map(report => report.label).join(' + ')
+  };
+}
+
+/**
+ * Combine the distribution histories reported by several sources
+ *
+ * A distribution is accepted when every source reporting it agrees (amount
+ * within the tolerance, same ex-date and pay date). When sources disagree it
+ * is a conflict, unless a source priority is configured, in which case the
+ * most trusted reporting source wins. A distribution only one source
+ * reports waits for a second source, unless that source is the configured
+ * priority's most trusted source that responded.
+ *
+ * @param {Array<Object>} results - { id, label, dividends } per source that responded, in default order
+ * @param {Object} options - { frequency, priority, tolerance }
+ * @returns {Object} { accepted, resolved, pending, conflicts }
+ */
+function buildConsensus(results, { frequency = 'monthly', priority = [], tolerance = DEFAULT_TOLERANCE } = {}) {
+  const rank = (id) => {
+    const index = priority.indexOf(id);
+    return index === -1 ? priority.length : index;
+  };
+  const sources = results
+    .map((result, order) => ({ ...result, order, dividends: normalizeSourceDividends(result.dividends) }))
+    .filter(result => result.dividends.length > 0)
+    .sort((a, b) => rank(a.id) - rank(b.id) || a.order - b.order);
+  // Reports per distribution, most trusted source first
+  const byKey = groupReports(sources, frequency);
+
+  // Most trusted source that responded, when a priority is configured
+  const leader = sources.length > 0 && rank(sources[0].id) < priority.length ? sources[0].id : null;
+  const outcome = { accepted: [], resolved: [], pending: [], conflicts: [] };
+  const describe = (key, reports) => ({
+    key,
+    reports: reports.map(report => ({
+      source: report.label,
+      exDate: report.item.exDate,
+      payDate: report.item.payDate,
+      amount: report.item.dividend
+    }))
+  });
+
+  [...byKey.entries()].sort(([a], [b]) => a.localeCompare(b)).forEach(([key, reports]) => {
+    const top = reports[0];
+
+    if (reports.length === 1) {
+      if (top.id === leader) {
+        outcome.accepted.push(mergeReports(reports));
+      } else {
+        outcome.pending.push(describe(key, reports));
+      }
+      return;
+    }
+
+    const fields = findDisagreements(reports, tolerance);
+    if (fields.length === 0) {
+      outcome.accepted.push(mergeReports(reports));
+    } else if (priority.length > 0 && rank(top.id) < priority.length) {
+      outcome.accepted.push({ ...top.item, type: mergeReports(reports).type, source: top.label });
+      outcome.resolved.push({ ...describe(key, reports), fields, winner: top.label });
+    } else {
+      outcome.conflicts.push({ ...describe(key, reports), fields });
+    }
+  });
+
+  return outcome;
+}
+
+/**
+ * Write the conflict report (or remove a stale one when there are no
+ * conflicts) and, on GitHub Actions, add it to the job summary
+ * @param {Array<Object>} conflicts - { symbol, key, fields, reports } entries
+ */
+async function writeConflictReport(conflicts, { reportPath = CONFLICT_REPORT_PATH, tolerance = DEFAULT_TOLERANCE } = {}) {
+  if (conflicts.length === 0) {
+    await fs.rm(reportPath, { force: true });
+    return;
+  }
+
+  await fs.writeFile(reportPath, JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    tolerance,
+    conflicts
+  }, null, 2) + '\n');
+
+  if (process.env.GITHUB_STEP_SUMMARY) {
+    const rows = conflicts.flatMap(conflict => conflict.reports.map(report =>
+      `| ${conflict.symbol} | ${conflict.key} | ${conflict.fields.join(', ')} | ${report.source} | ${report.exDate} | ${report.payDate || '—'} | $${report.amount} |`));
+    await fs.appendFile(process.env.GITHUB_STEP_SUMMARY, [
+      '## ⚠️ Dividend source conflicts',
+      '',
+      'These distributions were not written. Check them against the fund\'s announcements and add the right values by hand, or set `DIVIDEND_SOURCE_PRIORITY`.',
+      '',
+      '| Ticker | Distribution | Disagree on | Source | Ex-date | Pay date | Amount |',
+      '| --- | --- | --- | --- | --- | --- | --- |',
+      ...rows,
+      ''
+    ].join('\n'));
+  }
+}
+
+module.exports = {
+  CONFLICT_REPORT_PATH,
+  DEFAULT_TOLERANCE,
+  getConsensusOptions,
+  normalizeSourceDividends,
+  buildConsensus,
+  writeConflictReport
+};
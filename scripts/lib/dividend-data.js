@@ -0,0 +1,110 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const DIVIDEND_DATA_DIR = path.join(__dirname, '..', '..', 'public', 'data', 'dividends');
+// The validator the dashboard uses too, so both accept the same files
+const {
+  DIVIDEND_STATUSES,
+  CORRECTED_FIELDS,
+  validateDividendData
+} = require('../../src/services/dividendSchema');
+
+/**
+ * Path of a ticker's dividend data file (public/data/dividends/<SYMBOL>.json,
+ * or another directory of data files)
+ */
+function getDividendDataPath(symbol, dataDir = DIVIDEND_DATA_DIR) {
+  return path.join(dataDir, `${symbol}.json`);
+}
+
+/**
+ * Read and validate the dividend data file
+ */
+async function readDividendData(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  const data = JSON.parse(content);
+  const errors = validateDividendData(data);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid dividend data in ${filePath}:\n  ${errors.join('\n  ')}`);
+  }
+
+  return data;
+}
+
+/**
+ * Validate and write the dividend data file (records sorted newest first),
+ * stamped with `today` (YYYY-MM-DD) as its updatedAt
+ */
+async function writeDividendData(data, filePath, { today = new Date().toISOString().split('T')[0] } = {}) {
+  const sorted = {
+    ...data,
+    updatedAt: today,
+    dividends: [...data.dividends].sort((a, b) => b.exDate.localeCompare(a.exDate))
+  };
+  const errors = validateDividendData(sorted);
+
+  if (errors.length > 0) {
+    throw new Error(`Refusing to write invalid dividend data:\n  ${errors.join('\n  ')}`);
+  }
+
+  await fs.writeFile(filePath, JSON.stringify(sorted, null, 2) + '\n');
+  return sorted;
+}
+
+/**
+ * Apply an update to a record following the status lifecycle
+ * (estimated -> declared -> paid, never backwards). Estimates are replaced;
+ * changes to a declared or paid record's amount or dates become corrections.
+ */
+function applyDividendUpdate(record, update, { date = new Date().toISOString().split('T')[0], reason } = {}) {
+  const nextStatus = update.status || record.status;
+
+  if (DIVIDEND_STATUSES.indexOf(nextStatus) > DIVIDEND_STATUSES.indexOf(record.status)) {
+    throw new Error(`Dividend ${record.exDate} cannot go from ${record.status} back to ${nextStatus}`);
+  }
+
+  const corrections = record.status === 'estimated'
+    ? []
+    : CORRECTED_FIELDS
+      .filter(field => update[field] !== undefined && update[field] !== record[field])
+      .map(field => ({
+        date,
+        field,
+        from: record[field] === undefined ? null : record[field],
+        to: update[field],
+        ...(reason ? { reason } : {})
+      }));
+
+  const updated = { ...record, ...update, status: nextStatus };
+  if (corrections.length > 0) {
+    updated.corrections = [...(record.corrections || []), ...corrections];
+  }
+  return updated;
+}
+
+/**
+ * Mark declared records whose pay date has passed as paid
+ * @returns {number} Number of records promoted
+ */
+function promotePaidDividends(data, today = new Date().toISOString().split('T')[0]) {
+  let promoted = 0;
+
+  data.dividends = data.dividends.map(record => {
+    if (record.status !== 'declared' || record.payDate > today) return record;
+    promoted++;
+    return applyDividendUpdate(record, { status: 'paid' }, { date: today });
+  });
+
+  return promoted;
+}
+
+module.exports = {
+  DIVIDEND_DATA_DIR,
+  getDividendDataPath,
+  validateDividendData,
+  applyDividendUpdate,
+  promotePaidDividends,
+  readDividendData,
+  writeDividendData
+};
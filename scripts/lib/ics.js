@@ -0,0 +1,88 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { TICKERS, getPayoutPeriodKey, getExpectedPayouts } = require('./tickers');
+const { getDividendDataPath, readDividendData } = require('./dividend-data');
+// The event builder and serializer the dashboard's .ics download uses too
+const { buildIcsEvents, toIcs } = require('../../src/services/icsFormat');
+
+const CALENDAR_FEED_PATH = path.join(__dirname, '..', '..', 'public', 'data', 'dividends.ics');
+const FORECAST_WINDOW = 12;
+// Feed window in whole months around the current one, so it only shifts once a month
+const MONTHS_BACK = 3;
+const MONTHS_AHEAD = 3;
+
+const toIsoDate = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Trailing-mean forecast: average of the last 12 announced (paid or
+ * declared) regular amounts, or null without any. Kept in step with the
+ * default model in src/services/forecastService.js by icsFormat.test.js
+ */
+function forecastAmount(records) {
+  const announced = records
+    .filter(record => record.status !== 'estimated' && record.type !== 'special')
+    .sort((a, b) => a.exDate.localeCompare(b.exDate))
+    .slice(-FORECAST_WINDOW);
+
+  if (announced.length === 0) return null;
+  return parseFloat((announced.reduce((sum, record) => sum + record.amount, 0) / announced.length).toFixed(4));
+}
+
+/**
+ * Records plus estimated payouts on the ticker's calendar (from today to the
+ * end of the window) for periods with no regular record yet
+ * (mirrors getProjectedPayouts in src/services/payoutCalendar.js)
+ */
+function withProjectedPayouts(ticker, records, { to, today }) {
+  const amount = forecastAmount(records);
+  if (amount === null) return records;
+
+  const covered = new Set(records
+    .filter(record => record.type !== 'special')
+    .map(record => getPayoutPeriodKey(record.exDate, ticker.payoutFrequency)));
+
+  const projected = getExpectedPayouts(ticker, today, to)
+    .filter(payout => !covered.has(getPayoutPeriodKey(payout.exDate, ticker.payoutFrequency)))
+    .map(payout => ({ ...payout, amount, status: 'estimated', projected: true }));
+
+  return [...records, ...projected];
+}
+
+/**
+ * Write the calendar feed (public/data/dividends.ics) for every registered
+ * ticker: records and projected payouts from the start of the month three
+ * months back to the end of the third month ahead. DTSTAMP is the newest
+ * data file's updatedAt, so the feed only changes with the data or window.
+ * @returns {Object} { path, events } - Where the feed was written and how many events it holds
+ */
+async function writeCalendarFeed({ today = new Date(), feedPath = CALENDAR_FEED_PATH, dataDir } = {}) {
+  const from = toIsoDate(new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - MONTHS_BACK, 1)));
+  const to = toIsoDate(new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + MONTHS_AHEAD + 1, 0)));
+  const todayIso = toIsoDate(today);
+  const events = [];
+  let updatedAt = '1970-01-01';
+
+  for (const ticker of TICKERS) {
+    try {
+      const data = await readDividendData(getDividendDataPath(ticker.symbol, dataDir));
+      const records = withProjectedPayouts(ticker, data.dividends, { to, today: todayIso });
+      events.push(...buildIcsEvents({ symbol: ticker.symbol, records, from, to }));
+      if (data.updatedAt > updatedAt) updatedAt = data.updatedAt;
+    } catch (error) {
+      console.error(`Skipping ${ticker.symbol} in the calendar feed:`, error.message);
+    }
+  }
+
+  events.sort((a, b) => a.date.localeCompare(b.date) || a.uid.localeCompare(b.uid));
+  const content = toIcs(events, { name: 'Income ETF Dividends', timestamp: new Date(`${updatedAt}T00:00:00Z`) });
+  await fs.writeFile(feedPath, content);
+
+  return { path: feedPath, events: events.length };
+}
+
+module.exports = {
+  CALENDAR_FEED_PATH,
+  forecastAmount,
+  withProjectedPayouts,
+  writeCalendarFeed
+};
@@ -0,0 +1,223 @@
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+
+const PRICE_DATA_DIR = path.join(__dirname, '..', '..', 'public', 'data', 'prices');
+const SCHEMA_VERSION = 1;
+const DEFAULT_PROVIDER_ORDER = ['polygon', 'alphaVantage'];
+// How far before an ex-date a close may be (weekends and market holidays)
+const MAX_LOOKBACK_DAYS = 7;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toIsoDate = (date) => date.toISOString().split('T')[0];
+
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toIsoDate(date);
+}
+
+/**
+ * Daily close providers, tried in the order set by PRICE_HISTORY_PROVIDERS
+ * (mirrors the quote providers in src/services/priceProviders.js). Closes
+ * are unadjusted: the yield is the distribution over the price at the time.
+ */
+const PRICE_HISTORY_PROVIDERS = {
+  polygon: {
+    id: 'polygon',
+    label: 'Polygon.io',
+    isConfigured: () => Boolean(process.env.POLYGON_API_KEY),
+    fetchCloses: async (symbol, from, to, http) => {
+      const response = await http.get(
+        `https://api.polygon.io/v2/aggs/ticker/${symbol}/range/1/day/${from}/${to}?adjusted=false&sort=asc&limit=50000&apiKey=${process.env.POLYGON_API_KEY}`,
+        { timeout: 10000 }
+      );
+      const results = (response.data && response.data.results) || [];
+
+      return results.map(bar => ({ date: toIsoDate(new Date(bar.t)), close: bar.c }));
+    }
+  },
+  alphaVantage: {
+    id: 'alphaVantage',
+    label: 'Alpha Vantage',
+    isConfigured: () => Boolean(process.env.ALPHA_VANTAGE_API_KEY),
+    // The free tier only serves the last 100 trading days (outputsize=compact)
+    fetchCloses: async (symbol, from, to, http) => {
+      const response = await http.get(
+        `https://www.alphavantage.co/query?function=TIME_SERIES_DAILY&symbol=${symbol}&outputsize=compact&apikey=${process.env.ALPHA_VANTAGE_API_KEY}`,
+        { timeout: 10000 }
+      );
+      const series = response.data && response.data['Time Series (Daily)'];
+
+      // Rate limiting is reported in the body ("Note"/"Information"), not the status code
+      if (!series) {
+        throw new Error(`Alpha Vantage returned no prices: ${(response.data && (response.data.Note || response.data.Information)) || 'empty response'}`);
+      }
+
+      return Object.entries(series)
+        .filter(([date]) => date >= from && date <= to)
+        .map(([date, bar]) => ({ date, close: parseFloat(bar['4. close']) }));
+    }
+  }
+};
+
+/**
+ * Configured providers in order (PRICE_HISTORY_PROVIDERS, e.g. "alphaVantage,polygon")
+ */
+function getPriceProviderChain(order = process.env.PRICE_HISTORY_PROVIDERS) {
+  const ids = order
+    ? order.split(',').map(id => id.trim()).filter(id => PRICE_HISTORY_PROVIDERS[id])
+    : DEFAULT_PROVIDER_ORDER;
+
+  return ids.map(id => PRICE_HISTORY_PROVIDERS[id]).filter(provider => provider.isConfigured());
+}
+
+/**
+ * Path of a ticker's cached price history (public/data/prices/<SYMBOL>.json,
+ * or another directory)
+ */
+function getPriceHistoryPath(symbol, priceDir = PRICE_DATA_DIR) {
+  return path.join(priceDir, `${symbol}.json`);
+}
+
+/**
+ * Validate price history contents against public/data/prices.schema.json
+ */
+function validatePriceHistory(data) {
+  if (!data || typeof data !== 'object') {
+    return ['Price history must be an object'];
+  }
+
+  const errors = [];
+  if (data.schemaVersion !== SCHEMA_VERSION) {
+    errors.push(`Unsupported schemaVersion ${data.schemaVersion} (expected ${SCHEMA_VERSION})`);
+  }
+  if (typeof data.symbol !== 'string' || data.symbol.length === 0) {
+    errors.push('symbol must be a non-empty string');
+  }
+  if (!Array.isArray(data.closes)) {
+    errors.push('closes must be an array');
+    return errors;
+  }
+  data.closes.forEach((point, index) => {
+    if (!point || !ISO_DATE_PATTERN.test(point.date) || typeof point.close !== 'number' || !(point.close > 0)) {
+      errors.push(`closes[${index}] must be { date: YYYY-MM-DD, close: positive number }`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Read a ticker's cached price history (empty when there is no file yet)
+ */
+async function readPriceHistory(symbol, priceDir) {
+  const filePath = getPriceHistoryPath(symbol, priceDir);
+  let data;
+
+  try {
+    data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { schemaVersion: SCHEMA_VERSION, symbol, updatedAt: null, closes: [] };
+    }
+    throw error;
+  }
+
+  const errors = validatePriceHistory(data);
+  if (errors.length > 0) {
+    throw new Error(`Invalid price history in ${filePath}:\n  ${errors.join('\n  ')}`);
+  }
+  return data;
+}
+
+/**
+ * Write a ticker's price history (closes sorted oldest first, one per date)
+ */
+async function writePriceHistory(data, priceDir = PRICE_DATA_DIR) {
+  await fs.mkdir(priceDir, { recursive: true });
+  await fs.writeFile(getPriceHistoryPath(data.symbol, priceDir), JSON.stringify({
+    ...data,
+    updatedAt: toIsoDate(new Date()),
+    closes: [...data.closes].sort((a, b) => a.date.localeCompare(b.date))
+  }, null, 2) + '\n');
+}
+
+/**
+ * Close on a date, or the latest within MAX_LOOKBACK_DAYS before it
+ * @returns {Object|null} { date, close }
+ */
+function getCloseOnOrBefore(closes, date) {
+  const earliest = addDays(date, -MAX_LOOKBACK_DAYS);
+  return closes
+    .filter(point => point.date <= date && point.date >= earliest)
+    .reduce((latest, point) => (!latest || point.date > latest.date ? point : latest), null);
+}
+
+/**
+ * Closes covering the given ex-dates: from the cached price history first,
+ * then the configured providers for ex-dates before today it lacks (one
+ * request from the earliest missing date to today). New closes are added
+ * to the cache file.
+ * @param {Object} options - { http, priceDir, today }
+ * @returns {Array} Closes of { date, close }, oldest first
+ */
+async function getClosesForExDates(symbol, exDates, {
+  http = axios,
+  priceDir,
+  today = toIsoDate(new Date())
+} = {}) {
+  const history = await readPriceHistory(symbol, priceDir);
+  // The ex-date's close is only final once the day is over
+  const missing = exDates
+    .filter(exDate => exDate < today && !getCloseOnOrBefore(history.closes, exDate))
+    .sort();
+
+  if (missing.length === 0) {
+    return history.closes;
+  }
+
+  const from = addDays(missing[0], -MAX_LOOKBACK_DAYS);
+  for (const provider of getPriceProviderChain()) {
+    try {
+      const fetched = (await provider.fetchCloses(symbol, from, addDays(today, -1), http))
+        .filter(point => ISO_DATE_PATTERN.test(point.date) && point.close > 0);
+      const known = new Set(history.closes.map(point => point.date));
+      const added = fetched.filter(point => !known.has(point.date));
+
+      if (added.length > 0) {
+        history.closes = [...history.closes, ...added].sort((a, b) => a.date.localeCompare(b.date));
+        await writePriceHistory(history, priceDir);
+        console.log(`📈 Cached ${added.length} ${symbol} close(s) from ${provider.label}`);
+        return history.closes;
+      }
+    } catch (error) {
+      console.error(`Error fetching ${symbol} prices from ${provider.label}:`, error.message);
+    }
+  }
+
+  console.warn(`⚠️  No ${symbol} close found for ex-date(s) ${missing.join(', ')}; their yields stay empty`);
+  return history.closes;
+}
+
+/**
+ * Yield (percent, 2 decimals) of a distribution from the close on or before
+ * its ex-date, or null without one
+ */
+function getDistributionYield(amount, exDate, closes) {
+  const point = getCloseOnOrBefore(closes, exDate);
+  return point ? parseFloat(((amount / point.close) * 100).toFixed(2)) : null;
+}
+
+module.exports = {
+  PRICE_DATA_DIR,
+  PRICE_HISTORY_PROVIDERS,
+  getPriceProviderChain,
+  getPriceHistoryPath,
+  validatePriceHistory,
+  readPriceHistory,
+  writePriceHistory,
+  getCloseOnOrBefore,
+  getClosesForExDates,
+  getDistributionYield
+};
@@ -0,0 +1,143 @@
+const fs = require('fs').promises;
+const axios = require('axios');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+// Timeouts, rate limiting and server errors are worth another try; other 4xx aren't
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether a failed request may succeed if repeated: network errors and
+ * timeouts (no response), or a retryable status
+ */
+function isRetryableError(error) {
+  if (error.retryable === false) return false;
+  return !error.response || RETRYABLE_STATUSES.includes(error.response.status);
+}
+
+/**
+ * axios-compatible client for one source: applies the source's timeout,
+ * retries transient failures with exponential backoff and turns error
+ * bodies (source.responseError) into failures. Requests, retries and the
+ * final error are counted in `health`.
+ * @param {Object} source - { label, timeout, retries, responseError(data) }
+ * @param {Object} options - { http, retryDelayMs, health }
+ */
+function createSourceClient(source, { http = axios, retryDelayMs = DEFAULT_RETRY_DELAY_MS, health }) {
+  const retries = source.retries || 0;
+
+  return {
+    async get(url, config = {}) {
+      for (let attempt = 0; ; attempt++) {
+        health.requests++;
+        try {
+          const response = await http.get(url, { ...config, timeout: source.timeout || DEFAULT_TIMEOUT_MS });
+          // Some APIs report rate limits and bad symbols in a 200 response
+          const message = source.responseError && source.responseError(response.data);
+          if (message) {
+            const error = new Error(message);
+            error.retryable = false;
+            throw error;
+          }
+          return response;
+        } catch (error) {
+          if (attempt >= retries || !isRetryableError(error)) {
+            health.error = error.message;
+            throw error;
+          }
+          health.retries++;
+          const delay = retryDelayMs * 2 ** attempt;
+          console.warn(`↻ ${source.label} request failed (${error.message}); retrying in ${delay}ms`);
+          await wait(delay);
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Fetch one ticker's distribution history from a source through its client
+ * @param {Object} source - { id, label, fetch(symbol, { http }), isConfigured(), timeout, retries, responseError }
+ * @param {Object} options - { http, retryDelayMs }
+ * @returns {Object} { dividends, health } - dividends is null unless the source listed some; health is
+ *   { id, label, status: ok|empty|failed|skipped, count, requests, retries, durationMs, error }
+ */
+async function fetchFromSource(source, symbol, { http, retryDelayMs } = {}) {
+  const health = { id: source.id, label: source.label, status: 'skipped', count: 0, requests: 0, retries: 0, durationMs: 0, error: null };
+  if (source.isConfigured && !source.isConfigured()) {
+    return { dividends: null, health };
+  }
+
+  const started = Date.now();
+  let dividends = null;
+  try {
+    dividends = await source.fetch(symbol, { http: createSourceClient(source, { http, retryDelayMs, health }) });
+  } catch (error) {
+    // Fetchers log and swallow their own errors; this catches one that doesn't
+    health.error = health.error || error.message;
+  }
+
+  health.durationMs = Date.now() - started;
+  health.count = dividends ? dividends.length : 0;
+  health.status = health.count > 0 ? 'ok' : health.error ? 'failed' : 'empty';
+  return { dividends: health.count > 0 ? dividends : null, health };
+}
+
+/**
+ * One-line description of a source's health, e.g.
+ * "Yahoo Finance failed after 3 requests (timeout of 10000ms exceeded)"
+ */
+function formatSourceHealth(health) {
+  const requests = `${health.requests} request${health.requests === 1 ? '' : 's'}`;
+  switch (health.status) {
+    case 'ok':
+      return `${health.label} ok (${health.count} distribution(s), ${requests}, ${health.durationMs}ms)`;
+    case 'failed':
+      return `${health.label} failed after ${requests} (${health.error})`;
+    case 'skipped':
+      return `${health.label} skipped (not configured)`;
+    default:
+      return `${health.label} returned no distributions`;
+  }
+}
+
+/**
+ * Warn about sources that failed for every ticker checked and, on GitHub
+ * Actions, add a source health table to the job summary
+ * @param {Array<Object>} health - Health entries with their symbol
+ * @returns {Array<string>} Labels of the sources that failed everywhere
+ */
+async function writeSourceHealthSummary(health) {
+  const bySource = new Map();
+  health.forEach(entry => bySource.set(entry.label, [...(bySource.get(entry.label) || []), entry]));
+
+  const down = [...bySource.entries()]
+    .filter(([, entries]) => entries.every(entry => entry.status === 'failed'))
+    .map(([label]) => label);
+  down.forEach(label => console.warn(`⚠️  ${label} failed for every ticker: ${bySource.get(label)[0].error}`));
+
+  if (process.env.GITHUB_STEP_SUMMARY && health.length > 0) {
+    const rows = health.map(entry =>
+      `| ${entry.symbol} | ${entry.label} | ${entry.status} | ${entry.count} | ${entry.requests} | ${entry.retries} | ${entry.durationMs}ms | ${entry.error || '—'} |`);
+    await fs.appendFile(process.env.GITHUB_STEP_SUMMARY, [
+      '## 🩺 Dividend source health',
+      '',
+      '| Ticker | Source | Status | Distributions | Requests | Retries | Time | Error |',
+      '| --- | --- | --- | --- | --- | --- | --- | --- |',
+      ...rows,
+      ''
+    ].join('\n'));
+  }
+
+  return down;
+}
+
+module.exports = {
+  isRetryableError,
+  createSourceClient,
+  fetchFromSource,
+  formatSourceHealth,
+  writeSourceHealthSummary
+};
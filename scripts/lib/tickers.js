@@ -0,0 +1,109 @@
+const registry = require('../../src/config/tickers.json');
+
+/**
+ * Ticker registry shared with the dashboard (src/config/tickers.json)
+ */
+const TICKERS = registry.tickers;
+const DEFAULT_SYMBOL = registry.defaultSymbol;
+
+/**
+ * Look up a registered ticker (symbol in any case), or null when unknown
+ */
+function getTicker(symbol) {
+  const normalized = String(symbol || '').trim().toUpperCase();
+  return TICKERS.find(ticker => ticker.symbol === normalized) || null;
+}
+
+/**
+ * Key of the payout period an ex-date falls in: the month (YYYY-MM) for
+ * monthly payers, the Monday of its week (YYYY-MM-DD) for weekly ones
+ * (mirrors getPayoutPeriodKey in src/services/payoutCalendar.js)
+ */
+function getPayoutPeriodKey(exDate, frequency = 'monthly') {
+  if (frequency !== 'weekly') {
+    return exDate.slice(0, 7);
+  }
+
+  const date = new Date(`${exDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().split('T')[0];
+}
+
+const toIsoDate = (date) => date.toISOString().split('T')[0];
+const utcDate = (year, month, day) => new Date(Date.UTC(year, month, day));
+
+/**
+ * Expected ex-date of the regular payout in the period containing a date;
+ * monthly ex-days past the end of a short month fall on its last day
+ */
+function getExpectedExDateInPeriod(ticker, date) {
+  if (ticker.payoutFrequency === 'weekly') {
+    const monday = utcDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    return utcDate(monday.getUTCFullYear(), monday.getUTCMonth(), monday.getUTCDate() + ((ticker.typicalExWeekday + 6) % 7));
+  }
+
+  const lastDay = utcDate(date.getUTCFullYear(), date.getUTCMonth() + 1, 0).getUTCDate();
+  return utcDate(date.getUTCFullYear(), date.getUTCMonth(), Math.min(ticker.typicalExDay, lastDay));
+}
+
+/**
+ * Expected ex-dates of the ticker's regular payouts between two dates
+ * (YYYY-MM-DD, inclusive), each with its expected pay date
+ * (mirrors getExpectedExDates/getExpectedPayoutDates in src/services/payoutCalendar.js)
+ */
+function getExpectedPayouts(ticker, fromDate, toDate) {
+  const payouts = [];
+  let period = new Date(`${fromDate}T00:00:00Z`);
+
+  while (toIsoDate(period) <= toDate) {
+    const exDate = getExpectedExDateInPeriod(ticker, period);
+    const exIso = toIsoDate(exDate);
+    if (exIso >= fromDate && exIso <= toDate) {
+      const payDate = utcDate(exDate.getUTCFullYear(), exDate.getUTCMonth(), exDate.getUTCDate() + ticker.payDateOffsetDays);
+      payouts.push({ exDate: exIso, payDate: toIsoDate(payDate) });
+    }
+    period = ticker.payoutFrequency === 'weekly'
+      ? utcDate(period.getUTCFullYear(), period.getUTCMonth(), period.getUTCDate() - ((period.getUTCDay() + 6) % 7) + 7)
+      : utcDate(period.getUTCFullYear(), period.getUTCMonth() + 1, 1);
+  }
+
+  return payouts;
+}
+
+/**
+ * Resolve the symbols to update from command-line arguments
+ * (--symbol MSTY, repeatable, or --all); defaults to every registered ticker
+ * @throws {Error} When a requested symbol isn't registered
+ */
+function resolveSymbols(args) {
+  const requested = [];
+
+  args.forEach((arg, index) => {
+    if (arg === '--symbol' && args[index + 1]) {
+      requested.push(args[index + 1]);
+    } else if (arg.startsWith('--symbol=')) {
+      requested.push(arg.slice('--symbol='.length));
+    }
+  });
+
+  if (requested.length === 0 || args.includes('--all')) {
+    return TICKERS.map(ticker => ticker.symbol);
+  }
+
+  return requested.map(symbol => {
+    const ticker = getTicker(symbol);
+    if (!ticker) {
+      throw new Error(`Unknown ticker "${symbol}" (registered: ${TICKERS.map(item => item.symbol).join(', ')})`);
+    }
+    return ticker.symbol;
+  });
+}
+
+module.exports = {
+  TICKERS,
+  DEFAULT_SYMBOL,
+  getTicker,
+  getPayoutPeriodKey,
+  getExpectedPayouts,
+  resolveSymbols
+};
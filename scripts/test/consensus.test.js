@@ -0,0 +1,135 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildConsensus, getConsensusOptions, normalizeSourceDividends } = require('../lib/consensus');
+
+const polygon = (dividends) => ({ id: 'polygon', label: 'Polygon.io', dividends });
+const stockAnalysis = (dividends) => ({ id: 'stockanalysis', label: 'StockAnalysis.com', dividends });
+
+const JUNE = { exDate: '2025-06-06', payDate: '2025-06-09', dividend: 3.07 };
+const MAY = { exDate: '2025-05-08', payDate: '2025-05-09', dividend: 2.719 };
+
+describe('normalizeSourceDividends', () => {
+  it('rounds amounts, checks dates and defaults the type', () => {
+    assert.deepEqual(normalizeSourceDividends([
+      { exDate: '2025-06-06', payDate: 'Jun 9', dividend: '3.070049' },
+      { exDate: 'soon', dividend: 1 },
+      { exDate: '2025-05-08', dividend: 0 }
+    ]), [{
+      exDate: '2025-06-06',
+      recordDate: null,
+      payDate: null,
+      declarationDate: null,
+      dividend: 3.07,
+      type: 'regular'
+    }]);
+  });
+});
+
+describe('buildConsensus', () => {
+  it('accepts distributions the sources agree on', () => {
+    const result = buildConsensus([
+      polygon([{ ...JUNE, declarationDate: '2025-05-28' }, MAY]),
+      stockAnalysis([{ ...JUNE, payDate: null }, MAY])
+    ]);
+
+    assert.equal(result.conflicts.length, 0);
+    assert.deepEqual(result.accepted.map(item => item.exDate), ['2025-05-08', '2025-06-06']);
+    assert.equal(result.accepted[1].source, 'Polygon.io + StockAnalysis.com');
+    assert.equal(result.accepted[1].declarationDate, '2025-05-28');
+    assert.equal(result.accepted[1].payDate, '2025-06-09');
+  });
+
+  it('reports amounts that differ beyond the tolerance as conflicts', () => {
+    const result = buildConsensus([
+      polygon([JUNE, MAY]),
+      stockAnalysis([{ ...JUNE, dividend: 2.1234 }, MAY])
+    ]);
+
+    assert.deepEqual(result.accepted.map(item => item.exDate), ['2025-05-08']);
+    assert.equal(result.conflicts.length, 1);
+    assert.deepEqual(result.conflicts[0].fields, ['amount']);
+    assert.equal(result.conflicts[0].key, 'ex 2025-06-06');
+    assert.deepEqual(result.conflicts[0].reports.map(report => report.amount), [3.07, 2.1234]);
+  });
+
+  it('accepts amounts within the tolerance', () => {
+    const sources = [polygon([JUNE]), stockAnalysis([{ ...JUNE, dividend: 3.1 }])];
+
+    assert.equal(buildConsensus(sources).conflicts.length, 1);
+    assert.equal(buildConsensus(sources, { tolerance: 0.02 }).conflicts.length, 0);
+  });
+
+  it('lines up regular payouts in the same period when the ex-dates differ', () => {
+    const result = buildConsensus([
+      polygon([JUNE]),
+      stockAnalysis([{ ...JUNE, exDate: '2025-06-05' }])
+    ]);
+
+    assert.equal(result.accepted.length, 0);
+    assert.equal(result.conflicts[0].key, '2025-06');
+    assert.deepEqual(result.conflicts[0].fields, ['exDate']);
+  });
+
+  it('lets the configured priority settle disagreements', () => {
+    const result = buildConsensus([
+      polygon([JUNE]),
+      stockAnalysis([{ ...JUNE, dividend: 2.1234 }])
+    ], { priority: ['polygon'] });
+
+    assert.equal(result.conflicts.length, 0);
+    assert.deepEqual(result.accepted, [{ ...JUNE, recordDate: null, declarationDate: null, type: 'regular', source: 'Polygon.io' }]);
+    assert.equal(result.resolved[0].winner, 'Polygon.io');
+  });
+
+  it('holds a distribution only one source reports until another confirms it', () => {
+    const july = { exDate: '2025-07-08', payDate: '2025-07-09', dividend: 2.4432 };
+    const result = buildConsensus([polygon([july, JUNE]), stockAnalysis([JUNE])]);
+
+    assert.deepEqual(result.accepted.map(item => item.exDate), ['2025-06-06']);
+    assert.deepEqual(result.pending.map(item => item.key), ['2025-07']);
+    assert.equal(buildConsensus([polygon([july, JUNE]), stockAnalysis([JUNE])], { priority: ['polygon'] }).pending.length, 0);
+  });
+
+  it('holds a single report older than the other sources\' history', () => {
+    const result = buildConsensus([polygon([JUNE, MAY]), stockAnalysis([JUNE])]);
+
+    assert.deepEqual(result.accepted.map(item => item.exDate), ['2025-06-06']);
+    assert.deepEqual(result.pending.map(item => item.key), ['2025-05']);
+  });
+
+  it('holds everything when only one source responded', () => {
+    const result = buildConsensus([polygon([]), stockAnalysis([{ ...JUNE, dividend: 2.1234 }, MAY])]);
+
+    assert.equal(result.accepted.length, 0);
+    assert.equal(result.pending.length, 2);
+  });
+
+  it('accepts a lone source that leads the configured priority', () => {
+    const result = buildConsensus([polygon([JUNE, MAY]), stockAnalysis([])], { priority: ['polygon'] });
+
+    assert.equal(result.accepted.length, 2);
+    assert.equal(result.accepted[0].source, 'Polygon.io');
+    assert.equal(buildConsensus([polygon([]), stockAnalysis([JUNE])], { priority: ['polygon'] }).accepted.length, 0);
+  });
+
+  it('keeps a special distribution special when another source can\'t tell', () => {
+    const special = { exDate: '2025-06-27', payDate: '2025-06-30', dividend: 0.15 };
+    const result = buildConsensus([
+      polygon([{ ...special, type: 'special' }, JUNE]),
+      stockAnalysis([special, JUNE])
+    ]);
+
+    assert.equal(result.conflicts.length, 0);
+    assert.deepEqual(result.accepted.map(item => [item.exDate, item.type]), [['2025-06-06', 'regular'], ['2025-06-27', 'special']]);
+  });
+});
+
+describe('getConsensusOptions', () => {
+  it('reads the priority and tolerance from the environment', () => {
+    assert.deepEqual(getConsensusOptions({ DIVIDEND_SOURCE_PRIORITY: ' Polygon, stockanalysis ', DIVIDEND_CONSENSUS_TOLERANCE: '0.01' }), {
+      priority: ['polygon', 'stockanalysis'],
+      tolerance: 0.01
+    });
+    assert.deepEqual(getConsensusOptions({}), { priority: [], tolerance: 0.005 });
+  });
+});
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TICKERS } = require('../../lib/tickers');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Read a recorded response from test/fixtures (JSON files are parsed)
+ */
+function loadFixture(name) {
+  const content = fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+  return name.endsWith('.json') ? JSON.parse(content) : content;
+}
+
+/**
+ * Fake axios-compatible HTTP client that serves recorded responses
+ * Routes are [match, response] pairs: match is a URL prefix or RegExp;
+ * response is the response body, an Error to reject with, or a function of
+ * the URL returning either. Unmatched URLs reject like a 404, so nothing
+ * reaches the network. Requested URLs are kept in `requests`.
+ */
+function createFakeHttp(routes) {
+  const requests = [];
+
+  return {
+    requests,
+    async get(url, config = {}) {
+      requests.push({ url, config });
+      const route = routes.find(([match]) => (match instanceof RegExp ? match.test(url) : url.startsWith(match)));
+
+      if (!route) {
+        const error = new Error(`Request failed with status code 404 (no fixture for ${url})`);
+        error.response = { status: 404 };
+        throw error;
+      }
+
+      const body = typeof route[1] === 'function' ? route[1](url) : route[1];
+      if (body instanceof Error) {
+        throw body;
+      }
+      return { status: 200, data: body };
+    }
+  };
+}
+
+/**
+ * Routes serving the recorded WNTR responses from Polygon.io (two pages of
+ * dividends, and daily bars) and StockAnalysis.com (the given HTML fixture)
+ */
+function wntrRoutes({ stockAnalysis = 'stockanalysis-wntr.html' } = {}) {
+  return [
+    ['https://api.polygon.io/v2/aggs/ticker/WNTR/range/1/day/', loadFixture('polygon-wntr-aggs.json')],
+    [/^https:\/\/api\.polygon\.io\/v3\/reference\/dividends\?cursor=/, loadFixture('polygon-wntr-page2.json')],
+    ['https://api.polygon.io/v3/reference/dividends?ticker=WNTR', loadFixture('polygon-wntr-page1.json')],
+    ['https://stockanalysis.com/etf/wntr/dividend/', loadFixture(stockAnalysis)]
+  ];
+}
+
+/**
+ * Routes serving the recorded WNTR responses from the other sources:
+ * Alpha Vantage (JSON), Yahoo Finance's chart API and Seeking Alpha's site API
+ */
+function wntrAdapterRoutes() {
+  return [
+    ['https://www.alphavantage.co/query?function=DIVIDENDS&symbol=WNTR', loadFixture('alphavantage-wntr-dividends.json')],
+    ['https://query1.finance.yahoo.com/v8/finance/chart/WNTR?', loadFixture('yahoo-wntr-chart.json')],
+    ['https://seekingalpha.com/api/v3/symbols/wntr/dividend_history', loadFixture('seekingalpha-wntr-dividends.json')]
+  ];
+}
+
+/**
+ * Temporary data directory with a file for every registered ticker
+ * (`records` maps symbols to their dividends; others start empty) and a
+ * `prices` directory for cached closes (`prices` maps symbols to closes)
+ * @returns {Object} { dir, priceDir, read(symbol), readPrices(symbol), cleanup() }
+ */
+function createDataDir(records = {}, { prices = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dividend-data-'));
+  const priceDir = path.join(dir, 'prices');
+  fs.mkdirSync(priceDir);
+  Object.entries(prices).forEach(([symbol, closes]) => {
+    fs.writeFileSync(path.join(priceDir, `${symbol}.json`), JSON.stringify({ schemaVersion: 1, symbol, updatedAt: '2025-01-01', closes }));
+  });
+
+  TICKERS.forEach(ticker => {
+    fs.writeFileSync(path.join(dir, `${ticker.symbol}.json`), JSON.stringify({
+      schemaVersion: 1,
+      symbol: ticker.symbol,
+      updatedAt: '2025-01-01',
+      dividends: records[ticker.symbol] || []
+    }, null, 2));
+  });
+
+  return {
+    dir,
+    priceDir,
+    read: (symbol) => JSON.parse(fs.readFileSync(path.join(dir, `${symbol}.json`), 'utf8')),
+    readPrices: (symbol) => JSON.parse(fs.readFileSync(path.join(priceDir, `${symbol}.json`), 'utf8')),
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+  };
+}
+
+module.exports = {
+  loadFixture,
+  createFakeHttp,
+  wntrRoutes,
+  wntrAdapterRoutes,
+  createDataDir
+};
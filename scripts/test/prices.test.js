@@ -0,0 +1,147 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  PRICE_HISTORY_PROVIDERS,
+  getPriceProviderChain,
+  validatePriceHistory,
+  getCloseOnOrBefore,
+  getClosesForExDates,
+  getDistributionYield
+} = require('../lib/prices');
+const { createFakeHttp, wntrRoutes, createDataDir } = require('./helpers');
+
+const TODAY = '2025-08-20';
+
+const CLOSES = [
+  { date: '2025-06-05', close: 36.95 },
+  { date: '2025-06-06', close: 36.74 }
+];
+
+describe('getCloseOnOrBefore', () => {
+  it('prefers the close on the date itself', () => {
+    assert.deepEqual(getCloseOnOrBefore(CLOSES, '2025-06-06'), CLOSES[1]);
+  });
+
+  it('falls back to the latest close within a week before', () => {
+    assert.deepEqual(getCloseOnOrBefore(CLOSES, '2025-06-09'), CLOSES[1]);
+    assert.equal(getCloseOnOrBefore(CLOSES, '2025-06-14'), null);
+    assert.equal(getCloseOnOrBefore(CLOSES, '2025-06-04'), null);
+  });
+});
+
+describe('getDistributionYield', () => {
+  it('divides the amount by the ex-date close', () => {
+    assert.equal(getDistributionYield(3.07, '2025-06-06', CLOSES), 8.36);
+    assert.equal(getDistributionYield(3.07, '2025-07-08', CLOSES), null);
+  });
+});
+
+describe('validatePriceHistory', () => {
+  it('checks the schema version and every close', () => {
+    assert.deepEqual(validatePriceHistory({ schemaVersion: 1, symbol: 'WNTR', updatedAt: null, closes: CLOSES }), []);
+    assert.deepEqual(validatePriceHistory({ schemaVersion: 2, symbol: 'WNTR', closes: [{ date: 'Jun 6', close: 0 }] }), [
+      'Unsupported schemaVersion 2 (expected 1)',
+      'closes[0] must be { date: YYYY-MM-DD, close: positive number }'
+    ]);
+  });
+});
+
+describe('getPriceProviderChain', () => {
+  afterEach(() => {
+    delete process.env.POLYGON_API_KEY;
+    delete process.env.ALPHA_VANTAGE_API_KEY;
+  });
+
+  it('keeps the configured order and skips providers without a key', () => {
+    process.env.ALPHA_VANTAGE_API_KEY = 'test-key';
+
+    assert.deepEqual(getPriceProviderChain().map(provider => provider.id), ['alphaVantage']);
+    process.env.POLYGON_API_KEY = 'test-key';
+    assert.deepEqual(getPriceProviderChain('alphaVantage, polygon, yahoo').map(provider => provider.id), ['alphaVantage', 'polygon']);
+  });
+});
+
+describe('getClosesForExDates', () => {
+  let data;
+
+  beforeEach(() => {
+    process.env.POLYGON_API_KEY = 'test-key';
+    ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+  });
+
+  afterEach(() => {
+    delete process.env.POLYGON_API_KEY;
+    delete process.env.ALPHA_VANTAGE_API_KEY;
+    mock.restoreAll();
+    if (data) data.cleanup();
+    data = null;
+  });
+
+  const getCloses = (exDates, http) => getClosesForExDates('WNTR', exDates, { http, priceDir: data.priceDir, today: TODAY });
+
+  it('fetches unadjusted closes from the earliest missing ex-date and caches them', async () => {
+    data = createDataDir();
+    const http = createFakeHttp(wntrRoutes());
+
+    const closes = await getCloses(['2025-06-06', '2025-05-08'], http);
+
+    assert.equal(http.requests.length, 1);
+    assert.match(http.requests[0].url, /\/range\/1\/day\/2025-05-01\/2025-08-19\?adjusted=false&sort=asc/);
+    // Bars are stamped at midnight New York time
+    assert.deepEqual(closes.slice(0, 2), [{ date: '2025-05-07', close: 37.52 }, { date: '2025-05-08', close: 36.81 }]);
+    assert.deepEqual(data.readPrices('WNTR').closes, closes);
+  });
+
+  it('only asks the providers for ex-dates the cache lacks', async () => {
+    data = createDataDir({}, { prices: { WNTR: CLOSES } });
+    const http = createFakeHttp(wntrRoutes());
+
+    // Today's close isn't final yet
+    assert.deepEqual(await getCloses(['2025-06-06', TODAY], http), CLOSES);
+    assert.equal(http.requests.length, 0);
+  });
+
+  it('falls back to the next provider', async () => {
+    data = createDataDir();
+    process.env.ALPHA_VANTAGE_API_KEY = 'test-key';
+    const http = createFakeHttp([
+      ['https://www.alphavantage.co/', {
+        'Time Series (Daily)': {
+          '2025-06-06': { '4. close': '36.7400' },
+          '2025-04-01': { '4. close': '40.0000' }
+        }
+      }]
+    ]);
+
+    assert.deepEqual(await getCloses(['2025-06-06'], http), [{ date: '2025-06-06', close: 36.74 }]);
+    assert.equal(http.requests.length, 2);
+  });
+
+  it('keeps the cache when no provider has the closes', async () => {
+    data = createDataDir({}, { prices: { WNTR: CLOSES } });
+    process.env.ALPHA_VANTAGE_API_KEY = 'test-key';
+    const http = createFakeHttp([
+      ['https://www.alphavantage.co/', { Note: 'Thank you for using Alpha Vantage! Our standard API rate limit is 25 requests per day.' }]
+    ]);
+
+    assert.deepEqual(await getCloses(['2025-07-08'], http), CLOSES);
+    assert.match(console.error.mock.calls[1].arguments[1], /rate limit/);
+  });
+});
+
+describe('PRICE_HISTORY_PROVIDERS', () => {
+  it('reads Alpha Vantage closes inside the range', async () => {
+    const http = createFakeHttp([
+      ['https://www.alphavantage.co/', {
+        'Time Series (Daily)': {
+          '2025-06-09': { '4. close': '36.1000' },
+          '2025-06-06': { '4. close': '36.7400' }
+        }
+      }]
+    ]);
+
+    assert.deepEqual(await PRICE_HISTORY_PROVIDERS.alphaVantage.fetchCloses('WNTR', '2025-06-01', '2025-06-06', http), [
+      { date: '2025-06-06', close: 36.74 }
+    ]);
+  });
+});
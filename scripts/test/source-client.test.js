@@ -0,0 +1,179 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  isRetryableError,
+  fetchFromSource,
+  formatSourceHealth,
+  writeSourceHealthSummary
+} = require('../lib/source-client');
+const { createFakeHttp } = require('./helpers');
+
+const JUNE = { exDate: '2025-06-06', payDate: '2025-06-09', dividend: 3.07 };
+const URL = 'https://example.com/dividends';
+
+const httpError = (status) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status };
+  return error;
+};
+
+// Source whose fetcher lets request errors through, so failures reach the client
+const testSource = (fields) => ({
+  id: 'test',
+  label: 'Test Source',
+  timeout: 2500,
+  retries: 2,
+  fetch: async (symbol, { http }) => (await http.get(URL)).data.dividends,
+  ...fields
+});
+
+// Responds with each of `responses` in turn (then the last one again)
+const sequence = (...responses) => {
+  let call = 0;
+  return () => responses[Math.min(call++, responses.length - 1)];
+};
+
+describe('isRetryableError', () => {
+  it('retries network errors, timeouts, rate limits and server errors', () => {
+    assert.equal(isRetryableError(new Error('timeout of 2500ms exceeded')), true);
+    assert.equal(isRetryableError(httpError(429)), true);
+    assert.equal(isRetryableError(httpError(503)), true);
+    assert.equal(isRetryableError(httpError(404)), false);
+    assert.equal(isRetryableError(httpError(403)), false);
+  });
+});
+
+describe('fetchFromSource', () => {
+  beforeEach(() => {
+    ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const fetch = (source, routes) => {
+    const http = createFakeHttp(routes);
+    return fetchFromSource(source, 'WNTR', { http, retryDelayMs: 0 }).then(result => ({ ...result, http }));
+  };
+
+  it('applies the source\'s timeout to every request', async () => {
+    const { dividends, health, http } = await fetch(testSource(), [[URL, { dividends: [JUNE] }]]);
+
+    assert.deepEqual(dividends, [JUNE]);
+    assert.equal(http.requests[0].config.timeout, 2500);
+    assert.equal(health.status, 'ok');
+    assert.equal(health.count, 1);
+  });
+
+  it('retries transient failures', async () => {
+    const { dividends, health } = await fetch(testSource(), [
+      [URL, sequence(new Error('timeout of 2500ms exceeded'), httpError(503), { dividends: [JUNE] })]
+    ]);
+
+    assert.deepEqual(dividends, [JUNE]);
+    assert.deepEqual([health.status, health.requests, health.retries, health.error], ['ok', 3, 2, null]);
+  });
+
+  it('gives up after the source\'s retries', async () => {
+    const { dividends, health } = await fetch(testSource({ retries: 1 }), [[URL, new Error('socket hang up')]]);
+
+    assert.equal(dividends, null);
+    assert.deepEqual([health.status, health.requests, health.retries, health.error], ['failed', 2, 1, 'socket hang up']);
+  });
+
+  it('doesn\'t retry a request the server refused', async () => {
+    const { health } = await fetch(testSource(), [[URL, httpError(403)]]);
+
+    assert.deepEqual([health.status, health.requests], ['failed', 1]);
+  });
+
+  it('fails on an error body without retrying', async () => {
+    const source = testSource({ responseError: data => data.Note });
+    const { health } = await fetch(source, [[URL, { Note: 'API rate limit reached' }]]);
+
+    assert.deepEqual([health.status, health.requests, health.error], ['failed', 1, 'API rate limit reached']);
+  });
+
+  it('counts failures a fetcher logs and swallows', async () => {
+    const source = testSource({
+      fetch: async (symbol, { http }) => {
+        try {
+          return (await http.get(URL)).data.dividends;
+        } catch (error) {
+          return null;
+        }
+      }
+    });
+    const { health } = await fetch(source, [[URL, httpError(500)]]);
+
+    assert.deepEqual([health.status, health.requests, health.error], ['failed', 3, 'Request failed with status code 500']);
+  });
+
+  it('tells an empty history from a failure', async () => {
+    const { dividends, health } = await fetch(testSource(), [[URL, { dividends: [] }]]);
+
+    assert.equal(dividends, null);
+    assert.equal(health.status, 'empty');
+  });
+
+  it('skips a source that isn\'t configured', async () => {
+    const { health, http } = await fetch(testSource({ isConfigured: () => false }), [[URL, { dividends: [JUNE] }]]);
+
+    assert.equal(health.status, 'skipped');
+    assert.equal(http.requests.length, 0);
+  });
+});
+
+describe('formatSourceHealth', () => {
+  it('describes each status', () => {
+    const health = { label: 'Yahoo Finance', count: 0, requests: 3, retries: 2, durationMs: 40, error: 'timeout of 10000ms exceeded' };
+
+    assert.equal(formatSourceHealth({ ...health, status: 'failed' }), 'Yahoo Finance failed after 3 requests (timeout of 10000ms exceeded)');
+    assert.equal(formatSourceHealth({ ...health, status: 'ok', count: 5, requests: 1 }), 'Yahoo Finance ok (5 distribution(s), 1 request, 40ms)');
+    assert.equal(formatSourceHealth({ ...health, status: 'skipped' }), 'Yahoo Finance skipped (not configured)');
+  });
+});
+
+describe('writeSourceHealthSummary', () => {
+  let summaryDir;
+
+  beforeEach(() => {
+    ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+    summaryDir = fs.mkdtempSync(path.join(os.tmpdir(), 'step-summary-'));
+    process.env.GITHUB_STEP_SUMMARY = path.join(summaryDir, 'summary.md');
+  });
+
+  afterEach(() => {
+    delete process.env.GITHUB_STEP_SUMMARY;
+    fs.rmSync(summaryDir, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  const entry = (symbol, label, status, error = null) => ({
+    symbol, label, status, error, count: status === 'ok' ? 5 : 0, requests: 1, retries: 0, durationMs: 12
+  });
+
+  it('flags sources that failed for every ticker', async () => {
+    const down = await writeSourceHealthSummary([
+      entry('WNTR', 'Polygon.io', 'ok'),
+      entry('WNTR', 'Seeking Alpha', 'failed', 'Request failed with status code 403'),
+      entry('MSTY', 'Polygon.io', 'failed', 'socket hang up'),
+      entry('MSTY', 'Seeking Alpha', 'failed', 'Request failed with status code 403')
+    ]);
+
+    assert.deepEqual(down, ['Seeking Alpha']);
+    assert.match(console.warn.mock.calls[0].arguments[0], /Seeking Alpha failed for every ticker: Request failed with status code 403/);
+  });
+
+  it('adds a table to the job summary', async () => {
+    await writeSourceHealthSummary([entry('WNTR', 'Yahoo Finance', 'failed', 'timeout of 10000ms exceeded')]);
+
+    const summary = fs.readFileSync(process.env.GITHUB_STEP_SUMMARY, 'utf8');
+    assert.match(summary, /## 🩺 Dividend source health/);
+    assert.match(summary, /\| WNTR \| Yahoo Finance \| failed \| 0 \| 1 \| 0 \| 12ms \| timeout of 10000ms exceeded \|/);
+  });
+});
@@ -0,0 +1,220 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  checkPolygonAPI,
+  scrapeStockAnalysis,
+  checkAlphaVantageAPI,
+  checkYahooFinanceAPI,
+  checkSeekingAlphaAPI
+} = require('../check-monthly-dividend');
+const { createFakeHttp, wntrRoutes, wntrAdapterRoutes } = require('./helpers');
+
+describe('source fetchers', () => {
+  beforeEach(() => {
+    process.env.POLYGON_API_KEY = 'test-key';
+    ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+  });
+
+  afterEach(() => {
+    delete process.env.POLYGON_API_KEY;
+    delete process.env.ALPHA_VANTAGE_API_KEY;
+    mock.restoreAll();
+  });
+
+  describe('checkPolygonAPI', () => {
+    it('reads every page of the distribution history', async () => {
+      const http = createFakeHttp(wntrRoutes());
+      const dividends = await checkPolygonAPI('WNTR', { http });
+
+      assert.deepEqual(dividends.map(item => item.exDate), ['2025-08-07', '2025-07-08', '2025-06-27', '2025-06-06', '2025-05-08']);
+      assert.equal(http.requests.length, 2);
+      assert.match(http.requests[0].url, /ticker=WNTR&sort=ex_dividend_date&order=desc&limit=1000&apikey=test-key$/);
+      // next_url doesn't carry the key, so it is added back
+      assert.match(http.requests[1].url, /\?cursor=.+&apikey=test-key$/);
+    });
+
+    it('maps results to source dividends', async () => {
+      const dividends = await checkPolygonAPI('WNTR', { http: createFakeHttp(wntrRoutes()) });
+
+      assert.deepEqual(dividends.find(item => item.exDate === '2025-06-06'), {
+        dividend: 3.07,
+        exDate: '2025-06-06',
+        recordDate: '2025-06-06',
+        payDate: '2025-06-09',
+        declarationDate: '2025-05-28',
+        type: 'regular',
+        source: 'Polygon.io'
+      });
+    });
+
+    it('marks special cash dividends', async () => {
+      const dividends = await checkPolygonAPI('WNTR', { http: createFakeHttp(wntrRoutes()) });
+
+      assert.deepEqual(dividends.filter(item => item.type === 'special').map(item => item.exDate), ['2025-06-27']);
+    });
+
+    it('returns null without an API key', async () => {
+      delete process.env.POLYGON_API_KEY;
+      const http = createFakeHttp(wntrRoutes());
+
+      assert.equal(await checkPolygonAPI('WNTR', { http }), null);
+      assert.equal(http.requests.length, 0);
+    });
+
+    it('returns null when the request fails', async () => {
+      const http = createFakeHttp([['https://api.polygon.io/', new Error('timeout of 10000ms exceeded')]]);
+
+      assert.equal(await checkPolygonAPI('WNTR', { http }), null);
+    });
+
+    it('returns null for an empty history', async () => {
+      const http = createFakeHttp([['https://api.polygon.io/', { results: [], status: 'OK' }]]);
+
+      assert.equal(await checkPolygonAPI('WNTR', { http }), null);
+    });
+  });
+
+  describe('scrapeStockAnalysis', () => {
+    it('reads every row of the dividend table', async () => {
+      const dividends = await scrapeStockAnalysis('WNTR', { http: createFakeHttp(wntrRoutes()) });
+
+      assert.equal(dividends.length, 5);
+      assert.deepEqual(dividends[0], {
+        dividend: 2.1875,
+        exDate: '2025-08-07',
+        recordDate: '2025-08-07',
+        payDate: '2025-08-08',
+        source: 'StockAnalysis.com'
+      });
+      assert.deepEqual(dividends.map(item => item.dividend), [2.1875, 2.4432, 0.15, 3.07, 2.719]);
+    });
+
+    it('skips rows without a date or amount', async () => {
+      const html = `<table>
+        <tr><th>Ex-Dividend Date</th><th>Cash Amount</th><th>Record Date</th><th>Pay Date</th></tr>
+        <tr><td>Aug 7, 2025</td><td>$2.1875</td><td>Aug 7, 2025</td><td>Aug 8, 2025</td></tr>
+        <tr><td>n/a</td><td>$2.0000</td><td></td><td></td></tr>
+        <tr><td>Jul 8, 2025</td><td>-</td><td>Jul 8, 2025</td><td>Jul 9, 2025</td></tr>
+        <tr><td colspan="4">Showing 2 of 2 dividends</td></tr>
+      </table>`;
+      const http = createFakeHttp([['https://stockanalysis.com/', html]]);
+
+      assert.deepEqual((await scrapeStockAnalysis('WNTR', { http })).map(item => item.exDate), ['2025-08-07']);
+    });
+
+    it('returns null when the page has no dividends', async () => {
+      const http = createFakeHttp([['https://stockanalysis.com/', '<html><body><p>No dividends</p></body></html>']]);
+
+      assert.equal(await scrapeStockAnalysis('WNTR', { http }), null);
+    });
+
+    it('returns null when the request fails', async () => {
+      const http = createFakeHttp([]);
+
+      assert.equal(await scrapeStockAnalysis('WNTR', { http }), null);
+    });
+  });
+
+  describe('checkAlphaVantageAPI', () => {
+    beforeEach(() => {
+      process.env.ALPHA_VANTAGE_API_KEY = 'test-key';
+    });
+
+    it('reads the dividend history', async () => {
+      const http = createFakeHttp(wntrAdapterRoutes());
+      const dividends = await checkAlphaVantageAPI('WNTR', { http });
+
+      assert.match(http.requests[0].url, /function=DIVIDENDS&symbol=WNTR&apikey=test-key$/);
+      assert.deepEqual(dividends.map(item => item.dividend), [2.1875, 2.4432, 0.15, 3.07, 2.719]);
+      assert.deepEqual(dividends[3], {
+        dividend: 3.07,
+        exDate: '2025-06-06',
+        recordDate: '2025-06-06',
+        payDate: '2025-06-09',
+        declarationDate: '2025-05-28',
+        source: 'Alpha Vantage'
+      });
+    });
+
+    it('reads "None" dates as missing', async () => {
+      const dividends = await checkAlphaVantageAPI('WNTR', { http: createFakeHttp(wntrAdapterRoutes()) });
+
+      assert.equal(dividends[4].declarationDate, null);
+    });
+
+    it('returns null without an API key', async () => {
+      delete process.env.ALPHA_VANTAGE_API_KEY;
+      const http = createFakeHttp(wntrAdapterRoutes());
+
+      assert.equal(await checkAlphaVantageAPI('WNTR', { http }), null);
+      assert.equal(http.requests.length, 0);
+    });
+
+    it('returns null for a rate limit notice', async () => {
+      const http = createFakeHttp([
+        ['https://www.alphavantage.co/', { Information: 'Our standard API rate limit is 25 requests per day.' }]
+      ]);
+
+      assert.equal(await checkAlphaVantageAPI('WNTR', { http }), null);
+    });
+  });
+
+  describe('checkYahooFinanceAPI', () => {
+    it('reads the dividend events, newest first', async () => {
+      const http = createFakeHttp(wntrAdapterRoutes());
+      const dividends = await checkYahooFinanceAPI('WNTR', { http });
+
+      assert.match(http.requests[0].url, /\/chart\/WNTR\?range=max&interval=1mo&events=div$/);
+      assert.deepEqual(dividends.map(item => item.exDate), ['2025-08-07', '2025-07-08', '2025-06-27', '2025-06-06', '2025-05-08']);
+      assert.deepEqual(dividends[3], {
+        dividend: 3.07,
+        exDate: '2025-06-06',
+        recordDate: null,
+        payDate: null,
+        declarationDate: null,
+        source: 'Yahoo Finance'
+      });
+    });
+
+    it('returns null for a symbol without dividend events', async () => {
+      const http = createFakeHttp([
+        ['https://query1.finance.yahoo.com/', { chart: { result: [{ meta: { symbol: 'WNTR' }, timestamp: [] }], error: null } }]
+      ]);
+
+      assert.equal(await checkYahooFinanceAPI('WNTR', { http }), null);
+    });
+
+    it('returns null when the request fails', async () => {
+      assert.equal(await checkYahooFinanceAPI('WNTR', { http: createFakeHttp([]) }), null);
+    });
+  });
+
+  describe('checkSeekingAlphaAPI', () => {
+    it('reads the dividend history', async () => {
+      const dividends = await checkSeekingAlphaAPI('WNTR', { http: createFakeHttp(wntrAdapterRoutes()) });
+
+      assert.deepEqual(dividends.map(item => item.dividend), [2.1875, 2.4432, 0.15, 3.07, 2.719]);
+      assert.deepEqual(dividends[4], {
+        dividend: 2.719,
+        exDate: '2025-05-08',
+        recordDate: '2025-05-08',
+        payDate: '2025-05-09',
+        declarationDate: null,
+        source: 'Seeking Alpha'
+      });
+    });
+
+    it('marks special distributions', async () => {
+      const dividends = await checkSeekingAlphaAPI('WNTR', { http: createFakeHttp(wntrAdapterRoutes()) });
+
+      assert.deepEqual(dividends.filter(item => item.type === 'special').map(item => item.exDate), ['2025-06-27']);
+    });
+
+    it('returns null when the request is blocked', async () => {
+      const blocked = new Error('Request failed with status code 403');
+      blocked.response = { status: 403 };
+
+      assert.equal(await checkSeekingAlphaAPI('WNTR', { http: createFakeHttp([['https://seekingalpha.com/', blocked]]) }), null);
+    });
+  });
+});
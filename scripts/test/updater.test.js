@@ -0,0 +1,337 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  findExistingRecord,
+  syncDividendHistory,
+  checkForNewMonthlyDividend
+} = require('../check-monthly-dividend');
+const { createFakeHttp, wntrRoutes, wntrAdapterRoutes, createDataDir } = require('./helpers');
+
+const TODAY = '2025-08-20';
+
+const record = (fields) => ({
+  recordDate: null,
+  declarationDate: null,
+  yield: null,
+  source: 'StockAnalysis.com',
+  status: 'paid',
+  ...fields
+});
+
+const sourceDividend = (fields) => ({ type: 'regular', source: 'Polygon.io', ...fields });
+
+describe('findExistingRecord', () => {
+  const records = [
+    record({ exDate: '2025-06-06', payDate: '2025-06-09', amount: 3.07 }),
+    record({ exDate: '2025-07-08', payDate: '2025-07-09', amount: 2.5, status: 'estimated' })
+  ];
+
+  it('matches the same ex-date', () => {
+    assert.equal(findExistingRecord({ exDate: '2025-06-06' }, records, 'monthly'), records[0]);
+  });
+
+  it('matches an estimate for the same period', () => {
+    assert.equal(findExistingRecord({ exDate: '2025-07-09' }, records, 'monthly'), records[1]);
+  });
+
+  it('matches a record in the same period the source no longer lists', () => {
+    assert.equal(findExistingRecord({ exDate: '2025-06-05' }, records, 'monthly'), records[0]);
+    assert.equal(findExistingRecord({ exDate: '2025-06-05' }, records, 'monthly', new Set(['2025-06-05', '2025-06-06'])), undefined);
+  });
+
+  it('never matches a special by period', () => {
+    assert.equal(findExistingRecord({ exDate: '2025-07-20', type: 'special' }, records, 'monthly'), undefined);
+  });
+
+  it('uses the week for weekly payers', () => {
+    const weekly = [record({ exDate: '2025-07-10', payDate: '2025-07-11', amount: 0.2, status: 'estimated' })];
+
+    assert.equal(findExistingRecord({ exDate: '2025-07-09' }, weekly, 'weekly'), weekly[0]);
+    assert.equal(findExistingRecord({ exDate: '2025-07-17' }, weekly, 'weekly'), undefined);
+  });
+});
+
+describe('syncDividendHistory', () => {
+  let data;
+  let auditPath;
+
+  beforeEach(() => {
+    ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    if (data) data.cleanup();
+    data = null;
+  });
+
+  const sync = (dividends) => syncDividendHistory(dividends, 'WNTR', {
+    http: createFakeHttp([]),
+    dataDir: data.dir,
+    priceDir: data.priceDir,
+    auditPath,
+    today: TODAY
+  });
+
+  const setup = (records, prices) => {
+    data = createDataDir({ WNTR: records }, { prices: { WNTR: prices || [] } });
+    auditPath = path.join(data.dir, 'audit.json');
+  };
+
+  it('backfills missing distributions, newest first', async () => {
+    setup([record({ exDate: '2025-05-08', payDate: '2025-05-09', amount: 2.719 })]);
+
+    const entries = await sync([
+      sourceDividend({ exDate: '2025-07-08', payDate: '2025-07-09', dividend: 2.4432 }),
+      sourceDividend({ exDate: '2025-06-06', payDate: '2025-06-09', dividend: 3.07 }),
+      sourceDividend({ exDate: '2025-05-08', payDate: '2025-05-09', dividend: 2.719 })
+    ]);
+
+    assert.deepEqual(entries.map(entry => [entry.action, entry.exDate]), [['added', '2025-06-06'], ['added', '2025-07-08']]);
+    const file = data.read('WNTR');
+    assert.deepEqual(file.dividends.map(item => item.exDate), ['2025-07-08', '2025-06-06', '2025-05-08']);
+    assert.equal(file.dividends[0].status, 'paid');
+    assert.equal(file.dividends[0].source, 'Polygon.io');
+    assert.equal(file.updatedAt, TODAY);
+  });
+
+  it('replaces an estimate instead of adding a second record', async () => {
+    setup([record({ exDate: '2025-08-08', payDate: '2025-08-09', amount: 2.5, status: 'estimated', source: 'estimate' })]);
+
+    const entries = await sync([sourceDividend({ exDate: '2025-08-07', payDate: '2025-08-08', dividend: 2.1875 })]);
+
+    assert.equal(entries[0].action, 'confirmed');
+    const file = data.read('WNTR');
+    assert.equal(file.dividends.length, 1);
+    assert.equal(file.dividends[0].exDate, '2025-08-07');
+    assert.equal(file.dividends[0].amount, 2.1875);
+    assert.equal(file.dividends[0].corrections, undefined);
+  });
+
+  it('keeps changed amounts and dates as corrections', async () => {
+    setup([record({ exDate: '2025-06-06', payDate: '2025-06-09', amount: 2.1234 })]);
+
+    const entries = await sync([sourceDividend({ exDate: '2025-06-06', payDate: '2025-06-10', dividend: 3.07 })]);
+
+    assert.equal(entries[0].action, 'corrected');
+    assert.deepEqual(entries[0].changes, [
+      { field: 'payDate', from: '2025-06-09', to: '2025-06-10' },
+      { field: 'amount', from: 2.1234, to: 3.07 }
+    ]);
+    const [june] = data.read('WNTR').dividends;
+    assert.equal(june.amount, 3.07);
+    assert.deepEqual(june.corrections.map(item => [item.field, item.from, item.to, item.reason]), [
+      ['payDate', '2025-06-09', '2025-06-10', 'Reported by Polygon.io'],
+      ['amount', 2.1234, 3.07, 'Reported by Polygon.io']
+    ]);
+  });
+
+  it('keeps the stored pay date when the source has none', async () => {
+    setup([record({ exDate: '2025-06-06', payDate: '2025-06-09', amount: 3.07 })]);
+
+    const entries = await sync([sourceDividend({ exDate: '2025-06-06', payDate: null, dividend: 3.07, source: 'Yahoo Finance' })]);
+
+    assert.deepEqual(entries, []);
+    const [june] = data.read('WNTR').dividends;
+    assert.equal(june.payDate, '2025-06-09');
+    assert.equal(june.corrections, undefined);
+  });
+
+  it('dates a new distribution without a pay date from the ticker\'s usual gap', async () => {
+    setup([]);
+
+    await sync([sourceDividend({ exDate: '2025-07-08', payDate: null, dividend: 2.4432, source: 'Yahoo Finance' })]);
+
+    assert.equal(data.read('WNTR').dividends[0].payDate, '2025-07-09');
+  });
+
+  it('marks declared records paid once the pay date passes', async () => {
+    setup([record({ exDate: '2025-08-07', payDate: '2025-08-08', amount: 2.1875, status: 'declared' })]);
+
+    const entries = await sync([]);
+
+    assert.deepEqual(entries.map(entry => entry.action), ['paid']);
+    assert.equal(data.read('WNTR').dividends[0].status, 'paid');
+  });
+
+  it('changes nothing when the file already matches the source', async () => {
+    setup([record({ exDate: '2025-06-06', payDate: '2025-06-09', amount: 3.07 })]);
+    const before = fs.readFileSync(path.join(data.dir, 'WNTR.json'), 'utf8');
+
+    const entries = await sync([sourceDividend({ exDate: '2025-06-06', payDate: '2025-06-09', dividend: 3.07 })]);
+
+    assert.deepEqual(entries, []);
+    assert.equal(fs.readFileSync(path.join(data.dir, 'WNTR.json'), 'utf8'), before);
+    assert.equal(fs.existsSync(auditPath), false);
+  });
+
+  it('takes the yield from the close on or before the ex-date', async () => {
+    // 2025-06-07 is a Saturday: Friday's close applies
+    setup([], [{ date: '2025-06-05', close: 36.95 }, { date: '2025-06-06', close: 36.74 }]);
+
+    await sync([
+      sourceDividend({ exDate: '2025-06-06', payDate: '2025-06-09', dividend: 3.07 }),
+      sourceDividend({ exDate: '2025-06-07', payDate: '2025-06-09', dividend: 0.5, type: 'special' }),
+      sourceDividend({ exDate: '2025-07-08', payDate: '2025-07-09', dividend: 2.4432 })
+    ]);
+
+    assert.deepEqual(data.read('WNTR').dividends.map(item => [item.exDate, item.yield]), [
+      ['2025-07-08', null],
+      ['2025-06-07', 1.36],
+      ['2025-06-06', 8.36]
+    ]);
+  });
+
+  it('reprices existing records once their close is known', async () => {
+    setup([record({ exDate: '2025-06-06', payDate: '2025-06-09', amount: 3.07, yield: 8.35 })], [{ date: '2025-06-06', close: 36.74 }]);
+
+    const entries = await sync([]);
+
+    assert.deepEqual(entries.map(entry => [entry.action, entry.changes]), [['repriced', [{ field: 'yield', from: 8.35, to: 8.36 }]]]);
+    assert.equal(data.read('WNTR').dividends[0].yield, 8.36);
+  });
+
+  it('appends every change to the audit log', async () => {
+    setup([]);
+
+    await sync([sourceDividend({ exDate: '2025-06-06', payDate: '2025-06-09', dividend: 2.1234 })]);
+    await sync([sourceDividend({ exDate: '2025-06-06', payDate: '2025-06-09', dividend: 3.07 })]);
+
+    const log = JSON.parse(fs.readFileSync(auditPath, 'utf8'));
+    assert.deepEqual(log.entries.map(entry => [entry.date, entry.symbol, entry.exDate, entry.action]), [
+      [TODAY, 'WNTR', '2025-06-06', 'added'],
+      [TODAY, 'WNTR', '2025-06-06', 'corrected']
+    ]);
+  });
+});
+
+describe('checkForNewMonthlyDividend', () => {
+  let data;
+  let paths;
+
+  beforeEach(() => {
+    process.env.POLYGON_API_KEY = 'test-key';
+    delete process.env.DIVIDEND_SOURCE_PRIORITY;
+    delete process.env.DIVIDEND_CONSENSUS_TOLERANCE;
+    ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+    data = createDataDir({ WNTR: [record({ exDate: '2025-05-08', payDate: '2025-05-09', amount: 2.719 })] });
+    paths = {
+      dataDir: data.dir,
+      priceDir: data.priceDir,
+      auditPath: path.join(data.dir, 'audit.json'),
+      reportPath: path.join(data.dir, 'conflicts.json'),
+      feedPath: path.join(data.dir, 'dividends.ics'),
+      today: TODAY
+    };
+  });
+
+  afterEach(() => {
+    delete process.env.POLYGON_API_KEY;
+    delete process.env.ALPHA_VANTAGE_API_KEY;
+    mock.restoreAll();
+    data.cleanup();
+  });
+
+  it('writes the distributions every source agrees on', async () => {
+    const http = createFakeHttp(wntrRoutes());
+    const result = await checkForNewMonthlyDividend(['--symbol', 'WNTR'], { http, ...paths });
+
+    assert.equal(result.updatedCount, 1);
+    assert.deepEqual(result.conflicts, []);
+    const file = data.read('WNTR');
+    assert.deepEqual(file.dividends.map(item => [item.exDate, item.amount, item.type || 'regular']), [
+      ['2025-08-07', 2.1875, 'regular'],
+      ['2025-07-08', 2.4432, 'regular'],
+      ['2025-06-27', 0.15, 'special'],
+      ['2025-06-06', 3.07, 'regular'],
+      ['2025-05-08', 2.719, 'regular']
+    ]);
+    assert.equal(file.dividends[0].source, 'Polygon.io + StockAnalysis.com');
+    assert.deepEqual(file.dividends.map(item => item.yield), [7.08, 7.38, 0.42, 8.36, 7.39]);
+    assert.equal(fs.existsSync(paths.reportPath), false);
+    assert.match(fs.readFileSync(paths.feedPath, 'utf8'), /^BEGIN:VCALENDAR\r\n/);
+  });
+
+  it('checks every source and reports its health', async () => {
+    const http = createFakeHttp([...wntrRoutes(), ...wntrAdapterRoutes()]);
+    const result = await checkForNewMonthlyDividend(['--symbol', 'WNTR'], { http, ...paths });
+
+    assert.deepEqual(result.health.map(entry => [entry.symbol, entry.id, entry.status, entry.count]), [
+      ['WNTR', 'polygon', 'ok', 5],
+      ['WNTR', 'stockanalysis', 'ok', 5],
+      ['WNTR', 'alphavantage', 'skipped', 0],
+      ['WNTR', 'yahoo', 'ok', 5],
+      ['WNTR', 'seekingalpha', 'ok', 5]
+    ]);
+    assert.equal(data.read('WNTR').dividends[0].source, 'Polygon.io + StockAnalysis.com + Yahoo Finance + Seeking Alpha');
+  });
+
+  it('keeps going when a source fails', async () => {
+    process.env.ALPHA_VANTAGE_API_KEY = 'test-key';
+    const http = createFakeHttp([
+      ['https://www.alphavantage.co/', { Information: 'Our standard API rate limit is 25 requests per day.' }],
+      ...wntrRoutes()
+    ]);
+    const result = await checkForNewMonthlyDividend(['--symbol', 'WNTR'], { http, ...paths });
+
+    const alphaVantage = result.health.find(entry => entry.id === 'alphavantage');
+    assert.deepEqual([alphaVantage.status, alphaVantage.requests], ['failed', 1]);
+    assert.match(alphaVantage.error, /rate limit/);
+    assert.equal(result.updatedCount, 1);
+    assert.equal(data.read('WNTR').dividends.length, 5);
+  });
+
+  it('caches the closes it fetches and reuses them', async () => {
+    await checkForNewMonthlyDividend(['--symbol', 'WNTR'], { http: createFakeHttp(wntrRoutes()), ...paths });
+
+    assert.equal(data.readPrices('WNTR').closes.length, 10);
+    assert.deepEqual(data.readPrices('WNTR').closes[0], { date: '2025-05-07', close: 37.52 });
+
+    const http = createFakeHttp(wntrRoutes());
+    await checkForNewMonthlyDividend(['--symbol', 'WNTR'], { http, ...paths });
+    assert.equal(http.requests.some(request => request.url.includes('/v2/aggs/')), false);
+  });
+
+  it('reports a conflict instead of writing the disputed distribution', async () => {
+    const http = createFakeHttp(wntrRoutes({ stockAnalysis: 'stockanalysis-wntr-conflict.html' }));
+    const result = await checkForNewMonthlyDividend(['--symbol', 'WNTR'], { http, ...paths });
+
+    assert.deepEqual(result.conflicts.map(item => [item.symbol, item.key, item.fields]), [['WNTR', 'ex 2025-06-06', ['amount']]]);
+    assert.equal(data.read('WNTR').dividends.some(item => item.exDate === '2025-06-06'), false);
+    assert.equal(data.read('WNTR').dividends.length, 4);
+
+    const report = JSON.parse(fs.readFileSync(paths.reportPath, 'utf8'));
+    assert.deepEqual(report.conflicts[0].reports.map(item => [item.source, item.amount]), [
+      ['Polygon.io', 3.07],
+      ['StockAnalysis.com', 2.1234]
+    ]);
+  });
+
+  it('clears a stale conflict report once the sources agree', async () => {
+    fs.writeFileSync(paths.reportPath, '{}');
+
+    await checkForNewMonthlyDividend(['--symbol', 'WNTR'], { http: createFakeHttp(wntrRoutes()), ...paths });
+
+    assert.equal(fs.existsSync(paths.reportPath), false);
+  });
+
+  it('leaves the data untouched when no source responds', async () => {
+    const before = fs.readFileSync(path.join(data.dir, 'WNTR.json'), 'utf8');
+    const result = await checkForNewMonthlyDividend(['--symbol', 'WNTR'], { http: createFakeHttp([]), ...paths });
+
+    assert.equal(result.updatedCount, 0);
+    assert.equal(fs.readFileSync(path.join(data.dir, 'WNTR.json'), 'utf8'), before);
+  });
+
+  it('writes nothing only one source reports', async () => {
+    delete process.env.POLYGON_API_KEY;
+    const before = fs.readFileSync(path.join(data.dir, 'WNTR.json'), 'utf8');
+    const http = createFakeHttp(wntrRoutes({ stockAnalysis: 'stockanalysis-wntr-conflict.html' }));
+    const result = await checkForNewMonthlyDividend(['--symbol', 'WNTR'], { http, ...paths });
+
+    assert.equal(result.updatedCount, 0);
+    assert.equal(fs.readFileSync(path.join(data.dir, 'WNTR.json'), 'utf8'), before);
+  });
+});
@@ -1,12 +1,33 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import WNTRDividendDashboard from './components/WNTRDividendDashboard';
+import ComparisonView from './components/ComparisonView';
+import { getSymbolFromHash, isCompareHash } from './services/tickerRegistry';
 
 function App() {
+  // The ticker comes from the hash route (#/MSTY); unknown symbols show the default
+  const [symbol, setSymbol] = useState(() => getSymbolFromHash(window.location.hash));
+  const [comparing, setComparing] = useState(() => isCompareHash(window.location.hash));
+
+  useEffect(() => {
+    const handleHashChange = () => {
+      setSymbol(getSymbolFromHash(window.location.hash));
+      setComparing(isCompareHash(window.location.hash));
+    };
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  useEffect(() => {
+    document.title = comparing ? 'Income ETF Comparison' : `${symbol} Dividend Calculator`;
+  }, [symbol, comparing]);
+
   return (
     <div className="App p-4">
-      <WNTRDividendDashboard />
+      {comparing
+        ? <ComparisonView />
+        : <WNTRDividendDashboard key={symbol} symbol={symbol} />}
     </div>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,239 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid,
+  Tooltip, Legend, ResponsiveContainer
+} from 'recharts';
+import { fetchDividendHistory, fetchPriceHistory } from '../services/financeService';
+import { getCachedQuote } from '../services/quoteCache';
+import { TICKERS, DEFAULT_SYMBOL, getTickerHash } from '../services/tickerRegistry';
+import {
+  summarizeTicker,
+  buildYieldComparison,
+  buildIncomeComparison,
+  NORMALIZED_INVESTMENT
+} from '../services/comparisonService';
+
+const LINE_COLORS = ["#2563EB", "#16A34A", "#D97706", "#DC2626", "#7E22CE", "#0891B2", "#DB2777", "#65A30D"];
+const DARK_LINE_COLORS = ["#60A5FA", "#34D399", "#FBBF24", "#F87171", "#A78BFA", "#22D3EE", "#F472B6", "#A3E635"];
+
+/**
+ * Loads everything the comparison needs for one ticker
+ * A missing quote or price history leaves those metrics empty instead of failing the page.
+ * @param {Object} ticker - Registry entry
+ * @returns {Promise<Object>} { symbol, dividends, quote, priceHistory }
+ */
+const loadTickerData = async (ticker) => {
+  const [dividends, quote, priceHistory] = await Promise.all([
+    fetchDividendHistory(ticker.symbol),
+    getCachedQuote({ symbol: ticker.symbol }).catch(error => {
+      console.error(`No quote for ${ticker.symbol}:`, error);
+      return null;
+    }),
+    fetchPriceHistory(ticker.inceptionDate, ticker.symbol)
+  ]);
+
+  return { symbol: ticker.symbol, dividends, quote, priceHistory };
+};
+
+const ComparisonView = () => {
+  // Uses the dashboard's saved theme preference
+  const [darkMode] = useState(() => localStorage.getItem('wntrDarkMode') === 'true');
+  const [series, setSeries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(() => TICKERS.map(ticker => ticker.symbol));
+
+  useEffect(() => {
+    let cancelled = false;
+
+    Promise.all(TICKERS.map(loadTickerData))
+      .then(results => {
+        if (!cancelled) setSeries(results);
+      })
+      .catch(error => console.error('Error loading comparison data:', error))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const visible = useMemo(() => series.filter(item => selected.includes(item.symbol)), [series, selected]);
+  const rows = useMemo(() => visible.map(item => ({
+    ...summarizeTicker({
+      symbol: item.symbol,
+      dividends: item.dividends,
+      currentPrice: item.quote ? item.quote.currentPrice : null,
+      priceHistory: item.priceHistory
+    }),
+    stale: item.quote ? Boolean(item.quote.stale) : false
+  })), [visible]);
+  const yieldData = useMemo(() => buildYieldComparison(visible), [visible]);
+  const incomeData = useMemo(() => buildIncomeComparison(visible), [visible]);
+
+  const toggleSymbol = (symbol) => {
+    setSelected(current => (current.includes(symbol)
+      ? current.filter(item => item !== symbol)
+      : [...current, symbol]));
+  };
+
+  const colorFor = (symbol) => {
+    const palette = darkMode ? DARK_LINE_COLORS : LINE_COLORS;
+    return palette[TICKERS.findIndex(ticker => ticker.symbol === symbol) % palette.length];
+  };
+
+  const formatPercent = (value, signed = false) => (value === null
+    ? '—'
+    : `${signed && value > 0 ? '+' : ''}${value.toFixed(2)}%`);
+  const cardClass = darkMode ? "bg-gray-800 p-6 rounded-lg shadow-md mb-8" : "bg-white p-6 rounded-lg shadow-md mb-8";
+  const titleClass = darkMode ? "text-xl font-bold text-gray-200 mb-4" : "text-xl font-bold text-gray-800 mb-4";
+  const headerCellClass = darkMode ? "py-2 px-4 border-b border-gray-700 text-right text-gray-300" : "py-2 px-4 border-b text-right";
+  const cellClass = darkMode ? "py-2 px-4 border-b border-gray-700 text-right text-gray-300" : "py-2 px-4 border-b text-right";
+  const tooltipStyle = {
+    backgroundColor: darkMode ? '#374151' : '#fff',
+    borderColor: darkMode ? '#4B5563' : '#e5e7eb',
+    color: darkMode ? '#F3F4F6' : '#111827'
+  };
+
+  const renderOverlayChart = (data, formatter) => (
+    <div className="h-80">
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? "#374151" : "#e5e7eb"} />
+          <XAxis dataKey="label" angle={-45} textAnchor="end" height={60} tick={{ fill: darkMode ? "#9CA3AF" : "#4B5563" }} />
+          <YAxis tick={{ fill: darkMode ? "#9CA3AF" : "#4B5563" }} />
+          <Tooltip formatter={(value, name) => [formatter(value), name]} contentStyle={tooltipStyle} />
+          <Legend />
+          {visible.map(item => (
+            <Line
+              key={item.symbol}
+              type="monotone"
+              dataKey={item.symbol}
+              name={item.symbol}
+              stroke={colorFor(item.symbol)}
+              strokeWidth={2}
+              dot={false}
+              connectNulls
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+
+  return (
+    <div className={darkMode ? "min-h-screen bg-gray-900 text-white p-6" : "min-h-screen bg-gray-100 p-6"}>
+      <div className="mb-6 text-center">
+        <h1 className={darkMode ? "text-3xl font-bold text-gray-100 mb-2" : "text-3xl font-bold text-gray-800 mb-2"}>
+          Income ETF Comparison
+        </h1>
+        <p className={darkMode ? "text-gray-400" : "text-gray-600"}>
+          Distributions, yield and returns side by side, counting paid dividends only
+        </p>
+        <a href={getTickerHash(DEFAULT_SYMBOL)} className={darkMode ? "text-sm text-blue-400 hover:underline" : "text-sm text-blue-600 hover:underline"}>
+          ← Back to the dashboard
+        </a>
+      </div>
+
+      <div className={cardClass}>
+        <div className="flex flex-wrap gap-4">
+          {TICKERS.map(ticker => (
+            <label key={ticker.symbol} className={darkMode ? "flex items-center text-gray-300" : "flex items-center text-gray-700"} title={ticker.name}>
+              <input
+                type="checkbox"
+                checked={selected.includes(ticker.symbol)}
+                onChange={() => toggleSymbol(ticker.symbol)}
+                className="mr-2 h-4 w-4"
+              />
+              <span className="font-semibold" style={{ color: colorFor(ticker.symbol) }}>{ticker.symbol}</span>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <div className={darkMode ? "animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-indigo-400" : "animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"}></div>
+        </div>
+      ) : (
+        <>
+          <div className={cardClass}>
+            <h2 className={titleClass}>Key Metrics</h2>
+            <div className="overflow-x-auto">
+              <table className={darkMode ? "min-w-full bg-gray-800" : "min-w-full bg-white"}>
+                <thead className={darkMode ? "bg-gray-900" : "bg-gray-100"}>
+                  <tr>
+                    <th className={darkMode ? "py-2 px-4 border-b border-gray-700 text-left text-gray-300" : "py-2 px-4 border-b text-left"}>Ticker</th>
+                    <th className={headerCellClass}>Price</th>
+                    <th className={headerCellClass}>Trailing 12M Distributions</th>
+                    <th className={headerCellClass}>Trailing Yield</th>
+                    <th className={headerCellClass}>Annualized Yield</th>
+                    <th className={headerCellClass}>Forward Yield</th>
+                    <th className={headerCellClass}>Distribution Volatility</th>
+                    <th className={headerCellClass}>Price Change Since Inception</th>
+                    <th className={headerCellClass}>Total Return Since Inception</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(row => (
+                    <tr key={row.symbol}>
+                      <td className={darkMode ? "py-2 px-4 border-b border-gray-700 text-gray-300" : "py-2 px-4 border-b"}>
+                        <a href={getTickerHash(row.symbol)} className="font-semibold hover:underline" style={{ color: colorFor(row.symbol) }}>{row.symbol}</a>
+                      </td>
+                      <td className={cellClass}>
+                        {row.currentPrice === null ? '—' : `$${row.currentPrice.toFixed(2)}`}
+                        {row.stale && <span className="ml-1 text-xs text-yellow-600">(stale)</span>}
+                      </td>
+                      <td className={cellClass}>
+                        ${row.trailingTotal.toFixed(4)} <span className="text-xs text-gray-500">({row.trailingCount} paid)</span>
+                      </td>
+                      <td className={cellClass}>{formatPercent(row.trailingYield)}</td>
+                      <td className={cellClass}>{formatPercent(row.annualizedYield)}</td>
+                      <td className={cellClass}>{formatPercent(row.forwardYield)}</td>
+                      <td className={cellClass}>{formatPercent(row.distributionVolatility)}</td>
+                      <td className={cellClass}>
+                        {formatPercent(row.priceChange, true)}
+                        {row.startDate && (
+                          <span className="block text-xs text-gray-500">
+                            from ${row.startPrice.toFixed(2)} on {row.startDate}{row.startBasis === 'implied' ? ' (implied by yield)' : ''}
+                          </span>
+                        )}
+                      </td>
+                      <td className={cellClass}>{formatPercent(row.totalReturn, true)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className={darkMode ? "mt-2 text-xs text-gray-400 italic" : "mt-2 text-xs text-gray-500 italic"}>
+              Annualized yield averages the paid regular distributions and multiplies by the fund's payouts per year (12 monthly, 52 weekly);
+              forward yield does the same with the latest one. Distribution volatility is the standard deviation of the
+              last 12 paid regular distributions as a percent of their mean. Total return adds distributions since inception (not reinvested) to the price change;
+              without price history, inception is the first dividend and its price is implied by that dividend's yield.
+            </p>
+          </div>
+
+          <div className={cardClass}>
+            <h2 className={titleClass}>Monthly Distribution Yield (%)</h2>
+            {yieldData.length > 0
+              ? renderOverlayChart(yieldData, value => `${value}%`)
+              : <p className={darkMode ? "text-gray-400" : "text-gray-600"}>No paid distributions for the selected tickers yet.</p>}
+          </div>
+
+          <div className={cardClass}>
+            <h2 className={titleClass}>Income from ${NORMALIZED_INVESTMENT.toLocaleString()} Invested at Inception</h2>
+            {incomeData.length > 0
+              ? renderOverlayChart(incomeData, value => `$${value.toLocaleString()}`)
+              : <p className={darkMode ? "text-gray-400" : "text-gray-600"}>No paid distributions for the selected tickers yet.</p>}
+            <p className={darkMode ? "mt-2 text-xs text-gray-400 italic" : "mt-2 text-xs text-gray-500 italic"}>
+              Cumulative distributions on ${NORMALIZED_INVESTMENT.toLocaleString()} of shares bought at each fund's inception price, without reinvestment.
+            </p>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ComparisonView;
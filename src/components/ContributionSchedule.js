@@ -0,0 +1,205 @@
+import React from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid,
+  Tooltip, Legend, ResponsiveContainer
+} from 'recharts';
+import { CONTRIBUTION_FREQUENCIES } from '../services/projectionService';
+import { CONTRIBUTION_SCHEDULE_COLUMNS } from '../services/exportService';
+import ExportButtons from './ExportButtons';
+
+const ContributionSchedule = ({ darkMode, symbol, plan, onPlanChange, years, onYearsChange, schedule }) => {
+  const updatePlan = (changes) => onPlanChange({ ...plan, ...changes });
+
+  // Handle numeric plan fields (non-negative numbers only)
+  const handleNumberChange = (field) => (e) => {
+    const value = parseFloat(e.target.value);
+    if (!isNaN(value) && value >= 0) {
+      updatePlan({ [field]: value });
+    }
+  };
+
+  const labelClass = darkMode ? "block text-gray-300 text-sm mb-1" : "block text-gray-700 text-sm mb-1";
+  const inputClass = darkMode
+    ? "border border-gray-600 bg-gray-700 rounded-md px-3 py-1 w-full text-white"
+    : "border border-gray-300 rounded-md px-3 py-1 w-full";
+  const headingClass = darkMode ? "text-gray-300 font-semibold" : "text-gray-700 font-semibold";
+  const cellClass = darkMode ? "py-2 px-4 border-b border-gray-700 text-right text-gray-300" : "py-2 px-4 border-b text-right";
+
+  const last = schedule.length > 0 ? schedule[schedule.length - 1] : null;
+  // Year-end rows for the table (plus the final month when the horizon isn't whole years)
+  const yearlyRows = schedule.filter((row, index) => row.month % 12 === 0 || index === schedule.length - 1);
+  const chartData = schedule.map(row => ({
+    label: row.label,
+    income: parseFloat(row.income.toFixed(2)),
+    costBasis: parseFloat(row.costBasis.toFixed(2)),
+    positionValue: parseFloat(row.positionValue.toFixed(2))
+  }));
+
+  return (
+    <div className={darkMode
+      ? "mt-6 p-4 border border-gray-700 rounded-md bg-gray-900"
+      : "mt-6 p-4 border border-gray-200 rounded-md bg-gray-50"}
+    >
+      <div className="flex flex-wrap justify-between items-start gap-2">
+        <div className="flex items-center mb-3">
+          <input
+            type="checkbox"
+            id="useContributions"
+            checked={plan.enabled}
+            onChange={(e) => updatePlan({ enabled: e.target.checked })}
+            className="mr-2 h-4 w-4"
+          />
+          <label htmlFor="useContributions" className={darkMode ? "text-lg font-bold text-gray-200" : "text-lg font-bold text-gray-800"}>
+            Recurring Contributions
+          </label>
+        </div>
+        {plan.enabled && (
+          <ExportButtons darkMode={darkMode} symbol={symbol} name="contribution-schedule" rows={schedule} columns={CONTRIBUTION_SCHEDULE_COLUMNS} />
+        )}
+      </div>
+
+      {plan.enabled && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-3 mb-4">
+            <div>
+              <label className={labelClass}>Amount ($)</label>
+              <input type="number" value={plan.amount} onChange={handleNumberChange('amount')} min="0" step="25" className={inputClass} />
+            </div>
+            <div>
+              <label className={labelClass}>Frequency</label>
+              <select value={plan.frequency} onChange={(e) => updatePlan({ frequency: e.target.value })} className={inputClass}>
+                <option value={CONTRIBUTION_FREQUENCIES.WEEKLY}>Weekly</option>
+                <option value={CONTRIBUTION_FREQUENCIES.MONTHLY}>Monthly</option>
+              </select>
+            </div>
+            <div>
+              <label className={labelClass}>Start Date</label>
+              <input type="date" value={plan.startDate} onChange={(e) => updatePlan({ startDate: e.target.value })} className={inputClass} />
+            </div>
+            <div>
+              <label className={labelClass}>End Date (optional)</label>
+              <input
+                type="date"
+                value={plan.endDate}
+                min={plan.startDate}
+                onChange={(e) => updatePlan({ endDate: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className={labelClass}>Annual Step-up (%)</label>
+              <input type="number" value={plan.annualStepUp} onChange={handleNumberChange('annualStepUp')} min="0" step="1" className={inputClass} />
+            </div>
+            <div>
+              <label className={labelClass}>Horizon (years)</label>
+              <select value={years} onChange={(e) => onYearsChange(parseInt(e.target.value, 10))} className={inputClass}>
+                {[1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(value => (
+                  <option key={value} value={value}>{value}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex items-end">
+              <label className={darkMode ? "flex items-center text-gray-300 text-sm" : "flex items-center text-gray-700 text-sm"}>
+                <input
+                  type="checkbox"
+                  checked={plan.reinvest}
+                  onChange={(e) => updatePlan({ reinvest: e.target.checked })}
+                  className="mr-2 h-4 w-4"
+                />
+                Reinvest
+              </label>
+            </div>
+          </div>
+
+          {last && (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
+                <div>
+                  <h4 className={headingClass}>Contributed After {years}y</h4>
+                  <p className={darkMode ? "text-indigo-200 font-bold" : "text-blue-700 font-bold"}>${Math.round(last.contributed).toLocaleString()}</p>
+                </div>
+                <div>
+                  <h4 className={headingClass}>Shares</h4>
+                  <p className={darkMode ? "text-indigo-200 font-bold" : "text-blue-700 font-bold"}>{last.shares.toFixed(2)}</p>
+                </div>
+                <div>
+                  <h4 className={headingClass}>Monthly Income</h4>
+                  <p className={darkMode ? "text-green-200 font-bold" : "text-green-700 font-bold"}>${(last.income).toFixed(2)}</p>
+                </div>
+                <div>
+                  <h4 className={headingClass}>Cost Basis</h4>
+                  <p className={darkMode ? "text-purple-200 font-bold" : "text-purple-700 font-bold"}>
+                    ${Math.round(last.costBasis).toLocaleString()} <span className="text-xs font-normal">(${(last.costBasis / last.shares).toFixed(2)}/share)</span>
+                  </p>
+                </div>
+              </div>
+
+              <div className="h-64 mb-4">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={chartData}>
+                    <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? "#374151" : "#e5e7eb"} />
+                    <XAxis
+                      dataKey="label"
+                      angle={-45}
+                      textAnchor="end"
+                      height={60}
+                      tick={{ fill: darkMode ? "#9CA3AF" : "#4B5563" }}
+                    />
+                    <YAxis yAxisId="income" tick={{ fill: darkMode ? "#9CA3AF" : "#4B5563" }} />
+                    <YAxis yAxisId="value" orientation="right" tick={{ fill: darkMode ? "#9CA3AF" : "#4B5563" }} />
+                    <Tooltip
+                      formatter={(value, name) => [`$${value.toLocaleString()}`, name]}
+                      contentStyle={{
+                        backgroundColor: darkMode ? '#374151' : '#fff',
+                        borderColor: darkMode ? '#4B5563' : '#e5e7eb',
+                        color: darkMode ? '#F3F4F6' : '#111827'
+                      }}
+                    />
+                    <Legend />
+                    <Line yAxisId="income" type="monotone" dataKey="income" name="Monthly Income" stroke={darkMode ? "#34D399" : "#16A34A"} dot={false} strokeWidth={2} />
+                    <Line yAxisId="value" type="monotone" dataKey="costBasis" name="Cost Basis" stroke={darkMode ? "#FBBF24" : "#D97706"} dot={false} />
+                    <Line yAxisId="value" type="monotone" dataKey="positionValue" name="Position Value" stroke={darkMode ? "#A78BFA" : "#7E22CE"} dot={false} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+
+              <div className="overflow-x-auto">
+                <table className={darkMode ? "min-w-full bg-gray-800" : "min-w-full bg-white"}>
+                  <thead className={darkMode ? "bg-gray-900" : "bg-gray-100"}>
+                    <tr>
+                      <th className={darkMode ? "py-2 px-4 border-b border-gray-700 text-left text-gray-300" : "py-2 px-4 border-b text-left"}>Month</th>
+                      <th className={cellClass}>Contributed</th>
+                      <th className={cellClass}>Shares</th>
+                      <th className={cellClass}>Monthly Income</th>
+                      <th className={cellClass}>Cost Basis</th>
+                      <th className={cellClass}>Value</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {yearlyRows.map(row => (
+                      <tr key={row.month}>
+                        <td className={darkMode ? "py-2 px-4 border-b border-gray-700 text-gray-300" : "py-2 px-4 border-b"}>{row.label}</td>
+                        <td className={cellClass}>${row.contributed.toFixed(2)}</td>
+                        <td className={cellClass}>{row.shares.toFixed(2)}</td>
+                        <td className={cellClass}>${row.income.toFixed(2)}</td>
+                        <td className={cellClass}>${row.costBasis.toFixed(2)}</td>
+                        <td className={cellClass}>${row.positionValue.toFixed(2)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          <p className={darkMode ? "mt-2 text-xs text-gray-400 italic" : "mt-2 text-xs text-gray-500 italic"}>
+            Contributions buy shares at today's price in the month they fall in; contributions dated this month or earlier are
+            treated as part of the investment amount. Monthly income is paid on the shares held at the start of each month.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ContributionSchedule;
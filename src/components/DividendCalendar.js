@@ -0,0 +1,195 @@
+import React, { useState, useMemo } from 'react';
+import {
+  getProjectedPayouts,
+  getCalendarEvents,
+  getNextPayout,
+  CALENDAR_EVENT_TYPES,
+  CALENDAR_EVENT_LABELS
+} from '../services/payoutCalendar';
+import { downloadDividendCalendar, getCalendarFeedUrl } from '../services/icsService';
+import { DividendStatusBadge } from './DividendStatus';
+
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Days projected before the grid so pay dates of payouts that went ex last month still show
+const PROJECTION_LEAD_DAYS = 14;
+// How far ahead payouts are projected for the countdown and the .ics download
+const PROJECTION_HORIZON_DAYS = 92;
+
+const EVENT_CLASSES = {
+  declaration: ["bg-gray-100 text-gray-700", "bg-gray-700 text-gray-200"],
+  ex: ["bg-blue-100 text-blue-800", "bg-blue-900 text-blue-200"],
+  record: ["bg-purple-100 text-purple-800", "bg-purple-900 text-purple-200"],
+  pay: ["bg-green-100 text-green-800", "bg-green-900 text-green-200"]
+};
+
+const toIsoDate = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const DividendCalendar = ({ darkMode, ticker, dividendHistory, holdings, projectedDividend }) => {
+  const today = new Date();
+  const todayIso = toIsoDate(today);
+
+  // First day of the month shown
+  const [visibleMonth, setVisibleMonth] = useState(() => new Date(today.getFullYear(), today.getMonth(), 1));
+
+  // Grid runs from the Sunday on or before the 1st to the Saturday on or after the last day
+  const gridStart = new Date(visibleMonth.getFullYear(), visibleMonth.getMonth(), 1 - visibleMonth.getDay());
+  const monthEnd = new Date(visibleMonth.getFullYear(), visibleMonth.getMonth() + 1, 0);
+  const gridEnd = new Date(monthEnd.getFullYear(), monthEnd.getMonth(), monthEnd.getDate() + (6 - monthEnd.getDay()));
+  const from = toIsoDate(gridStart);
+  const to = toIsoDate(gridEnd);
+
+  // Records plus expected payouts (from the ticker's calendar) that aren't in the data yet;
+  // nothing is projected without a forecast amount
+  const projectionFrom = toIsoDate(new Date(gridStart.getFullYear(), gridStart.getMonth(), gridStart.getDate() - PROJECTION_LEAD_DAYS));
+  const horizon = toIsoDate(new Date(today.getFullYear(), today.getMonth(), today.getDate() + PROJECTION_HORIZON_DAYS));
+  const dividends = useMemo(() => (projectedDividend === null ? dividendHistory : [
+    ...dividendHistory,
+    ...getProjectedPayouts(ticker, dividendHistory, projectedDividend, {
+      from: projectionFrom < todayIso ? projectionFrom : todayIso,
+      to: to > horizon ? to : horizon
+    })
+  ]), [ticker, dividendHistory, projectedDividend, projectionFrom, todayIso, to, horizon]);
+
+  const events = useMemo(() => getCalendarEvents(dividends, holdings, { from, to }), [dividends, holdings, from, to]);
+  const next = getNextPayout(dividends, today);
+  const nextEvent = next ? getCalendarEvents([next.dividend], holdings, { from: next.dividend.payDate, to: next.dividend.payDate })[0] : null;
+  const hasHoldings = holdings && holdings.length > 0;
+
+  const days = [];
+  for (let day = new Date(gridStart); day <= gridEnd; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+    days.push(day);
+  }
+
+  const shiftMonth = (offset) => {
+    setVisibleMonth(new Date(visibleMonth.getFullYear(), visibleMonth.getMonth() + offset, 1));
+  };
+
+  const downloadCalendar = () => {
+    downloadDividendCalendar({ symbol: ticker.symbol, dividends, from: todayIso, to: horizon });
+  };
+
+  const buttonClass = darkMode
+    ? "px-3 py-1 rounded-md text-sm bg-gray-700 text-gray-200 hover:bg-gray-600"
+    : "px-3 py-1 rounded-md text-sm bg-gray-100 text-gray-700 hover:bg-gray-200";
+  const formatAmount = (value) => (value === null ? '—' : `$${value.toFixed(2)}`);
+  const formatPerShare = (value) => (value === null ? '—' : `$${value.toFixed(4)}`);
+
+  const renderEvent = (event) => {
+    const unconfirmed = event.status === 'estimated';
+
+    return (
+      <div
+        key={`${event.exDate}-${event.type}`}
+        title={`${CALENDAR_EVENT_LABELS[event.type]} · ex ${event.exDate} · ${formatPerShare(event.dividend)}/share${event.projected ? ' (projected)' : ''}${event.special ? ' (special)' : ''}`}
+        className={`mb-1 px-1 rounded text-xs truncate ${EVENT_CLASSES[event.type][darkMode ? 1 : 0]} ${unconfirmed ? 'italic opacity-70 border border-dashed border-current' : ''}`}
+      >
+        {CALENDAR_EVENT_LABELS[event.type]}
+        {event.type === CALENDAR_EVENT_TYPES.EX && ` ${formatPerShare(event.dividend)}`}
+      </div>
+    );
+  };
+
+  return (
+    <div className={darkMode ? "bg-gray-800 p-6 rounded-lg shadow-md mb-8" : "bg-white p-6 rounded-lg shadow-md mb-8"}>
+      <h2 className={darkMode ? "text-xl font-bold text-gray-200 mb-4" : "text-xl font-bold text-gray-800 mb-4"}>
+        Dividend Calendar
+      </h2>
+
+      {/* Next payout countdown */}
+      <div className={darkMode ? "bg-green-900 p-4 rounded-md mb-6" : "bg-green-50 p-4 rounded-md mb-6"}>
+        <h3 className={darkMode ? "text-gray-300 font-semibold" : "text-gray-700 font-semibold"}>Next Payout</h3>
+        {next ? (
+          <>
+            <p className={darkMode ? "text-2xl font-bold text-green-200" : "text-2xl font-bold text-green-700"}>
+              {next.daysUntil === 0 ? 'Today' : `In ${next.daysUntil} day${next.daysUntil === 1 ? '' : 's'}`}
+              <span className="text-base font-normal"> · {next.dividend.payDate}</span>
+            </p>
+            <p className={darkMode ? "text-sm text-gray-300" : "text-sm text-gray-600"}>
+              {formatPerShare(next.dividend.dividend)} per share
+              {hasHoldings && nextEvent && ` · ${formatAmount(nextEvent.amount)} on your ${nextEvent.shares.toFixed(2)} eligible shares`}
+              {' · '}ex-date {next.dividend.exDate}{next.dividend.exDate > todayIso ? ' (buy before it to qualify)' : ''}{' '}
+              <DividendStatusBadge darkMode={darkMode} record={next.dividend} />
+            </p>
+          </>
+        ) : (
+          <p className={darkMode ? "text-sm text-gray-400" : "text-sm text-gray-600"}>
+            No upcoming payout yet; one is projected once there is a paid or declared dividend to forecast from.
+          </p>
+        )}
+      </div>
+
+      {/* Month navigation */}
+      <div className="flex justify-between items-center mb-3">
+        <button onClick={() => shiftMonth(-1)} className={buttonClass}>← Prev</button>
+        <div className="flex items-center gap-2">
+          <span className={darkMode ? "font-semibold text-gray-200" : "font-semibold text-gray-800"}>
+            {visibleMonth.toLocaleString('default', { month: 'long', year: 'numeric' })}
+          </span>
+          <button onClick={() => setVisibleMonth(new Date(today.getFullYear(), today.getMonth(), 1))} className={buttonClass}>Today</button>
+        </div>
+        <button onClick={() => shiftMonth(1)} className={buttonClass}>Next →</button>
+      </div>
+
+      {/* Month grid */}
+      <div className="grid grid-cols-7 gap-1">
+        {WEEKDAY_NAMES.map(name => (
+          <div key={name} className={darkMode ? "text-center text-xs font-semibold text-gray-400 py-1" : "text-center text-xs font-semibold text-gray-500 py-1"}>
+            {name}
+          </div>
+        ))}
+        {days.map(day => {
+          const iso = toIsoDate(day);
+          const inMonth = day.getMonth() === visibleMonth.getMonth();
+          const dayEvents = events.filter(event => event.date === iso);
+          const dayIncome = dayEvents
+            .filter(event => event.type === CALENDAR_EVENT_TYPES.PAY && event.amount !== null)
+            .reduce((sum, event) => sum + event.amount, 0);
+
+          return (
+            <div
+              key={iso}
+              className={`min-h-[5rem] p-1 rounded border ${darkMode ? 'border-gray-700' : 'border-gray-200'} ${inMonth ? '' : 'opacity-40'} ${iso === todayIso ? (darkMode ? 'ring-2 ring-indigo-400' : 'ring-2 ring-blue-500') : ''}`}
+            >
+              <div className="flex justify-between text-xs mb-1">
+                <span className={darkMode ? "text-gray-400" : "text-gray-500"}>{day.getDate()}</span>
+                {hasHoldings && dayIncome > 0 && (
+                  <span className={darkMode ? "font-semibold text-green-300" : "font-semibold text-green-700"}>{formatAmount(dayIncome)}</span>
+                )}
+              </div>
+              {dayEvents.map(renderEvent)}
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Legend */}
+      <div className={darkMode ? "flex flex-wrap gap-3 mt-3 text-xs text-gray-400" : "flex flex-wrap gap-3 mt-3 text-xs text-gray-500"}>
+        {Object.values(CALENDAR_EVENT_TYPES).map(type => (
+          <span key={type} className={`px-1 rounded ${EVENT_CLASSES[type][darkMode ? 1 : 0]}`}>{CALENDAR_EVENT_LABELS[type]}</span>
+        ))}
+        <span className="px-1 rounded italic opacity-70 border border-dashed border-current">Estimated</span>
+      </div>
+      <p className={darkMode ? "mt-2 text-xs text-gray-400 italic" : "mt-2 text-xs text-gray-500 italic"}>
+        Dashed entries are estimates: payouts on the fund's usual schedule that aren't in the data yet use the forecast amount.
+        {hasHoldings
+          ? ' Pay-date amounts are for the lots in your holdings bought before each ex-date.'
+          : ' Add lots to your holdings to see the income due on each pay date.'}
+      </p>
+
+      {/* Calendar export */}
+      <div className="flex flex-wrap items-center gap-3 mt-4">
+        <button onClick={downloadCalendar} className={buttonClass}>Download .ics</button>
+        <span className={darkMode ? "text-xs text-gray-400" : "text-xs text-gray-500"}>
+          Upcoming {ticker.symbol} ex and pay dates for the next {PROJECTION_HORIZON_DAYS} days. To stay in sync, subscribe to the{' '}
+          <a href={getCalendarFeedUrl()} className={darkMode ? "text-indigo-300 underline" : "text-blue-600 underline"}>
+            calendar feed
+          </a>{' '}
+          (all tickers, refreshed by the daily update).
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default DividendCalendar;
@@ -0,0 +1,86 @@
+import React from 'react';
+import { DIVIDEND_STATUSES, STATUS_LABELS, getDividendStatus } from '../services/dividendData';
+
+// Paid is solid, declared is outlined, estimated is faint and dashed
+const STATUS_FILL_OPACITY = { paid: 1, declared: 0.6, estimated: 0.25 };
+const STATUS_DASH = { paid: undefined, declared: undefined, estimated: '4 2' };
+
+const BADGE_CLASSES = {
+  paid: ["bg-green-100 text-green-800", "bg-green-900 text-green-200"],
+  declared: ["bg-blue-100 text-blue-800", "bg-blue-900 text-blue-200"],
+  estimated: ["bg-yellow-100 text-yellow-800 border border-dashed border-yellow-500", "bg-yellow-900 text-yellow-200 border border-dashed border-yellow-500"]
+};
+
+/**
+ * Bar styling for a dividend's status (used with recharts <Cell>)
+ * @param {Object} record - Dividend or chart row with a status
+ * @param {string} color - Base bar color
+ * @returns {Object} { fill, fillOpacity, stroke, strokeWidth, strokeDasharray }
+ */
+export const getStatusBarStyle = (record, color) => {
+  const status = getDividendStatus(record);
+  return {
+    fill: color,
+    fillOpacity: STATUS_FILL_OPACITY[status],
+    stroke: color,
+    strokeWidth: status === 'paid' ? 0 : 2,
+    strokeDasharray: STATUS_DASH[status]
+  };
+};
+
+/**
+ * Builds a recharts Line dot renderer that draws estimates hollow
+ * @param {string} color - Line color
+ * @returns {Function} Dot renderer
+ */
+export const renderStatusDot = (color) => ({ cx, cy, payload, index }) => {
+  if (cx == null || cy == null) return null;
+  const status = getDividendStatus(payload);
+
+  return (
+    <circle
+      key={`dot-${index}`}
+      cx={cx}
+      cy={cy}
+      r={4}
+      stroke={color}
+      strokeWidth={2}
+      strokeDasharray={STATUS_DASH[status]}
+      fill={color}
+      fillOpacity={STATUS_FILL_OPACITY[status]}
+    />
+  );
+};
+
+export const DividendStatusBadge = ({ darkMode, record }) => {
+  const status = getDividendStatus(record);
+
+  return (
+    <span className={`inline-block px-2 py-0.5 rounded text-xs font-semibold ${BADGE_CLASSES[status][darkMode ? 1 : 0]}`}>
+      {STATUS_LABELS[status]}
+    </span>
+  );
+};
+
+export const DividendStatusLegend = ({ darkMode, color }) => (
+  <div className={darkMode ? "flex flex-wrap gap-4 mt-2 text-xs text-gray-400" : "flex flex-wrap gap-4 mt-2 text-xs text-gray-500"}>
+    {DIVIDEND_STATUSES.map(status => (
+      <span key={status} className="flex items-center">
+        <svg width="14" height="10" className="mr-1">
+          <rect
+            x="1"
+            y="1"
+            width="12"
+            height="8"
+            fill={color}
+            fillOpacity={STATUS_FILL_OPACITY[status]}
+            stroke={color}
+            strokeWidth={status === 'paid' ? 0 : 1.5}
+            strokeDasharray={STATUS_DASH[status] ? '2 1' : undefined}
+          />
+        </svg>
+        {STATUS_LABELS[status]}
+      </span>
+    ))}
+  </div>
+);
@@ -0,0 +1,200 @@
+import React, { useState, useMemo } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid,
+  Tooltip, Legend, ResponsiveContainer
+} from 'recharts';
+import { compareDripProjection, REINVEST_PRICE_MODES } from '../services/projectionService';
+import { DRIP_SCHEDULE_COLUMNS } from '../services/exportService';
+import ExportButtons from './ExportButtons';
+
+const DripSimulator = ({ darkMode, symbol, investmentAmount, currentPrice, monthlyDividend }) => {
+  // State for simulator settings
+  const [years, setYears] = useState(5);
+  const [priceMode, setPriceMode] = useState(REINVEST_PRICE_MODES.CURRENT);
+  const [pricePathText, setPricePathText] = useState('');
+  const [monthlyNavDecay, setMonthlyNavDecay] = useState(1);
+
+  // Parse the comma-separated price path, ignoring anything that isn't a positive number
+  const pricePath = useMemo(() => pricePathText
+    .split(',')
+    .map(value => parseFloat(value.trim()))
+    .filter(value => !isNaN(value) && value > 0), [pricePathText]);
+
+  const projection = useMemo(() => compareDripProjection({
+    investmentAmount,
+    currentPrice,
+    monthlyDividend,
+    years,
+    priceMode,
+    pricePath,
+    monthlyNavDecay
+  }), [investmentAmount, currentPrice, monthlyDividend, years, priceMode, pricePath, monthlyNavDecay]);
+
+  // Handle NAV decay input change
+  const handleNavDecayChange = (e) => {
+    const value = parseFloat(e.target.value);
+    if (!isNaN(value) && value >= 0 && value < 100) {
+      setMonthlyNavDecay(value);
+    }
+  };
+
+  const labelClass = darkMode ? "block text-gray-300 text-sm mb-1" : "block text-gray-700 text-sm mb-1";
+  const inputClass = darkMode
+    ? "border border-gray-600 bg-gray-700 rounded-md px-4 py-2 w-full text-white"
+    : "border border-gray-300 rounded-md px-4 py-2 w-full";
+  const cellClass = darkMode ? "py-2 px-4 border-b border-gray-700 text-right text-gray-300" : "py-2 px-4 border-b text-right";
+
+  if (projection.reinvest.length === 0) {
+    return null;
+  }
+
+  const finalDrip = projection.reinvest[projection.reinvest.length - 1];
+  const finalNoDrip = projection.noReinvest[projection.noReinvest.length - 1];
+
+  // Pair each month's DRIP and no-DRIP rows; the table shows one row per year
+  const monthlyRows = projection.reinvest.map((row, index) => ({ drip: row, noDrip: projection.noReinvest[index] }));
+  const yearlyRows = monthlyRows.filter(({ drip }) => drip.month % 12 === 0);
+
+  return (
+    <div className={darkMode ? "bg-gray-800 p-6 rounded-lg shadow-md mb-8" : "bg-white p-6 rounded-lg shadow-md mb-8"}>
+      <div className="flex flex-wrap justify-between items-start gap-2">
+        <h2 className={darkMode ? "text-xl font-bold text-gray-200 mb-4" : "text-xl font-bold text-gray-800 mb-4"}>
+          Dividend Reinvestment (DRIP) Simulator
+        </h2>
+        <ExportButtons darkMode={darkMode} symbol={symbol} name="drip-schedule" rows={monthlyRows} columns={DRIP_SCHEDULE_COLUMNS} />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div>
+          <label className={labelClass}>Horizon (years)</label>
+          <select value={years} onChange={(e) => setYears(parseInt(e.target.value, 10))} className={inputClass}>
+            {[1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(value => (
+              <option key={value} value={value}>{value}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className={labelClass}>Reinvest Price</label>
+          <select value={priceMode} onChange={(e) => setPriceMode(e.target.value)} className={inputClass}>
+            <option value={REINVEST_PRICE_MODES.CURRENT}>Current price (${currentPrice.toFixed(2)})</option>
+            <option value={REINVEST_PRICE_MODES.PATH}>Custom price path</option>
+            <option value={REINVEST_PRICE_MODES.NAV_DECAY}>Monthly NAV decay</option>
+          </select>
+        </div>
+
+        {priceMode === REINVEST_PRICE_MODES.PATH && (
+          <div>
+            <label className={labelClass}>Monthly Prices (comma separated)</label>
+            <input
+              type="text"
+              value={pricePathText}
+              onChange={(e) => setPricePathText(e.target.value)}
+              placeholder="e.g., 36.5, 35.8, 35.1"
+              className={inputClass}
+            />
+          </div>
+        )}
+
+        {priceMode === REINVEST_PRICE_MODES.NAV_DECAY && (
+          <div>
+            <label className={labelClass}>NAV Decay per Month (%)</label>
+            <input
+              type="number"
+              value={monthlyNavDecay}
+              onChange={handleNavDecayChange}
+              step="0.1"
+              min="0"
+              className={inputClass}
+            />
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div className={darkMode ? "bg-indigo-900 p-4 rounded-md" : "bg-blue-50 p-4 rounded-md"}>
+          <h3 className={darkMode ? "text-gray-300 font-semibold" : "text-gray-700 font-semibold"}>Shares After {years}y</h3>
+          <p className={darkMode ? "text-2xl font-bold text-indigo-200" : "text-2xl font-bold text-blue-700"}>
+            {finalDrip.shares.toFixed(2)} <span className="text-sm font-normal">vs {finalNoDrip.shares.toFixed(2)}</span>
+          </p>
+        </div>
+        <div className={darkMode ? "bg-green-900 p-4 rounded-md" : "bg-green-50 p-4 rounded-md"}>
+          <h3 className={darkMode ? "text-gray-300 font-semibold" : "text-gray-700 font-semibold"}>Final Monthly Income</h3>
+          <p className={darkMode ? "text-2xl font-bold text-green-200" : "text-2xl font-bold text-green-700"}>
+            ${finalDrip.income.toFixed(2)} <span className="text-sm font-normal">vs ${finalNoDrip.income.toFixed(2)}</span>
+          </p>
+        </div>
+        <div className={darkMode ? "bg-purple-900 p-4 rounded-md" : "bg-purple-50 p-4 rounded-md"}>
+          <h3 className={darkMode ? "text-gray-300 font-semibold" : "text-gray-700 font-semibold"}>Position Value</h3>
+          <p className={darkMode ? "text-2xl font-bold text-purple-200" : "text-2xl font-bold text-purple-700"}>
+            ${finalDrip.positionValue.toFixed(2)} <span className="text-sm font-normal">vs ${finalNoDrip.positionValue.toFixed(2)}</span>
+          </p>
+        </div>
+      </div>
+
+      <div className="h-64 mb-6">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={projection.chartData}>
+            <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? "#374151" : "#e5e7eb"} />
+            <XAxis
+              dataKey="label"
+              angle={-45}
+              textAnchor="end"
+              height={60}
+              tick={{ fill: darkMode ? "#9CA3AF" : "#4B5563" }}
+            />
+            <YAxis tick={{ fill: darkMode ? "#9CA3AF" : "#4B5563" }} />
+            <Tooltip
+              formatter={(value, name) => [`$${value}`, name]}
+              contentStyle={{
+                backgroundColor: darkMode ? '#374151' : '#fff',
+                borderColor: darkMode ? '#4B5563' : '#e5e7eb',
+                color: darkMode ? '#F3F4F6' : '#111827'
+              }}
+            />
+            <Legend />
+            <Line type="monotone" dataKey="dripValue" name="Position Value (DRIP)" stroke={darkMode ? "#A78BFA" : "#7E22CE"} dot={false} strokeWidth={2} />
+            <Line type="monotone" dataKey="noDripValue" name="Position Value (No DRIP)" stroke={darkMode ? "#9CA3AF" : "#6B7280"} dot={false} strokeWidth={2} />
+            <Line type="monotone" dataKey="dripIncome" name="Monthly Income (DRIP)" stroke={darkMode ? "#34D399" : "#16A34A"} dot={false} />
+            <Line type="monotone" dataKey="noDripIncome" name="Monthly Income (No DRIP)" stroke={darkMode ? "#FBBF24" : "#D97706"} dot={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className={darkMode ? "min-w-full bg-gray-800" : "min-w-full bg-white"}>
+          <thead className={darkMode ? "bg-gray-900" : "bg-gray-100"}>
+            <tr>
+              <th className={darkMode ? "py-2 px-4 border-b border-gray-700 text-left text-gray-300" : "py-2 px-4 border-b text-left"}>Year</th>
+              <th className={cellClass}>Shares (DRIP)</th>
+              <th className={cellClass}>Shares (No DRIP)</th>
+              <th className={cellClass}>Income to Date (DRIP)</th>
+              <th className={cellClass}>Income to Date (No DRIP)</th>
+              <th className={cellClass}>Value (DRIP)</th>
+              <th className={cellClass}>Value (No DRIP)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {yearlyRows.map(({ drip, noDrip }) => (
+              <tr key={drip.month}>
+                <td className={darkMode ? "py-2 px-4 border-b border-gray-700 text-gray-300" : "py-2 px-4 border-b"}>{drip.month / 12}</td>
+                <td className={cellClass}>{drip.shares.toFixed(2)}</td>
+                <td className={cellClass}>{noDrip.shares.toFixed(2)}</td>
+                <td className={cellClass}>${drip.cumulativeIncome.toFixed(2)}</td>
+                <td className={cellClass}>${noDrip.cumulativeIncome.toFixed(2)}</td>
+                <td className={cellClass}>${drip.positionValue.toFixed(2)}</td>
+                <td className={cellClass}>${noDrip.positionValue.toFixed(2)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <p className={darkMode ? "mt-2 text-xs text-gray-400 italic" : "mt-2 text-xs text-gray-500 italic"}>
+        Assumes a constant ${monthlyDividend.toFixed(4)} monthly dividend per share. Reinvested payouts buy fractional shares at the projected price for that month.
+      </p>
+    </div>
+  );
+};
+
+export default DripSimulator;
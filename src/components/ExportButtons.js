@@ -0,0 +1,22 @@
+import React from 'react';
+import { exportRows } from '../services/exportService';
+
+const ExportButtons = ({ darkMode, symbol, name, rows, columns }) => {
+  const buttonClass = darkMode
+    ? "bg-gray-700 text-gray-200 px-2 py-1 text-xs rounded-md hover:bg-gray-600 disabled:opacity-50"
+    : "bg-gray-100 text-gray-700 px-2 py-1 text-xs rounded-md hover:bg-gray-200 disabled:opacity-50";
+  const disabled = !rows || rows.length === 0;
+
+  return (
+    <div className="flex gap-2">
+      <button onClick={() => exportRows(name, rows, columns, 'csv', symbol)} disabled={disabled} className={buttonClass}>
+        Export CSV
+      </button>
+      <button onClick={() => exportRows(name, rows, columns, 'json', symbol)} disabled={disabled} className={buttonClass}>
+        Export JSON
+      </button>
+    </div>
+  );
+};
+
+export default ExportButtons;
@@ -0,0 +1,96 @@
+import React from 'react';
+import { FORECAST_MODELS, FORECAST_MODEL_LABELS } from '../services/forecastService';
+
+const ForecastSelector = ({
+  darkMode,
+  model,
+  onModelChange,
+  confidence,
+  onConfidenceChange,
+  volatility,
+  onVolatilityChange,
+  currentVolatility,
+  underlying,
+  forecast
+}) => {
+  const labelClass = darkMode ? "block text-gray-300 text-sm mb-1" : "block text-gray-700 text-sm mb-1";
+  const inputClass = darkMode
+    ? "border border-gray-600 bg-gray-700 rounded-md px-4 py-2 w-full text-white"
+    : "border border-gray-300 rounded-md px-4 py-2 w-full";
+
+  // Only allow empty (use current volatility) or a positive number
+  const handleVolatilityChange = (e) => {
+    const value = e.target.value;
+    if (value === '' || (!isNaN(parseFloat(value)) && parseFloat(value) > 0)) {
+      onVolatilityChange(value);
+    }
+  };
+
+  return (
+    <div className={darkMode
+      ? "mb-6 p-4 border border-gray-700 rounded-md bg-gray-900"
+      : "mb-6 p-4 border border-gray-200 rounded-md bg-gray-50"}
+    >
+      <h3 className={darkMode ? "text-lg font-bold text-gray-200 mb-3" : "text-lg font-bold text-gray-800 mb-3"}>
+        Dividend Forecast
+      </h3>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-3">
+        <div>
+          <label className={labelClass}>Model</label>
+          <select value={model} onChange={(e) => onModelChange(e.target.value)} className={inputClass}>
+            {Object.values(FORECAST_MODELS).map(value => (
+              <option key={value} value={value}>{FORECAST_MODEL_LABELS[value]}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className={labelClass}>Interval</label>
+          <select value={confidence} onChange={(e) => onConfidenceChange(parseFloat(e.target.value))} className={inputClass}>
+            <option value={0.8}>80%</option>
+            <option value={0.9}>90%</option>
+            <option value={0.95}>95%</option>
+          </select>
+        </div>
+
+        {model === FORECAST_MODELS.VOLATILITY_REGRESSION && (
+          <div>
+            <label className={labelClass}>Expected {underlying} Volatility (%)</label>
+            <input
+              type="number"
+              value={volatility}
+              onChange={handleVolatilityChange}
+              step="1"
+              min="1"
+              placeholder={currentVolatility ? `Current: ${currentVolatility.toFixed(1)}` : 'No price history'}
+              className={inputClass}
+            />
+          </div>
+        )}
+      </div>
+
+      {forecast.value === null ? (
+        <p className={darkMode ? "text-sm text-gray-400" : "text-sm text-gray-600"}>{forecast.note}</p>
+      ) : (
+        <>
+          <p className={darkMode ? "text-gray-200" : "text-gray-800"}>
+            Next dividend: <span className="font-bold">${forecast.value.toFixed(4)}</span>
+            {forecast.lower !== null && (
+              <span className={darkMode ? "text-sm text-gray-400" : "text-sm text-gray-600"}>
+                {' '}({Math.round(forecast.confidence * 100)}% interval ${forecast.lower.toFixed(4)} - ${forecast.upper.toFixed(4)})
+              </span>
+            )}
+          </p>
+          <p className={darkMode ? "mt-1 text-xs text-gray-400 italic" : "mt-1 text-xs text-gray-500 italic"}>
+            Based on {forecast.sampleSize} paid or declared dividend{forecast.sampleSize === 1 ? '' : 's'}; estimates are never used as inputs.
+            {forecast.lower === null && ' Too little history for an interval.'}
+            {forecast.note && ` ${forecast.note}.`}
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ForecastSelector;
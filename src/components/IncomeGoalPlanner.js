@@ -0,0 +1,223 @@
+import React, { useState, useMemo } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid,
+  Tooltip, Legend, ResponsiveContainer, ReferenceLine
+} from 'recharts';
+import { calculateRequiredInvestment, projectIncomeGoal } from '../services/projectionService';
+
+const MAX_GOAL_MONTHS = 600;
+
+const IncomeGoalPlanner = ({ darkMode, investmentAmount, currentPrice, assumptions }) => {
+  // State for goal settings
+  const [targetIncome, setTargetIncome] = useState(1000);
+  const [startingAmount, setStartingAmount] = useState(investmentAmount);
+  const [monthlyContribution, setMonthlyContribution] = useState(500);
+  const [reinvest, setReinvest] = useState(true);
+  const [monthlyDrift, setMonthlyDrift] = useState(0);
+  const [assumptionId, setAssumptionId] = useState(assumptions[0] ? assumptions[0].id : null);
+
+  const assumption = assumptions.find(item => item.id === assumptionId) || assumptions[0];
+  const monthlyDividend = assumption ? assumption.value : 0;
+
+  const required = calculateRequiredInvestment(targetIncome, monthlyDividend, currentPrice);
+
+  const plan = useMemo(() => projectIncomeGoal({
+    targetMonthlyIncome: targetIncome,
+    monthlyDividend,
+    currentPrice,
+    startingAmount,
+    monthlyContribution,
+    reinvest,
+    monthlyDrift,
+    maxMonths: MAX_GOAL_MONTHS
+  }), [targetIncome, monthlyDividend, currentPrice, startingAmount, monthlyContribution, reinvest, monthlyDrift]);
+
+  // Handle dollar inputs (non-negative numbers only)
+  const handleAmountChange = (setter) => (e) => {
+    const value = parseFloat(e.target.value);
+    if (!isNaN(value) && value >= 0) {
+      setter(value);
+    }
+  };
+
+  // Handle drift input change
+  const handleDriftChange = (e) => {
+    const value = parseFloat(e.target.value);
+    if (!isNaN(value) && value > -100) {
+      setMonthlyDrift(value);
+    }
+  };
+
+  const labelClass = darkMode ? "block text-gray-300 text-sm mb-1" : "block text-gray-700 text-sm mb-1";
+  const inputClass = darkMode
+    ? "border border-gray-600 bg-gray-700 rounded-md px-4 py-2 w-full text-white"
+    : "border border-gray-300 rounded-md px-4 py-2 w-full";
+  const headingClass = darkMode ? "text-gray-300 font-semibold" : "text-gray-700 font-semibold";
+
+  const additionalAmount = required ? Math.max(required.amount - startingAmount, 0) : 0;
+  const formatDuration = (months) => {
+    const years = Math.floor(months / 12);
+    const remainder = months % 12;
+    return [years > 0 ? `${years}y` : null, remainder > 0 ? `${remainder}m` : null].filter(Boolean).join(' ');
+  };
+
+  return (
+    <div className={darkMode ? "bg-gray-800 p-6 rounded-lg shadow-md mb-8" : "bg-white p-6 rounded-lg shadow-md mb-8"}>
+      <h2 className={darkMode ? "text-xl font-bold text-gray-200 mb-4" : "text-xl font-bold text-gray-800 mb-4"}>
+        Income Goal Planner
+      </h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <div>
+          <label className={labelClass}>Target Monthly Income ($)</label>
+          <input
+            type="number"
+            value={targetIncome}
+            onChange={handleAmountChange(setTargetIncome)}
+            min="0"
+            step="50"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Dividend Assumption</label>
+          <select value={assumption ? assumption.id : ''} onChange={(e) => setAssumptionId(e.target.value)} className={inputClass}>
+            {assumptions.map(item => (
+              <option key={item.id} value={item.id}>{item.label} (${item.value.toFixed(4)})</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>Starting Amount ($)</label>
+          <input
+            type="number"
+            value={startingAmount}
+            onChange={handleAmountChange(setStartingAmount)}
+            min="0"
+            step="100"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Monthly Contribution ($)</label>
+          <input
+            type="number"
+            value={monthlyContribution}
+            onChange={handleAmountChange(setMonthlyContribution)}
+            min="0"
+            step="50"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Monthly Price Drift (%)</label>
+          <input
+            type="number"
+            value={monthlyDrift}
+            onChange={handleDriftChange}
+            step="0.1"
+            className={inputClass}
+          />
+        </div>
+        <div className="flex items-end">
+          <label className={darkMode ? "flex items-center text-gray-300" : "flex items-center text-gray-700"}>
+            <input
+              type="checkbox"
+              checked={reinvest}
+              onChange={(e) => setReinvest(e.target.checked)}
+              className="mr-2 h-4 w-4"
+            />
+            Reinvest dividends (DRIP)
+          </label>
+        </div>
+      </div>
+
+      {!required ? (
+        <p className={darkMode ? "text-sm text-gray-400" : "text-sm text-gray-600"}>
+          Enter a target income and make sure a dividend assumption and current price are available.
+        </p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+            <div className={darkMode ? "bg-indigo-900 p-4 rounded-md" : "bg-blue-50 p-4 rounded-md"}>
+              <h3 className={headingClass}>Shares Needed</h3>
+              <p className={darkMode ? "text-2xl font-bold text-indigo-200" : "text-2xl font-bold text-blue-700"}>
+                {required.shares.toFixed(2)}
+              </p>
+              <p className="text-xs text-gray-500">At ${monthlyDividend.toFixed(4)} per share per month</p>
+            </div>
+            <div className={darkMode ? "bg-green-900 p-4 rounded-md" : "bg-green-50 p-4 rounded-md"}>
+              <h3 className={headingClass}>Investment Needed</h3>
+              <p className={darkMode ? "text-2xl font-bold text-green-200" : "text-2xl font-bold text-green-700"}>
+                ${Math.round(required.amount).toLocaleString()}
+              </p>
+              <p className="text-xs text-gray-500">At today's price of ${currentPrice.toFixed(2)}</p>
+            </div>
+            <div className={darkMode ? "bg-purple-900 p-4 rounded-md" : "bg-purple-50 p-4 rounded-md"}>
+              <h3 className={headingClass}>Still to Invest</h3>
+              <p className={darkMode ? "text-2xl font-bold text-purple-200" : "text-2xl font-bold text-purple-700"}>
+                ${Math.round(additionalAmount).toLocaleString()}
+              </p>
+              <p className="text-xs text-gray-500">Beyond the starting amount, as a lump sum</p>
+            </div>
+            <div className={darkMode ? "bg-amber-900 p-4 rounded-md" : "bg-amber-50 p-4 rounded-md"}>
+              <h3 className={headingClass}>Goal Reached</h3>
+              <p className={darkMode ? "text-2xl font-bold text-amber-200" : "text-2xl font-bold text-amber-700"}>
+                {plan.goalLabel || 'Not reached'}
+              </p>
+              <p className="text-xs text-gray-500">
+                {plan.goalMonth === null
+                  ? `Not within ${MAX_GOAL_MONTHS / 12} years at these settings`
+                  : plan.goalMonth === 0 ? 'The starting amount already covers it' : `In ${formatDuration(plan.goalMonth)}`}
+              </p>
+            </div>
+          </div>
+
+          {plan.schedule.length > 0 && (
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={plan.schedule}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? "#374151" : "#e5e7eb"} />
+                  <XAxis
+                    dataKey="label"
+                    angle={-45}
+                    textAnchor="end"
+                    height={60}
+                    tick={{ fill: darkMode ? "#9CA3AF" : "#4B5563" }}
+                  />
+                  <YAxis tick={{ fill: darkMode ? "#9CA3AF" : "#4B5563" }} />
+                  <Tooltip
+                    formatter={(value, name) => [`$${value.toLocaleString()}`, name]}
+                    contentStyle={{
+                      backgroundColor: darkMode ? '#374151' : '#fff',
+                      borderColor: darkMode ? '#4B5563' : '#e5e7eb',
+                      color: darkMode ? '#F3F4F6' : '#111827'
+                    }}
+                  />
+                  <Legend />
+                  <ReferenceLine
+                    y={targetIncome}
+                    stroke={darkMode ? "#FBBF24" : "#D97706"}
+                    strokeDasharray="3 3"
+                    label={{ value: 'Target', fill: darkMode ? "#FBBF24" : "#D97706", position: 'insideTopLeft' }}
+                  />
+                  {plan.goalLabel && plan.goalMonth > 0 && (
+                    <ReferenceLine x={plan.goalLabel} stroke={darkMode ? "#6B7280" : "#9CA3AF"} strokeDasharray="3 3" />
+                  )}
+                  <Line type="monotone" dataKey="income" name="Monthly Income" stroke={darkMode ? "#34D399" : "#16A34A"} dot={false} strokeWidth={2} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+        </>
+      )}
+
+      <p className={darkMode ? "mt-2 text-xs text-gray-400 italic" : "mt-2 text-xs text-gray-500 italic"}>
+        Holds the dividend per share constant. Each month the contribution{reinvest ? ' and the payout buy' : ' buys'} shares
+        at that month's price, which moves by {monthlyDrift.toFixed(2)}% a month.
+      </p>
+    </div>
+  );
+};
+
+export default IncomeGoalPlanner;
@@ -0,0 +1,278 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import {
+  ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid,
+  Tooltip, Legend, ResponsiveContainer
+} from 'recharts';
+import {
+  runMonteCarlo,
+  getDistributionRates,
+  SAMPLING_METHODS,
+  DEFAULT_SIMULATION_OPTIONS
+} from '../services/monteCarloService';
+import {
+  estimateMonthlyDrift,
+  estimateMonthlyVolatility,
+  getImpliedPriceHistory
+} from '../services/projectionService';
+import { getAnnouncedDividends } from '../services/forecastService';
+import { getRegularDistributions } from '../services/payoutCalendar';
+
+const MonteCarloPanel = ({ darkMode, investmentAmount, currentPrice, dividendHistory, priceHistory, frequency }) => {
+  // State for simulation settings
+  const [years, setYears] = useState(DEFAULT_SIMULATION_OPTIONS.months / 12);
+  const [trials, setTrials] = useState(DEFAULT_SIMULATION_OPTIONS.trials);
+  const [method, setMethod] = useState(DEFAULT_SIMULATION_OPTIONS.method);
+  const [reinvest, setReinvest] = useState(false);
+  const [monthlyDrift, setMonthlyDrift] = useState('');
+  const [monthlyVolatility, setMonthlyVolatility] = useState('');
+
+  // State for the current run
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [runError, setRunError] = useState(null);
+
+  const workerRef = useRef(null);
+  const runIdRef = useRef(0);
+
+  // Specials are one-offs, so only regular payouts are resampled
+  const announced = useMemo(() => getRegularDistributions(getAnnouncedDividends(dividendHistory)), [dividendHistory]);
+  const rates = useMemo(() => getDistributionRates(announced, currentPrice), [announced, currentPrice]);
+
+  // Price assumptions estimated from quote history, else from prices implied by dividend yields
+  const estimates = useMemo(() => {
+    const history = priceHistory && priceHistory.length >= 3 ? priceHistory : getImpliedPriceHistory(announced);
+    return {
+      drift: estimateMonthlyDrift(history),
+      volatility: estimateMonthlyVolatility(history)
+    };
+  }, [priceHistory, announced]);
+
+  // Start the worker once; results from superseded runs are ignored by id
+  useEffect(() => {
+    if (typeof Worker === 'undefined') return undefined;
+
+    const worker = new Worker(new URL('../workers/monteCarlo.worker.js', import.meta.url));
+    worker.onmessage = (event) => {
+      const { id, result: simulation, error } = event.data;
+      if (id !== runIdRef.current) return;
+
+      if (error) {
+        console.error('Monte Carlo simulation failed:', error);
+        setRunError(error);
+      } else {
+        setResult(simulation);
+      }
+      setRunning(false);
+    };
+    workerRef.current = worker;
+
+    return () => worker.terminate();
+  }, []);
+
+  const handleRun = () => {
+    const options = {
+      investmentAmount,
+      currentPrice,
+      rates,
+      months: years * 12,
+      trials,
+      method,
+      frequency,
+      reinvest,
+      monthlyDrift: monthlyDrift !== '' ? parseFloat(monthlyDrift) : (estimates.drift || 0),
+      monthlyVolatility: monthlyVolatility !== ''
+        ? parseFloat(monthlyVolatility)
+        : (estimates.volatility || DEFAULT_SIMULATION_OPTIONS.monthlyVolatility)
+    };
+
+    runIdRef.current += 1;
+    setRunError(null);
+
+    if (!workerRef.current) {
+      // No Web Worker support: run on the main thread
+      setResult(runMonteCarlo(options));
+      return;
+    }
+
+    setRunning(true);
+    workerRef.current.postMessage({ id: runIdRef.current, options });
+  };
+
+  // Handle drift/volatility input (empty means use the estimate)
+  const handleNumberChange = (setter, min) => (e) => {
+    const value = e.target.value;
+    if (value === '' || (!isNaN(parseFloat(value)) && parseFloat(value) > min)) {
+      setter(value);
+    }
+  };
+
+  const chartData = result
+    ? result.bands.map(band => ({
+      label: band.label,
+      incomeRange: [Math.round(band.cumulativeIncome.p10), Math.round(band.cumulativeIncome.p90)],
+      incomeMedian: Math.round(band.cumulativeIncome.p50),
+      valueRange: [Math.round(band.positionValue.p10), Math.round(band.positionValue.p90)],
+      valueMedian: Math.round(band.positionValue.p50)
+    }))
+    : [];
+
+  const labelClass = darkMode ? "block text-gray-300 text-sm mb-1" : "block text-gray-700 text-sm mb-1";
+  const inputClass = darkMode
+    ? "border border-gray-600 bg-gray-700 rounded-md px-3 py-1 w-full text-white"
+    : "border border-gray-300 rounded-md px-3 py-1 w-full";
+  const headingClass = darkMode ? "text-gray-300 font-semibold" : "text-gray-700 font-semibold";
+  const tooltipStyle = {
+    backgroundColor: darkMode ? '#374151' : '#fff',
+    borderColor: darkMode ? '#4B5563' : '#e5e7eb',
+    color: darkMode ? '#F3F4F6' : '#111827'
+  };
+  const formatTooltip = (value, name) => [
+    Array.isArray(value) ? `$${value[0].toLocaleString()} - $${value[1].toLocaleString()}` : `$${value.toLocaleString()}`,
+    name
+  ];
+
+  const renderFanChart = (title, rangeKey, medianKey, color) => (
+    <div>
+      <h4 className={headingClass}>{title}</h4>
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? "#374151" : "#e5e7eb"} />
+            <XAxis dataKey="label" angle={-45} textAnchor="end" height={60} tick={{ fill: darkMode ? "#9CA3AF" : "#4B5563" }} />
+            <YAxis tick={{ fill: darkMode ? "#9CA3AF" : "#4B5563" }} />
+            <Tooltip formatter={formatTooltip} contentStyle={tooltipStyle} />
+            <Legend />
+            <Area type="monotone" dataKey={rangeKey} name="P10 - P90" stroke="none" fill={color} fillOpacity={0.25} />
+            <Line type="monotone" dataKey={medianKey} name="Median (P50)" stroke={color} dot={false} strokeWidth={2} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className={darkMode
+      ? "mt-4 p-4 border border-gray-700 rounded-md bg-gray-900"
+      : "mt-4 p-4 border border-gray-200 rounded-md bg-gray-50"}
+    >
+      <h3 className={darkMode ? "text-lg font-bold text-gray-200 mb-3" : "text-lg font-bold text-gray-800 mb-3"}>
+        Monte Carlo Simulation
+      </h3>
+
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-3 mb-3">
+        <div>
+          <label className={labelClass}>Horizon (years)</label>
+          <select value={years} onChange={(e) => setYears(parseInt(e.target.value, 10))} className={inputClass}>
+            {[1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(value => (
+              <option key={value} value={value}>{value}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>Trials</label>
+          <select value={trials} onChange={(e) => setTrials(parseInt(e.target.value, 10))} className={inputClass}>
+            {[1000, 5000, 10000, 25000].map(value => (
+              <option key={value} value={value}>{value.toLocaleString()}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>Distributions</label>
+          <select value={method} onChange={(e) => setMethod(e.target.value)} className={inputClass}>
+            <option value={SAMPLING_METHODS.BOOTSTRAP}>Bootstrap history</option>
+            <option value={SAMPLING_METHODS.LOGNORMAL}>Fitted lognormal</option>
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>Drift / month (%)</label>
+          <input
+            type="number"
+            value={monthlyDrift}
+            onChange={handleNumberChange(setMonthlyDrift, -100)}
+            step="0.1"
+            placeholder={estimates.drift !== null ? estimates.drift.toFixed(2) : '0'}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Volatility / month (%)</label>
+          <input
+            type="number"
+            value={monthlyVolatility}
+            onChange={handleNumberChange(setMonthlyVolatility, 0)}
+            step="0.5"
+            min="0"
+            placeholder={(estimates.volatility || DEFAULT_SIMULATION_OPTIONS.monthlyVolatility).toFixed(1)}
+            className={inputClass}
+          />
+        </div>
+        <div className="flex items-end">
+          <label className={darkMode ? "flex items-center text-gray-300 text-sm" : "flex items-center text-gray-700 text-sm"}>
+            <input
+              type="checkbox"
+              checked={reinvest}
+              onChange={(e) => setReinvest(e.target.checked)}
+              className="mr-2 h-4 w-4"
+            />
+            Reinvest
+          </label>
+        </div>
+      </div>
+
+      <button
+        onClick={handleRun}
+        disabled={running || rates.length === 0 || !currentPrice}
+        className={darkMode
+          ? "bg-indigo-900 text-indigo-100 px-4 py-2 rounded-md hover:bg-indigo-800 disabled:opacity-50 mb-4"
+          : "bg-blue-100 text-blue-700 px-4 py-2 rounded-md hover:bg-blue-200 disabled:opacity-50 mb-4"}
+      >
+        {running ? 'Simulating...' : `Run ${trials.toLocaleString()} Trials`}
+      </button>
+
+      {rates.length === 0 && (
+        <p className={darkMode ? "text-sm text-gray-400" : "text-sm text-gray-600"}>No paid or declared dividends to sample from yet.</p>
+      )}
+      {runError && (
+        <p className={darkMode ? "text-red-300 text-sm mb-3" : "text-red-600 text-sm mb-3"}>Simulation failed: {runError}</p>
+      )}
+
+      {result && result.summary && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+            <div>
+              <h4 className={headingClass}>Income after {result.summary.months / 12}y (P10 / P50 / P90)</h4>
+              <p className={darkMode ? "text-green-200 font-bold" : "text-green-700 font-bold"}>
+                ${Math.round(result.summary.finalIncome.p10).toLocaleString()} / ${Math.round(result.summary.finalIncome.p50).toLocaleString()} / ${Math.round(result.summary.finalIncome.p90).toLocaleString()}
+              </p>
+            </div>
+            <div>
+              <h4 className={headingClass}>Position value (P10 / P50 / P90)</h4>
+              <p className={darkMode ? "text-purple-200 font-bold" : "text-purple-700 font-bold"}>
+                ${Math.round(result.summary.finalValue.p10).toLocaleString()} / ${Math.round(result.summary.finalValue.p50).toLocaleString()} / ${Math.round(result.summary.finalValue.p90).toLocaleString()}
+              </p>
+            </div>
+            <div>
+              <h4 className={headingClass}>Chance of ending below ${investmentAmount.toLocaleString()}</h4>
+              <p className={darkMode ? "text-amber-200 font-bold" : "text-amber-700 font-bold"}>
+                {(result.summary.lossProbability * 100).toFixed(1)}%
+              </p>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {renderFanChart('Cumulative Income', 'incomeRange', 'incomeMedian', darkMode ? "#34D399" : "#16A34A")}
+            {renderFanChart('Position Value', 'valueRange', 'valueMedian', darkMode ? "#A78BFA" : "#7E22CE")}
+          </div>
+        </>
+      )}
+
+      <p className={darkMode ? "mt-2 text-xs text-gray-400 italic" : "mt-2 text-xs text-gray-500 italic"}>
+        Each month the price moves by a random lognormal step and each distribution is the price times a rate drawn from
+        the {rates.length} paid or declared distribution{rates.length === 1 ? '' : 's'} on record. Runs are seeded, so the same settings give the same result.
+        Drift and volatility default to estimates from price history.
+      </p>
+    </div>
+  );
+};
+
+export default MonteCarloPanel;
@@ -0,0 +1,291 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  loadHoldings,
+  saveHoldings,
+  loadTransactions,
+  saveTransactions,
+  createLot,
+  applySellsToLots,
+  summarizePortfolio
+} from '../services/portfolioService';
+import { PORTFOLIO_COLUMNS } from '../services/exportService';
+import { reconcileImportedDividends } from '../services/transactionImport';
+import { getTicker } from '../services/tickerRegistry';
+import ExportButtons from './ExportButtons';
+import TransactionImport from './TransactionImport';
+
+const RECONCILIATION_LABELS = {
+  'match': 'Match',
+  'amount-mismatch': 'Amount mismatch',
+  'no-record': 'Not in history',
+  'missing-payment': 'Missing payment'
+};
+
+const PortfolioTracker = ({ darkMode, symbol, currentPrice, dividendHistory, onLotsChange }) => {
+  // State for saved lots and the add-lot form
+  const [lots, setLots] = useState(() => loadHoldings(symbol));
+  const [lotDate, setLotDate] = useState(new Date().toISOString().split('T')[0]);
+  const [lotShares, setLotShares] = useState('');
+  const [lotPrice, setLotPrice] = useState('');
+  const [lotAccount, setLotAccount] = useState('');
+  const [transactions, setTransactions] = useState(() => loadTransactions(symbol));
+  const [showImport, setShowImport] = useState(false);
+  const [importWarning, setImportWarning] = useState(null);
+
+  // Persist lots and imported transactions whenever they change (and share lots with the dashboard)
+  useEffect(() => {
+    saveHoldings(lots, symbol);
+    if (onLotsChange) onLotsChange(lots);
+  }, [lots, symbol, onLotsChange]);
+
+  useEffect(() => {
+    saveTransactions(transactions, symbol);
+  }, [transactions, symbol]);
+
+  const reconciliation = useMemo(
+    () => reconcileImportedDividends(transactions, dividendHistory),
+    [transactions, dividendHistory]
+  );
+
+  const portfolio = useMemo(
+    () => summarizePortfolio(lots, dividendHistory, currentPrice, getTicker(symbol).payoutFrequency),
+    [lots, dividendHistory, currentPrice, symbol]
+  );
+  // Market value and gain need a quote; dividends and yield-on-cost don't
+  const hasPrice = currentPrice > 0;
+
+  // Add a lot from the form
+  const handleAddLot = (e) => {
+    e.preventDefault();
+    const shares = parseFloat(lotShares);
+    const pricePerShare = parseFloat(lotPrice);
+
+    if (!lotDate || isNaN(shares) || shares <= 0 || isNaN(pricePerShare) || pricePerShare <= 0) {
+      return;
+    }
+
+    setLots([...lots, createLot({ date: lotDate, shares, pricePerShare, account: lotAccount.trim() })]);
+    setLotShares('');
+    setLotPrice('');
+  };
+
+  // Merge imported transactions (skipping exact duplicates) and optionally add buys as lots,
+  // reduced by the imported sells so the lots match what's still held
+  const handleImport = (imported, { addBuysAsLots }) => {
+    const keyOf = (tx) => [tx.date, tx.type, tx.shares, tx.amount, tx.account].join('|');
+    const existingKeys = new Set(transactions.map(keyOf));
+    const fresh = imported.filter(tx => !existingKeys.has(keyOf(tx)));
+
+    setTransactions([...transactions, ...fresh].sort((a, b) => a.date.localeCompare(b.date)));
+
+    setImportWarning(null);
+    if (addBuysAsLots) {
+      const newLots = fresh
+        .filter(tx => tx.type === 'buy' && tx.price > 0)
+        .map(tx => createLot({ date: tx.date, shares: tx.shares, pricePerShare: tx.price, account: tx.account }));
+      const { lots: remaining, unmatchedShares } = applySellsToLots([...lots, ...newLots], fresh.filter(tx => tx.type === 'sell'));
+      setLots(remaining);
+
+      if (unmatchedShares > 0) {
+        setImportWarning(`${unmatchedShares.toFixed(4)} sold shares had no earlier lot in the same account to come from. Check My Holdings against your broker.`);
+      }
+    }
+
+    setShowImport(false);
+  };
+
+  // Remove a lot
+  const handleRemoveLot = (id) => {
+    setLots(lots.filter(lot => lot.id !== id));
+  };
+
+  const labelClass = darkMode ? "block text-gray-300 text-sm mb-1" : "block text-gray-700 text-sm mb-1";
+  const inputClass = darkMode
+    ? "border border-gray-600 bg-gray-700 rounded-md px-4 py-2 w-full text-white"
+    : "border border-gray-300 rounded-md px-4 py-2 w-full";
+  const headerCell = darkMode ? "py-2 px-4 border-b border-gray-700 text-right text-gray-300" : "py-2 px-4 border-b text-right";
+  const headerCellLeft = darkMode ? "py-2 px-4 border-b border-gray-700 text-left text-gray-300" : "py-2 px-4 border-b text-left";
+  const cell = darkMode ? "py-2 px-4 border-b border-gray-700 text-right text-gray-300" : "py-2 px-4 border-b text-right";
+  const cellLeft = darkMode ? "py-2 px-4 border-b border-gray-700 text-gray-300" : "py-2 px-4 border-b";
+  const gainClass = (value) => value >= 0
+    ? (darkMode ? 'text-green-300' : 'text-green-600')
+    : (darkMode ? 'text-red-300' : 'text-red-600');
+  const formatSigned = (value) => `${value < 0 ? '-' : '+'}$${Math.abs(value).toFixed(2)}`;
+
+  const { totals } = portfolio;
+
+  return (
+    <div className={darkMode ? "bg-gray-800 p-6 rounded-lg shadow-md mb-8" : "bg-white p-6 rounded-lg shadow-md mb-8"}>
+      <div className="flex flex-wrap justify-between items-start gap-2">
+        <h2 className={darkMode ? "text-xl font-bold text-gray-200 mb-4" : "text-xl font-bold text-gray-800 mb-4"}>
+          My {symbol} Holdings
+        </h2>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setShowImport(!showImport)}
+            className={darkMode
+              ? "bg-gray-700 text-gray-200 px-2 py-1 text-xs rounded-md hover:bg-gray-600"
+              : "bg-gray-100 text-gray-700 px-2 py-1 text-xs rounded-md hover:bg-gray-200"}
+          >
+            Import CSV
+          </button>
+          <ExportButtons darkMode={darkMode} symbol={symbol} name="holdings" rows={portfolio.lots} columns={PORTFOLIO_COLUMNS} />
+        </div>
+      </div>
+
+      {showImport && (
+        <TransactionImport darkMode={darkMode} defaultSymbol={symbol} onImport={handleImport} onCancel={() => setShowImport(false)} />
+      )}
+
+      {importWarning && (
+        <p className={darkMode ? "text-yellow-300 text-sm mb-4" : "text-yellow-700 text-sm mb-4"}>{importWarning}</p>
+      )}
+
+      <form onSubmit={handleAddLot} className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-6 items-end">
+        <div>
+          <label className={labelClass}>Buy Date</label>
+          <input type="date" value={lotDate} onChange={(e) => setLotDate(e.target.value)} className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>Shares</label>
+          <input type="number" value={lotShares} onChange={(e) => setLotShares(e.target.value)} step="0.0001" min="0" className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>Price per Share ($)</label>
+          <input type="number" value={lotPrice} onChange={(e) => setLotPrice(e.target.value)} step="0.01" min="0" className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>Account</label>
+          <input type="text" value={lotAccount} onChange={(e) => setLotAccount(e.target.value)} placeholder="e.g., Roth IRA" className={inputClass} />
+        </div>
+        <button
+          type="submit"
+          className={darkMode
+            ? "bg-indigo-900 text-indigo-100 px-3 py-2 rounded-md hover:bg-indigo-800"
+            : "bg-blue-100 text-blue-700 px-3 py-2 rounded-md hover:bg-blue-200"}
+        >
+          Add Lot
+        </button>
+      </form>
+
+      {lots.length === 0 ? (
+        <p className={darkMode ? "text-gray-400 text-sm" : "text-gray-500 text-sm"}>
+          No lots yet. Add a purchase above to track cost basis and received dividends. Lots are saved in this browser only.
+        </p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+            <div className={darkMode ? "bg-indigo-900 p-4 rounded-md" : "bg-blue-50 p-4 rounded-md"}>
+              <h3 className={darkMode ? "text-gray-300 font-semibold" : "text-gray-700 font-semibold"}>Total Shares</h3>
+              <p className={darkMode ? "text-2xl font-bold text-indigo-200" : "text-2xl font-bold text-blue-700"}>{totals.shares.toFixed(4)}</p>
+              <p className="text-xs text-gray-500">Avg cost ${totals.averageCost.toFixed(2)}</p>
+            </div>
+            <div className={darkMode ? "bg-purple-900 p-4 rounded-md" : "bg-purple-50 p-4 rounded-md"}>
+              <h3 className={darkMode ? "text-gray-300 font-semibold" : "text-gray-700 font-semibold"}>Market Value</h3>
+              <p className={darkMode ? "text-2xl font-bold text-purple-200" : "text-2xl font-bold text-purple-700"}>{hasPrice ? `$${totals.marketValue.toFixed(2)}` : '—'}</p>
+              {hasPrice ? (
+                <p className={`text-xs ${gainClass(totals.unrealizedGain)}`}>
+                  {formatSigned(totals.unrealizedGain)} ({totals.unrealizedGainPercentage.toFixed(2)}%)
+                </p>
+              ) : (
+                <p className="text-xs text-gray-500">Price unavailable</p>
+              )}
+            </div>
+            <div className={darkMode ? "bg-green-900 p-4 rounded-md" : "bg-green-50 p-4 rounded-md"}>
+              <h3 className={darkMode ? "text-gray-300 font-semibold" : "text-gray-700 font-semibold"}>Dividends Received</h3>
+              <p className={darkMode ? "text-2xl font-bold text-green-200" : "text-2xl font-bold text-green-700"}>${totals.dividendsReceived.toFixed(2)}</p>
+            </div>
+            <div className={darkMode ? "bg-amber-900 p-4 rounded-md" : "bg-amber-50 p-4 rounded-md"}>
+              <h3 className={darkMode ? "text-gray-300 font-semibold" : "text-gray-700 font-semibold"}>Yield on Cost</h3>
+              <p className={darkMode ? "text-2xl font-bold text-amber-200" : "text-2xl font-bold text-amber-700"}>{totals.yieldOnCost.toFixed(2)}%</p>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className={darkMode ? "min-w-full bg-gray-800" : "min-w-full bg-white"}>
+              <thead className={darkMode ? "bg-gray-900" : "bg-gray-100"}>
+                <tr>
+                  <th className={headerCellLeft}>Date</th>
+                  <th className={headerCellLeft}>Account</th>
+                  <th className={headerCell}>Shares</th>
+                  <th className={headerCell}>Cost Basis</th>
+                  <th className={headerCell}>Value</th>
+                  <th className={headerCell}>Gain / Loss</th>
+                  <th className={headerCell}>Dividends</th>
+                  <th className={headerCell}>Yield on Cost</th>
+                  <th className={headerCell}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {portfolio.lots.map(lot => (
+                  <tr key={lot.id}>
+                    <td className={cellLeft}>{lot.date}</td>
+                    <td className={cellLeft}>{lot.account}</td>
+                    <td className={cell}>{lot.shares.toFixed(4)} @ ${lot.pricePerShare.toFixed(2)}</td>
+                    <td className={cell}>${lot.costBasis.toFixed(2)}</td>
+                    <td className={cell}>{hasPrice ? `$${lot.marketValue.toFixed(2)}` : '—'}</td>
+                    <td className={`${cell} ${hasPrice ? gainClass(lot.unrealizedGain) : ''}`}>{hasPrice ? formatSigned(lot.unrealizedGain) : '—'}</td>
+                    <td className={cell}>${lot.dividendsReceived.toFixed(2)} ({lot.payoutsReceived})</td>
+                    <td className={cell}>{lot.yieldOnCost.toFixed(2)}%</td>
+                    <td className={cell}>
+                      <button
+                        onClick={() => handleRemoveLot(lot.id)}
+                        className={darkMode ? "text-red-300 underline hover:no-underline" : "text-red-600 underline hover:no-underline"}
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {reconciliation.length > 0 && (
+        <div className="mt-6">
+          <div className="flex justify-between items-center mb-2">
+            <h3 className={darkMode ? "text-lg font-bold text-gray-200" : "text-lg font-bold text-gray-800"}>
+              Dividend Reconciliation ({transactions.length} imported transactions)
+            </h3>
+            <button
+              onClick={() => setTransactions([])}
+              className={darkMode ? "text-red-300 text-sm underline hover:no-underline" : "text-red-600 text-sm underline hover:no-underline"}
+            >
+              Clear imported
+            </button>
+          </div>
+          <div className="overflow-x-auto">
+            <table className={darkMode ? "min-w-full bg-gray-800" : "min-w-full bg-white"}>
+              <thead className={darkMode ? "bg-gray-900" : "bg-gray-100"}>
+                <tr>
+                  <th className={headerCellLeft}>Date</th>
+                  <th className={headerCellLeft}>Ex-Date</th>
+                  <th className={headerCell}>Received</th>
+                  <th className={headerCell}>Expected</th>
+                  <th className={headerCellLeft}>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {reconciliation.map((row, index) => (
+                  <tr key={`${row.date}-${index}`}>
+                    <td className={cellLeft}>{row.date}</td>
+                    <td className={cellLeft}>{row.exDate || 'N/A'}</td>
+                    <td className={cell}>${row.received.toFixed(2)}</td>
+                    <td className={cell}>{row.expected != null ? `$${row.expected.toFixed(2)}` : 'N/A'}</td>
+                    <td className={`${cellLeft} ${row.status === 'match' ? gainClass(0) : gainClass(-1)}`}>
+                      {RECONCILIATION_LABELS[row.status]}: {row.message}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PortfolioTracker;
@@ -0,0 +1,197 @@
+import React, { useState, useMemo } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid,
+  Tooltip, Legend, ResponsiveContainer
+} from 'recharts';
+import {
+  DEFAULT_TAX_SETTINGS,
+  getAverageCharacter,
+  estimateDistributionTax,
+  projectCostBasis
+} from '../services/taxService';
+
+const TaxEstimator = ({ darkMode, investmentAmount, currentPrice, monthlyDividend, dividendHistory }) => {
+  // State for tax settings and an optional return-of-capital override
+  const [settings, setSettings] = useState(DEFAULT_TAX_SETTINGS);
+  const [rocOverride, setRocOverride] = useState('');
+
+  const historical = useMemo(() => getAverageCharacter(dividendHistory), [dividendHistory]);
+
+  // A manual ROC percentage replaces the reported mix; the remainder is treated as ordinary income
+  const character = useMemo(() => {
+    const roc = parseFloat(rocOverride);
+    if (rocOverride === '' || isNaN(roc)) {
+      return historical.character;
+    }
+    const fraction = Math.min(Math.max(roc, 0), 100) / 100;
+    return { ordinary: 1 - fraction, qualified: 0, returnOfCapital: fraction, capitalGain: 0 };
+  }, [rocOverride, historical]);
+
+  const shares = currentPrice > 0 ? investmentAmount / currentPrice : 0;
+  const annualDistribution = shares * monthlyDividend * 12;
+
+  const estimate = useMemo(
+    () => estimateDistributionTax(annualDistribution, character, settings),
+    [annualDistribution, character, settings]
+  );
+
+  const basisSchedule = useMemo(() => projectCostBasis({
+    shares,
+    costBasis: investmentAmount,
+    monthlyDividend,
+    returnOfCapital: character.returnOfCapital,
+    months: 60
+  }), [shares, investmentAmount, monthlyDividend, character]);
+
+  // Update a single numeric or text setting
+  const handleSettingChange = (key) => (e) => {
+    const raw = e.target.value;
+    const numeric = parseFloat(raw);
+    const value = ['federalMode', 'filingStatus'].includes(key) ? raw : numeric;
+    if (typeof value === 'string' || (!isNaN(value) && value >= 0)) {
+      setSettings({ ...settings, [key]: value });
+    }
+  };
+
+  const labelClass = darkMode ? "block text-gray-300 text-sm mb-1" : "block text-gray-700 text-sm mb-1";
+  const inputClass = darkMode
+    ? "border border-gray-600 bg-gray-700 rounded-md px-4 py-2 w-full text-white"
+    : "border border-gray-300 rounded-md px-4 py-2 w-full";
+  const headingClass = darkMode ? "text-gray-300 font-semibold" : "text-gray-700 font-semibold";
+  const formatPercent = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+
+  const finalBasis = basisSchedule.length > 0 ? basisSchedule[basisSchedule.length - 1] : null;
+
+  return (
+    <div className={darkMode ? "bg-gray-800 p-6 rounded-lg shadow-md mb-8" : "bg-white p-6 rounded-lg shadow-md mb-8"}>
+      <h2 className={darkMode ? "text-xl font-bold text-gray-200 mb-4" : "text-xl font-bold text-gray-800 mb-4"}>
+        After-Tax Income Estimate
+      </h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <div>
+          <label className={labelClass}>Federal Tax</label>
+          <select value={settings.federalMode} onChange={handleSettingChange('federalMode')} className={inputClass}>
+            <option value="flat">Flat rates</option>
+            <option value="brackets">2025 brackets</option>
+          </select>
+        </div>
+
+        {settings.federalMode === 'flat' ? (
+          <>
+            <div>
+              <label className={labelClass}>Ordinary Rate (%)</label>
+              <input type="number" value={settings.federalRate} onChange={handleSettingChange('federalRate')} step="0.1" min="0" className={inputClass} />
+            </div>
+            <div>
+              <label className={labelClass}>Qualified / Capital Gain Rate (%)</label>
+              <input type="number" value={settings.qualifiedRate} onChange={handleSettingChange('qualifiedRate')} step="0.1" min="0" className={inputClass} />
+            </div>
+          </>
+        ) : (
+          <>
+            <div>
+              <label className={labelClass}>Filing Status</label>
+              <select value={settings.filingStatus} onChange={handleSettingChange('filingStatus')} className={inputClass}>
+                <option value="single">Single</option>
+                <option value="marriedJoint">Married filing jointly</option>
+              </select>
+            </div>
+            <div>
+              <label className={labelClass}>Other Taxable Income ($)</label>
+              <input type="number" value={settings.otherIncome} onChange={handleSettingChange('otherIncome')} step="1000" min="0" className={inputClass} />
+            </div>
+          </>
+        )}
+
+        <div>
+          <label className={labelClass}>State Rate (%)</label>
+          <input type="number" value={settings.stateRate} onChange={handleSettingChange('stateRate')} step="0.1" min="0" className={inputClass} />
+        </div>
+
+        <div>
+          <label className={labelClass}>Return of Capital (%)</label>
+          <input
+            type="number"
+            value={rocOverride}
+            onChange={(e) => setRocOverride(e.target.value)}
+            step="1"
+            min="0"
+            max="100"
+            placeholder={formatPercent(historical.character.returnOfCapital)}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <p className={darkMode ? "text-xs text-gray-400 mb-6" : "text-xs text-gray-500 mb-6"}>
+        {historical.reportedCount > 0
+          ? `Character from ${historical.reportedCount} reported distribution(s): `
+          : 'No distribution character reported yet; assuming: '}
+        {formatPercent(character.ordinary)} ordinary, {formatPercent(character.qualified)} qualified,{' '}
+        {formatPercent(character.capitalGain)} capital gain, {formatPercent(character.returnOfCapital)} return of capital.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+        <div className={darkMode ? "bg-green-900 p-4 rounded-md" : "bg-green-50 p-4 rounded-md"}>
+          <h3 className={headingClass}>After-Tax Monthly</h3>
+          <p className={darkMode ? "text-2xl font-bold text-green-200" : "text-2xl font-bold text-green-700"}>${estimate.afterTaxMonthly.toFixed(2)}</p>
+          <p className="text-xs text-gray-500">Pre-tax ${(annualDistribution / 12).toFixed(2)}</p>
+        </div>
+        <div className={darkMode ? "bg-purple-900 p-4 rounded-md" : "bg-purple-50 p-4 rounded-md"}>
+          <h3 className={headingClass}>After-Tax Annual</h3>
+          <p className={darkMode ? "text-2xl font-bold text-purple-200" : "text-2xl font-bold text-purple-700"}>${estimate.afterTaxAnnual.toFixed(2)}</p>
+          <p className="text-xs text-gray-500">Pre-tax ${annualDistribution.toFixed(2)}</p>
+        </div>
+        <div className={darkMode ? "bg-red-900 p-4 rounded-md" : "bg-red-50 p-4 rounded-md"}>
+          <h3 className={headingClass}>Estimated Tax</h3>
+          <p className={darkMode ? "text-2xl font-bold text-red-200" : "text-2xl font-bold text-red-700"}>${estimate.totalTax.toFixed(2)}</p>
+          <p className="text-xs text-gray-500">
+            Federal ${estimate.federalTax.toFixed(2)} / State ${estimate.stateTax.toFixed(2)} ({estimate.effectiveRate.toFixed(1)}% effective)
+          </p>
+        </div>
+        <div className={darkMode ? "bg-amber-900 p-4 rounded-md" : "bg-amber-50 p-4 rounded-md"}>
+          <h3 className={headingClass}>Cost Basis After 5y</h3>
+          <p className={darkMode ? "text-2xl font-bold text-amber-200" : "text-2xl font-bold text-amber-700"}>
+            ${finalBasis ? finalBasis.costBasis.toFixed(2) : investmentAmount.toFixed(2)}
+          </p>
+          <p className="text-xs text-gray-500">Reduced by return of capital</p>
+        </div>
+      </div>
+
+      {character.returnOfCapital > 0 && (
+        <div className="h-64">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={basisSchedule}>
+              <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? "#374151" : "#e5e7eb"} />
+              <XAxis
+                dataKey="month"
+                tick={{ fill: darkMode ? "#9CA3AF" : "#4B5563" }}
+                label={{ value: 'Months', position: 'insideBottom', offset: -5, fill: darkMode ? "#9CA3AF" : "#4B5563" }}
+              />
+              <YAxis tick={{ fill: darkMode ? "#9CA3AF" : "#4B5563" }} />
+              <Tooltip
+                formatter={(value, name) => [`$${value}`, name]}
+                contentStyle={{
+                  backgroundColor: darkMode ? '#374151' : '#fff',
+                  borderColor: darkMode ? '#4B5563' : '#e5e7eb',
+                  color: darkMode ? '#F3F4F6' : '#111827'
+                }}
+              />
+              <Legend verticalAlign="top" />
+              <Line type="monotone" dataKey="costBasis" name="Adjusted Cost Basis" stroke={darkMode ? "#FBBF24" : "#D97706"} dot={false} strokeWidth={2} />
+              <Line type="monotone" dataKey="cumulativeReturnOfCapital" name="Cumulative Return of Capital" stroke={darkMode ? "#A78BFA" : "#7E22CE"} dot={false} />
+              <Line type="monotone" dataKey="excessGain" name="ROC Taxed as Gain" stroke={darkMode ? "#F87171" : "#DC2626"} dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      <p className={darkMode ? "mt-2 text-xs text-gray-400 italic" : "mt-2 text-xs text-gray-500 italic"}>
+        Tax figures are rough estimates for planning only and are not tax advice. Final character is reported on your 1099-DIV.
+      </p>
+    </div>
+  );
+};
+
+export default TaxEstimator;
@@ -0,0 +1,175 @@
+import React, { useState, useMemo } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid,
+  Tooltip, Legend, ResponsiveContainer, ReferenceLine
+} from 'recharts';
+import {
+  simulateTotalReturn,
+  estimateMonthlyDrift,
+  getImpliedPriceHistory
+} from '../services/projectionService';
+
+const TotalReturnPanel = ({ darkMode, investmentAmount, currentPrice, monthlyDividend, priceHistory, dividendHistory }) => {
+  // State for projection settings
+  const [months, setMonths] = useState(24);
+  const [driftMode, setDriftMode] = useState('history');
+  const [manualDrift, setManualDrift] = useState(-1);
+
+  // Prefer quote history; fall back to prices implied by each dividend's yield
+  const historicalDrift = useMemo(() => {
+    const quoteDrift = estimateMonthlyDrift(priceHistory);
+    if (quoteDrift !== null) {
+      return { value: quoteDrift, source: 'price history' };
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const impliedDrift = estimateMonthlyDrift([
+      ...getImpliedPriceHistory(dividendHistory),
+      { date: today, close: currentPrice }
+    ]);
+    return impliedDrift !== null
+      ? { value: impliedDrift, source: 'prices implied by dividend yields' }
+      : null;
+  }, [priceHistory, dividendHistory, currentPrice]);
+
+  const monthlyDrift = driftMode === 'history' && historicalDrift ? historicalDrift.value : manualDrift;
+
+  const projection = useMemo(() => simulateTotalReturn({
+    investmentAmount,
+    currentPrice,
+    monthlyDividend,
+    months,
+    monthlyDrift
+  }), [investmentAmount, currentPrice, monthlyDividend, months, monthlyDrift]);
+
+  // Handle manual drift input change
+  const handleDriftChange = (e) => {
+    const value = parseFloat(e.target.value);
+    if (!isNaN(value) && value > -100) {
+      setManualDrift(value);
+    }
+  };
+
+  const labelClass = darkMode ? "block text-gray-300 text-sm mb-1" : "block text-gray-700 text-sm mb-1";
+  const inputClass = darkMode
+    ? "border border-gray-600 bg-gray-700 rounded-md px-4 py-2 w-full text-white"
+    : "border border-gray-300 rounded-md px-4 py-2 w-full";
+  const headingClass = darkMode ? "text-gray-300 font-semibold" : "text-gray-700 font-semibold";
+
+  if (!projection.summary) {
+    return null;
+  }
+
+  const { summary } = projection;
+  const formatSigned = (value) => `${value < 0 ? '-' : '+'}$${Math.abs(value).toFixed(2)}`;
+
+  return (
+    <div className={darkMode ? "bg-gray-800 p-6 rounded-lg shadow-md mb-8" : "bg-white p-6 rounded-lg shadow-md mb-8"}>
+      <h2 className={darkMode ? "text-xl font-bold text-gray-200 mb-4" : "text-xl font-bold text-gray-800 mb-4"}>
+        Total Return (Income + Price Change)
+      </h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div>
+          <label className={labelClass}>Horizon</label>
+          <select value={months} onChange={(e) => setMonths(parseInt(e.target.value, 10))} className={inputClass}>
+            <option value={12}>12 months</option>
+            <option value={24}>24 months</option>
+            <option value={36}>36 months</option>
+            <option value={60}>60 months</option>
+          </select>
+        </div>
+
+        <div>
+          <label className={labelClass}>Price Change Assumption</label>
+          <select value={driftMode} onChange={(e) => setDriftMode(e.target.value)} className={inputClass}>
+            <option value="history" disabled={!historicalDrift}>Derived from history</option>
+            <option value="manual">Manual monthly drift</option>
+          </select>
+        </div>
+
+        <div>
+          <label className={labelClass}>Monthly Price Drift (%)</label>
+          {driftMode === 'manual' || !historicalDrift ? (
+            <input
+              type="number"
+              value={manualDrift}
+              onChange={handleDriftChange}
+              step="0.1"
+              className={inputClass}
+            />
+          ) : (
+            <p className={darkMode ? "py-2 text-gray-200" : "py-2 text-gray-800"}>
+              {historicalDrift.value.toFixed(2)}% <span className="text-xs text-gray-500">({historicalDrift.source})</span>
+            </p>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+        <div className={darkMode ? "bg-indigo-900 p-4 rounded-md" : "bg-blue-50 p-4 rounded-md"}>
+          <h3 className={headingClass}>Total Return</h3>
+          <p className={darkMode ? "text-2xl font-bold text-indigo-200" : "text-2xl font-bold text-blue-700"}>
+            {formatSigned(summary.totalReturn)}
+          </p>
+          <p className="text-xs text-gray-500">{summary.totalReturnPercentage.toFixed(2)}% over {months} months</p>
+        </div>
+        <div className={darkMode ? "bg-green-900 p-4 rounded-md" : "bg-green-50 p-4 rounded-md"}>
+          <h3 className={headingClass}>Cumulative Income</h3>
+          <p className={darkMode ? "text-2xl font-bold text-green-200" : "text-2xl font-bold text-green-700"}>
+            ${summary.cumulativeIncome.toFixed(2)}
+          </p>
+        </div>
+        <div className={darkMode ? "bg-red-900 p-4 rounded-md" : "bg-red-50 p-4 rounded-md"}>
+          <h3 className={headingClass}>Capital Gain / Loss</h3>
+          <p className={darkMode ? "text-2xl font-bold text-red-200" : "text-2xl font-bold text-red-700"}>
+            {formatSigned(summary.capitalChange)}
+          </p>
+          <p className="text-xs text-gray-500">Ending price ${summary.endingPrice.toFixed(2)}</p>
+        </div>
+        <div className={darkMode ? "bg-amber-900 p-4 rounded-md" : "bg-amber-50 p-4 rounded-md"}>
+          <h3 className={headingClass}>Break-even Month</h3>
+          <p className={darkMode ? "text-2xl font-bold text-amber-200" : "text-2xl font-bold text-amber-700"}>
+            {summary.breakEvenLabel || 'Not reached'}
+          </p>
+          <p className="text-xs text-gray-500">When income repays the investment</p>
+        </div>
+      </div>
+
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={projection.schedule}>
+            <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? "#374151" : "#e5e7eb"} />
+            <XAxis
+              dataKey="label"
+              angle={-45}
+              textAnchor="end"
+              height={60}
+              tick={{ fill: darkMode ? "#9CA3AF" : "#4B5563" }}
+            />
+            <YAxis tick={{ fill: darkMode ? "#9CA3AF" : "#4B5563" }} />
+            <Tooltip
+              formatter={(value, name) => [`$${value}`, name]}
+              contentStyle={{
+                backgroundColor: darkMode ? '#374151' : '#fff',
+                borderColor: darkMode ? '#4B5563' : '#e5e7eb',
+                color: darkMode ? '#F3F4F6' : '#111827'
+              }}
+            />
+            <Legend />
+            <ReferenceLine y={0} stroke={darkMode ? "#6B7280" : "#9CA3AF"} />
+            <Line type="monotone" dataKey="cumulativeIncome" name="Cumulative Income" stroke={darkMode ? "#34D399" : "#16A34A"} dot={false} strokeWidth={2} />
+            <Line type="monotone" dataKey="capitalChange" name="Capital Gain / Loss" stroke={darkMode ? "#F87171" : "#DC2626"} dot={false} strokeWidth={2} />
+            <Line type="monotone" dataKey="totalReturn" name="Total Return" stroke={darkMode ? "#A78BFA" : "#7E22CE"} dot={false} strokeWidth={2} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <p className={darkMode ? "mt-2 text-xs text-gray-400 italic" : "mt-2 text-xs text-gray-500 italic"}>
+        Income-only yield ignores NAV erosion. This projection holds the dividend per share at ${monthlyDividend.toFixed(4)} and moves the share price by {monthlyDrift.toFixed(2)}% each month.
+      </p>
+    </div>
+  );
+};
+
+export default TotalReturnPanel;
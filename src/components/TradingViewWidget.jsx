@@ -1,7 +1,7 @@
 // TradingViewWidget.jsx
 import React, { useEffect, useRef, memo } from 'react';
 
-function TradingViewWidget({ darkMode }) {
+function TradingViewWidget({ darkMode, symbol }) {
   const container = useRef();
   
   useEffect(() => {
@@ -17,7 +17,7 @@ function TradingViewWidget({ darkMode }) {
     script.innerHTML = `
       {
         "autosize": true,
-        "symbol": "AMEX:WNTR",
+        "symbol": "${symbol}",
         "interval": "D",
         "timezone": "Etc/UTC",
         "theme": "${darkMode ? 'dark' : 'light'}",
@@ -34,7 +34,7 @@ function TradingViewWidget({ darkMode }) {
         container.current.innerHTML = '';
       }
     };
-  }, [darkMode]); // Re-run when darkMode changes
+  }, [darkMode, symbol]); // Re-run when darkMode or the symbol changes
   
   return (
     <div className="tradingview-widget-container" ref={container} style={{ height: "100%", width: "100%" }}>
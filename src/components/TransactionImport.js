@@ -0,0 +1,164 @@
+import React, { useState, useMemo } from 'react';
+import {
+  IMPORT_FIELDS,
+  BROKER_PRESETS,
+  parseCsv,
+  toHeaderedRecords,
+  detectPreset,
+  guessMapping,
+  mapTransactions
+} from '../services/transactionImport';
+
+const FIELD_LABELS = {
+  date: 'Date',
+  action: 'Action / Type',
+  symbol: 'Symbol',
+  quantity: 'Quantity',
+  price: 'Price',
+  amount: 'Amount',
+  account: 'Account'
+};
+
+const TransactionImport = ({ darkMode, defaultSymbol, onImport, onCancel }) => {
+  // State for the import wizard
+  const [parsed, setParsed] = useState(null);
+  const [preset, setPreset] = useState('');
+  const [mapping, setMapping] = useState({});
+  const [symbol, setSymbol] = useState(defaultSymbol);
+  const [addBuysAsLots, setAddBuysAsLots] = useState(true);
+  const [parseError, setParseError] = useState(null);
+
+  // Read the chosen file and pre-fill the mapping from a detected preset
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const { headers, records } = toHeaderedRecords(parseCsv(String(reader.result)));
+
+      if (headers.length === 0 || records.length === 0) {
+        setParseError('No rows found in this file.');
+        setParsed(null);
+        return;
+      }
+
+      const detected = detectPreset(headers);
+      setParseError(null);
+      setParsed({ headers, records, fileName: file.name });
+      setPreset(detected || '');
+      setMapping(detected ? BROKER_PRESETS[detected].mapping : guessMapping(headers));
+    };
+    reader.readAsText(file);
+  };
+
+  // Switch preset (or back to the generic mapping)
+  const handlePresetChange = (e) => {
+    const value = e.target.value;
+    setPreset(value);
+    setMapping(value ? BROKER_PRESETS[value].mapping : guessMapping(parsed.headers));
+  };
+
+  const preview = useMemo(() => {
+    if (!parsed) return null;
+    return mapTransactions(parsed.records, mapping, { symbol: symbol.trim(), preset: preset || null });
+  }, [parsed, mapping, symbol, preset]);
+
+  const counts = preview
+    ? preview.transactions.reduce((sum, tx) => ({ ...sum, [tx.type]: (sum[tx.type] || 0) + 1 }), {})
+    : {};
+
+  const labelClass = darkMode ? "block text-gray-300 text-sm mb-1" : "block text-gray-700 text-sm mb-1";
+  const inputClass = darkMode
+    ? "border border-gray-600 bg-gray-700 rounded-md px-3 py-1 w-full text-white"
+    : "border border-gray-300 rounded-md px-3 py-1 w-full";
+  const buttonClass = darkMode
+    ? "bg-indigo-900 text-indigo-100 px-3 py-1 rounded-md hover:bg-indigo-800 disabled:opacity-50"
+    : "bg-blue-100 text-blue-700 px-3 py-1 rounded-md hover:bg-blue-200 disabled:opacity-50";
+
+  return (
+    <div className={darkMode
+      ? "mb-6 p-4 border border-dashed border-gray-600 rounded-md bg-gray-800"
+      : "mb-6 p-4 border border-dashed border-gray-300 rounded-md bg-gray-50"}
+    >
+      <h3 className={darkMode ? "text-lg font-bold text-gray-200 mb-3" : "text-lg font-bold text-gray-800 mb-3"}>
+        Import Brokerage Transactions
+      </h3>
+
+      <input type="file" accept=".csv,text/csv" onChange={handleFileChange} className="mb-3 text-sm" />
+
+      {parseError && (
+        <p className={darkMode ? "text-red-300 text-sm mb-3" : "text-red-600 text-sm mb-3"}>{parseError}</p>
+      )}
+
+      {parsed && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label className={labelClass}>Layout</label>
+              <select value={preset} onChange={handlePresetChange} className={inputClass}>
+                <option value="">Generic (map columns below)</option>
+                {Object.entries(BROKER_PRESETS).map(([key, value]) => (
+                  <option key={key} value={key}>{value.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className={labelClass}>Symbol</label>
+              <input type="text" value={symbol} onChange={(e) => setSymbol(e.target.value)} className={inputClass} />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+            {IMPORT_FIELDS.map(field => (
+              <div key={field}>
+                <label className={labelClass}>{FIELD_LABELS[field]}</label>
+                <select
+                  value={mapping[field] || ''}
+                  onChange={(e) => setMapping({ ...mapping, [field]: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value="">(none)</option>
+                  {parsed.headers.map(header => (
+                    <option key={header} value={header}>{header}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          <p className={darkMode ? "text-sm text-gray-300 mb-3" : "text-sm text-gray-700 mb-3"}>
+            {parsed.fileName}: {counts.buy || 0} buys, {counts.sell || 0} sells, {counts.dividend || 0} dividends
+            ({preview.skipped} rows skipped)
+          </p>
+
+          <div className="flex items-center mb-3">
+            <input
+              type="checkbox"
+              id="addBuysAsLots"
+              checked={addBuysAsLots}
+              onChange={(e) => setAddBuysAsLots(e.target.checked)}
+              className={darkMode ? "mr-2 h-4 w-4 text-indigo-600 bg-gray-700 border-gray-600" : "mr-2 h-4 w-4 text-blue-600"}
+            />
+            <label htmlFor="addBuysAsLots" className={darkMode ? "text-gray-300 text-sm" : "text-gray-700 text-sm"}>
+              Add imported buys to My Holdings as lots, reduced by imported sells (oldest lot first)
+            </label>
+          </div>
+        </>
+      )}
+
+      <div className="flex gap-2">
+        <button
+          onClick={() => onImport(preview.transactions, { addBuysAsLots })}
+          disabled={!preview || preview.transactions.length === 0}
+          className={buttonClass}
+        >
+          Import
+        </button>
+        <button onClick={onCancel} className={buttonClass}>Cancel</button>
+      </div>
+    </div>
+  );
+};
+
+export default TransactionImport;
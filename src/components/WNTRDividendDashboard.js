@@ -1,32 +1,85 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
   LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, 
-  Tooltip, Legend, ResponsiveContainer, ReferenceLine 
+  Tooltip, Legend, ResponsiveContainer, ReferenceLine, Cell 
 } from 'recharts';
 import { 
-  fetchRealTimePrice, 
   fetchDividendHistory,
+  fetchPriceHistory,
   calculateAnnualizedYield,
+  calculateTrailingYield,
+  calculateForwardYield,
   checkForNewDividendData
 } from '../services/financeService';
+import { getProviderChain } from '../services/priceProviders';
+import { getCachedQuote } from '../services/quoteCache';
+import { getMarketSession, getRefreshDelay, SESSION_LABELS } from '../services/marketHours';
+import { TICKERS, COMPARE_HASH, getTicker, getTickerHash, getTradingViewSymbol } from '../services/tickerRegistry';
 import TradingViewWidget from './TradingViewWidget';
+import DripSimulator from './DripSimulator';
+import TotalReturnPanel from './TotalReturnPanel';
+import PortfolioTracker from './PortfolioTracker';
+import TaxEstimator from './TaxEstimator';
+import ForecastSelector from './ForecastSelector';
+import MonteCarloPanel from './MonteCarloPanel';
+import IncomeGoalPlanner from './IncomeGoalPlanner';
+import ContributionSchedule from './ContributionSchedule';
+import DividendCalendar from './DividendCalendar';
+import { simulatePosition, getScheduledShares, CONTRIBUTION_FREQUENCIES } from '../services/projectionService';
+import { loadHoldings } from '../services/portfolioService';
+import {
+  DividendStatusBadge,
+  DividendStatusLegend,
+  getStatusBarStyle,
+  renderStatusDot
+} from './DividendStatus';
+import { getAggregateDividends, getDividendStatus } from '../services/dividendData';
+import {
+  getPaymentsPerYear,
+  getRegularDistributions,
+  getTrailingDistributions,
+  getDistributionLabel,
+  FREQUENCY_LABELS
+} from '../services/payoutCalendar';
+import ExportButtons from './ExportButtons';
+import { DIVIDEND_HISTORY_COLUMNS, SCENARIO_COLUMNS } from '../services/exportService';
+import {
+  forecastDividend,
+  getCurrentVolatility,
+  DEFAULT_FORECAST_OPTIONS,
+  FORECAST_MODEL_LABELS
+} from '../services/forecastService';
 
-const WNTRDividendDashboard = () => {
+// Dividend data changes at most daily; scheduled refreshes reload it this often
+const DIVIDEND_REFRESH_MS = 60 * 60 * 1000;
+
+// Placeholder quote before the first load, and when no provider (static included) has a price
+const NO_PRICE = {
+  currentPrice: 0,
+  previousClose: 0,
+  change: 0,
+  percentChange: 0,
+  timestamp: '',
+  source: '',
+  sourceLabel: '',
+  stale: false
+};
+
+// Dashboard for one registered ticker; App remounts it when the route's symbol changes
+const WNTRDividendDashboard = ({ symbol }) => {
+  const ticker = getTicker(symbol);
+  
   // State for price, dividend data, and loading status
-  const [priceData, setPriceData] = useState({
-    currentPrice: 0,
-    previousClose: 0,
-    change: 0,
-    percentChange: 0,
-    timestamp: ''
-  });
+  const [priceData, setPriceData] = useState(NO_PRICE);
   const [dividendHistory, setDividendHistory] = useState([]);
-  const [averageMonthlyDividend, setAverageMonthlyDividend] = useState(0);
-  const [annualYield, setAnnualYield] = useState(0);
+  const [priceHistory, setPriceHistory] = useState([]);
+  const [underlyingHistory, setUnderlyingHistory] = useState([]);
+  const [includeUnconfirmed, setIncludeUnconfirmed] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState('');
-  const [refreshCounter, setRefreshCounter] = useState(0);
+  const [nextRefresh, setNextRefresh] = useState(null);
+  const [marketSession, setMarketSession] = useState(getMarketSession());
   const [darkMode, setDarkMode] = useState(false);
 
   // State for user input
@@ -35,40 +88,71 @@ const WNTRDividendDashboard = () => {
   const [useCustomDividend, setUseCustomDividend] = useState(false);
   const [scenarioName, setScenarioName] = useState('');
   const [calculatedResults, setCalculatedResults] = useState(null);
+  const [forecastModel, setForecastModel] = useState(DEFAULT_FORECAST_OPTIONS.model);
+  const [forecastConfidence, setForecastConfidence] = useState(DEFAULT_FORECAST_OPTIONS.confidence);
+  const [volatilityInput, setVolatilityInput] = useState('');
+  const [showMonteCarlo, setShowMonteCarlo] = useState(false);
+  
+  // Saved lots, kept in sync by the holdings tracker (the calendar shows income for them)
+  const [holdings, setHoldings] = useState(() => loadHoldings(symbol));
+  
+  // State for recurring contributions (first contribution defaults to next month)
+  const [contributionPlan, setContributionPlan] = useState(() => {
+    const today = new Date();
+    const nextMonth = new Date(today.getFullYear(), today.getMonth() + 1, 1);
+    return {
+      enabled: false,
+      amount: 500,
+      frequency: CONTRIBUTION_FREQUENCIES.MONTHLY,
+      startDate: `${nextMonth.getFullYear()}-${String(nextMonth.getMonth() + 1).padStart(2, '0')}-01`,
+      endDate: '',
+      annualStepUp: 0,
+      reinvest: false
+    };
+  });
+  const [contributionYears, setContributionYears] = useState(5);
+  
+  // When dividends were last reloaded (read by scheduled refreshes without re-rendering)
+  const lastDividendLoadRef = useRef(0);
   
   // Function to load all data
-  const loadData = async () => {
-    setLoading(true);
+  // force bypasses the quote cache (manual refresh); background refreshes keep the page rendered
+  const loadData = async ({ force = false, background = false } = {}) => {
+    if (!background) setLoading(true);
     setError(null);
     
     try {
-      // Fetch real-time price data
-      const price = await fetchRealTimePrice();
+      // Fetch the price (served from cache while still fresh for this market session);
+      // tickers without a static quote still get their dividend data when it fails
+      let price;
+      try {
+        price = await getCachedQuote({ symbol, force });
+      } catch (priceError) {
+        console.error(`No price available for ${symbol}:`, priceError);
+        price = { ...NO_PRICE, unavailable: true };
+      }
       setPriceData(price);
       
-      // Fetch dividend history
-      let dividends = await fetchDividendHistory();
-      
-      // Check for new dividend data
-      dividends = await checkForNewDividendData(dividends, price.currentPrice);
-      
-      // Sort by date (newest first)
-      dividends.sort((a, b) => {
-        const dateA = new Date(b.year, getMonthNumber(b.month));
-        const dateB = new Date(a.year, getMonthNumber(a.month));
-        return dateA - dateB;
-      });
-      
-      setDividendHistory(dividends);
-      
-      // Calculate average monthly dividend
-      const totalDividends = dividends.reduce((sum, item) => sum + item.dividend, 0);
-      const avgDividend = totalDividends / dividends.length;
-      setAverageMonthlyDividend(avgDividend);
-      
-      // Calculate annualized yield
-      const yield12Month = calculateAnnualizedYield(dividends, price.currentPrice);
-      setAnnualYield(yield12Month);
+      if (force || Date.now() - lastDividendLoadRef.current >= DIVIDEND_REFRESH_MS) {
+        // Fetch the last year of the ticker's and its underlying's closing prices (empty when unavailable)
+        const oneYearAgo = new Date();
+        oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
+        const fromDate = oneYearAgo.toISOString().split('T')[0];
+        setPriceHistory(await fetchPriceHistory(fromDate, symbol));
+        setUnderlyingHistory(ticker.underlying ? await fetchPriceHistory(fromDate, ticker.underlying) : []);
+        
+        // Fetch dividend history
+        let dividends = await fetchDividendHistory(symbol);
+        
+        // Check for new dividend data
+        dividends = await checkForNewDividendData(dividends, price.currentPrice, symbol);
+        
+        // Sort by ex-date (newest first); a month can hold several distributions
+        dividends.sort((a, b) => (b.exDate || '').localeCompare(a.exDate || ''));
+        
+        lastDividendLoadRef.current = Date.now();
+        setDividendHistory(dividends);
+      }
       
       // Update last updated timestamp
       setLastUpdated(new Date().toLocaleString());
@@ -81,23 +165,41 @@ const WNTRDividendDashboard = () => {
     }
   };
   
-  // Helper function to convert month name to number
-  const getMonthNumber = (monthName) => {
-    const months = {
-      'Jan': 0, 'Feb': 1, 'Mar': 2, 'Apr': 3, 'May': 4, 'Jun': 5,
-      'Jul': 6, 'Aug': 7, 'Sep': 8, 'Oct': 9, 'Nov': 10, 'Dec': 11
-    };
-    return months[monthName] || 0;
-  };
-
-  // Initial data load
+  // Initial data load and refresh scheduling
   useEffect(() => {
-    loadData();
+    let cancelled = false;
+    let refreshTimer = null;
+    
+    // Schedule the next background refresh for the current market session; paused while the tab is hidden
+    const scheduleRefresh = () => {
+      clearTimeout(refreshTimer);
+      if (cancelled) return;
+      
+      if (document.hidden) {
+        setNextRefresh(null);
+        return;
+      }
+      
+      const delay = getRefreshDelay();
+      setMarketSession(getMarketSession());
+      setNextRefresh(new Date(Date.now() + delay));
+      refreshTimer = setTimeout(() => {
+        loadData({ background: true }).then(scheduleRefresh);
+      }, delay);
+    };
+    
+    // Catch up when the tab becomes visible again (the quote cache skips the fetch if still fresh)
+    const handleVisibilityChange = () => {
+      if (document.hidden) {
+        clearTimeout(refreshTimer);
+        setNextRefresh(null);
+      } else {
+        loadData({ background: true }).then(scheduleRefresh);
+      }
+    };
     
-    // Set up periodic refresh every 5 minutes (300000 ms)
-    const refreshInterval = setInterval(() => {
-      setRefreshCounter(prev => prev + 1);
-    }, 300000);
+    loadData().then(scheduleRefresh);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
     
     // Check if dark mode preference exists in localStorage
     const savedDarkMode = localStorage.getItem('wntrDarkMode');
@@ -109,15 +211,12 @@ const WNTRDividendDashboard = () => {
       setDarkMode(prefersDarkMode);
     }
     
-    return () => clearInterval(refreshInterval);
+    return () => {
+      cancelled = true;
+      clearTimeout(refreshTimer);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
   }, []);
-  
-  // Refresh data when refresh counter changes
-  useEffect(() => {
-    if (refreshCounter > 0) {
-      loadData();
-    }
-  }, [refreshCounter]);
 
   // Update body class and localStorage when dark mode changes
   useEffect(() => {
@@ -129,6 +228,58 @@ const WNTRDividendDashboard = () => {
     localStorage.setItem('wntrDarkMode', darkMode);
   }, [darkMode]);
 
+  // Averages and yields count paid dividends only unless the toggle includes declared and estimated ones
+  const aggregateDividends = getAggregateDividends(dividendHistory, includeUnconfirmed);
+  const regularDividends = getRegularDistributions(aggregateDividends);
+  const averageDistribution = regularDividends.length > 0
+    ? regularDividends.reduce((sum, item) => sum + item.dividend, 0) / regularDividends.length
+    : 0;
+  const annualYield = calculateAnnualizedYield(aggregateDividends, priceData.currentPrice, ticker.payoutFrequency);
+  const trailingYield = calculateTrailingYield(aggregateDividends, priceData.currentPrice);
+  const forwardYield = calculateForwardYield(aggregateDividends, priceData.currentPrice, ticker.payoutFrequency);
+
+  // The calculator works in months, so per-payout amounts are scaled by payouts per month (52/12 for weekly payers)
+  const payoutsPerMonth = getPaymentsPerYear(ticker.payoutFrequency) / 12;
+  const averageMonthlyDividend = averageDistribution * payoutsPerMonth;
+
+  // Deterministic forecast of the next regular dividend from paid and declared data
+  const currentVolatility = getCurrentVolatility(underlyingHistory);
+  const forecast = forecastDividend(getRegularDistributions(dividendHistory), {
+    model: forecastModel,
+    confidence: forecastConfidence,
+    underlyingHistory,
+    volatility: volatilityInput ? parseFloat(volatilityInput) : currentVolatility
+  });
+  const forecastMonthlyDividend = forecast.value !== null ? forecast.value * payoutsPerMonth : null;
+
+  // Monthly dividend per share used by the calculator (custom scenario or selected forecast)
+  const effectiveMonthlyDividend = useCustomDividend && customDividendAmount
+    ? parseFloat(customDividendAmount)
+    : forecastMonthlyDividend !== null ? forecastMonthlyDividend : averageMonthlyDividend;
+
+  // Dividend assumptions offered by the goal planner, in the calculator's order of preference
+  const goalAssumptions = [
+    useCustomDividend && customDividendAmount
+      ? { id: 'custom', label: scenarioName || 'Custom Scenario', value: parseFloat(customDividendAmount) }
+      : null,
+    forecastMonthlyDividend !== null
+      ? { id: 'forecast', label: `Forecast: ${FORECAST_MODEL_LABELS[forecast.model]}`, value: forecastMonthlyDividend }
+      : null,
+    averageMonthlyDividend > 0 ? { id: 'average', label: 'Historical average', value: averageMonthlyDividend } : null
+  ].filter(Boolean);
+
+  // Month-by-month position with recurring contributions, priced at today's price
+  const contributionSchedule = contributionPlan.enabled
+    ? simulatePosition({
+      investmentAmount,
+      currentPrice: priceData.currentPrice,
+      monthlyDividend: effectiveMonthlyDividend,
+      years: contributionYears,
+      reinvest: contributionPlan.reinvest,
+      contributionPlan
+    })
+    : [];
+
   // Function to calculate returns
   const calculateReturns = (amount) => {
     if (!priceData.currentPrice || priceData.currentPrice === 0) {
@@ -138,9 +289,7 @@ const WNTRDividendDashboard = () => {
     const sharesOwned = amount / priceData.currentPrice;
     
     // Determine which dividend amount to use based on user selection
-    const effectiveDividendAmount = useCustomDividend && customDividendAmount 
-      ? parseFloat(customDividendAmount) 
-      : averageMonthlyDividend;
+    const effectiveDividendAmount = effectiveMonthlyDividend;
     
     // Expected monthly dividend based on selected amount
     const expectedMonthlyDividend = effectiveDividendAmount * sharesOwned;
@@ -152,29 +301,36 @@ const WNTRDividendDashboard = () => {
     const effectiveAnnualYield = (effectiveDividendAmount * 12 / priceData.currentPrice) * 100;
     
     // Calculate historical returns if invested one year ago
-    // Use up to 12 most recent months
-    const lastYearDividends = dividendHistory.slice(0, Math.min(12, dividendHistory.length));
-    const historicalDividendTotal = lastYearDividends.reduce((sum, item) => sum + item.dividend, 0);
+    // (every distribution with an ex-date in the last 12 months, whatever the frequency)
+    const historicalDividendTotal = getTrailingDistributions(aggregateDividends).total;
     const historicalReturn = historicalDividendTotal * sharesOwned;
     
     // Calculate historical monthly returns
     const monthlyReturns = dividendHistory.map(item => ({
-      label: `${item.month} ${item.year}`,
+      label: getDistributionLabel(item, ticker.payoutFrequency),
+      date: item.exDate,
+      status: getDividendStatus(item),
+      shares: sharesOwned,
       dividend: item.dividend,
       return: (item.dividend * sharesOwned).toFixed(2)
     }));
     
     // For scenarios with custom dividend, create projected returns for next 12 months
+    // (the share count grows with recurring contributions when they're enabled)
     let projectedReturns = [];
     if (useCustomDividend && customDividendAmount) {
       const today = new Date();
       for (let i = 0; i < 12; i++) {
         const futureDate = new Date(today);
         futureDate.setMonth(today.getMonth() + i);
+        const date = `${futureDate.getFullYear()}-${String(futureDate.getMonth() + 1).padStart(2, '0')}-01`;
+        const shares = getScheduledShares(contributionSchedule, date, sharesOwned);
         projectedReturns.push({
           label: `${futureDate.toLocaleString('default', { month: 'short' })} ${futureDate.getFullYear()}`,
+          date,
+          shares,
           dividend: parseFloat(customDividendAmount),
-          return: (parseFloat(customDividendAmount) * sharesOwned).toFixed(2),
+          return: (parseFloat(customDividendAmount) * shares).toFixed(2),
           isProjected: true
         });
       }
@@ -189,7 +345,7 @@ const WNTRDividendDashboard = () => {
       monthlyReturns,
       projectedReturns,
       isCustomScenario: useCustomDividend && customDividendAmount ? true : false,
-      scenarioName: scenarioName || (useCustomDividend ? 'Custom Scenario' : 'Historical Average')
+      scenarioName: scenarioName || (useCustomDividend ? 'Custom Scenario' : `Forecast: ${FORECAST_MODEL_LABELS[forecast.model]}`)
     };
   };
 
@@ -198,7 +354,7 @@ const WNTRDividendDashboard = () => {
     if (!loading && !error) {
       setCalculatedResults(calculateReturns(investmentAmount));
     }
-  }, [investmentAmount, priceData, dividendHistory, averageMonthlyDividend, annualYield, loading, error, useCustomDividend, customDividendAmount, scenarioName]);
+  }, [investmentAmount, priceData, dividendHistory, effectiveMonthlyDividend, includeUnconfirmed, loading, error, useCustomDividend, customDividendAmount, scenarioName, forecast.model, contributionPlan, contributionYears]);
 
   // Handle input change
   const handleAmountChange = (e) => {
@@ -250,20 +406,20 @@ const WNTRDividendDashboard = () => {
         break;
       case 'highest':
         // Use highest historical dividend
-        const highestDividend = Math.max(...dividendHistory.map(item => item.dividend));
+        const highestDividend = Math.max(...regularDividends.map(item => item.dividend)) * payoutsPerMonth;
         setCustomDividendAmount(highestDividend.toFixed(4));
         setScenarioName('Peak Performance');
         setUseCustomDividend(true);
         break;
       case 'lowest':
         // Use lowest historical dividend
-        const lowestDividend = Math.min(...dividendHistory.map(item => item.dividend));
+        const lowestDividend = Math.min(...regularDividends.map(item => item.dividend)) * payoutsPerMonth;
         setCustomDividendAmount(lowestDividend.toFixed(4));
         setScenarioName('Minimum Performance');
         setUseCustomDividend(true);
         break;
       case 'reset':
-        // Reset to historical average
+        // Reset to the selected forecast
         setUseCustomDividend(false);
         setCustomDividendAmount('');
         setScenarioName('');
@@ -280,13 +436,13 @@ const WNTRDividendDashboard = () => {
   
   // Handle manual refresh
   const handleRefresh = () => {
-    loadData();
+    loadData({ force: true });
   };
 
   // Format chart data
   const chartData = dividendHistory.map(item => ({
     ...item,
-    label: `${item.month} ${item.year}`
+    label: getDistributionLabel(item, ticker.payoutFrequency)
   }));
 
   // Format class names based on dark mode
@@ -386,8 +542,32 @@ const WNTRDividendDashboard = () => {
   return (
     <div className={getThemeClasses.container}>
       <div className="mb-6 text-center relative">
-        <h1 className={getThemeClasses.title}>WNTR Dividend Calculator Dashboard</h1>
-        <p className={darkMode ? "text-gray-400" : "text-gray-600"}>Calculate expected returns from WNTR based on real-time data</p>
+        <h1 className={getThemeClasses.title}>{symbol} Dividend Calculator Dashboard</h1>
+        <p className={darkMode ? "text-gray-400" : "text-gray-600"}>Calculate expected returns from {ticker.name} ({symbol}) based on real-time data</p>
+        
+        {/* Symbol switcher (each ticker has its own #/SYMBOL route) */}
+        <div className="flex flex-wrap justify-center gap-2 mt-3">
+          {TICKERS.map(item => (
+            <a
+              key={item.symbol}
+              href={getTickerHash(item.symbol)}
+              title={item.name}
+              aria-current={item.symbol === symbol ? 'page' : undefined}
+              className={item.symbol === symbol
+                ? (darkMode ? "px-3 py-1 rounded-md text-sm font-semibold bg-indigo-700 text-white" : "px-3 py-1 rounded-md text-sm font-semibold bg-blue-600 text-white")
+                : (darkMode ? "px-3 py-1 rounded-md text-sm bg-gray-700 text-gray-200 hover:bg-gray-600" : "px-3 py-1 rounded-md text-sm bg-gray-100 text-gray-700 hover:bg-gray-200")}
+            >
+              {item.symbol}
+            </a>
+          ))}
+          <a
+            href={COMPARE_HASH}
+            title="Compare every ticker side by side"
+            className={darkMode ? "px-3 py-1 rounded-md text-sm text-indigo-300 hover:bg-gray-700" : "px-3 py-1 rounded-md text-sm text-blue-600 hover:bg-gray-100"}
+          >
+            Compare
+          </a>
+        </div>
         
         {/* Dark Mode Toggle */}
         <button 
@@ -411,6 +591,11 @@ const WNTRDividendDashboard = () => {
           <span className={darkMode ? "text-sm text-gray-400" : "text-sm text-gray-500"}>
             Last updated: {lastUpdated || 'Never'}
           </span>
+          <span className={darkMode ? "text-sm text-gray-400" : "text-sm text-gray-500"}>
+            · {SESSION_LABELS[marketSession]} · {nextRefresh
+              ? `Next refresh ${nextRefresh.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`
+              : 'Auto-refresh paused'}
+          </span>
           <button 
             onClick={handleRefresh}
             disabled={loading}
@@ -431,10 +616,30 @@ const WNTRDividendDashboard = () => {
       </div>
       
       {/* Environment variable check notice */}
-      {!process.env.REACT_APP_FINANCE_API_KEY && (
+      {getProviderChain().length === 0 && (
         <div className={getThemeClasses.warningBanner}>
           <p className="font-bold">API Key Not Found</p>
-          <p>Finnhub API key environment variable (REACT_APP_FINANCE_API_KEY) is not configured. The dashboard will use fallback data.</p>
+          <p>No price provider is configured (REACT_APP_FINANCE_API_KEY, REACT_APP_POLYGON_API_KEY or REACT_APP_ALPHA_VANTAGE_API_KEY). The dashboard will use static fallback data.</p>
+        </div>
+      )}
+      
+      {/* Stale price notice */}
+      {!loading && getProviderChain().length > 0 && (priceData.source === 'static' || priceData.lastGood) && (
+        <div className={getThemeClasses.warningBanner}>
+          <p className="font-bold">Live Price Unavailable</p>
+          <p>
+            {priceData.lastGood
+              ? `All configured price providers failed or are rate limited. The price shown is the last good ${priceData.sourceLabel} quote from ${priceData.timestamp}.`
+              : `All configured price providers failed. The price shown is static fallback data from ${priceData.timestamp}.`}
+          </p>
+        </div>
+      )}
+      
+      {/* No price at all (no live quote, no saved quote and no static fallback) */}
+      {!loading && priceData.unavailable && (
+        <div className={getThemeClasses.warningBanner}>
+          <p className="font-bold">Price Unavailable</p>
+          <p>No price provider returned a quote for {symbol} and it has no static fallback. Dividend data is shown; yields and the sections that need a price come back once a quote loads.</p>
         </div>
       )}
       
@@ -465,41 +670,72 @@ const WNTRDividendDashboard = () => {
         <>
           {/* TradingView Chart Section */}
           <div className={`${getThemeClasses.card} mb-8`}>
-            <h2 className={getThemeClasses.chartTitle}>WNTR Price Chart</h2>
+            <h2 className={getThemeClasses.chartTitle}>{symbol} Price Chart</h2>
             <div className="h-96 mt-4">
-              <TradingViewWidget darkMode={darkMode} />
+              <TradingViewWidget darkMode={darkMode} symbol={getTradingViewSymbol(ticker)} />
             </div>
           </div>
           
+          {/* Aggregate basis toggle */}
+          <div className="flex items-center justify-end mb-2">
+            <input
+              type="checkbox"
+              id="includeUnconfirmed"
+              checked={includeUnconfirmed}
+              onChange={(e) => setIncludeUnconfirmed(e.target.checked)}
+              className={getThemeClasses.checkbox}
+            />
+            <label htmlFor="includeUnconfirmed" className={darkMode ? "text-gray-300 text-sm" : "text-gray-700 text-sm"}>
+              Include declared and estimated dividends in averages
+            </label>
+          </div>
+          
           {/* Key stats section */}
           <div className="grid grid-cols-1 md:grid-cols-4 gap-4 md:gap-6 mb-8">
             <div className={`${getThemeClasses.statsCard} border-l-4 border-blue-500`}>
               <h2 className={darkMode ? "text-lg font-semibold text-gray-300" : "text-lg font-semibold text-gray-700"}>Current Price</h2>
               <div className="flex items-baseline">
                 <p className={darkMode ? "text-3xl font-bold text-blue-300" : "text-3xl font-bold text-blue-700"}>
-                  ${priceData.currentPrice.toFixed(2)}
+                  {priceData.unavailable ? '—' : `$${priceData.currentPrice.toFixed(2)}`}
                 </p>
-                <span className={`ml-2 text-sm ${priceData.change >= 0 ? (darkMode ? 'text-green-300' : 'text-green-600') : (darkMode ? 'text-red-300' : 'text-red-600')}`}>
-                  {priceData.change >= 0 ? '+' : ''}{priceData.change.toFixed(2)} ({priceData.percentChange.toFixed(2)}%)
-                </span>
+                {!priceData.unavailable && (
+                  <span className={`ml-2 text-sm ${priceData.change >= 0 ? (darkMode ? 'text-green-300' : 'text-green-600') : (darkMode ? 'text-red-300' : 'text-red-600')}`}>
+                    {priceData.change >= 0 ? '+' : ''}{priceData.change.toFixed(2)} ({priceData.percentChange.toFixed(2)}%)
+                  </span>
+                )}
               </div>
-              <p className={darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1"}>As of {priceData.timestamp}</p>
+              <p className={darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1"}>
+                {priceData.unavailable ? 'Unavailable' : `As of ${priceData.timestamp} · ${priceData.sourceLabel}`}
+                {priceData.stale && (
+                  <span className={darkMode ? "ml-1 text-yellow-300 font-semibold" : "ml-1 text-yellow-700 font-semibold"}>(stale)</span>
+                )}
+              </p>
             </div>
             
             <div className={`${getThemeClasses.statsCard} border-l-4 border-green-500`}>
-              <h2 className={darkMode ? "text-lg font-semibold text-gray-300" : "text-lg font-semibold text-gray-700"}>Avg Monthly Dividend</h2>
+              <h2 className={darkMode ? "text-lg font-semibold text-gray-300" : "text-lg font-semibold text-gray-700"}>Avg {FREQUENCY_LABELS[ticker.payoutFrequency]} Dividend</h2>
               <p className={darkMode ? "text-3xl font-bold text-green-300" : "text-3xl font-bold text-green-700"}>
-                ${averageMonthlyDividend.toFixed(4)}
+                ${averageDistribution.toFixed(4)}
+              </p>
+              <p className={darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1"}>
+                Per share · {includeUnconfirmed ? 'all statuses' : 'paid only'} ({regularDividends.length})
+                {payoutsPerMonth !== 1 && ` · ≈ $${averageMonthlyDividend.toFixed(4)}/month`}
               </p>
-              <p className={darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1"}>Per share</p>
             </div>
             
             <div className={`${getThemeClasses.statsCard} border-l-4 border-purple-500`}>
               <h2 className={darkMode ? "text-lg font-semibold text-gray-300" : "text-lg font-semibold text-gray-700"}>Annual Yield</h2>
               <p className={darkMode ? "text-3xl font-bold text-purple-300" : "text-3xl font-bold text-purple-700"}>
-                {annualYield.toFixed(2)}%
+                {priceData.unavailable ? '—' : `${annualYield.toFixed(2)}%`}
+              </p>
+              <p className={darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1"}>
+                Based on current price · {includeUnconfirmed ? 'all statuses' : 'paid only'}
               </p>
-              <p className={darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1"}>Based on current price</p>
+              {!priceData.unavailable && (
+                <p className={darkMode ? "text-gray-400 text-xs" : "text-gray-500 text-xs"}>
+                  Trailing 12M {trailingYield.toFixed(2)}% · Forward {forwardYield.toFixed(2)}%
+                </p>
+              )}
             </div>
             
             <div className={`${getThemeClasses.statsCard} border-l-4 border-amber-500`}>
@@ -509,8 +745,9 @@ const WNTRDividendDashboard = () => {
               </p>
               <p className={darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1"}>
                 {dividendHistory.length > 0 
-                  ? `${dividendHistory[0].month} ${dividendHistory[0].year} (${dividendHistory[0].yield.toFixed(2)}%)`
+                  ? `${getDistributionLabel(dividendHistory[0], ticker.payoutFrequency)} (${dividendHistory[0].yield.toFixed(2)}%) `
                   : 'No data available'}
+                {dividendHistory.length > 0 && <DividendStatusBadge darkMode={darkMode} record={dividendHistory[0]} />}
               </p>
             </div>
           </div>
@@ -540,6 +777,20 @@ const WNTRDividendDashboard = () => {
               </div>
             </div>
             
+            {/* Forecast model section */}
+            <ForecastSelector
+              darkMode={darkMode}
+              model={forecastModel}
+              onModelChange={setForecastModel}
+              confidence={forecastConfidence}
+              onConfidenceChange={setForecastConfidence}
+              volatility={volatilityInput}
+              onVolatilityChange={setVolatilityInput}
+              currentVolatility={currentVolatility}
+              underlying={ticker.underlying}
+              forecast={forecast}
+            />
+            
             {/* Custom dividend scenario section */}
             <div className={getThemeClasses.scenario}>
               <h3 className={darkMode ? "text-lg font-bold text-gray-200 mb-3" : "text-lg font-bold text-gray-800 mb-3"}>
@@ -622,9 +873,26 @@ const WNTRDividendDashboard = () => {
                   onClick={() => applyPresetScenario('reset')} 
                   className={getThemeClasses.resetBtn}
                 >
-                  Reset to Average
+                  Reset to Forecast
+                </button>
+                <button 
+                  onClick={() => setShowMonteCarlo(!showMonteCarlo)} 
+                  className={getThemeClasses.button}
+                >
+                  {showMonteCarlo ? 'Hide Monte Carlo' : 'Monte Carlo'}
                 </button>
               </div>
+              
+              {showMonteCarlo && (
+                <MonteCarloPanel
+                  darkMode={darkMode}
+                  investmentAmount={investmentAmount}
+                  currentPrice={priceData.currentPrice}
+                  dividendHistory={dividendHistory}
+                  priceHistory={priceHistory}
+                  frequency={ticker.payoutFrequency}
+                />
+              )}
             </div>
             
             {calculatedResults && (
@@ -671,14 +939,45 @@ const WNTRDividendDashboard = () => {
                 </div>
               </>
             )}
+            
+            {/* Recurring contribution (DCA) schedule */}
+            {calculatedResults && (
+              <ContributionSchedule
+                darkMode={darkMode}
+                symbol={symbol}
+                plan={contributionPlan}
+                onPlanChange={setContributionPlan}
+                years={contributionYears}
+                onYearsChange={setContributionYears}
+                schedule={contributionSchedule}
+              />
+            )}
           </div>
           
+          {/* Holdings tracker (lots saved in localStorage) */}
+          <PortfolioTracker
+            darkMode={darkMode}
+            symbol={symbol}
+            currentPrice={priceData.currentPrice}
+            dividendHistory={dividendHistory}
+            onLotsChange={setHoldings}
+          />
+          
+          {/* Dividend calendar (past and upcoming dates, with income for the saved lots) */}
+          <DividendCalendar
+            darkMode={darkMode}
+            ticker={ticker}
+            dividendHistory={dividendHistory}
+            holdings={holdings}
+            projectedDividend={forecast.value}
+          />
+          
           {/* Charts section - only shown if we have enough dividend history */}
           {chartData.length > 0 && (
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
               {/* Dividend history chart */}
               <div className={getThemeClasses.card}>
-                <h2 className={getThemeClasses.chartTitle}>WNTR Monthly Dividend History</h2>
+                <h2 className={getThemeClasses.chartTitle}>{symbol} {FREQUENCY_LABELS[ticker.payoutFrequency]} Dividend History</h2>
                 <div className="h-64">
                   <ResponsiveContainer width="100%" height="100%">
                     <BarChart data={chartData}>
@@ -703,7 +1002,7 @@ const WNTRDividendDashboard = () => {
                         }}
                       />
                       <ReferenceLine 
-                        y={averageMonthlyDividend} 
+                        y={averageDistribution} 
                         stroke={darkMode ? "#EF4444" : "red"} 
                         strokeDasharray="3 3" 
                         label={{ 
@@ -724,15 +1023,20 @@ const WNTRDividendDashboard = () => {
                           }} 
                         />
                       )}
-                      <Bar dataKey="dividend" fill={darkMode ? "#6366F1" : "#4F46E5"} name="Dividend" />
+                      <Bar dataKey="dividend" fill={darkMode ? "#6366F1" : "#4F46E5"} name="Dividend">
+                        {chartData.map((item, index) => (
+                          <Cell key={`cell-${index}`} {...getStatusBarStyle(item, darkMode ? "#6366F1" : "#4F46E5")} />
+                        ))}
+                      </Bar>
                     </BarChart>
                   </ResponsiveContainer>
                 </div>
+                <DividendStatusLegend darkMode={darkMode} color={darkMode ? "#6366F1" : "#4F46E5"} />
               </div>
               
               {/* Dividend yield chart */}
               <div className={getThemeClasses.card}>
-                <h2 className={getThemeClasses.chartTitle}>WNTR Monthly Yield % History</h2>
+                <h2 className={getThemeClasses.chartTitle}>{symbol} Monthly Yield % History</h2>
                 <div className="h-64">
                   <ResponsiveContainer width="100%" height="100%">
                     <LineChart data={chartData}>
@@ -761,12 +1065,13 @@ const WNTRDividendDashboard = () => {
                         dataKey="yield" 
                         stroke={darkMode ? "#A78BFA" : "#7E22CE"} 
                         name="Yield %" 
-                        dot={{ r: 3, fill: darkMode ? "#A78BFA" : "#7E22CE" }} 
+                        dot={renderStatusDot(darkMode ? "#A78BFA" : "#7E22CE")} 
                         strokeWidth={2} 
                       />
                     </LineChart>
                   </ResponsiveContainer>
                 </div>
+                <DividendStatusLegend darkMode={darkMode} color={darkMode ? "#A78BFA" : "#7E22CE"} />
               </div>
             </div>
           )}
@@ -774,12 +1079,21 @@ const WNTRDividendDashboard = () => {
           {/* Returns chart (based on investment) */}
           {calculatedResults && (
             <div className={getThemeClasses.card + " mb-8"}>
-              <h2 className={getThemeClasses.chartTitle}>
-                {calculatedResults.isCustomScenario 
-                  ? `Projected Monthly Returns (${calculatedResults.scenarioName})` 
-                  : `Expected Monthly Returns`} 
-                (${investmentAmount.toLocaleString()})
-              </h2>
+              <div className="flex flex-wrap justify-between items-start gap-2">
+                <h2 className={getThemeClasses.chartTitle}>
+                  {calculatedResults.isCustomScenario 
+                    ? `Projected Monthly Returns (${calculatedResults.scenarioName})` 
+                    : `Expected Monthly Returns`} 
+                  (${investmentAmount.toLocaleString()})
+                </h2>
+                <ExportButtons
+                  darkMode={darkMode}
+                  symbol={symbol}
+                  name={calculatedResults.isCustomScenario ? 'scenario-projection' : 'scenario-returns'}
+                  rows={calculatedResults.isCustomScenario ? calculatedResults.projectedReturns : calculatedResults.monthlyReturns}
+                  columns={SCENARIO_COLUMNS}
+                />
+              </div>
               <div className="h-64">
                 <ResponsiveContainer width="100%" height="100%">
                   <BarChart 
@@ -811,11 +1125,19 @@ const WNTRDividendDashboard = () => {
                       dataKey="return" 
                       fill={calculatedResults.isCustomScenario ? (darkMode ? "#0E7490" : "#0891B2") : (darkMode ? "#059669" : "#16A34A")} 
                       name="Monthly Return" 
-                    />
+                    >
+                      {!calculatedResults.isCustomScenario && calculatedResults.monthlyReturns.map((item, index) => (
+                        <Cell key={`cell-${index}`} {...getStatusBarStyle(item, darkMode ? "#059669" : "#16A34A")} />
+                      ))}
+                    </Bar>
                   </BarChart>
                 </ResponsiveContainer>
               </div>
               
+              {!calculatedResults.isCustomScenario && (
+                <DividendStatusLegend darkMode={darkMode} color={darkMode ? "#059669" : "#16A34A"} />
+              )}
+              
               {calculatedResults.isCustomScenario && (
                 <div className={darkMode ? "mt-2 text-xs text-gray-400 italic" : "mt-2 text-xs text-gray-500 italic"}>
                   Note: This chart shows projected returns based on the custom dividend amount of ${parseFloat(customDividendAmount).toFixed(4)} per share.
@@ -824,9 +1146,62 @@ const WNTRDividendDashboard = () => {
             </div>
           )}
           
+          {/* DRIP simulator (uses the same dividend assumption as the calculator) */}
+          {calculatedResults && (
+            <DripSimulator
+              darkMode={darkMode}
+              symbol={symbol}
+              investmentAmount={investmentAmount}
+              currentPrice={priceData.currentPrice}
+              monthlyDividend={effectiveMonthlyDividend}
+            />
+          )}
+          
+          {/* Income goal planner (how much to invest for a target monthly income) */}
+          {calculatedResults && (
+            <IncomeGoalPlanner
+              darkMode={darkMode}
+              investmentAmount={investmentAmount}
+              currentPrice={priceData.currentPrice}
+              assumptions={goalAssumptions}
+            />
+          )}
+          
+          {/* Total return projection (distributions plus price change) */}
+          {calculatedResults && (
+            <TotalReturnPanel
+              darkMode={darkMode}
+              investmentAmount={investmentAmount}
+              currentPrice={priceData.currentPrice}
+              monthlyDividend={effectiveMonthlyDividend}
+              priceHistory={priceHistory}
+              dividendHistory={dividendHistory}
+            />
+          )}
+          
+          {/* Tax estimate for the calculator scenario */}
+          {calculatedResults && (
+            <TaxEstimator
+              darkMode={darkMode}
+              investmentAmount={investmentAmount}
+              currentPrice={priceData.currentPrice}
+              monthlyDividend={effectiveMonthlyDividend}
+              dividendHistory={dividendHistory}
+            />
+          )}
+          
           {/* Dividend history table */}
           <div className={getThemeClasses.card + " mb-8"}>
-            <h2 className={getThemeClasses.chartTitle}>Dividend History</h2>
+            <div className="flex flex-wrap justify-between items-start gap-2">
+              <h2 className={getThemeClasses.chartTitle}>Dividend History</h2>
+              <ExportButtons
+                darkMode={darkMode}
+                symbol={symbol}
+                name="dividend-history"
+                rows={dividendHistory}
+                columns={DIVIDEND_HISTORY_COLUMNS}
+              />
+            </div>
             <div className="overflow-x-auto">
               <table className={darkMode ? "min-w-full bg-gray-800" : "min-w-full bg-white"}>
                 <thead className={getThemeClasses.tableHeader}>
@@ -835,12 +1210,21 @@ const WNTRDividendDashboard = () => {
                     <th className={darkMode ? "py-2 px-4 border-b border-gray-700 text-right text-gray-300" : "py-2 px-4 border-b text-right"}>Amount</th>
                     <th className={darkMode ? "py-2 px-4 border-b border-gray-700 text-right text-gray-300" : "py-2 px-4 border-b text-right"}>Yield</th>
                     <th className={darkMode ? "py-2 px-4 border-b border-gray-700 text-left text-gray-300" : "py-2 px-4 border-b text-left"}>Ex-Dividend Date</th>
+                    <th className={darkMode ? "py-2 px-4 border-b border-gray-700 text-left text-gray-300" : "py-2 px-4 border-b text-left"}>Status</th>
                   </tr>
                 </thead>
                 <tbody>
                   {dividendHistory.map((dividend, index) => (
-                    <tr key={index} className={index % 2 === 0 ? (darkMode ? 'bg-gray-900' : 'bg-gray-50') : ''}>
-                      <td className={darkMode ? "py-2 px-4 border-b border-gray-700 text-gray-300" : "py-2 px-4 border-b"}>{dividend.month} {dividend.year}</td>
+                    <tr 
+                      key={dividend.exDate || index} 
+                      className={`${index % 2 === 0 ? (darkMode ? 'bg-gray-900' : 'bg-gray-50') : ''} ${getDividendStatus(dividend) === 'paid' ? '' : 'italic'} ${getDividendStatus(dividend) === 'estimated' ? 'opacity-70' : ''}`}
+                    >
+                      <td className={darkMode ? "py-2 px-4 border-b border-gray-700 text-gray-300" : "py-2 px-4 border-b"}>
+                        {getDistributionLabel(dividend, ticker.payoutFrequency)}
+                        {dividend.type === 'special' && (
+                          <span className={darkMode ? "ml-2 text-xs text-amber-300" : "ml-2 text-xs text-amber-700"}>special</span>
+                        )}
+                      </td>
                       <td className={darkMode ? "py-2 px-4 border-b border-gray-700 text-right text-gray-300" : "py-2 px-4 border-b text-right"}>
                         ${dividend.dividend.toFixed(4)}
                       </td>
@@ -850,6 +1234,17 @@ const WNTRDividendDashboard = () => {
                       <td className={darkMode ? "py-2 px-4 border-b border-gray-700 text-gray-300" : "py-2 px-4 border-b"}>
                         {dividend.exDate || 'N/A'}
                       </td>
+                      <td className={darkMode ? "py-2 px-4 border-b border-gray-700 text-gray-300" : "py-2 px-4 border-b"}>
+                        <DividendStatusBadge darkMode={darkMode} record={dividend} />
+                        {dividend.corrections && dividend.corrections.length > 0 && (
+                          <span 
+                            className={darkMode ? "ml-2 text-xs text-gray-400" : "ml-2 text-xs text-gray-500"}
+                            title={dividend.corrections.map(item => `${item.date}: ${item.field} ${item.from} → ${item.to}${item.reason ? ` (${item.reason})` : ''}`).join('\n')}
+                          >
+                            corrected
+                          </span>
+                        )}
+                      </td>
                     </tr>
                   ))}
                 </tbody>
@@ -861,10 +1256,10 @@ const WNTRDividendDashboard = () => {
           <div className={getThemeClasses.card}>
             <h2 className={getThemeClasses.chartTitle}>Important Disclaimer</h2>
             <p className={darkMode ? "text-gray-300 text-sm" : "text-gray-700 text-sm"}>
-              This dashboard is for informational purposes only. Historical dividend payments may not be indicative of future returns. WNTR dividends can vary significantly month to month based on the fund's strategy of selling options on MicroStrategy (MSTR). The YieldMax MSTR Short Option Income Strategy ETF (WNTR) is an actively managed ETF that uses options strategies which may limit upside potential. Please consult with a financial advisor before making investment decisions.
+              This dashboard is for informational purposes only. Historical dividend payments may not be indicative of future returns. {symbol} dividends can vary significantly from one payout to the next based on the fund's options strategy. {ticker.name} ({symbol}): {ticker.description} Please consult with a financial advisor before making investment decisions.
             </p>
             <p className={darkMode ? "text-gray-300 text-sm mt-2" : "text-gray-700 text-sm mt-2"}>
-              Data is refreshed automatically every 5 minutes or when you click the refresh button. Price data is in real-time, while dividend information may be delayed.
+              Data is refreshed automatically every 2 minutes while the US market is open, less often outside regular hours, and only every few hours on weekends and market holidays, or when you click the refresh button. Price data is in real-time, while dividend information may be delayed.
             </p>
             <p className={darkMode ? "text-gray-300 text-sm mt-2" : "text-gray-700 text-sm mt-2"}>
               Custom dividend scenarios are for projection purposes only and do not guarantee actual returns.
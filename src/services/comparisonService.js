@@ -0,0 +1,163 @@
+/**
+ * Comparison Service for the Dividend Dashboard
+ *
+ * Side-by-side metrics for registered income ETFs: trailing distributions,
+ * annualized and forward yield (at each fund's payout frequency),
+ * distribution volatility, price change and total return since inception,
+ * plus chart rows that overlay every ticker by month.
+ * Metrics count paid dividends only, like the dashboard's aggregates.
+ */
+
+import { calculateAnnualizedYield, calculateForwardYield } from './financeService';
+import { getAggregateDividends } from './dividendData';
+import { getTicker } from './tickerRegistry';
+import { getRegularDistributions, getTrailingDistributions } from './payoutCalendar';
+
+export const NORMALIZED_INVESTMENT = 10000;
+
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const sortByExDate = (dividends) => [...dividends]
+  .filter(item => item.exDate)
+  .sort((a, b) => a.exDate.localeCompare(b.exDate));
+
+const toMonthLabel = (monthKey) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  return `${MONTH_NAMES[month - 1]} ${year}`;
+};
+
+/**
+ * Distribution volatility: coefficient of variation of the last 12 paid regular distributions
+ * @param {Array} dividends - Dashboard dividends
+ * @returns {number|null} Standard deviation as a percent of the mean, or null with fewer than two
+ */
+export const getDistributionVolatility = (dividends) => {
+  const amounts = sortByExDate(getRegularDistributions(getAggregateDividends(dividends, false)))
+    .slice(-12)
+    .map(item => item.dividend);
+
+  if (amounts.length < 2) {
+    return null;
+  }
+
+  const mean = amounts.reduce((sum, value) => sum + value, 0) / amounts.length;
+  const variance = amounts.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (amounts.length - 1);
+  return mean > 0 ? (Math.sqrt(variance) / mean) * 100 : null;
+};
+
+/**
+ * Price to measure "since inception" from
+ * Uses the first close in the price history; without one, the price implied
+ * by the earliest dividend's yield (amount / yield).
+ * @param {Array} priceHistory - Points of { date, close } from inception
+ * @param {Array} dividends - Dashboard dividends
+ * @returns {Object|null} { price, date, basis: 'history' | 'implied' }
+ */
+export const getStartingPrice = (priceHistory, dividends) => {
+  const closes = (priceHistory || []).filter(point => point.close > 0);
+  if (closes.length > 0) {
+    const first = [...closes].sort((a, b) => a.date.localeCompare(b.date))[0];
+    return { price: first.close, date: first.date, basis: 'history' };
+  }
+
+  const earliest = sortByExDate(dividends).find(item => item.yield > 0);
+  return earliest
+    ? { price: earliest.dividend / (earliest.yield / 100), date: earliest.exDate, basis: 'implied' }
+    : null;
+};
+
+/**
+ * Comparison metrics for one ticker
+ * @param {Object} options - Ticker data
+ * @param {string} options.symbol - Ticker
+ * @param {Array} options.dividends - Dashboard dividends
+ * @param {number|null} options.currentPrice - Latest price
+ * @param {Array} options.priceHistory - Daily closes since inception
+ * @returns {Object} Metrics row (null fields when the data isn't there)
+ */
+export const summarizeTicker = ({ symbol, dividends, currentPrice, priceHistory }) => {
+  const ticker = getTicker(symbol);
+  const frequency = ticker ? ticker.payoutFrequency : undefined;
+  const paid = getAggregateDividends(dividends, false);
+  const trailing = getTrailingDistributions(paid);
+  const start = getStartingPrice(priceHistory, dividends);
+  const hasPrice = currentPrice > 0;
+
+  // Distributions paid since the starting price (without reinvestment)
+  const distributionsSinceStart = start
+    ? paid.filter(item => item.exDate >= start.date).reduce((sum, item) => sum + item.dividend, 0)
+    : 0;
+
+  return {
+    symbol,
+    currentPrice: hasPrice ? currentPrice : null,
+    paidCount: paid.length,
+    trailingTotal: trailing.total,
+    trailingCount: trailing.count,
+    trailingYield: hasPrice && trailing.count > 0 ? (trailing.total / currentPrice) * 100 : null,
+    annualizedYield: hasPrice && paid.length > 0 ? calculateAnnualizedYield(paid, currentPrice, frequency) : null,
+    forwardYield: hasPrice && paid.length > 0 ? calculateForwardYield(paid, currentPrice, frequency) : null,
+    distributionVolatility: getDistributionVolatility(dividends),
+    startDate: start ? start.date : null,
+    startPrice: start ? start.price : null,
+    startBasis: start ? start.basis : null,
+    priceChange: hasPrice && start ? ((currentPrice - start.price) / start.price) * 100 : null,
+    totalReturn: hasPrice && start ? ((currentPrice + distributionsSinceStart - start.price) / start.price) * 100 : null
+  };
+};
+
+/**
+ * Collects every month that appears in any ticker's dividends
+ * @param {Array<Object>} series - Items of { symbol, dividends }
+ * @returns {Array<string>} Sorted month keys (YYYY-MM)
+ */
+const getAllMonths = (series) => [...new Set(series.flatMap(({ dividends }) => getAggregateDividends(dividends, false)
+  .filter(item => item.exDate)
+  .map(item => item.exDate.slice(0, 7))))]
+  .sort();
+
+/**
+ * Monthly distribution yield per ticker, overlaid by month
+ * Several distributions in one month are added together.
+ * @param {Array<Object>} series - Items of { symbol, dividends }
+ * @returns {Array<Object>} Rows of { month, label, [symbol]: yield % }
+ */
+export const buildYieldComparison = (series) => {
+  const months = getAllMonths(series);
+
+  return months.map(month => series.reduce((row, { symbol, dividends }) => {
+    const inMonth = getAggregateDividends(dividends, false).filter(item => item.exDate && item.exDate.startsWith(month));
+    return inMonth.length > 0
+      ? { ...row, [symbol]: parseFloat(inMonth.reduce((sum, item) => sum + (item.yield || 0), 0).toFixed(2)) }
+      : row;
+  }, { month, label: toMonthLabel(month) }));
+};
+
+/**
+ * Cumulative income from a fixed amount invested at each ticker's starting price
+ * Lines start in the month of each ticker's first paid distribution.
+ * @param {Array<Object>} series - Items of { symbol, dividends, priceHistory }
+ * @param {number} amount - Dollars invested in each ticker
+ * @returns {Array<Object>} Rows of { month, label, [symbol]: cumulative income }
+ */
+export const buildIncomeComparison = (series, amount = NORMALIZED_INVESTMENT) => {
+  const months = getAllMonths(series);
+  const lines = series.map(({ symbol, dividends, priceHistory }) => {
+    const start = getStartingPrice(priceHistory, dividends);
+    const shares = start ? amount / start.price : 0;
+    const incomeByMonth = getAggregateDividends(dividends, false)
+      .filter(item => item.exDate && (!start || item.exDate >= start.date))
+      .reduce((totals, item) => {
+        const month = item.exDate.slice(0, 7);
+        return { ...totals, [month]: (totals[month] || 0) + item.dividend * shares };
+      }, {});
+    return { symbol, incomeByMonth, firstMonth: Object.keys(incomeByMonth).sort()[0] };
+  });
+
+  const cumulative = {};
+  return months.map(month => lines.reduce((row, { symbol, incomeByMonth, firstMonth }) => {
+    if (!firstMonth || month < firstMonth) return row;
+    cumulative[symbol] = (cumulative[symbol] || 0) + (incomeByMonth[month] || 0);
+    return { ...row, [symbol]: parseFloat(cumulative[symbol].toFixed(2)) };
+  }, { month, label: toMonthLabel(month) }));
+};
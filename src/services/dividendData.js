@@ -0,0 +1,95 @@
+/**
+ * Dividend Data File for WNTR Dashboard
+ *
+ * Converts the records of the versioned dividend data files
+ * (public/data/dividends/<SYMBOL>.json) into the shape used by the dashboard.
+ * Validation lives in dividendSchema.js, which the updater uses too.
+ *
+ * Records are keyed by ex-date; a month can hold several (weekly payers, or
+ * a special distribution next to the regular one).
+ *
+ * Status lifecycle: estimated -> declared -> paid. A status never moves
+ * backwards; changes to a declared or paid record's amount or dates are
+ * kept as corrections on the record. Only the updater changes records
+ * (applyDividendUpdate in scripts/lib/dividend-data.js).
+ */
+
+import {
+  DIVIDEND_SCHEMA_VERSION,
+  DIVIDEND_STATUSES,
+  CHARACTER_FIELDS,
+  CORRECTED_FIELDS,
+  DIVIDEND_TYPES,
+  validateDividendData
+} from './dividendSchema';
+
+export {
+  DIVIDEND_SCHEMA_VERSION,
+  DIVIDEND_STATUSES,
+  CHARACTER_FIELDS,
+  CORRECTED_FIELDS,
+  DIVIDEND_TYPES,
+  validateDividendData
+};
+
+export const STATUS_LABELS = {
+  paid: 'Paid',
+  declared: 'Declared',
+  estimated: 'Estimated'
+};
+
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/**
+ * Converts a data file record into the shape used by the dashboard
+ * (month/year labels derived from the ex-dividend date; records without a
+ * type are regular distributions)
+ * @param {Object} record - Validated dividend record
+ * @returns {Object} Dashboard dividend entry
+ */
+export const toDashboardDividend = (record) => {
+  const [year, month] = record.exDate.split('-').map(Number);
+
+  return {
+    month: MONTH_NAMES[month - 1],
+    year,
+    dividend: record.amount,
+    yield: record.yield != null ? record.yield : 0,
+    exDate: record.exDate,
+    payDate: record.payDate,
+    declarationDate: record.declarationDate || null,
+    recordDate: record.recordDate || null,
+    source: record.source,
+    status: record.status,
+    type: record.type || 'regular',
+    character: record.character || null,
+    corrections: record.corrections || []
+  };
+};
+
+/**
+ * Get a record's lifecycle status
+ * Records built before statuses existed carry an `estimated` flag instead.
+ * @param {Object} record - Dividend record (data file or dashboard shape)
+ * @returns {string} One of DIVIDEND_STATUSES
+ */
+export const getDividendStatus = (record) => {
+  if (DIVIDEND_STATUSES.includes(record.status)) return record.status;
+  return record.estimated ? 'estimated' : 'paid';
+};
+
+/**
+ * Check if a dividend has been paid (the only status counted as confirmed)
+ * @param {Object} record - Dividend record
+ * @returns {boolean} True when paid
+ */
+export const isConfirmedDividend = (record) => getDividendStatus(record) === 'paid';
+
+/**
+ * Get the dividends that feed averages, yields and totals
+ * @param {Array} dividends - Dividend history
+ * @param {boolean} includeUnconfirmed - Also count declared and estimated dividends
+ * @returns {Array} Dividends to aggregate
+ */
+export const getAggregateDividends = (dividends, includeUnconfirmed = false) => (dividends || [])
+  .filter(item => includeUnconfirmed || isConfirmedDividend(item));
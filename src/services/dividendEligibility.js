@@ -0,0 +1,77 @@
+/**
+ * Dividend Eligibility for WNTR Dashboard
+ *
+ * Pure functions that decide which distributions a set of buy/sell
+ * transactions earned. Shares qualify when they are held at the start of
+ * the ex-dividend date: bought before the ex-date and not sold before it.
+ * Buying on the ex-date does not qualify; selling on the ex-date does.
+ */
+
+import { getDividendStatus } from './dividendData';
+
+/**
+ * Counts the shares that qualify for a distribution with the given ex-date
+ * @param {Array<Object>} transactions - Transactions of { date, type: 'buy'|'sell', shares }
+ * @param {string} exDate - Ex-dividend date (YYYY-MM-DD)
+ * @returns {number} Shares held going into the ex-date (never negative)
+ */
+export const getSharesHeldForExDate = (transactions, exDate) => {
+  const shares = transactions
+    .filter(tx => tx.date < exDate)
+    .reduce((sum, tx) => {
+      if (tx.type === 'buy') return sum + tx.shares;
+      if (tx.type === 'sell') return sum - tx.shares;
+      return sum;
+    }, 0);
+
+  // Guard against floating point dust and oversold histories
+  return shares > 1e-9 ? shares : 0;
+};
+
+/**
+ * Computes the distributions earned by a set of transactions
+ * @param {Array<Object>} transactions - Transactions of { date, type: 'buy'|'sell', shares }
+ * @param {Array<Object>} dividends - Dividend records with exDate, payDate and dividend (per share)
+ * @param {Object} options - Options
+ * @param {boolean} options.includeEstimated - Include estimated records (default false)
+ * @returns {Array<Object>} Earned distributions of { exDate, payDate, dividendPerShare, shares, amount, status }
+ */
+export const computeEarnedDividends = (transactions, dividends, { includeEstimated = false } = {}) => {
+  if (!transactions || transactions.length === 0 || !dividends) {
+    return [];
+  }
+
+  return dividends
+    .filter(item => item.exDate && (includeEstimated || getDividendStatus(item) !== 'estimated'))
+    .map(item => {
+      const shares = getSharesHeldForExDate(transactions, item.exDate);
+      return {
+        exDate: item.exDate,
+        payDate: item.payDate || null,
+        dividendPerShare: item.dividend,
+        shares,
+        amount: shares * item.dividend,
+        status: getDividendStatus(item)
+      };
+    })
+    .filter(earned => earned.shares > 0)
+    .sort((a, b) => a.exDate.localeCompare(b.exDate));
+};
+
+/**
+ * Splits earned distributions into cash already received and cash still pending
+ * @param {Array<Object>} earned - Result of computeEarnedDividends
+ * @param {string} asOfDate - Date to evaluate at (YYYY-MM-DD)
+ * @returns {Object} { received, pending, receivedTotal, pendingTotal }
+ */
+export const splitByPayDate = (earned, asOfDate) => {
+  const received = earned.filter(item => item.payDate && item.payDate <= asOfDate);
+  const pending = earned.filter(item => !item.payDate || item.payDate > asOfDate);
+
+  return {
+    received,
+    pending,
+    receivedTotal: received.reduce((sum, item) => sum + item.amount, 0),
+    pendingTotal: pending.reduce((sum, item) => sum + item.amount, 0)
+  };
+};
@@ -0,0 +1,113 @@
+import {
+  getSharesHeldForExDate,
+  computeEarnedDividends,
+  splitByPayDate
+} from './dividendEligibility';
+
+const dividends = [
+  { exDate: '2025-06-06', payDate: '2025-06-09', dividend: 3.07, status: 'paid' },
+  { exDate: '2025-05-08', payDate: '2025-05-09', dividend: 2.719, status: 'paid' }
+];
+
+describe('getSharesHeldForExDate', () => {
+  test('counts shares bought the day before the ex-date', () => {
+    const transactions = [{ date: '2025-06-05', type: 'buy', shares: 10 }];
+    expect(getSharesHeldForExDate(transactions, '2025-06-06')).toBe(10);
+  });
+
+  test('does not count shares bought on the ex-date', () => {
+    const transactions = [{ date: '2025-06-06', type: 'buy', shares: 10 }];
+    expect(getSharesHeldForExDate(transactions, '2025-06-06')).toBe(0);
+  });
+
+  test('keeps shares sold on the ex-date', () => {
+    const transactions = [
+      { date: '2025-06-01', type: 'buy', shares: 10 },
+      { date: '2025-06-06', type: 'sell', shares: 10 }
+    ];
+    expect(getSharesHeldForExDate(transactions, '2025-06-06')).toBe(10);
+  });
+
+  test('drops shares sold before the ex-date', () => {
+    const transactions = [
+      { date: '2025-06-01', type: 'buy', shares: 10 },
+      { date: '2025-06-05', type: 'sell', shares: 4 }
+    ];
+    expect(getSharesHeldForExDate(transactions, '2025-06-06')).toBe(6);
+  });
+
+  test('never returns negative shares for oversold histories', () => {
+    const transactions = [
+      { date: '2025-06-01', type: 'buy', shares: 1 },
+      { date: '2025-06-02', type: 'sell', shares: 5 }
+    ];
+    expect(getSharesHeldForExDate(transactions, '2025-06-06')).toBe(0);
+  });
+
+  test('ignores transaction order', () => {
+    const transactions = [
+      { date: '2025-06-03', type: 'sell', shares: 2 },
+      { date: '2025-05-01', type: 'buy', shares: 5 }
+    ];
+    expect(getSharesHeldForExDate(transactions, '2025-06-06')).toBe(3);
+  });
+});
+
+describe('computeEarnedDividends', () => {
+  test('returns each earned distribution with amount and pay date', () => {
+    const transactions = [{ date: '2025-05-01', type: 'buy', shares: 100 }];
+    const earned = computeEarnedDividends(transactions, dividends);
+
+    expect(earned).toHaveLength(2);
+    expect(earned[0]).toMatchObject({ exDate: '2025-05-08', payDate: '2025-05-09', shares: 100 });
+    expect(earned[0].amount).toBeCloseTo(271.9);
+    expect(earned[1]).toMatchObject({ exDate: '2025-06-06', payDate: '2025-06-09', dividendPerShare: 3.07 });
+    expect(earned[1].amount).toBeCloseTo(307);
+  });
+
+  test('skips distributions the position did not qualify for', () => {
+    const transactions = [
+      { date: '2025-05-08', type: 'buy', shares: 50 },
+      { date: '2025-06-06', type: 'buy', shares: 50 }
+    ];
+    const earned = computeEarnedDividends(transactions, dividends);
+
+    expect(earned).toHaveLength(1);
+    expect(earned[0]).toMatchObject({ exDate: '2025-06-06', shares: 50 });
+  });
+
+  test('excludes estimated records unless asked', () => {
+    const withEstimate = [
+      { exDate: '2025-07-08', payDate: '2025-07-09', dividend: 2.5, estimated: true },
+      ...dividends
+    ];
+    const transactions = [{ date: '2025-05-01', type: 'buy', shares: 1 }];
+
+    expect(computeEarnedDividends(transactions, withEstimate)).toHaveLength(2);
+    expect(computeEarnedDividends(transactions, withEstimate, { includeEstimated: true })).toHaveLength(3);
+  });
+
+  test('returns nothing without transactions', () => {
+    expect(computeEarnedDividends([], dividends)).toEqual([]);
+  });
+});
+
+describe('splitByPayDate', () => {
+  test('separates received cash from pending payouts', () => {
+    const transactions = [{ date: '2025-05-01', type: 'buy', shares: 10 }];
+    const earned = computeEarnedDividends(transactions, dividends);
+    const split = splitByPayDate(earned, '2025-06-08');
+
+    expect(split.received).toHaveLength(1);
+    expect(split.pending).toHaveLength(1);
+    expect(split.receivedTotal).toBeCloseTo(27.19);
+    expect(split.pendingTotal).toBeCloseTo(30.7);
+  });
+
+  test('counts cash on the pay date as received', () => {
+    const transactions = [{ date: '2025-05-01', type: 'buy', shares: 10 }];
+    const earned = computeEarnedDividends(transactions, dividends);
+
+    expect(splitByPayDate(earned, '2025-06-09').pending).toHaveLength(0);
+  });
+});
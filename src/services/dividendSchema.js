@@ -0,0 +1,203 @@
+/**
+ * Dividend Data File Validation for the Dividend Dashboard
+ *
+ * Checks the versioned dividend data files (public/data/dividends/<SYMBOL>.json)
+ * against the schema documented in public/data/dividends.schema.json.
+ *
+ * Shared by the dashboard (dividendData.js) and the updater
+ * (scripts/lib/dividend-data.js), so a file the updater writes is never one
+ * the dashboard rejects; it is CommonJS with no imports.
+ */
+
+const DIVIDEND_SCHEMA_VERSION = 1;
+const DIVIDEND_STATUSES = ['paid', 'declared', 'estimated'];
+const CHARACTER_FIELDS = ['ordinary', 'qualified', 'returnOfCapital', 'capitalGain'];
+const CORRECTED_FIELDS = ['exDate', 'recordDate', 'payDate', 'declarationDate', 'amount'];
+const DIVIDEND_TYPES = ['regular', 'special'];
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const RECORD_FIELDS = ['exDate', 'recordDate', 'payDate', 'declarationDate', 'amount', 'yield', 'source', 'status', 'type', 'character', 'corrections', 'note'];
+
+const isIsoDate = (value) => typeof value === 'string' && ISO_DATE_PATTERN.test(value);
+
+/**
+ * Validates a distribution's tax character (fractions of the amount summing to 1)
+ * @param {Object} character - { ordinary, qualified, returnOfCapital, capitalGain }
+ * @param {string} where - Record path (used in messages)
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+const validateCharacter = (character, where) => {
+  if (typeof character !== 'object') {
+    return [`${where}.character must be an object or null`];
+  }
+
+  const errors = [];
+  Object.keys(character).forEach(key => {
+    if (!CHARACTER_FIELDS.includes(key)) {
+      errors.push(`${where}.character has unknown field "${key}"`);
+    }
+  });
+  CHARACTER_FIELDS.forEach(key => {
+    const value = character[key];
+    if (typeof value !== 'number' || value < 0 || value > 1) {
+      errors.push(`${where}.character.${key} must be a fraction between 0 and 1`);
+    }
+  });
+
+  const total = CHARACTER_FIELDS.reduce((sum, key) => sum + (character[key] || 0), 0);
+  if (errors.length === 0 && Math.abs(total - 1) > 0.001) {
+    errors.push(`${where}.character fractions must sum to 1 (got ${total.toFixed(4)})`);
+  }
+
+  return errors;
+};
+
+/**
+ * Validates a record's correction log
+ * @param {Array} corrections - Corrections of { date, field, from, to, reason }
+ * @param {string} where - Record path (used in messages)
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+const validateCorrections = (corrections, where) => {
+  if (!Array.isArray(corrections)) {
+    return [`${where}.corrections must be an array`];
+  }
+
+  const errors = [];
+  corrections.forEach((correction, index) => {
+    const at = `${where}.corrections[${index}]`;
+    if (!correction || typeof correction !== 'object') {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    if (!isIsoDate(correction.date)) {
+      errors.push(`${at}.date must be a YYYY-MM-DD date`);
+    }
+    if (!CORRECTED_FIELDS.includes(correction.field)) {
+      errors.push(`${at}.field must be one of ${CORRECTED_FIELDS.join(', ')}`);
+    }
+    if (correction.reason !== undefined && typeof correction.reason !== 'string') {
+      errors.push(`${at}.reason must be a string`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Validates a single dividend record against the schema
+ * @param {Object} record - Dividend record from the data file
+ * @param {number} index - Position of the record (used in messages)
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+const validateDividendRecord = (record, index) => {
+  const errors = [];
+  const where = `dividends[${index}]`;
+
+  if (!record || typeof record !== 'object') {
+    return [`${where} must be an object`];
+  }
+
+  Object.keys(record).forEach(key => {
+    if (!RECORD_FIELDS.includes(key)) {
+      errors.push(`${where} has unknown field "${key}"`);
+    }
+  });
+
+  ['exDate', 'payDate'].forEach(field => {
+    if (!isIsoDate(record[field])) {
+      errors.push(`${where}.${field} must be a YYYY-MM-DD date`);
+    }
+  });
+
+  ['recordDate', 'declarationDate'].forEach(field => {
+    if (record[field] != null && !isIsoDate(record[field])) {
+      errors.push(`${where}.${field} must be a YYYY-MM-DD date or null`);
+    }
+  });
+
+  if (typeof record.amount !== 'number' || !(record.amount > 0)) {
+    errors.push(`${where}.amount must be a positive number`);
+  }
+
+  if (record.yield != null && typeof record.yield !== 'number') {
+    errors.push(`${where}.yield must be a number or null`);
+  }
+
+  if (typeof record.source !== 'string' || record.source.length === 0) {
+    errors.push(`${where}.source must be a non-empty string`);
+  }
+
+  if (!DIVIDEND_STATUSES.includes(record.status)) {
+    errors.push(`${where}.status must be one of ${DIVIDEND_STATUSES.join(', ')}`);
+  }
+
+  if (record.type !== undefined && !DIVIDEND_TYPES.includes(record.type)) {
+    errors.push(`${where}.type must be one of ${DIVIDEND_TYPES.join(', ')}`);
+  }
+
+  if (record.character != null) {
+    errors.push(...validateCharacter(record.character, where));
+  }
+
+  if (record.corrections !== undefined) {
+    errors.push(...validateCorrections(record.corrections, where));
+  }
+
+  if (record.note !== undefined && typeof record.note !== 'string') {
+    errors.push(`${where}.note must be a string`);
+  }
+
+  return errors;
+};
+
+/**
+ * Validates the contents of a dividend data file
+ * @param {Object} data - Parsed dividend data file
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+const validateDividendData = (data) => {
+  if (!data || typeof data !== 'object') {
+    return ['Dividend data must be an object'];
+  }
+
+  const errors = [];
+
+  if (data.schemaVersion !== DIVIDEND_SCHEMA_VERSION) {
+    errors.push(`Unsupported schemaVersion ${data.schemaVersion} (expected ${DIVIDEND_SCHEMA_VERSION})`);
+  }
+
+  if (typeof data.symbol !== 'string' || data.symbol.length === 0) {
+    errors.push('symbol must be a non-empty string');
+  }
+
+  if (!isIsoDate(data.updatedAt)) {
+    errors.push('updatedAt must be a YYYY-MM-DD date');
+  }
+
+  if (!Array.isArray(data.dividends)) {
+    errors.push('dividends must be an array');
+    return errors;
+  }
+
+  const seenExDates = new Set();
+  data.dividends.forEach((record, index) => {
+    errors.push(...validateDividendRecord(record, index));
+
+    if (record && seenExDates.has(record.exDate)) {
+      errors.push(`dividends[${index}] duplicates exDate ${record.exDate}`);
+    }
+    seenExDates.add(record && record.exDate);
+  });
+
+  return errors;
+};
+
+module.exports = {
+  DIVIDEND_SCHEMA_VERSION,
+  DIVIDEND_STATUSES,
+  CHARACTER_FIELDS,
+  CORRECTED_FIELDS,
+  DIVIDEND_TYPES,
+  validateDividendData
+};
@@ -0,0 +1,153 @@
+/**
+ * Export Service for WNTR Dashboard
+ *
+ * Builds CSV and JSON exports of dashboard tables entirely in the browser.
+ * Every export is described by a list of columns ({ key, value }) so CSV
+ * headers and JSON keys always match. Column keys are snake_case and dates
+ * are ISO (YYYY-MM-DD).
+ */
+
+import { getDividendStatus } from './dividendData';
+import { DEFAULT_SYMBOL } from './tickerRegistry';
+
+const round = (value, digits) => (value == null || isNaN(value) ? null : parseFloat(Number(value).toFixed(digits)));
+
+export const DIVIDEND_HISTORY_COLUMNS = [
+  { key: 'ex_date', value: item => item.exDate || null },
+  { key: 'record_date', value: item => item.recordDate || null },
+  { key: 'pay_date', value: item => item.payDate || null },
+  { key: 'declaration_date', value: item => item.declarationDate || null },
+  { key: 'amount', value: item => round(item.dividend, 4) },
+  { key: 'yield_percent', value: item => round(item.yield, 2) },
+  { key: 'status', value: item => getDividendStatus(item) },
+  { key: 'type', value: item => item.type || 'regular' },
+  { key: 'source', value: item => item.source || null },
+  { key: 'corrections', value: item => (item.corrections ? item.corrections.length : 0) }
+];
+
+export const SCENARIO_COLUMNS = [
+  { key: 'date', value: row => row.date },
+  { key: 'dividend_per_share', value: row => round(row.dividend, 4) },
+  { key: 'shares', value: row => round(row.shares, 4) },
+  { key: 'income', value: row => round(row.return, 2) },
+  { key: 'projected', value: row => Boolean(row.isProjected) },
+  { key: 'status', value: row => row.status || null }
+];
+
+export const DRIP_SCHEDULE_COLUMNS = [
+  { key: 'date', value: row => row.drip.date },
+  { key: 'price', value: row => round(row.drip.price, 4) },
+  { key: 'drip_shares', value: row => round(row.drip.shares, 4) },
+  { key: 'drip_income', value: row => round(row.drip.income, 2) },
+  { key: 'drip_position_value', value: row => round(row.drip.positionValue, 2) },
+  { key: 'no_drip_shares', value: row => round(row.noDrip.shares, 4) },
+  { key: 'no_drip_income', value: row => round(row.noDrip.income, 2) },
+  { key: 'no_drip_position_value', value: row => round(row.noDrip.positionValue, 2) }
+];
+
+export const CONTRIBUTION_SCHEDULE_COLUMNS = [
+  { key: 'date', value: row => row.date },
+  { key: 'price', value: row => round(row.price, 4) },
+  { key: 'contribution', value: row => round(row.contribution, 2) },
+  { key: 'contributed_to_date', value: row => round(row.contributed, 2) },
+  { key: 'shares', value: row => round(row.shares, 4) },
+  { key: 'income', value: row => round(row.income, 2) },
+  { key: 'cost_basis', value: row => round(row.costBasis, 2) },
+  { key: 'position_value', value: row => round(row.positionValue, 2) }
+];
+
+export const PORTFOLIO_COLUMNS = [
+  { key: 'date', value: lot => lot.date },
+  { key: 'account', value: lot => lot.account },
+  { key: 'shares', value: lot => round(lot.shares, 4) },
+  { key: 'price_per_share', value: lot => round(lot.pricePerShare, 4) },
+  { key: 'cost_basis', value: lot => round(lot.costBasis, 2) },
+  { key: 'market_value', value: lot => round(lot.marketValue, 2) },
+  { key: 'unrealized_gain', value: lot => round(lot.unrealizedGain, 2) },
+  { key: 'dividends_received', value: lot => round(lot.dividendsReceived, 2) },
+  { key: 'yield_on_cost_percent', value: lot => round(lot.yieldOnCost, 2) }
+];
+
+/**
+ * Converts rows into plain records keyed by column
+ * @param {Array<Object>} rows - Source rows
+ * @param {Array<Object>} columns - Columns of { key, value }
+ * @returns {Array<Object>} Records
+ */
+export const toRecords = (rows, columns) => rows.map(row => columns.reduce((record, column) => ({
+  ...record,
+  [column.key]: column.value(row)
+}), {}));
+
+// Text starting with these runs as a formula when the CSV is opened in a spreadsheet
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escapes a single CSV field
+ * Text that a spreadsheet would run as a formula (free text such as account
+ * names, typed in or imported) is prefixed with a quote; numbers are left alone.
+ * @param {*} value - Field value
+ * @returns {string} CSV-safe text
+ */
+const escapeCsvField = (value) => {
+  if (value == null) return '';
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds CSV text with a header row
+ * @param {Array<Object>} rows - Source rows
+ * @param {Array<Object>} columns - Columns of { key, value }
+ * @returns {string} CSV text
+ */
+export const toCsv = (rows, columns) => {
+  const header = columns.map(column => column.key).join(',');
+  const lines = toRecords(rows, columns).map(record => columns.map(column => escapeCsvField(record[column.key])).join(','));
+  return [header, ...lines].join('\r\n') + '\r\n';
+};
+
+/**
+ * Builds pretty-printed JSON
+ * @param {Array<Object>} rows - Source rows
+ * @param {Array<Object>} columns - Columns of { key, value }
+ * @returns {string} JSON text
+ */
+export const toJson = (rows, columns) => JSON.stringify(toRecords(rows, columns), null, 2);
+
+/**
+ * Triggers a browser download of generated text
+ * @param {string} filename - File name
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type
+ */
+export const downloadFile = (filename, content, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Exports rows as CSV or JSON and downloads the file
+ * @param {string} name - Base file name (e.g. "dividend-history")
+ * @param {Array<Object>} rows - Source rows
+ * @param {Array<Object>} columns - Columns of { key, value }
+ * @param {string} format - 'csv' or 'json'
+ * @param {string} symbol - Ticker the rows belong to, prefixed to the file name (default WNTR)
+ */
+export const exportRows = (name, rows, columns, format, symbol = DEFAULT_SYMBOL) => {
+  const today = new Date().toISOString().split('T')[0];
+  const filename = `${symbol.toLowerCase()}-${name}-${today}.${format}`;
+
+  if (format === 'json') {
+    downloadFile(filename, toJson(rows, columns), 'application/json');
+  } else {
+    downloadFile(filename, toCsv(rows, columns), 'text/csv;charset=utf-8');
+  }
+};
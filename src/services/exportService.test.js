@@ -0,0 +1,29 @@
+import { toCsv, PORTFOLIO_COLUMNS } from './exportService';
+
+const lot = (account, unrealizedGain) => ({
+  date: '2025-05-01',
+  account,
+  shares: 10,
+  pricePerShare: 40,
+  costBasis: 400,
+  marketValue: 360,
+  unrealizedGain,
+  dividendsReceived: 5,
+  yieldOnCost: 75
+});
+
+describe('toCsv', () => {
+  test('keeps formula-like text from running in a spreadsheet', () => {
+    const lines = toCsv([lot('=HYPERLINK("http://example.com")', -40), lot('@SUM(A1)', -40), lot('Roth IRA', -40)], PORTFOLIO_COLUMNS).split('\r\n');
+
+    expect(lines[1]).toBe('2025-05-01,"\'=HYPERLINK(""http://example.com"")",10,40,400,360,-40,5,75');
+    expect(lines[2].split(',')[1]).toBe("'@SUM(A1)");
+    expect(lines[3].split(',')[1]).toBe('Roth IRA');
+  });
+
+  test('leaves negative numbers alone', () => {
+    const [, row] = toCsv([lot('+1 Taxable', -12.5)], PORTFOLIO_COLUMNS).split('\r\n');
+
+    expect(row).toBe("2025-05-01,'+1 Taxable,10,40,400,360,-12.5,5,75");
+  });
+});
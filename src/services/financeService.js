@@ -1,151 +1,177 @@
 /**
- * Finance Service for WNTR Dashboard
+ * Finance Service for the Dividend Dashboard
  * 
  * This service handles real-time price data and dividend information fetching
+ * for any ticker in the registry (src/services/tickerRegistry.js)
  * Enhanced with intelligent auto-update capabilities
  */
 
+import { validateDividendData, toDashboardDividend } from './dividendData';
+import {
+  getProviderChain,
+  staticProvider,
+  isRateLimited,
+  recordRateLimit,
+  clearRateLimit
+} from './priceProviders';
+import { forecastDividend } from './forecastService';
+import { getTicker, DEFAULT_SYMBOL, PAYOUT_FREQUENCIES } from './tickerRegistry';
+import {
+  getPaymentsPerYear,
+  getRegularDistributions,
+  getLatestExpectedPayout,
+  getPayoutPeriodKey,
+  getTrailingDistributions
+} from './payoutCalendar';
+
 // Configuration
-const WNTR_SYMBOL = 'WNTR';
 const FINNHUB_API_KEY = process.env.REACT_APP_FINANCE_API_KEY || '';
 
 // API endpoints
-const FINNHUB_API_URL = `https://finnhub.io/api/v1/quote?symbol=${WNTR_SYMBOL}&token=${FINNHUB_API_KEY}`;
+const FINNHUB_CANDLE_URL = `https://finnhub.io/api/v1/stock/candle?resolution=D&token=${FINNHUB_API_KEY}`;
+
+// Bundled dividends used when WNTR's data file can't be loaded (other tickers have none)
+const FALLBACK_DIVIDENDS = {
+  WNTR: [
+    { month: "Jun", year: 2025, dividend: 3.07, yield: 8.35, exDate: "2025-06-06", payDate: "2025-06-09", status: "paid" },
+    { month: "May", year: 2025, dividend: 2.719, yield: 7.39, exDate: "2025-05-08", payDate: "2025-05-09", status: "paid" }
+  ]
+};
+
+/**
+ * URL of a ticker's dividend data file
+ * @param {string} symbol - Registered symbol
+ * @returns {string} URL under public/data/dividends
+ */
+export const getDividendDataUrl = (symbol) => `${process.env.PUBLIC_URL || ''}/data/dividends/${symbol}.json`;
+
+// Quotes older than this are flagged stale (covers weekends and a holiday)
+const STALE_QUOTE_MS = 4 * 24 * 60 * 60 * 1000;
+
+/**
+ * Converts a provider quote into the quote shape used by the dashboard
+ * @param {Object} quote - Provider quote
+ * @param {Object} provider - Provider that produced it
+ * @returns {Object} Quote with change figures, source and staleness
+ */
+const toDashboardQuote = (quote, provider) => {
+  const isStatic = provider.id === staticProvider.id;
+
+  return {
+    currentPrice: quote.currentPrice,
+    previousClose: quote.previousClose,
+    change: quote.currentPrice - quote.previousClose,
+    percentChange: ((quote.currentPrice - quote.previousClose) / quote.previousClose) * 100,
+    high: quote.high,
+    low: quote.low,
+    timestamp: new Date(isStatic ? quote.quoteTime : Date.now()).toLocaleString(),
+    quoteTime: quote.quoteTime,
+    source: provider.id,
+    sourceLabel: provider.label,
+    // Static data is always stale; live quotes go stale once older than a long weekend
+    stale: isStatic || Date.now() - quote.quoteTime > STALE_QUOTE_MS
+  };
+};
+
+/**
+ * Fetches real-time price data for a ticker
+ * Tries each configured provider in priority order and falls back to the
+ * static provider, flagged stale, if they all fail. Providers backing off
+ * from a rate limit are skipped.
+ * @param {string} symbol - Ticker (default WNTR)
+ * @returns {Promise<Object>} Current price information with source and stale fields
+ */
+export const fetchRealTimePrice = async (symbol = DEFAULT_SYMBOL) => {
+  const providers = getProviderChain();
+  
+  for (const provider of providers) {
+    if (isRateLimited(provider.id)) {
+      console.log(`Skipping ${provider.label}: backing off after a rate limit`);
+      continue;
+    }
+    
+    try {
+      console.log(`Fetching ${symbol} price data from ${provider.label}...`);
+      const quote = await provider.fetchQuote(symbol);
+      clearRateLimit(provider.id);
+      return toDashboardQuote(quote, provider);
+    } catch (error) {
+      if (error.status === 429) {
+        const until = recordRateLimit(provider.id);
+        console.warn(`${provider.label} rate limit hit, backing off until ${new Date(until).toLocaleTimeString()}`);
+      }
+      console.error(`Error fetching real-time price from ${provider.label}:`, error);
+    }
+  }
+  
+  console.warn('No price provider succeeded, using static fallback data');
+  return toDashboardQuote(await staticProvider.fetchQuote(symbol), staticProvider);
+};
 
 /**
- * Fetches real-time price data for WNTR
- * @returns {Promise<Object>} Current price information
+ * Fetches daily closing prices from Finnhub
+ * @param {string} fromDate - First date to include (YYYY-MM-DD)
+ * @param {string} symbol - Ticker (default WNTR)
+ * @returns {Promise<Array>} Points of { date, close }, empty if unavailable
  */
-export const fetchRealTimePrice = async () => {
+export const fetchPriceHistory = async (fromDate, symbol = DEFAULT_SYMBOL) => {
   try {
-    console.log('Fetching price data from Finnhub...');
-    const response = await fetch(FINNHUB_API_URL);
+    const from = Math.floor(new Date(fromDate).getTime() / 1000);
+    const to = Math.floor(Date.now() / 1000);
+    const response = await fetch(`${FINNHUB_CANDLE_URL}&symbol=${symbol}&from=${from}&to=${to}`);
     
     if (!response.ok) {
-      throw new Error('Price data API response was not ok');
+      throw new Error('Price history API response was not ok');
     }
     
     const data = await response.json();
     
-    if (data.error) {
-      throw new Error(`Finnhub API error: ${data.error}`);
+    if (data.s !== 'ok' || !Array.isArray(data.c)) {
+      throw new Error(`Finnhub candle status: ${data.s || data.error}`);
     }
     
-    return {
-      currentPrice: data.c, // Current price
-      previousClose: data.pc, // Previous close
-      change: data.c - data.pc, // Change
-      percentChange: ((data.c - data.pc) / data.pc) * 100, // Percent change
-      high: data.h, // Day high
-      low: data.l, // Day low
-      timestamp: new Date().toLocaleString(), // Current time
-    };
+    return data.c.map((close, index) => ({
+      date: new Date(data.t[index] * 1000).toISOString().split('T')[0],
+      close
+    }));
   } catch (error) {
-    console.error('Error fetching real-time price from Finnhub:', error);
-    
-    // Return fallback data if API fails
-    return {
-      currentPrice: 36.79, 
-      previousClose: 36.66,
-      change: 0.13,
-      percentChange: 0.36,
-      high: 37.05,
-      low: 36.55,
-      timestamp: new Date().toLocaleString() + ' (Fallback data)',
-    };
-  }
-};
-
-/**
- * Generate expected dividend based on historical patterns
- * WNTR is a new ETF that started paying dividends in May 2025
- * @param {Array} historicalDividends - Historical dividend data
- * @param {string} month - Target month (e.g., "Jul")
- * @param {number} year - Target year
- * @returns {number} Expected dividend amount
- */
-const generateExpectedDividend = (historicalDividends, month, year) => {
-  // Since WNTR is new (started May 2025), we have limited history
-  if (historicalDividends.length === 0) {
-    // If no history, use a reasonable estimate for new WNTR dividend
-    return 2.5; // Conservative estimate based on May 2025 ($2.719)
+    console.error(`Error fetching ${symbol} price history from Finnhub:`, error);
+    return [];
   }
-  
-  // Calculate average from available data
-  const totalDividends = historicalDividends.reduce((sum, item) => sum + item.dividend, 0);
-  const avgDividend = totalDividends / historicalDividends.length;
-  
-  // Add some variation based on typical WNTR volatility (+/- 20%)
-  const variationFactor = 0.8 + (Math.random() * 0.4); // Random between 0.8 and 1.2
-  
-  return avgDividend * variationFactor;
-};
-
-/**
- * Get the expected dividend payout date for a given month
- * WNTR typically pays around 8th-9th of each month
- * @param {number} year - Year
- * @param {number} monthIndex - Month index (0-11)
- * @returns {Object} Ex-dividend and payment dates
- */
-const getExpectedPayoutDates = (year, monthIndex) => {
-  // Ex-dividend date is typically 8th of the month (based on May 2025 pattern)
-  const exDay = 8;
-  const exDate = new Date(year, monthIndex, exDay);
-  
-  // Payment date is typically 1 day after ex-dividend date
-  const payDate = new Date(exDate);
-  payDate.setDate(exDate.getDate() + 1);
-  
-  return {
-    exDate: exDate.toISOString().split('T')[0],
-    payDate: payDate.toISOString().split('T')[0]
-  };
 };
 
 /**
- * Fetches dividend history data for WNTR
+ * Fetches a ticker's dividend history from its versioned data file
  * CORRECTED: WNTR started paying dividends in May 2025
+ * @param {string} symbol - Ticker (default WNTR)
  * @returns {Promise<Array>} Dividend history
  */
-export const fetchDividendHistory = async () => {
+export const fetchDividendHistory = async (symbol = DEFAULT_SYMBOL) => {
   try {
-    console.log('Loading WNTR dividend history...');
+    console.log(`Loading ${symbol} dividend history...`);
+    const response = await fetch(getDividendDataUrl(symbol));
     
-    // WNTR Dividend History (CORRECTED - Started May 2025)
-    // June 2025 dividend corrected from $2.1234 to actual $3.07
-    return [
-      { 
-        month: "Jun", 
-        year: 2025, 
-        dividend: 3.07, 
-        yield: 8.35, 
-        exDate: "2025-06-06", 
-        payDate: "2025-06-09",
-        declarationDate: "2025-05-28",
-        recordDate: "2025-06-06"
-      },
-      { 
-        month: "May", 
-        year: 2025, 
-        dividend: 2.719, 
-        yield: 7.39, 
-        exDate: "2025-05-08", 
-        payDate: "2025-05-09",
-        declarationDate: "2025-03-28",
-        recordDate: "2025-05-08",
-        firstDividend: true // Mark as the first dividend
-      }
-    ];
+    if (!response.ok) {
+      throw new Error('Dividend data file response was not ok');
+    }
+    
+    const data = await response.json();
+    const errors = validateDividendData(data);
+    
+    if (errors.length > 0) {
+      throw new Error(`Invalid dividend data file: ${errors.join('; ')}`);
+    }
+    if (data.symbol !== symbol) {
+      throw new Error(`Dividend data file is for ${data.symbol}, not ${symbol}`);
+    }
+    
+    return data.dividends.map(toDashboardDividend);
     
   } catch (error) {
-    console.error('Error fetching dividend history:', error);
+    console.error(`Error fetching ${symbol} dividend history:`, error);
     
     // Fallback to essential data with corrected June dividend
-    return [
-      { month: "Jun", year: 2025, dividend: 3.07, yield: 8.35, exDate: "2025-06-06", payDate: "2025-06-09" },
-      { month: "May", year: 2025, dividend: 2.719, yield: 7.39, exDate: "2025-05-08", payDate: "2025-05-09", firstDividend: true }
-    ];
+    return FALLBACK_DIVIDENDS[symbol] || [];
   }
 };
 
@@ -156,179 +182,154 @@ export const fetchDividendHistory = async () => {
  * @returns {number} Calculated yield percentage
  */
 export const calculateYield = (dividendAmount, price) => {
+  if (!price) {
+    return 0;
+  }
+  
   return (dividendAmount / price) * 100;
 };
 
 /**
- * Calculates annualized yield based on monthly dividends
- * For WNTR (new ETF), we'll project based on available data
+ * Calculates annualized yield from the average regular distribution
+ * For new ETFs like WNTR, we'll project based on available data; special
+ * distributions are left out and the average is annualized by the payout frequency.
  * @param {Array} dividends - Array of dividend objects
  * @param {number} currentPrice - Current price
+ * @param {string} frequency - Payout frequency (default monthly)
  * @returns {number} Annualized yield percentage
  */
-export const calculateAnnualizedYield = (dividends, currentPrice) => {
-  if (!dividends || dividends.length === 0 || !currentPrice) {
+export const calculateAnnualizedYield = (dividends, currentPrice, frequency = PAYOUT_FREQUENCIES.MONTHLY) => {
+  const regular = getRegularDistributions(dividends);
+  if (regular.length === 0 || !currentPrice) {
     return 0;
   }
   
-  // Since WNTR is new, calculate average from available dividends and annualize
-  const totalDividend = dividends.reduce((sum, item) => sum + item.dividend, 0);
-  const avgMonthlyDividend = totalDividend / dividends.length;
+  // Short histories are common, so calculate average from available dividends and annualize
+  const totalDividend = regular.reduce((sum, item) => sum + item.dividend, 0);
+  const avgDividend = totalDividend / regular.length;
   
-  // Annualize the average monthly dividend
-  const annualizedDividend = avgMonthlyDividend * 12;
+  const annualizedDividend = avgDividend * getPaymentsPerYear(frequency);
   
   return (annualizedDividend / currentPrice) * 100;
 };
 
 /**
- * Check if we're in the expected dividend announcement period
- * WNTR typically announces dividends around end of previous month
- * @param {Date} currentDate - Current date
- * @param {string} month - Month to check
- * @param {number} year - Year to check
- * @returns {boolean} Whether we're in announcement period
+ * Calculates trailing twelve-month yield: every distribution (specials
+ * included) with an ex-date in the last year, over the current price
+ * @param {Array} dividends - Array of dividend objects
+ * @param {number} currentPrice - Current price
+ * @param {Date} asOf - End of the twelve months (default today)
+ * @returns {number} Trailing yield percentage
  */
-const isInAnnouncementPeriod = (currentDate, month, year) => {
-  const monthNames = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
-  const monthIndex = monthNames.indexOf(month);
-  
-  if (monthIndex === -1) return false;
-  
-  // Expected ex-dividend date (usually 8th of month based on pattern)
-  const expectedExDate = new Date(year, monthIndex, 8);
+export const calculateTrailingYield = (dividends, currentPrice, asOf = new Date()) => {
+  if (!currentPrice) {
+    return 0;
+  }
   
-  // Announcement period: Usually end of previous month (25th-30th)
-  const announcementStart = new Date(expectedExDate);
-  announcementStart.setMonth(expectedExDate.getMonth() - 1);
-  announcementStart.setDate(25);
+  return (getTrailingDistributions(dividends, asOf).total / currentPrice) * 100;
+};
+
+/**
+ * Calculates forward yield: the latest regular distribution paid at the
+ * ticker's frequency for a year, over the current price
+ * @param {Array} dividends - Array of dividend objects
+ * @param {number} currentPrice - Current price
+ * @param {string} frequency - Payout frequency (default monthly)
+ * @returns {number} Forward yield percentage
+ */
+export const calculateForwardYield = (dividends, currentPrice, frequency = PAYOUT_FREQUENCIES.MONTHLY) => {
+  const latest = getRegularDistributions(dividends)
+    .filter(item => item.exDate)
+    .sort((a, b) => b.exDate.localeCompare(a.exDate))[0];
   
-  const announcementEnd = new Date(expectedExDate);
-  announcementEnd.setDate(expectedExDate.getDate() - 3);
+  if (!latest || !currentPrice) {
+    return 0;
+  }
   
-  return currentDate >= announcementStart && currentDate <= announcementEnd;
+  return ((latest.dividend * getPaymentsPerYear(frequency)) / currentPrice) * 100;
 };
 
 /**
- * Check if dividend payout should have occurred by now
+ * Check if a regular payout should have been paid by now
+ * @param {Object} payout - Expected { exDate, payDate }
  * @param {Date} currentDate - Current date
- * @param {string} month - Month to check
- * @param {number} year - Year to check
- * @returns {boolean} Whether dividend should have been paid
+ * @returns {boolean} Whether the dividend should have been paid (with a day's grace)
+ */
+const shouldHavePaidDividend = (payout, currentDate) => {
+  const [year, month, day] = payout.payDate.split('-').map(Number);
+  const expectedPayDate = new Date(year, month - 1, day + 1);
+  
+  return currentDate > expectedPayDate;
+};
+
+/**
+ * Check if the history already has a regular distribution in a payout's period
+ * @param {Array} dividends - Dividend history
+ * @param {Object} payout - Expected { exDate, payDate }
+ * @param {string} frequency - Payout frequency
+ * @returns {boolean} True when the period is covered
+ */
+const hasPayoutInPeriod = (dividends, payout, frequency) => {
+  const period = getPayoutPeriodKey(payout.exDate, frequency);
+  return getRegularDistributions(dividends).some(div => div.exDate && getPayoutPeriodKey(div.exDate, frequency) === period);
+};
+
+/**
+ * Build an estimated dividend record from the trailing-mean forecast
+ * The interval is kept on the record so estimates are never mistaken for confirmed data.
+ * @param {Array} currentDividends - Current dividend array
+ * @param {Object} payout - Expected { exDate, payDate }
+ * @param {number} currentPrice - Current stock price
+ * @returns {Object|null} Estimated dividend, or null without confirmed history
  */
-const shouldHavePaidDividend = (currentDate, month, year) => {
-  const monthNames = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
-  const monthIndex = monthNames.indexOf(month);
+const buildEstimatedDividend = (currentDividends, payout, currentPrice) => {
+  // Specials say nothing about the next regular payout
+  const forecast = forecastDividend(getRegularDistributions(currentDividends));
   
-  if (monthIndex === -1) return false;
+  if (forecast.value === null) {
+    return null;
+  }
   
-  // Expected payment date (usually 9th-10th of month)
-  const expectedPayDate = new Date(year, monthIndex, 10);
+  const [year, month] = payout.exDate.split('-').map(Number);
   
-  return currentDate > expectedPayDate;
+  return {
+    month: new Date(year, month - 1, 1).toLocaleString('default', { month: 'short' }),
+    year,
+    dividend: parseFloat(forecast.value.toFixed(4)),
+    yield: parseFloat(calculateYield(forecast.value, currentPrice).toFixed(2)),
+    exDate: payout.exDate,
+    payDate: payout.payDate,
+    source: 'Forecast',
+    status: 'estimated',
+    type: 'regular',
+    forecastModel: forecast.model,
+    forecastLower: forecast.lower === null ? null : parseFloat(forecast.lower.toFixed(4)),
+    forecastUpper: forecast.upper === null ? null : parseFloat(forecast.upper.toFixed(4))
+  };
 };
 
 /**
- * Enhanced function to check for and add new dividend data
+ * Adds an estimate for the latest expected regular payout (this month's, or
+ * this week's for weekly payers) once its payment date has passed without a
+ * confirmed record
+ * Announcements are only ever taken from the dividend data file; nothing here is random.
  * @param {Array} currentDividends - Current dividend array
  * @param {number} currentPrice - Current stock price
+ * @param {string} symbol - Ticker (default WNTR)
  * @returns {Promise<Array>} Updated dividend array
  */
-export const checkForNewDividendData = async (currentDividends, currentPrice) => {
+export const checkForNewDividendData = async (currentDividends, currentPrice, symbol = DEFAULT_SYMBOL) => {
   try {
+    const ticker = getTicker(symbol);
     const today = new Date();
-    const currentMonth = today.toLocaleString('default', { month: 'short' });
-    const currentYear = today.getFullYear();
+    const payout = getLatestExpectedPayout(ticker, today);
     
-    // Check current month
-    const hasCurrentMonth = currentDividends.some(
-      div => div.month === currentMonth && div.year === currentYear
-    );
-    
-    if (!hasCurrentMonth) {
-      // Check if we should have the dividend by now
-      if (shouldHavePaidDividend(today, currentMonth, currentYear)) {
-        console.log(`Missing dividend for ${currentMonth} ${currentYear}, adding estimated dividend`);
-        
-        // Generate expected dividend
-        const expectedDividend = generateExpectedDividend(currentDividends, currentMonth, currentYear);
-        const expectedYield = calculateYield(expectedDividend, currentPrice);
-        const monthIndex = today.getMonth();
-        const dates = getExpectedPayoutDates(currentYear, monthIndex);
-        
-        const newDividend = {
-          month: currentMonth,
-          year: currentYear,
-          dividend: parseFloat(expectedDividend.toFixed(4)),
-          yield: parseFloat(expectedYield.toFixed(2)),
-          exDate: dates.exDate,
-          payDate: dates.payDate,
-          estimated: true // Flag to indicate this is an estimate
-        };
-        
-        return [newDividend, ...currentDividends];
-      }
+    if (!hasPayoutInPeriod(currentDividends, payout, ticker.payoutFrequency) && shouldHavePaidDividend(payout, today)) {
+      const newDividend = buildEstimatedDividend(currentDividends, payout, currentPrice);
       
-      // Check if we're in announcement period and should simulate announcement
-      else if (isInAnnouncementPeriod(today, currentMonth, currentYear)) {
-        // 30% chance of "announcement" during this period
-        if (Math.random() < 0.3) {
-          console.log(`Simulating dividend announcement for ${currentMonth} ${currentYear}`);
-          
-          const expectedDividend = generateExpectedDividend(currentDividends, currentMonth, currentYear);
-          const expectedYield = calculateYield(expectedDividend, currentPrice);
-          const monthIndex = today.getMonth();
-          const dates = getExpectedPayoutDates(currentYear, monthIndex);
-          
-          const newDividend = {
-            month: currentMonth,
-            year: currentYear,
-            dividend: parseFloat(expectedDividend.toFixed(4)),
-            yield: parseFloat(expectedYield.toFixed(2)),
-            exDate: dates.exDate,
-            payDate: dates.payDate,
-            announced: true // Flag to indicate this was just announced
-          };
-          
-          return [newDividend, ...currentDividends];
-        }
-      }
-    }
-    
-    // Also check next month if we're close to the end of current month
-    const nextMonth = new Date(today);
-    nextMonth.setMonth(today.getMonth() + 1);
-    const nextMonthName = nextMonth.toLocaleString('default', { month: 'short' });
-    const nextYear = nextMonth.getFullYear();
-    
-    const hasNextMonth = currentDividends.some(
-      div => div.month === nextMonthName && div.year === nextYear
-    );
-    
-    if (!hasNextMonth && today.getDate() >= 25) { // Last week of month
-      if (isInAnnouncementPeriod(today, nextMonthName, nextYear)) {
-        // 25% chance of early announcement for next month
-        if (Math.random() < 0.25) {
-          console.log(`Simulating early dividend announcement for ${nextMonthName} ${nextYear}`);
-          
-          const expectedDividend = generateExpectedDividend(currentDividends, nextMonthName, nextYear);
-          const expectedYield = calculateYield(expectedDividend, currentPrice);
-          const nextMonthIndex = nextMonth.getMonth();
-          const dates = getExpectedPayoutDates(nextYear, nextMonthIndex);
-          
-          const newDividend = {
-            month: nextMonthName,
-            year: nextYear,
-            dividend: parseFloat(expectedDividend.toFixed(4)),
-            yield: parseFloat(expectedYield.toFixed(2)),
-            exDate: dates.exDate,
-            payDate: dates.payDate,
-            announced: true,
-            earlyAnnouncement: true
-          };
-          
-          return [newDividend, ...currentDividends];
-        }
+      if (newDividend) {
+        console.log(`Missing ${symbol} dividend for ex-date ${payout.exDate}, adding estimated dividend`);
+        return [newDividend, ...currentDividends];
       }
     }
     
@@ -341,35 +342,25 @@ export const checkForNewDividendData = async (currentDividends, currentPrice) =>
 
 /**
  * Force update dividend data for testing purposes
+ * Replaces the regular distribution of the latest expected payout period with an estimate.
  * @param {Array} currentDividends - Current dividend array
  * @param {number} currentPrice - Current stock price
- * @returns {Array} Updated dividend array with current month
+ * @param {string} symbol - Ticker (default WNTR)
+ * @returns {Array} Updated dividend array with the latest period estimated
  */
-export const forceUpdateCurrentMonth = (currentDividends, currentPrice) => {
-  const today = new Date();
-  const currentMonth = today.toLocaleString('default', { month: 'short' });
-  const currentYear = today.getFullYear();
+export const forceUpdateCurrentMonth = (currentDividends, currentPrice, symbol = DEFAULT_SYMBOL) => {
+  const ticker = getTicker(symbol);
+  const payout = getLatestExpectedPayout(ticker, new Date());
+  const period = getPayoutPeriodKey(payout.exDate, ticker.payoutFrequency);
   
-  // Remove any existing current month dividend
+  // Remove the regular distribution already recorded for that period
+  const regular = getRegularDistributions(currentDividends);
   const filteredDividends = currentDividends.filter(
-    div => !(div.month === currentMonth && div.year === currentYear)
+    div => !(regular.includes(div) && div.exDate && getPayoutPeriodKey(div.exDate, ticker.payoutFrequency) === period)
   );
   
-  // Generate new dividend for current month
-  const expectedDividend = generateExpectedDividend(filteredDividends, currentMonth, currentYear);
-  const expectedYield = calculateYield(expectedDividend, currentPrice);
-  const monthIndex = today.getMonth();
-  const dates = getExpectedPayoutDates(currentYear, monthIndex);
+  // Generate a new estimate for the period
+  const newDividend = buildEstimatedDividend(filteredDividends, payout, currentPrice);
   
-  const newDividend = {
-    month: currentMonth,
-    year: currentYear,
-    dividend: parseFloat(expectedDividend.toFixed(4)),
-    yield: parseFloat(expectedYield.toFixed(2)),
-    exDate: dates.exDate,
-    payDate: dates.payDate,
-    updated: true
-  };
-  
-  return [newDividend, ...filteredDividends];
-};
\ No newline at end of file
+  return newDividend ? [newDividend, ...filteredDividends] : filteredDividends;
+};
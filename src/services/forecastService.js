@@ -0,0 +1,266 @@
+/**
+ * Forecast Service for WNTR Dashboard
+ *
+ * Deterministic next-dividend forecasts from announced (paid or declared)
+ * dividends only; estimates are never used as inputs. Every model returns a point forecast with a prediction
+ * interval, so the same data always produces the same numbers.
+ */
+
+import { getDividendStatus } from './dividendData';
+
+export const FORECAST_MODELS = {
+  TRAILING_MEAN: 'trailingMean',
+  EWMA: 'ewma',
+  MEDIAN: 'median',
+  LINEAR_TREND: 'linearTrend',
+  VOLATILITY_REGRESSION: 'volatilityRegression'
+};
+
+export const FORECAST_MODEL_LABELS = {
+  [FORECAST_MODELS.TRAILING_MEAN]: 'Trailing mean',
+  [FORECAST_MODELS.EWMA]: 'Exponentially weighted mean (EWMA)',
+  [FORECAST_MODELS.MEDIAN]: 'Trailing median',
+  [FORECAST_MODELS.LINEAR_TREND]: 'Linear trend',
+  [FORECAST_MODELS.VOLATILITY_REGRESSION]: 'Regression on underlying volatility'
+};
+
+export const DEFAULT_FORECAST_OPTIONS = {
+  model: FORECAST_MODELS.TRAILING_MEAN,
+  window: 12,
+  alpha: 0.5,
+  confidence: 0.9
+};
+
+// Two-sided Student t critical values by degrees of freedom
+const T_DEGREES = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 12, 15, 20, 30, Infinity];
+const T_CRITICAL = {
+  0.8: [3.078, 1.886, 1.638, 1.533, 1.476, 1.440, 1.415, 1.397, 1.383, 1.372, 1.356, 1.341, 1.325, 1.310, 1.282],
+  0.9: [6.314, 2.920, 2.353, 2.132, 2.015, 1.943, 1.895, 1.860, 1.833, 1.812, 1.782, 1.753, 1.725, 1.697, 1.645],
+  0.95: [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228, 2.179, 2.131, 2.086, 2.042, 1.960]
+};
+
+/**
+ * Get the two-sided t critical value, rounding degrees of freedom down
+ * to the nearest tabulated value (a slightly wider interval)
+ * @param {number} df - Degrees of freedom
+ * @param {number} confidence - 0.8, 0.9 or 0.95
+ * @returns {number} Critical value
+ */
+export const getTCritical = (df, confidence = DEFAULT_FORECAST_OPTIONS.confidence) => {
+  const values = T_CRITICAL[confidence] || T_CRITICAL[DEFAULT_FORECAST_OPTIONS.confidence];
+  let index = 0;
+  T_DEGREES.forEach((degrees, i) => {
+    if (degrees <= df) index = i;
+  });
+  return values[index];
+};
+
+/**
+ * Get announced (paid or declared) dividends, oldest first
+ * @param {Array} dividends - Dividend history
+ * @returns {Array} Announced dividends sorted by ex-date
+ */
+export const getAnnouncedDividends = (dividends) => (dividends || [])
+  .filter(item => getDividendStatus(item) !== 'estimated')
+  .sort((a, b) => (a.exDate || '').localeCompare(b.exDate || ''));
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const sampleStdDev = (values) => {
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - avg) ** 2, 0) / (values.length - 1));
+};
+
+const median = (values) => {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Annualized realized volatility from daily closes
+ * @param {Array<number>} closes - Closing prices, oldest first
+ * @returns {number|null} Volatility in percent, null with fewer than 5 closes
+ */
+export const calculateRealizedVolatility = (closes) => {
+  if (!closes || closes.length < 5) return null;
+
+  const returns = closes.slice(1).map((close, index) => Math.log(close / closes[index]));
+  return sampleStdDev(returns) * Math.sqrt(252) * 100;
+};
+
+/**
+ * Pair each announced dividend with the underlying's realized volatility
+ * over the days before its ex-date (when the fund wrote the options)
+ * @param {Array} dividends - Dividend history
+ * @param {Array} priceHistory - Underlying closes of { date, close }
+ * @param {number} windowDays - Calendar days before the ex-date (default 30)
+ * @returns {Array} Points of { exDate, dividend, volatility } (volatility null when history is too short)
+ */
+export const getVolatilityInputs = (dividends, priceHistory, windowDays = 30) => getAnnouncedDividends(dividends)
+  .map(item => {
+    const start = new Date(item.exDate);
+    start.setDate(start.getDate() - windowDays);
+    const from = start.toISOString().split('T')[0];
+    const closes = (priceHistory || [])
+      .filter(point => point.date >= from && point.date < item.exDate)
+      .map(point => point.close);
+
+    return { exDate: item.exDate, dividend: item.dividend, volatility: calculateRealizedVolatility(closes) };
+  });
+
+/**
+ * Get the underlying's realized volatility for the most recent window
+ * @param {Array} priceHistory - Underlying closes of { date, close }
+ * @param {number} windowDays - Calendar days to include (default 30)
+ * @param {Date} asOf - End of the window
+ * @returns {number|null} Volatility in percent
+ */
+export const getCurrentVolatility = (priceHistory, windowDays = 30, asOf = new Date()) => {
+  const start = new Date(asOf);
+  start.setDate(start.getDate() - windowDays);
+  const from = start.toISOString().split('T')[0];
+
+  return calculateRealizedVolatility((priceHistory || [])
+    .filter(point => point.date >= from)
+    .map(point => point.close));
+};
+
+/**
+ * Ordinary least squares fit with a prediction at x0
+ * @returns {Object|null} { value, se, df }, se null below three points; null when x has no spread
+ */
+const fitLinear = (xs, ys, x0) => {
+  const n = xs.length;
+  const xBar = mean(xs);
+  const yBar = mean(ys);
+  const sxx = xs.reduce((sum, x) => sum + (x - xBar) ** 2, 0);
+
+  if (sxx === 0) return null;
+
+  const slope = xs.reduce((sum, x, i) => sum + (x - xBar) * (ys[i] - yBar), 0) / sxx;
+  const intercept = yBar - slope * xBar;
+  const value = intercept + slope * x0;
+
+  if (n < 3) return { value, se: null, df: 0 };
+
+  const residualSquares = xs.reduce((sum, x, i) => sum + (ys[i] - (intercept + slope * x)) ** 2, 0);
+  const s = Math.sqrt(residualSquares / (n - 2));
+  return { value, se: s * Math.sqrt(1 + 1 / n + (x0 - xBar) ** 2 / sxx), df: n - 2 };
+};
+
+/**
+ * Builds a forecast result, clamping the interval at zero
+ */
+const toForecast = (model, value, se, df, sampleSize, confidence, note = null) => {
+  const spread = se !== null && df > 0 ? getTCritical(df, confidence) * se : null;
+
+  return {
+    model,
+    value,
+    lower: spread === null ? null : Math.max(0, value - spread),
+    upper: spread === null ? null : value + spread,
+    confidence,
+    sampleSize,
+    note
+  };
+};
+
+const forecastTrailingMean = (values, confidence, note) => {
+  const n = values.length;
+  const se = n > 1 ? sampleStdDev(values) * Math.sqrt(1 + 1 / n) : null;
+  return toForecast(FORECAST_MODELS.TRAILING_MEAN, mean(values), se, n - 1, n, confidence, note);
+};
+
+const forecastEwma = (values, alpha, confidence) => {
+  const n = values.length;
+  const weights = values.map((value, index) => (1 - alpha) ** (n - 1 - index));
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  const weightSquares = weights.reduce((sum, weight) => sum + weight ** 2, 0);
+  const value = values.reduce((sum, item, index) => sum + weights[index] * item, 0) / weightSum;
+
+  if (n < 2) return toForecast(FORECAST_MODELS.EWMA, value, null, 0, n, confidence);
+
+  // Unbiased weighted variance; effective sample size sets the degrees of freedom
+  const variance = values.reduce((sum, item, index) => sum + weights[index] * (item - value) ** 2, 0)
+    / (weightSum - weightSquares / weightSum);
+  const effectiveSize = weightSum ** 2 / weightSquares;
+  const se = Math.sqrt(variance * (1 + 1 / effectiveSize));
+
+  return toForecast(FORECAST_MODELS.EWMA, value, se, Math.max(1, Math.floor(effectiveSize - 1)), n, confidence);
+};
+
+const forecastMedian = (values, confidence) => {
+  const n = values.length;
+  const value = median(values);
+
+  if (n < 2) return toForecast(FORECAST_MODELS.MEDIAN, value, null, 0, n, confidence);
+
+  // Robust spread (scaled MAD); the median's variance is about pi/2 times the mean's
+  const sigma = 1.4826 * median(values.map(item => Math.abs(item - value)));
+  const se = sigma * Math.sqrt(1 + Math.PI / (2 * n));
+  return toForecast(FORECAST_MODELS.MEDIAN, value, se, n - 1, n, confidence);
+};
+
+/**
+ * Forecasts the next monthly dividend per share
+ * Models that need more history than is available fall back to the
+ * trailing mean and say so in the note.
+ * @param {Array} dividends - Dividend history (estimates are ignored)
+ * @param {Object} options - Options
+ * @param {string} options.model - One of FORECAST_MODELS
+ * @param {number} options.window - Most recent announced dividends to use (default 12)
+ * @param {number} options.alpha - EWMA smoothing factor, 0-1 (default 0.5)
+ * @param {number} options.confidence - Interval confidence: 0.8, 0.9 or 0.95 (default 0.9)
+ * @param {Array} options.underlyingHistory - Underlying closes for the volatility regression
+ * @param {number} options.volatility - Volatility (%) to forecast at; defaults to the current realized volatility
+ * @returns {Object} { model, value, lower, upper, confidence, sampleSize, note }; value is null without announced data
+ */
+export const forecastDividend = (dividends, options = {}) => {
+  const {
+    model, window, alpha, confidence
+  } = { ...DEFAULT_FORECAST_OPTIONS, ...options };
+  const announced = getAnnouncedDividends(dividends).slice(-window);
+  const values = announced.map(item => item.dividend);
+
+  if (values.length === 0) {
+    return toForecast(model, null, null, 0, 0, confidence, 'No paid or declared dividends to forecast from');
+  }
+
+  switch (model) {
+    case FORECAST_MODELS.EWMA:
+      return forecastEwma(values, alpha, confidence);
+
+    case FORECAST_MODELS.MEDIAN:
+      return forecastMedian(values, confidence);
+
+    case FORECAST_MODELS.LINEAR_TREND: {
+      const fit = values.length >= 2 && fitLinear(values.map((value, index) => index), values, values.length);
+      if (!fit) {
+        return forecastTrailingMean(values, confidence, 'A trend needs at least two dividends; showing the trailing mean');
+      }
+      return toForecast(model, Math.max(0, fit.value), fit.se, fit.df, values.length, confidence);
+    }
+
+    case FORECAST_MODELS.VOLATILITY_REGRESSION: {
+      const points = getVolatilityInputs(announced, options.underlyingHistory)
+        .filter(point => point.volatility !== null);
+      const volatility = options.volatility || getCurrentVolatility(options.underlyingHistory);
+      const fit = points.length >= 3 && volatility && fitLinear(
+        points.map(point => point.volatility),
+        points.map(point => point.dividend),
+        volatility
+      );
+
+      if (!fit) {
+        return forecastTrailingMean(values, confidence,
+          'The volatility regression needs at least three dividends with underlying price history; showing the trailing mean');
+      }
+      return toForecast(model, Math.max(0, fit.value), fit.se, fit.df, points.length, confidence);
+    }
+
+    case FORECAST_MODELS.TRAILING_MEAN:
+    default:
+      return forecastTrailingMean(values, confidence);
+  }
+};
@@ -0,0 +1,131 @@
+/**
+ * iCalendar (.ics) Format for the Dividend Dashboard
+ *
+ * Builds all-day ex-dividend and payment events (RFC 5545) from dividend
+ * records and serializes them. Confirmed (paid or declared) distributions
+ * are CONFIRMED events and estimates TENTATIVE, with the amount and status
+ * in the description. Event UIDs come from the symbol and ex-date, so
+ * calendars update events in place when a distribution is confirmed or
+ * corrected.
+ *
+ * Shared by the dashboard's download (icsService.js) and the updater's feed
+ * (scripts/lib/ics.js), so it is CommonJS with no imports.
+ */
+
+const ICS_PRODUCT_ID = '-//Dividend Dashboard//Dividend Calendar//EN';
+
+// Each distribution becomes these events (upcoming ex and pay dates)
+const EVENT_FIELDS = [
+  { field: 'exDate', id: 'ex', title: 'ex-dividend' },
+  { field: 'payDate', id: 'pay', title: 'dividend payment' }
+];
+
+const STATUS_LABELS = { paid: 'Paid', declared: 'Declared', estimated: 'Estimated' };
+
+/**
+ * Escapes text for an iCalendar property value
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+const escapeIcsText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Folds a content line to 75 characters, continuing with a leading space
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+const foldLine = (line) => {
+  const parts = [line.slice(0, 75)];
+  for (let start = 75; start < line.length; start += 74) {
+    parts.push(line.slice(start, start + 74));
+  }
+  return parts.join('\r\n ');
+};
+
+const toIcsDate = (isoDate) => isoDate.replace(/-/g, '');
+
+const nextDay = (isoDate) => {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Builds the ex-dividend and payment events for a ticker's records
+ * @param {Object} options - Options
+ * @param {string} options.symbol - Ticker
+ * @param {Array} options.records - Records of { exDate, payDate, amount, status, type, source, projected }
+ * @param {string} options.from - First event date to include (YYYY-MM-DD)
+ * @param {string} options.to - Last event date to include (YYYY-MM-DD)
+ * @returns {Array<Object>} Events of { uid, date, summary, description, confirmed }, by date
+ */
+const buildIcsEvents = ({ symbol, records, from, to }) => (records || [])
+  .filter(record => record.exDate && record.amount != null)
+  .flatMap(record => {
+    const confirmed = record.status !== 'estimated';
+    const kind = record.type === 'special' ? 'special distribution' : 'distribution';
+    const amount = `$${record.amount.toFixed(4)}`;
+
+    return EVENT_FIELDS
+      .filter(({ field }) => record[field] && record[field] >= from && record[field] <= to)
+      .map(({ field, id, title }) => ({
+        uid: `${symbol}-${record.exDate}-${id}@dividend-dashboard`,
+        date: record[field],
+        summary: `${symbol} ${title}: ${amount}/share${confirmed ? '' : ' (estimated)'}`,
+        description: [
+          `${symbol} ${kind} of ${amount} per share.`,
+          `Status: ${STATUS_LABELS[record.status]}${confirmed ? '' : ' (not announced yet; the amount is a forecast)'}`,
+          `Ex-dividend date: ${record.exDate}`,
+          `Pay date: ${record.payDate || 'unknown'}`,
+          record.source && !record.projected ? `Source: ${record.source}` : null
+        ].filter(Boolean).join('\n'),
+        confirmed
+      }));
+  })
+  .sort((a, b) => a.date.localeCompare(b.date) || a.uid.localeCompare(b.uid));
+
+/**
+ * Serializes events as an iCalendar file
+ * @param {Array<Object>} events - Events from buildIcsEvents
+ * @param {Object} options - Options
+ * @param {string} options.name - Calendar name
+ * @param {Date} options.timestamp - DTSTAMP for every event (default now); a fixed one keeps unchanged data byte-identical
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+const toIcs = (events, { name, timestamp = new Date() }) => {
+  const dtstamp = timestamp.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS_PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    ...events.flatMap(event => [
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${dtstamp}`,
+      `DTSTART;VALUE=DATE:${toIcsDate(event.date)}`,
+      `DTEND;VALUE=DATE:${toIcsDate(nextDay(event.date))}`,
+      `SUMMARY:${escapeIcsText(event.summary)}`,
+      `DESCRIPTION:${escapeIcsText(event.description)}`,
+      `STATUS:${event.confirmed ? 'CONFIRMED' : 'TENTATIVE'}`,
+      'TRANSP:TRANSPARENT',
+      'CATEGORIES:Dividends',
+      'END:VEVENT'
+    ]),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  ICS_PRODUCT_ID,
+  buildIcsEvents,
+  toIcs
+};
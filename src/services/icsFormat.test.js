@@ -0,0 +1,43 @@
+import { buildDividendEvents, toIcs } from './icsService';
+import { toDashboardDividend } from './dividendData';
+import { forecastDividend } from './forecastService';
+import { getRegularDistributions } from './payoutCalendar';
+
+// The updater's feed (CommonJS) must agree with the dashboard's download
+const { buildIcsEvents, toIcs: toFeedIcs } = require('./icsFormat');
+const { forecastAmount } = require('../../scripts/lib/ics');
+
+const record = (exDate, payDate, amount, fields = {}) => ({
+  exDate, recordDate: exDate, payDate, declarationDate: null, amount, yield: null, source: 'polygon', status: 'paid', ...fields
+});
+
+// Fourteen months so the 12-payout forecast window drops the oldest ones
+const records = [
+  ...Array.from({ length: 12 }, (_, index) => {
+    const month = String(index + 1).padStart(2, '0');
+    return record(`2025-${month}-08`, `2025-${month}-09`, 2 + index * 0.1234);
+  }),
+  record('2025-12-19', '2025-12-22', 0.35, { type: 'special', source: 'seekingalpha' }),
+  record('2026-01-08', '2026-01-09', 3.07, { status: 'declared', source: 'stockanalysis' }),
+  record('2026-02-06', '2026-02-09', 3.5, { status: 'estimated', source: 'yahoo' })
+];
+
+describe('iCalendar output', () => {
+  const range = { symbol: 'WNTR', from: '2025-10-01', to: '2026-03-31' };
+  const timestamp = new Date('2025-12-31T00:00:00Z');
+
+  test('the dashboard download matches the updater feed for the same records', () => {
+    const dashboard = toIcs(buildDividendEvents({ ...range, dividends: records.map(toDashboardDividend) }), { name: 'WNTR Dividends', timestamp });
+    const feed = toFeedIcs(buildIcsEvents({ ...range, records }), { name: 'WNTR Dividends', timestamp });
+
+    expect(dashboard).toBe(feed);
+    expect(dashboard).toContain('UID:WNTR-2025-12-19-pay@dividend-dashboard');
+    expect(dashboard).toContain('STATUS:TENTATIVE');
+  });
+
+  test('the feed projects the amount the dashboard forecasts', () => {
+    const forecast = forecastDividend(getRegularDistributions(records.map(toDashboardDividend)));
+
+    expect(forecastAmount(records)).toBe(parseFloat(forecast.value.toFixed(4)));
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * iCalendar (.ics) Export for the Dividend Dashboard
+ *
+ * Turns dashboard dividends and projected payouts into ex-dividend and
+ * payment events and downloads them. The events and serialization live in
+ * icsFormat.js, which the updater also uses to write the subscribable
+ * public/data/dividends.ics feed.
+ */
+
+import { getDividendStatus } from './dividendData';
+import { isSpecialDistribution } from './payoutCalendar';
+import { downloadFile } from './exportService';
+import { buildIcsEvents, toIcs } from './icsFormat';
+
+export { toIcs };
+
+/**
+ * URL of the calendar feed the updater publishes for every ticker
+ * @returns {string} URL under public/data
+ */
+export const getCalendarFeedUrl = () => `${process.env.PUBLIC_URL || ''}/data/dividends.ics`;
+
+/**
+ * Builds the ex-dividend and payment events for a ticker's distributions
+ * @param {Object} options - Options
+ * @param {string} options.symbol - Ticker
+ * @param {Array} options.dividends - Dashboard dividends, including projected payouts
+ * @param {string} options.from - First event date to include (YYYY-MM-DD)
+ * @param {string} options.to - Last event date to include (YYYY-MM-DD)
+ * @returns {Array<Object>} Events of { uid, date, summary, description, confirmed }, by date
+ */
+export const buildDividendEvents = ({ symbol, dividends, from, to }) => buildIcsEvents({
+  symbol,
+  records: (dividends || []).map(item => ({
+    exDate: item.exDate,
+    payDate: item.payDate,
+    amount: item.dividend,
+    status: getDividendStatus(item),
+    type: isSpecialDistribution(item) ? 'special' : 'regular',
+    source: item.source,
+    projected: item.projected
+  })),
+  from,
+  to
+});
+
+/**
+ * Downloads a ticker's upcoming ex-dividend and payment dates as an .ics file
+ * @param {Object} options - Options passed to buildDividendEvents
+ * @returns {number} Number of events written
+ */
+export const downloadDividendCalendar = ({ symbol, dividends, from, to }) => {
+  const events = buildDividendEvents({ symbol, dividends, from, to });
+  downloadFile(`${symbol.toLowerCase()}-dividends.ics`, toIcs(events, { name: `${symbol} Dividends` }), 'text/calendar;charset=utf-8');
+  return events.length;
+};
@@ -0,0 +1,202 @@
+/**
+ * Market Hours for WNTR Dashboard
+ *
+ * US equity session detection (America/New_York) and the refresh cadence
+ * that goes with it: fast during the regular session, slower around it,
+ * and idle on weekends and NYSE holidays. Holidays and early closes follow
+ * the exchange's rules for any year; unscheduled closures are listed in
+ * SPECIAL_CLOSURES.
+ */
+
+// Unscheduled NYSE closures (national days of mourning and the like), added as announced
+export const SPECIAL_CLOSURES = ['2025-01-09'];
+
+// Regular session close, and the 1:00 PM close of early-close days (minutes after midnight)
+const CLOSE_MINUTES = 16 * 60;
+const EARLY_CLOSE_MINUTES = 13 * 60;
+// After-hours trading runs four hours past the close
+const POST_MARKET_MINUTES = 4 * 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const utcDate = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+const toIsoDate = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Get the nth weekday of a month
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} weekday - Day of the week (0 = Sunday)
+ * @param {number} n - Occurrence (1-5), or -1 for the last one
+ * @returns {Date} Date at UTC midnight
+ */
+const nthWeekday = (year, month, weekday, n) => {
+  if (n < 0) {
+    const last = utcDate(year, month + 1, 0);
+    return addDays(last, -((last.getUTCDay() - weekday + 7) % 7));
+  }
+  const first = utcDate(year, month, 1);
+  return addDays(first, (weekday - first.getUTCDay() + 7) % 7 + (n - 1) * 7);
+};
+
+/**
+ * Get Easter Sunday (anonymous Gregorian algorithm)
+ * @param {number} year - Year
+ * @returns {Date} Date at UTC midnight
+ */
+const getEasterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return utcDate(year, month, day);
+};
+
+// Fixed-date holidays on a Saturday close the Friday before, on a Sunday the Monday after
+const getObservedDate = (date) => {
+  if (date.getUTCDay() === 6) return addDays(date, -1);
+  if (date.getUTCDay() === 0) return addDays(date, 1);
+  return date;
+};
+
+/**
+ * Get the NYSE full-day closures for a year, from the exchange's holiday rules
+ * New Year's Day on a Saturday isn't made up (the exchange stays open on
+ * December 31); Juneteenth is observed from 2022.
+ * @param {number} year - Year
+ * @returns {Array<string>} Closure dates (YYYY-MM-DD), in order
+ */
+export const getMarketHolidays = (year) => {
+  const newYearsDay = utcDate(year, 1, 1);
+
+  return [
+    newYearsDay.getUTCDay() === 6 ? null : getObservedDate(newYearsDay),
+    nthWeekday(year, 1, 1, 3), // Martin Luther King Jr. Day
+    nthWeekday(year, 2, 1, 3), // Washington's Birthday
+    addDays(getEasterSunday(year), -2), // Good Friday
+    nthWeekday(year, 5, 1, -1), // Memorial Day
+    year >= 2022 ? getObservedDate(utcDate(year, 6, 19)) : null,
+    getObservedDate(utcDate(year, 7, 4)),
+    nthWeekday(year, 9, 1, 1), // Labor Day
+    nthWeekday(year, 11, 4, 4), // Thanksgiving
+    getObservedDate(utcDate(year, 12, 25))
+  ]
+    .filter(Boolean)
+    .map(toIsoDate)
+    .concat(SPECIAL_CLOSURES.filter(date => date.startsWith(`${year}-`)))
+    .sort();
+};
+
+/**
+ * Get the NYSE early-close days (1:00 PM) for a year: the day after
+ * Thanksgiving, and July 3 and Christmas Eve when they fall Monday to
+ * Thursday (on a Friday they are the observed holiday)
+ * @param {number} year - Year
+ * @returns {Array<string>} Early-close dates (YYYY-MM-DD), in order
+ */
+export const getEarlyCloses = (year) => {
+  const isMondayToThursday = (date) => date.getUTCDay() >= 1 && date.getUTCDay() <= 4;
+  const julyThird = utcDate(year, 7, 3);
+  const christmasEve = utcDate(year, 12, 24);
+
+  return [
+    isMondayToThursday(julyThird) ? julyThird : null,
+    addDays(nthWeekday(year, 11, 4, 4), 1),
+    isMondayToThursday(christmasEve) ? christmasEve : null
+  ]
+    .filter(Boolean)
+    .map(toIsoDate)
+    .sort();
+};
+
+export const MARKET_SESSIONS = {
+  PRE: 'pre',
+  REGULAR: 'regular',
+  POST: 'post',
+  CLOSED: 'closed',
+  HOLIDAY: 'holiday'
+};
+
+// Refresh delay and quote TTL per session
+export const SESSION_REFRESH_MS = {
+  [MARKET_SESSIONS.REGULAR]: 2 * 60 * 1000,
+  [MARKET_SESSIONS.PRE]: 10 * 60 * 1000,
+  [MARKET_SESSIONS.POST]: 10 * 60 * 1000,
+  [MARKET_SESSIONS.CLOSED]: 60 * 60 * 1000,
+  [MARKET_SESSIONS.HOLIDAY]: 6 * 60 * 60 * 1000
+};
+
+export const SESSION_LABELS = {
+  [MARKET_SESSIONS.PRE]: 'Pre-market',
+  [MARKET_SESSIONS.REGULAR]: 'Market open',
+  [MARKET_SESSIONS.POST]: 'After hours',
+  [MARKET_SESSIONS.CLOSED]: 'Market closed',
+  [MARKET_SESSIONS.HOLIDAY]: 'Market holiday'
+};
+
+const NEW_YORK_FORMAT = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'America/New_York',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  weekday: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+/**
+ * Get New York wall-clock parts for a date
+ * @param {Date} date - Date to convert
+ * @returns {Object} { isoDate, weekday, minutes } (minutes since midnight)
+ */
+const getNewYorkTime = (date) => {
+  const parts = NEW_YORK_FORMAT.formatToParts(date).reduce((result, part) => ({
+    ...result,
+    [part.type]: part.value
+  }), {});
+
+  return {
+    isoDate: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: parts.weekday,
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+};
+
+/**
+ * Get the US market session for a moment in time
+ * @param {Date} date - Date to check
+ * @returns {string} One of MARKET_SESSIONS
+ */
+export const getMarketSession = (date = new Date()) => {
+  const { isoDate, weekday, minutes } = getNewYorkTime(date);
+  const year = parseInt(isoDate.slice(0, 4), 10);
+
+  if (weekday === 'Sat' || weekday === 'Sun' || getMarketHolidays(year).includes(isoDate)) {
+    return MARKET_SESSIONS.HOLIDAY;
+  }
+
+  const close = getEarlyCloses(year).includes(isoDate) ? EARLY_CLOSE_MINUTES : CLOSE_MINUTES;
+  if (minutes >= 4 * 60 && minutes < 9 * 60 + 30) return MARKET_SESSIONS.PRE;
+  if (minutes >= 9 * 60 + 30 && minutes < close) return MARKET_SESSIONS.REGULAR;
+  if (minutes >= close && minutes < close + POST_MARKET_MINUTES) return MARKET_SESSIONS.POST;
+  return MARKET_SESSIONS.CLOSED;
+};
+
+/**
+ * Get how long to wait before the next automatic refresh
+ * @param {Date} date - Current time
+ * @returns {number} Delay in milliseconds
+ */
+export const getRefreshDelay = (date = new Date()) => SESSION_REFRESH_MS[getMarketSession(date)];
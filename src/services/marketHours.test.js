@@ -0,0 +1,45 @@
+import { getMarketHolidays, getEarlyCloses, getMarketSession, MARKET_SESSIONS } from './marketHours';
+
+describe('getMarketHolidays', () => {
+  test('matches the published NYSE calendars', () => {
+    expect(getMarketHolidays(2025)).toEqual([
+      '2025-01-01', '2025-01-09', '2025-01-20', '2025-02-17', '2025-04-18', '2025-05-26',
+      '2025-06-19', '2025-07-04', '2025-09-01', '2025-11-27', '2025-12-25'
+    ]);
+    expect(getMarketHolidays(2026)).toEqual([
+      '2026-01-01', '2026-01-19', '2026-02-16', '2026-04-03', '2026-05-25', '2026-06-19',
+      '2026-07-03', '2026-09-07', '2026-11-26', '2026-12-25'
+    ]);
+    expect(getMarketHolidays(2027)).toEqual([
+      '2027-01-01', '2027-01-18', '2027-02-15', '2027-03-26', '2027-05-31', '2027-06-18',
+      '2027-07-05', '2027-09-06', '2027-11-25', '2027-12-24'
+    ]);
+  });
+
+  test('skips a New Year\'s Day that falls on a Saturday', () => {
+    expect(getMarketHolidays(2028)).toEqual([
+      '2028-01-17', '2028-02-21', '2028-04-14', '2028-05-29', '2028-06-19',
+      '2028-07-04', '2028-09-04', '2028-11-23', '2028-12-25'
+    ]);
+  });
+});
+
+describe('getEarlyCloses', () => {
+  test('closes early before Independence Day, after Thanksgiving and on Christmas Eve', () => {
+    expect(getEarlyCloses(2025)).toEqual(['2025-07-03', '2025-11-28', '2025-12-24']);
+    // July 3 is the observed holiday and Christmas Eve a Thursday
+    expect(getEarlyCloses(2026)).toEqual(['2026-11-27', '2026-12-24']);
+  });
+});
+
+describe('getMarketSession', () => {
+  test('ends the regular session at 1:00 PM on early-close days', () => {
+    expect(getMarketSession(new Date('2025-11-28T17:30:00Z'))).toBe(MARKET_SESSIONS.REGULAR);
+    expect(getMarketSession(new Date('2025-11-28T18:30:00Z'))).toBe(MARKET_SESSIONS.POST);
+    expect(getMarketSession(new Date('2025-12-01T18:30:00Z'))).toBe(MARKET_SESSIONS.REGULAR);
+  });
+
+  test('knows the holidays of years far ahead', () => {
+    expect(getMarketSession(new Date('2031-11-27T15:00:00Z'))).toBe(MARKET_SESSIONS.HOLIDAY);
+  });
+});
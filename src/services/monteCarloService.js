@@ -0,0 +1,196 @@
+/**
+ * Monte Carlo Service for WNTR Dashboard
+ *
+ * Simulates monthly income and position value over many random trials.
+ * Each month the price follows a lognormal step (drift and volatility) and
+ * the month's income is the price times a distribution rate sampled from
+ * history (either by bootstrap or from a fitted lognormal), scaled by the
+ * ticker's payouts per month. Runs are seeded,
+ * so the same inputs always give the same percentiles.
+ *
+ * Pure functions only: the Web Worker (src/workers/monteCarlo.worker.js)
+ * calls runMonteCarlo off the main thread.
+ */
+
+import { getPaymentsPerYear } from './payoutCalendar';
+import { PAYOUT_FREQUENCIES } from './tickerRegistry';
+
+export const SAMPLING_METHODS = {
+  BOOTSTRAP: 'bootstrap',
+  LOGNORMAL: 'lognormal'
+};
+
+export const DEFAULT_SIMULATION_OPTIONS = {
+  trials: 5000,
+  months: 36,
+  method: SAMPLING_METHODS.BOOTSTRAP,
+  monthlyDrift: 0,
+  monthlyVolatility: 10,
+  frequency: PAYOUT_FREQUENCIES.MONTHLY,
+  reinvest: false,
+  seed: 1
+};
+
+export const PERCENTILES = [10, 50, 90];
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Standard normal sample (Box-Muller)
+ * @param {Function} random - Uniform generator
+ * @returns {number} Sample from N(0, 1)
+ */
+const sampleNormal = (random) => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Get historical per-distribution rates (dividend / price on the ex-date)
+ * @param {Array} dividends - Dividend history
+ * @param {number} currentPrice - Price used when a record has no yield
+ * @returns {Array<number>} Rates as fractions of price
+ */
+export const getDistributionRates = (dividends, currentPrice) => (dividends || [])
+  .map(item => (item.yield > 0 ? item.yield / 100 : currentPrice > 0 ? item.dividend / currentPrice : null))
+  .filter(rate => rate > 0);
+
+/**
+ * Fits a lognormal distribution to positive values
+ * @param {Array<number>} values - Positive samples
+ * @returns {Object} { mu, sigma } of the log values (sigma 0 for a single value)
+ */
+export const fitLognormal = (values) => {
+  const logs = values.map(value => Math.log(value));
+  const mu = logs.reduce((sum, value) => sum + value, 0) / logs.length;
+  const sigma = logs.length > 1
+    ? Math.sqrt(logs.reduce((sum, value) => sum + (value - mu) ** 2, 0) / (logs.length - 1))
+    : 0;
+  return { mu, sigma };
+};
+
+/**
+ * Reads a percentile from sorted values (linear interpolation)
+ * @param {Float64Array} sorted - Sorted values
+ * @param {number} percentile - 0-100
+ * @returns {number} Percentile value
+ */
+const percentileOf = (sorted, percentile) => {
+  const position = (sorted.length - 1) * (percentile / 100);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const toPercentiles = (values) => {
+  const sorted = Float64Array.from(values).sort();
+  return PERCENTILES.reduce((result, percentile) => ({
+    ...result,
+    [`p${percentile}`]: percentileOf(sorted, percentile)
+  }), {});
+};
+
+/**
+ * Runs the Monte Carlo income simulation
+ * @param {Object} options - Simulation options
+ * @param {number} options.investmentAmount - Initial investment in dollars
+ * @param {number} options.currentPrice - Starting price per share
+ * @param {Array<number>} options.rates - Historical distribution rates (see getDistributionRates)
+ * @param {number} options.months - Horizon in months
+ * @param {number} options.trials - Number of trials
+ * @param {string} options.method - One of SAMPLING_METHODS
+ * @param {number} options.monthlyDrift - Expected monthly price change in percent
+ * @param {number} options.monthlyVolatility - Monthly price volatility in percent
+ * @param {string} options.frequency - Ticker's payout frequency; a weekly payer earns 52/12 rates a month
+ * @param {boolean} options.reinvest - Buy shares with each distribution
+ * @param {number} options.seed - Random seed
+ * @returns {Object} { bands, summary }; bands are rows of { month, date, label, cumulativeIncome, positionValue } with p10/p50/p90 each
+ */
+export const runMonteCarlo = (options) => {
+  const {
+    investmentAmount, currentPrice, rates, months, trials, method, monthlyDrift, monthlyVolatility, frequency, reinvest, seed
+  } = { ...DEFAULT_SIMULATION_OPTIONS, ...options };
+
+  if (!currentPrice || currentPrice <= 0 || !investmentAmount || investmentAmount <= 0 || !rates || rates.length === 0 || !(months >= 1)) {
+    return { bands: [], summary: null };
+  }
+
+  const random = createRandom(seed);
+  const fit = fitLognormal(rates);
+  const sampleRate = method === SAMPLING_METHODS.LOGNORMAL
+    ? () => Math.exp(fit.mu + fit.sigma * sampleNormal(random))
+    : () => rates[Math.floor(random() * rates.length)];
+
+  // Rates are per distribution; a month holds this many of them
+  const payoutsPerMonth = getPaymentsPerYear(frequency) / 12;
+
+  // Lognormal price step whose mean matches the drift
+  const sigma = monthlyVolatility / 100;
+  const logDrift = Math.log(1 + monthlyDrift / 100) - (sigma * sigma) / 2;
+
+  const incomeByMonth = Array.from({ length: months }, () => new Float64Array(trials));
+  const valueByMonth = Array.from({ length: months }, () => new Float64Array(trials));
+
+  for (let trial = 0; trial < trials; trial++) {
+    let price = currentPrice;
+    let shares = investmentAmount / currentPrice;
+    let cumulativeIncome = 0;
+
+    for (let month = 0; month < months; month++) {
+      price *= Math.exp(logDrift + sigma * sampleNormal(random));
+      const income = shares * price * sampleRate() * payoutsPerMonth;
+      cumulativeIncome += income;
+      if (reinvest) shares += income / price;
+
+      incomeByMonth[month][trial] = cumulativeIncome;
+      valueByMonth[month][trial] = shares * price;
+    }
+  }
+
+  const today = new Date();
+  const bands = incomeByMonth.map((incomes, index) => {
+    const date = new Date(today.getFullYear(), today.getMonth() + index + 1, 1);
+    return {
+      month: index + 1,
+      date: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-01`,
+      label: `${date.toLocaleString('default', { month: 'short' })} ${date.getFullYear()}`,
+      cumulativeIncome: toPercentiles(incomes),
+      positionValue: toPercentiles(valueByMonth[index])
+    };
+  });
+
+  // Share of trials that end with less than they started (income plus position value)
+  const finalIncome = incomeByMonth[months - 1];
+  const finalValue = valueByMonth[months - 1];
+  let losses = 0;
+  for (let trial = 0; trial < trials; trial++) {
+    if (finalIncome[trial] + finalValue[trial] < investmentAmount) losses++;
+  }
+
+  return {
+    bands,
+    summary: {
+      trials,
+      months,
+      method,
+      finalIncome: bands[months - 1].cumulativeIncome,
+      finalValue: bands[months - 1].positionValue,
+      lossProbability: losses / trials
+    }
+  };
+};
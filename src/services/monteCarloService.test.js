@@ -0,0 +1,28 @@
+import { runMonteCarlo, getDistributionRates } from './monteCarloService';
+
+const options = {
+  investmentAmount: 10000,
+  currentPrice: 20,
+  months: 12,
+  trials: 200,
+  monthlyDrift: 0,
+  monthlyVolatility: 0
+};
+
+describe('runMonteCarlo', () => {
+  test('pays a monthly rate once a month', () => {
+    const { summary } = runMonteCarlo({ ...options, rates: [0.05] });
+
+    // 12 payouts of 5% on a flat $10,000 position
+    expect(summary.finalIncome.p50).toBeCloseTo(6000);
+  });
+
+  test('pays a weekly rate 52 times a year', () => {
+    const rates = getDistributionRates([{ dividend: 0.2, yield: 1 }, { dividend: 0.2, yield: 1 }], 20);
+    const { summary } = runMonteCarlo({ ...options, rates, frequency: 'weekly' });
+
+    // 52 payouts of 1% on a flat $10,000 position
+    expect(summary.finalIncome.p50).toBeCloseTo(5200);
+    expect(summary.finalIncome.p10).toBeCloseTo(5200);
+  });
+});
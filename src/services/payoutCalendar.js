@@ -0,0 +1,318 @@
+/**
+ * Payout Calendar for the Dividend Dashboard
+ *
+ * Frequency-aware date logic for distributions. Regular distributions follow
+ * the ticker's payout frequency from the registry: monthly funds go ex on
+ * `typicalExDay` of each month, weekly funds on `typicalExWeekday` of each
+ * week. Special distributions (type "special" in the data file) are one-offs
+ * off that calendar: they are never estimated and don't stand in for a
+ * regular payment. Records are identified by ex-date, so any number of
+ * distributions can fall in the same month.
+ */
+
+import { PAYOUT_FREQUENCIES } from './tickerRegistry';
+import { getDividendStatus } from './dividendData';
+import { getSharesHeldForExDate } from './dividendEligibility';
+
+export const DISTRIBUTION_TYPES = {
+  REGULAR: 'regular',
+  SPECIAL: 'special'
+};
+
+export const PAYMENTS_PER_YEAR = {
+  [PAYOUT_FREQUENCIES.WEEKLY]: 52,
+  [PAYOUT_FREQUENCIES.MONTHLY]: 12
+};
+
+export const FREQUENCY_LABELS = {
+  [PAYOUT_FREQUENCIES.WEEKLY]: 'Weekly',
+  [PAYOUT_FREQUENCIES.MONTHLY]: 'Monthly'
+};
+
+export const CALENDAR_EVENT_TYPES = {
+  DECLARATION: 'declaration',
+  EX: 'ex',
+  RECORD: 'record',
+  PAY: 'pay'
+};
+
+export const CALENDAR_EVENT_LABELS = {
+  declaration: 'Declared',
+  ex: 'Ex-date',
+  record: 'Record',
+  pay: 'Pay'
+};
+
+// Record fields that become calendar events, in the order they happen
+const EVENT_DATE_FIELDS = [
+  ['declarationDate', CALENDAR_EVENT_TYPES.DECLARATION],
+  ['exDate', CALENDAR_EVENT_TYPES.EX],
+  ['recordDate', CALENDAR_EVENT_TYPES.RECORD],
+  ['payDate', CALENDAR_EVENT_TYPES.PAY]
+];
+
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const toIsoDate = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const parseIsoDate = (isoDate) => {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Number of regular distributions a year for a payout frequency
+ * @param {string} frequency - One of PAYOUT_FREQUENCIES (default monthly)
+ * @returns {number} Payments per year
+ */
+export const getPaymentsPerYear = (frequency = PAYOUT_FREQUENCIES.MONTHLY) => PAYMENTS_PER_YEAR[frequency] || PAYMENTS_PER_YEAR[PAYOUT_FREQUENCIES.MONTHLY];
+
+/**
+ * Check if a record is a special (one-off) distribution
+ * @param {Object} record - Dividend record (data file or dashboard shape)
+ * @returns {boolean} True for type "special"
+ */
+export const isSpecialDistribution = (record) => record.type === DISTRIBUTION_TYPES.SPECIAL;
+
+/**
+ * Get the regular distributions, leaving out specials
+ * @param {Array} dividends - Dividend history
+ * @returns {Array} Regular distributions
+ */
+export const getRegularDistributions = (dividends) => (dividends || []).filter(item => !isSpecialDistribution(item));
+
+/**
+ * Key of the payout period an ex-date falls in
+ * Monthly periods are calendar months (YYYY-MM); weekly periods are
+ * Monday-to-Sunday weeks, keyed by their Monday (YYYY-MM-DD).
+ * @param {string} exDate - Ex-dividend date (YYYY-MM-DD)
+ * @param {string} frequency - One of PAYOUT_FREQUENCIES
+ * @returns {string} Period key
+ */
+export const getPayoutPeriodKey = (exDate, frequency = PAYOUT_FREQUENCIES.MONTHLY) => {
+  if (frequency !== PAYOUT_FREQUENCIES.WEEKLY) {
+    return exDate.slice(0, 7);
+  }
+
+  const date = parseIsoDate(exDate);
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return toIsoDate(date);
+};
+
+/**
+ * Expected ex-dividend date of the regular payout in the period containing a date
+ * Monthly ex-days past the end of a short month fall on its last day.
+ * @param {Object} ticker - Registry entry
+ * @param {Date} date - Any date in the period
+ * @returns {Date} Expected ex-dividend date
+ */
+const getExpectedExDateInPeriod = (ticker, date) => {
+  if (ticker.payoutFrequency === PAYOUT_FREQUENCIES.WEEKLY) {
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+    return new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + ((ticker.typicalExWeekday + 6) % 7));
+  }
+
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  return new Date(date.getFullYear(), date.getMonth(), Math.min(ticker.typicalExDay, lastDay));
+};
+
+/**
+ * Start of the period after the one containing a date
+ * @param {Object} ticker - Registry entry
+ * @param {Date} date - Any date in the period
+ * @returns {Date} First day of the next period
+ */
+const getNextPeriodStart = (ticker, date) => (ticker.payoutFrequency === PAYOUT_FREQUENCIES.WEEKLY
+  ? new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7) + 7)
+  : new Date(date.getFullYear(), date.getMonth() + 1, 1));
+
+/**
+ * Get the expected ex-dividend and payment dates for a regular payout
+ * @param {Object} ticker - Registry entry (uses payDateOffsetDays)
+ * @param {string} exDate - Expected ex-dividend date (YYYY-MM-DD)
+ * @returns {Object} { exDate, payDate }
+ */
+export const getExpectedPayoutDates = (ticker, exDate) => {
+  const payDate = parseIsoDate(exDate);
+  payDate.setDate(payDate.getDate() + ticker.payDateOffsetDays);
+
+  return { exDate, payDate: toIsoDate(payDate) };
+};
+
+/**
+ * Expected regular ex-dividend dates within a range, following the ticker's frequency
+ * @param {Object} ticker - Registry entry
+ * @param {string} fromDate - First date (YYYY-MM-DD, inclusive)
+ * @param {string} toDate - Last date (YYYY-MM-DD, inclusive)
+ * @returns {Array<string>} Ex-dividend dates, oldest first
+ */
+export const getExpectedExDates = (ticker, fromDate, toDate) => {
+  const dates = [];
+  let period = parseIsoDate(fromDate);
+
+  while (toIsoDate(period) <= toDate) {
+    const exDate = toIsoDate(getExpectedExDateInPeriod(ticker, period));
+    if (exDate >= fromDate && exDate <= toDate) {
+      dates.push(exDate);
+    }
+    period = getNextPeriodStart(ticker, period);
+  }
+
+  return dates;
+};
+
+/**
+ * The most recent regular payout expected on or before a date
+ * @param {Object} ticker - Registry entry
+ * @param {Date} asOf - Date to look back from
+ * @returns {Object} { exDate, payDate }
+ */
+export const getLatestExpectedPayout = (ticker, asOf = new Date()) => {
+  const exDate = getExpectedExDateInPeriod(ticker, asOf);
+  const latest = exDate <= asOf
+    ? exDate
+    : getExpectedExDateInPeriod(ticker, new Date(asOf.getFullYear(), asOf.getMonth(), asOf.getDate() - (ticker.payoutFrequency === PAYOUT_FREQUENCIES.WEEKLY ? 7 : asOf.getDate())));
+
+  return getExpectedPayoutDates(ticker, toIsoDate(latest));
+};
+
+/**
+ * The next regular payout expected after a date
+ * @param {Object} ticker - Registry entry
+ * @param {Date} after - Date to look forward from (exclusive)
+ * @returns {Object} { exDate, payDate }
+ */
+export const getNextExpectedPayout = (ticker, after = new Date()) => {
+  const exDate = getExpectedExDateInPeriod(ticker, after);
+  const next = toIsoDate(exDate) > toIsoDate(after)
+    ? exDate
+    : getExpectedExDateInPeriod(ticker, getNextPeriodStart(ticker, after));
+
+  return getExpectedPayoutDates(ticker, toIsoDate(next));
+};
+
+/**
+ * Total distributions with ex-dates in a trailing window
+ * @param {Array} dividends - Dividends to count (filter by status first)
+ * @param {Date} asOf - End of the window
+ * @param {number} months - Window length
+ * @returns {Object} { total, count }
+ */
+export const getTrailingDistributions = (dividends, asOf = new Date(), months = 12) => {
+  const startDate = toIsoDate(new Date(asOf.getFullYear(), asOf.getMonth() - months, asOf.getDate()));
+  const endDate = toIsoDate(asOf);
+  const recent = (dividends || []).filter(item => item.exDate && item.exDate > startDate && item.exDate <= endDate);
+
+  return {
+    total: recent.reduce((sum, item) => sum + item.dividend, 0),
+    count: recent.length
+  };
+};
+
+/**
+ * Display label for a distribution
+ * Regular monthly payouts are labelled by month ("Jun 2025"); weekly and
+ * special distributions by ex-date ("Jun 6, 2025"), since a month can hold several.
+ * @param {Object} dividend - Dashboard dividend
+ * @param {string} frequency - Ticker's payout frequency
+ * @returns {string} Label
+ */
+export const getDistributionLabel = (dividend, frequency = PAYOUT_FREQUENCIES.MONTHLY) => {
+  if (!dividend.exDate) {
+    return `${dividend.month} ${dividend.year}`;
+  }
+
+  const [year, month, day] = dividend.exDate.split('-').map(Number);
+  return frequency === PAYOUT_FREQUENCIES.WEEKLY || isSpecialDistribution(dividend)
+    ? `${MONTH_NAMES[month - 1]} ${day}, ${year}`
+    : `${MONTH_NAMES[month - 1]} ${year}`;
+};
+
+/**
+ * Projected regular payouts for expected periods that have no record yet
+ * Only periods from today on are projected; gaps in the past stay empty.
+ * @param {Object} ticker - Registry entry
+ * @param {Array} dividends - Dividend history
+ * @param {number|null} amount - Projected dividend per share (e.g. the forecast)
+ * @param {Object} range - Range to project over
+ * @param {string} range.from - First date (YYYY-MM-DD)
+ * @param {string} range.to - Last date (YYYY-MM-DD)
+ * @param {Date} range.today - Today (default now)
+ * @returns {Array<Object>} Estimated dividends flagged projected, oldest first
+ */
+export const getProjectedPayouts = (ticker, dividends, amount, { from, to, today = new Date() }) => {
+  const todayIso = toIsoDate(today);
+  const covered = new Set(getRegularDistributions(dividends)
+    .filter(item => item.exDate)
+    .map(item => getPayoutPeriodKey(item.exDate, ticker.payoutFrequency)));
+
+  return getExpectedExDates(ticker, from > todayIso ? from : todayIso, to)
+    .filter(exDate => !covered.has(getPayoutPeriodKey(exDate, ticker.payoutFrequency)))
+    .map(exDate => ({
+      ...getExpectedPayoutDates(ticker, exDate),
+      dividend: amount,
+      status: 'estimated',
+      type: DISTRIBUTION_TYPES.REGULAR,
+      projected: true
+    }));
+};
+
+/**
+ * Calendar events (declaration, ex, record and pay dates) within a range
+ * Each event carries its distribution's status and, for the given holdings,
+ * the shares that qualify on its ex-date and the resulting income.
+ * @param {Array} dividends - Dividend records, including any projected payouts
+ * @param {Array<Object>} holdings - Buy lots of { date, shares }
+ * @param {Object} range - Range to include
+ * @param {string} range.from - First date (YYYY-MM-DD)
+ * @param {string} range.to - Last date (YYYY-MM-DD)
+ * @returns {Array<Object>} Events of { date, type, exDate, dividend, status, projected, special, shares, amount }, by date
+ */
+export const getCalendarEvents = (dividends, holdings, { from, to }) => {
+  const transactions = (holdings || []).map(lot => ({ date: lot.date, type: 'buy', shares: lot.shares }));
+
+  return (dividends || [])
+    .filter(item => item.exDate)
+    .flatMap(item => {
+      const shares = getSharesHeldForExDate(transactions, item.exDate);
+
+      return EVENT_DATE_FIELDS
+        .filter(([field]) => item[field] && item[field] >= from && item[field] <= to)
+        .map(([field, type]) => ({
+          date: item[field],
+          type,
+          exDate: item.exDate,
+          dividend: item.dividend,
+          status: getDividendStatus(item),
+          projected: Boolean(item.projected),
+          special: isSpecialDistribution(item),
+          shares,
+          amount: item.dividend !== null ? shares * item.dividend : null
+        }));
+    })
+    .sort((a, b) => a.date.localeCompare(b.date) ||
+      EVENT_DATE_FIELDS.findIndex(([, type]) => type === a.type) - EVENT_DATE_FIELDS.findIndex(([, type]) => type === b.type));
+};
+
+/**
+ * The next distribution to be paid on or after today
+ * @param {Array} dividends - Dividend records, including any projected payouts
+ * @param {Date} today - Today (default now)
+ * @returns {Object|null} { dividend, daysUntil } for the earliest upcoming pay date
+ */
+export const getNextPayout = (dividends, today = new Date()) => {
+  const todayIso = toIsoDate(today);
+  const next = (dividends || [])
+    .filter(item => item.payDate && item.payDate >= todayIso)
+    .sort((a, b) => a.payDate.localeCompare(b.payDate))[0];
+
+  if (!next) {
+    return null;
+  }
+
+  const midnight = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  return {
+    dividend: next,
+    daysUntil: Math.round((parseIsoDate(next.payDate) - midnight) / (24 * 60 * 60 * 1000))
+  };
+};
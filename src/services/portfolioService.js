@@ -0,0 +1,187 @@
+/**
+ * Portfolio Service for the Dividend Dashboard
+ *
+ * Buy lots persisted in localStorage per ticker, with cost basis, received
+ * dividends, unrealized gain/loss and yield-on-cost per lot and in total
+ */
+
+import { calculateAnnualizedYield } from './financeService';
+import { computeEarnedDividends, splitByPayDate } from './dividendEligibility';
+import { getAggregateDividends } from './dividendData';
+import { getTickerStorageKey, DEFAULT_SYMBOL } from './tickerRegistry';
+
+export const HOLDINGS_STORAGE_KEY = 'wntrHoldings';
+export const TRANSACTIONS_STORAGE_KEY = 'wntrTransactions';
+
+/**
+ * Loads saved buy lots from localStorage
+ * @param {string} symbol - Ticker (default WNTR)
+ * @returns {Array<Object>} Lots of { id, date, shares, pricePerShare, account }
+ */
+export const loadHoldings = (symbol = DEFAULT_SYMBOL) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(getTickerStorageKey(HOLDINGS_STORAGE_KEY, symbol)) || '[]');
+    return Array.isArray(saved)
+      ? saved.filter(lot => lot && lot.date && lot.shares > 0 && lot.pricePerShare > 0)
+      : [];
+  } catch (error) {
+    console.error('Error loading saved holdings:', error);
+    return [];
+  }
+};
+
+/**
+ * Saves buy lots to localStorage
+ * @param {Array<Object>} lots - Lots to persist
+ * @param {string} symbol - Ticker (default WNTR)
+ */
+export const saveHoldings = (lots, symbol = DEFAULT_SYMBOL) => {
+  localStorage.setItem(getTickerStorageKey(HOLDINGS_STORAGE_KEY, symbol), JSON.stringify(lots));
+};
+
+/**
+ * Loads imported brokerage transactions from localStorage
+ * @param {string} symbol - Ticker (default WNTR)
+ * @returns {Array<Object>} Transactions of { date, type, shares, price, amount, account }
+ */
+export const loadTransactions = (symbol = DEFAULT_SYMBOL) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(getTickerStorageKey(TRANSACTIONS_STORAGE_KEY, symbol)) || '[]');
+    return Array.isArray(saved) ? saved.filter(tx => tx && tx.date && tx.type) : [];
+  } catch (error) {
+    console.error('Error loading imported transactions:', error);
+    return [];
+  }
+};
+
+/**
+ * Saves imported brokerage transactions to localStorage
+ * @param {Array<Object>} transactions - Transactions to persist
+ * @param {string} symbol - Ticker (default WNTR)
+ */
+export const saveTransactions = (transactions, symbol = DEFAULT_SYMBOL) => {
+  localStorage.setItem(getTickerStorageKey(TRANSACTIONS_STORAGE_KEY, symbol), JSON.stringify(transactions));
+};
+
+/**
+ * Creates a new buy lot
+ * @param {Object} lot - Lot fields
+ * @param {string} lot.date - Purchase date (YYYY-MM-DD)
+ * @param {number} lot.shares - Number of shares
+ * @param {number} lot.pricePerShare - Purchase price per share
+ * @param {string} lot.account - Account name (e.g. "Roth IRA")
+ * @returns {Object} Lot with a generated id
+ */
+export const createLot = ({ date, shares, pricePerShare, account }) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  date,
+  shares,
+  pricePerShare,
+  account: account || 'Default'
+});
+
+// Share counts below this are float leftovers of a full sale
+const SHARE_EPSILON = 1e-6;
+
+/**
+ * Reduces lots by sells, oldest lot first (FIFO) within the sell's account
+ * Only lots bought on or before a sell's date are reduced; emptied lots are
+ * removed.
+ * @param {Array<Object>} lots - Buy lots
+ * @param {Array<Object>} sells - Sell transactions of { date, shares, account }
+ * @returns {Object} { lots, unmatchedShares } - Remaining lots and sold shares no lot covered
+ */
+export const applySellsToLots = (lots, sells) => {
+  const remaining = lots.map(lot => ({ ...lot }));
+  let unmatchedShares = 0;
+
+  [...sells].sort((a, b) => a.date.localeCompare(b.date)).forEach(sell => {
+    const account = sell.account || 'Default';
+    let toSell = sell.shares;
+
+    remaining
+      .filter(lot => lot.account === account && lot.date <= sell.date && lot.shares > 0)
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .forEach(lot => {
+        const sold = Math.min(lot.shares, toSell);
+        lot.shares -= sold;
+        toSell -= sold;
+      });
+
+    if (toSell > SHARE_EPSILON) unmatchedShares += toSell;
+  });
+
+  return { lots: remaining.filter(lot => lot.shares > SHARE_EPSILON), unmatchedShares };
+};
+
+/**
+ * Get the dividends a lot has received
+ * Eligibility follows computeEarnedDividends; only confirmed (paid) payouts
+ * whose pay date has passed count as received.
+ * @param {Object} lot - Buy lot
+ * @param {Array<Object>} dividends - Dividend history
+ * @param {Date} asOf - Date to evaluate at
+ * @returns {Array<Object>} Earned distributions the lot received
+ */
+export const getReceivedDividends = (lot, dividends, asOf = new Date()) => {
+  const earned = computeEarnedDividends([{ date: lot.date, type: 'buy', shares: lot.shares }], getAggregateDividends(dividends, false));
+  return splitByPayDate(earned, asOf.toISOString().split('T')[0]).received;
+};
+
+/**
+ * Summarizes a single lot against current price and dividend history
+ * @param {Object} lot - Buy lot
+ * @param {Array<Object>} dividends - Dividend history
+ * @param {number} currentPrice - Current price
+ * @param {string} frequency - Ticker's payout frequency, for yield-on-cost (confirmed payouts only)
+ * @returns {Object} Lot with cost basis, value, gain/loss and dividend figures
+ */
+export const summarizeLot = (lot, dividends, currentPrice, frequency) => {
+  const costBasis = lot.shares * lot.pricePerShare;
+  const marketValue = lot.shares * currentPrice;
+  const received = getReceivedDividends(lot, dividends);
+  const dividendsReceived = received.reduce((sum, item) => sum + item.amount, 0);
+
+  return {
+    ...lot,
+    costBasis,
+    marketValue,
+    unrealizedGain: marketValue - costBasis,
+    unrealizedGainPercentage: costBasis > 0 ? ((marketValue - costBasis) / costBasis) * 100 : 0,
+    dividendsReceived,
+    payoutsReceived: received.length,
+    yieldOnCost: calculateAnnualizedYield(getAggregateDividends(dividends, false), lot.pricePerShare, frequency)
+  };
+};
+
+/**
+ * Summarizes all lots and computes portfolio totals
+ * @param {Array<Object>} lots - Buy lots
+ * @param {Array<Object>} dividends - Dividend history
+ * @param {number} currentPrice - Current price
+ * @param {string} frequency - Ticker's payout frequency, for yield-on-cost
+ * @returns {Object} { lots, totals }
+ */
+export const summarizePortfolio = (lots, dividends, currentPrice, frequency) => {
+  const summarized = lots.map(lot => summarizeLot(lot, dividends, currentPrice, frequency));
+
+  const totals = summarized.reduce((sum, lot) => ({
+    shares: sum.shares + lot.shares,
+    costBasis: sum.costBasis + lot.costBasis,
+    marketValue: sum.marketValue + lot.marketValue,
+    dividendsReceived: sum.dividendsReceived + lot.dividendsReceived
+  }), { shares: 0, costBasis: 0, marketValue: 0, dividendsReceived: 0 });
+
+  const averageCost = totals.shares > 0 ? totals.costBasis / totals.shares : 0;
+
+  return {
+    lots: summarized,
+    totals: {
+      ...totals,
+      averageCost,
+      unrealizedGain: totals.marketValue - totals.costBasis,
+      unrealizedGainPercentage: totals.costBasis > 0 ? ((totals.marketValue - totals.costBasis) / totals.costBasis) * 100 : 0,
+      yieldOnCost: calculateAnnualizedYield(getAggregateDividends(dividends, false), averageCost, frequency)
+    }
+  };
+};
@@ -0,0 +1,51 @@
+import { getReceivedDividends, summarizePortfolio, applySellsToLots } from './portfolioService';
+
+const dividends = [
+  { exDate: '2025-07-08', payDate: '2025-07-09', dividend: 5, status: 'estimated' },
+  { exDate: '2025-06-27', payDate: '2025-06-30', dividend: 4, status: 'declared' },
+  { exDate: '2025-06-06', payDate: '2025-06-09', dividend: 3, status: 'paid' },
+  { exDate: '2025-05-08', payDate: '2025-05-09', dividend: 2, status: 'paid' }
+];
+
+const lot = { id: 'lot-1', date: '2025-05-01', shares: 10, pricePerShare: 40, account: 'Default' };
+
+describe('getReceivedDividends', () => {
+  test('counts only paid distributions whose pay date has passed', () => {
+    const received = getReceivedDividends(lot, dividends, new Date('2025-08-01T00:00:00Z'));
+
+    expect(received.map(item => item.exDate)).toEqual(['2025-05-08', '2025-06-06']);
+  });
+});
+
+describe('summarizePortfolio', () => {
+  test('takes yield-on-cost from confirmed distributions only', () => {
+    const { lots, totals } = summarizePortfolio([lot], dividends, 36, 'monthly');
+
+    // (2 + 3) / 2 per month x 12 over $40
+    expect(lots[0].yieldOnCost).toBeCloseTo(75);
+    expect(totals.yieldOnCost).toBeCloseTo(75);
+    expect(totals.dividendsReceived).toBeCloseTo(50);
+  });
+});
+
+describe('applySellsToLots', () => {
+  const lots = [
+    { id: 'b', date: '2025-06-01', shares: 20, pricePerShare: 38, account: 'Imported' },
+    { id: 'a', date: '2025-05-01', shares: 10, pricePerShare: 40, account: 'Imported' },
+    { id: 'c', date: '2025-05-01', shares: 50, pricePerShare: 39, account: 'Roth IRA' }
+  ];
+
+  test('sells the oldest lots in the same account first', () => {
+    const { lots: remaining, unmatchedShares } = applySellsToLots(lots, [{ date: '2025-07-01', shares: 15, account: 'Imported' }]);
+
+    expect(remaining.map(lot => [lot.id, lot.shares])).toEqual([['b', 15], ['c', 50]]);
+    expect(unmatchedShares).toBe(0);
+  });
+
+  test('only sells lots bought by the sell date', () => {
+    const { lots: remaining, unmatchedShares } = applySellsToLots(lots, [{ date: '2025-05-15', shares: 12, account: 'Imported' }]);
+
+    expect(remaining.map(lot => [lot.id, lot.shares])).toEqual([['b', 20], ['c', 50]]);
+    expect(unmatchedShares).toBe(2);
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Price Providers for the Dividend Dashboard
+ *
+ * Each provider turns one API's quote response into the dashboard's quote
+ * shape. fetchRealTimePrice (financeService) tries the configured providers
+ * in priority order and falls back to the static provider.
+ *
+ * Provider interface:
+ *   id           - Key used in REACT_APP_PRICE_PROVIDERS
+ *   label        - Name shown in the UI
+ *   isConfigured - Whether the provider has what it needs (API key)
+ *   fetchQuote   - async (symbol) => { currentPrice, previousClose, high, low, quoteTime }
+ *
+ * Providers that answer with a rate limit (error.status 429) are backed off
+ * exponentially and skipped until the backoff expires.
+ */
+
+import { getTicker } from './tickerRegistry';
+
+const FINNHUB_API_KEY = process.env.REACT_APP_FINANCE_API_KEY || '';
+const POLYGON_API_KEY = process.env.REACT_APP_POLYGON_API_KEY || '';
+const ALPHA_VANTAGE_API_KEY = process.env.REACT_APP_ALPHA_VANTAGE_API_KEY || '';
+
+export const DEFAULT_PROVIDER_ORDER = ['finnhub', 'polygon', 'alphaVantage'];
+
+// Rate limit backoff: 1 minute, doubling per consecutive 429, capped at 1 hour
+const RATE_LIMIT_BASE_MS = 60 * 1000;
+const RATE_LIMIT_MAX_MS = 60 * 60 * 1000;
+
+// Backoff state per provider id: { until, strikes }
+const rateLimits = {};
+
+
+/**
+ * Fetches JSON and throws on HTTP errors
+ * @param {string} url - Request URL
+ * @param {string} name - Provider name (used in messages)
+ * @returns {Promise<Object>} Parsed response body
+ */
+const fetchJson = async (url, name) => {
+  const response = await fetch(url);
+
+  if (!response.ok) {
+    const error = new Error(`${name} responded with ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.json();
+};
+
+const finnhubProvider = {
+  id: 'finnhub',
+  label: 'Finnhub',
+  isConfigured: () => Boolean(FINNHUB_API_KEY),
+  fetchQuote: async (symbol) => {
+    const data = await fetchJson(`https://finnhub.io/api/v1/quote?symbol=${symbol}&token=${FINNHUB_API_KEY}`, 'Finnhub');
+
+    if (data.error) {
+      throw new Error(`Finnhub API error: ${data.error}`);
+    }
+    // Finnhub answers unknown symbols with all-zero quotes
+    if (!data.c) {
+      throw new Error('Finnhub returned no quote');
+    }
+
+    return {
+      currentPrice: data.c,
+      previousClose: data.pc,
+      high: data.h,
+      low: data.l,
+      quoteTime: data.t ? data.t * 1000 : Date.now()
+    };
+  }
+};
+
+const polygonProvider = {
+  id: 'polygon',
+  label: 'Polygon.io',
+  isConfigured: () => Boolean(POLYGON_API_KEY),
+  fetchQuote: async (symbol) => {
+    // The free tier only serves end-of-day bars: the last two give close and previous close
+    const to = new Date().toISOString().split('T')[0];
+    const from = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const data = await fetchJson(
+      `https://api.polygon.io/v2/aggs/ticker/${symbol}/range/1/day/${from}/${to}?adjusted=true&sort=desc&limit=2&apiKey=${POLYGON_API_KEY}`,
+      'Polygon.io'
+    );
+
+    if (!data.results || data.results.length === 0) {
+      throw new Error(`Polygon.io returned no bars (${data.status})`);
+    }
+
+    const [latest, previous] = data.results;
+    return {
+      currentPrice: latest.c,
+      previousClose: previous ? previous.c : latest.o,
+      high: latest.h,
+      low: latest.l,
+      quoteTime: latest.t
+    };
+  }
+};
+
+const alphaVantageProvider = {
+  id: 'alphaVantage',
+  label: 'Alpha Vantage',
+  isConfigured: () => Boolean(ALPHA_VANTAGE_API_KEY),
+  fetchQuote: async (symbol) => {
+    const data = await fetchJson(
+      `https://www.alphavantage.co/query?function=GLOBAL_QUOTE&symbol=${symbol}&apikey=${ALPHA_VANTAGE_API_KEY}`,
+      'Alpha Vantage'
+    );
+    const quote = data['Global Quote'];
+
+    // Rate limiting is reported in the body ("Note"/"Information"), not the status code
+    if (!quote || !quote['05. price']) {
+      const error = new Error(`Alpha Vantage returned no quote: ${data.Note || data.Information || 'empty response'}`);
+      if (data.Note || data.Information) error.status = 429;
+      throw error;
+    }
+
+    return {
+      currentPrice: parseFloat(quote['05. price']),
+      previousClose: parseFloat(quote['08. previous close']),
+      high: parseFloat(quote['03. high']),
+      low: parseFloat(quote['04. low']),
+      quoteTime: Date.parse(`${quote['07. latest trading day']}T20:00:00Z`)
+    };
+  }
+};
+
+export const staticProvider = {
+  id: 'static',
+  label: 'Static fallback',
+  isConfigured: () => true,
+  // Last known quote from the ticker registry, used only when every live provider fails
+  fetchQuote: async (symbol) => {
+    const ticker = getTicker(symbol);
+
+    if (!ticker || !ticker.fallbackQuote) {
+      throw new Error(`No static quote available for ${symbol}`);
+    }
+
+    return {
+      ...ticker.fallbackQuote,
+      quoteTime: Date.parse(ticker.fallbackQuote.quoteTime)
+    };
+  }
+};
+
+export const PRICE_PROVIDERS = {
+  [finnhubProvider.id]: finnhubProvider,
+  [polygonProvider.id]: polygonProvider,
+  [alphaVantageProvider.id]: alphaVantageProvider,
+  [staticProvider.id]: staticProvider
+};
+
+/**
+ * Get live providers in priority order
+ * REACT_APP_PRICE_PROVIDERS (comma separated ids) overrides the default order;
+ * unknown ids and providers without an API key are skipped.
+ * @param {string} order - Comma separated provider ids
+ * @returns {Array<Object>} Providers to try, static fallback excluded
+ */
+export const getProviderChain = (order = process.env.REACT_APP_PRICE_PROVIDERS) => {
+  const ids = order
+    ? order.split(',').map(id => id.trim()).filter(Boolean)
+    : DEFAULT_PROVIDER_ORDER;
+
+  return ids
+    .map(id => PRICE_PROVIDERS[id])
+    .filter(provider => provider && provider !== staticProvider && provider.isConfigured());
+};
+
+/**
+ * Records a rate-limited response and extends the provider's backoff
+ * @param {string} id - Provider id
+ * @param {number} now - Current time in ms
+ * @returns {number} Time (ms) until which the provider is skipped
+ */
+export const recordRateLimit = (id, now = Date.now()) => {
+  const strikes = (rateLimits[id] ? rateLimits[id].strikes : 0) + 1;
+  const delay = Math.min(RATE_LIMIT_BASE_MS * 2 ** (strikes - 1), RATE_LIMIT_MAX_MS);
+
+  rateLimits[id] = { until: now + delay, strikes };
+  return rateLimits[id].until;
+};
+
+/**
+ * Clears a provider's backoff after a successful response
+ * @param {string} id - Provider id
+ */
+export const clearRateLimit = (id) => {
+  delete rateLimits[id];
+};
+
+/**
+ * Check if a provider is still backing off from a rate limit
+ * @param {string} id - Provider id
+ * @param {number} now - Current time in ms
+ * @returns {boolean} True while the backoff has not expired
+ */
+export const isRateLimited = (id, now = Date.now()) => Boolean(rateLimits[id] && rateLimits[id].until > now);
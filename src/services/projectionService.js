@@ -0,0 +1,425 @@
+/**
+ * Projection Service for WNTR Dashboard
+ *
+ * Month-by-month projections of a WNTR position, with and without
+ * dividend reinvestment (DRIP)
+ */
+
+export const REINVEST_PRICE_MODES = {
+  CURRENT: 'current',
+  PATH: 'path',
+  NAV_DECAY: 'navDecay'
+};
+
+export const CONTRIBUTION_FREQUENCIES = {
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly'
+};
+
+const toIsoDate = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const parseIsoDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Lists the dated contributions of a recurring plan
+ * Monthly contributions fall on the start date's day (or the month's last
+ * day when shorter); the amount steps up on each anniversary of the start date.
+ * @param {Object} plan - Contribution plan
+ * @param {number} plan.amount - Dollars per contribution
+ * @param {string} plan.frequency - One of CONTRIBUTION_FREQUENCIES
+ * @param {string} plan.startDate - First contribution (YYYY-MM-DD)
+ * @param {string} plan.endDate - Last possible contribution (YYYY-MM-DD), empty for open-ended
+ * @param {number} plan.annualStepUp - Yearly increase of the amount in percent
+ * @param {Date} until - Contributions on or after this date are left out
+ * @returns {Array<Object>} Contributions of { date: 'YYYY-MM-DD', amount }
+ */
+export const getContributionEvents = (plan, until) => {
+  if (!plan || !(plan.amount > 0) || !plan.startDate) {
+    return [];
+  }
+
+  const start = parseIsoDate(plan.startDate);
+  const end = plan.endDate ? parseIsoDate(plan.endDate) : null;
+  const events = [];
+
+  for (let index = 0; ; index++) {
+    let date;
+    if (plan.frequency === CONTRIBUTION_FREQUENCIES.WEEKLY) {
+      date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + index * 7);
+    } else {
+      const daysInMonth = new Date(start.getFullYear(), start.getMonth() + index + 1, 0).getDate();
+      date = new Date(start.getFullYear(), start.getMonth() + index, Math.min(start.getDate(), daysInMonth));
+    }
+
+    if (date >= until || (end && date > end)) break;
+
+    const beforeAnniversary = date.getMonth() < start.getMonth()
+      || (date.getMonth() === start.getMonth() && date.getDate() < start.getDate());
+    const yearsElapsed = date.getFullYear() - start.getFullYear() - (beforeAnniversary ? 1 : 0);
+
+    events.push({
+      date: toIsoDate(date),
+      amount: plan.amount * Math.pow(1 + (plan.annualStepUp || 0) / 100, yearsElapsed)
+    });
+  }
+
+  return events;
+};
+
+/**
+ * Get the share price for a future month under the chosen price assumption
+ * @param {Object} options - Price assumption
+ * @param {string} options.priceMode - One of REINVEST_PRICE_MODES
+ * @param {number} options.currentPrice - Today's price
+ * @param {Array<number>} options.pricePath - User-entered prices (month 1, 2, ...)
+ * @param {number} options.monthlyNavDecay - Monthly NAV decay in percent (e.g. 1.5)
+ * @param {number} monthIndex - Months from today (1 = next month)
+ * @returns {number} Price for that month
+ */
+export const getProjectedPrice = ({ priceMode, currentPrice, pricePath = [], monthlyNavDecay = 0 }, monthIndex) => {
+  switch (priceMode) {
+    case REINVEST_PRICE_MODES.PATH:
+      if (pricePath.length === 0) return currentPrice;
+      // Hold the last entered price once the path runs out
+      return pricePath[Math.min(monthIndex, pricePath.length) - 1];
+    case REINVEST_PRICE_MODES.NAV_DECAY:
+      return currentPrice * Math.pow(1 - monthlyNavDecay / 100, monthIndex);
+    default:
+      return currentPrice;
+  }
+};
+
+/**
+ * Simulates a position month by month
+ * The dividend per share is held constant; with reinvest enabled each payout
+ * buys fractional shares at that month's projected price. Recurring
+ * contributions buy shares at the projected price of the month they fall in;
+ * any dated before the first projected month are left out.
+ * @param {Object} options - Simulation options
+ * @param {number} options.investmentAmount - Initial investment in dollars
+ * @param {number} options.currentPrice - Today's price (initial purchase price)
+ * @param {number} options.monthlyDividend - Dividend per share per month
+ * @param {number} options.years - Projection horizon in years
+ * @param {boolean} options.reinvest - Reinvest each payout
+ * @param {string} options.priceMode - One of REINVEST_PRICE_MODES
+ * @param {Array<number>} options.pricePath - Prices used by the 'path' mode
+ * @param {number} options.monthlyNavDecay - Monthly decay used by the 'navDecay' mode
+ * @param {Object} options.contributionPlan - Optional recurring contributions (see getContributionEvents)
+ * @returns {Array<Object>} Monthly schedule
+ */
+export const simulatePosition = (options) => {
+  const { investmentAmount, currentPrice, monthlyDividend, years, reinvest, contributionPlan } = options;
+
+  if (!currentPrice || currentPrice <= 0 || !investmentAmount || investmentAmount <= 0) {
+    return [];
+  }
+
+  const today = new Date();
+  const months = years * 12;
+
+  // Contributions bucketed by the month they fall in
+  const contributionsByMonth = getContributionEvents(
+    contributionPlan,
+    new Date(today.getFullYear(), today.getMonth() + months + 1, 1)
+  ).reduce((totals, event) => {
+    const key = event.date.slice(0, 7);
+    return { ...totals, [key]: (totals[key] || 0) + event.amount };
+  }, {});
+
+  let shares = investmentAmount / currentPrice;
+  let cumulativeIncome = 0;
+  let contributed = investmentAmount;
+  let costBasis = investmentAmount;
+  const schedule = [];
+
+  for (let month = 1; month <= months; month++) {
+    const date = new Date(today.getFullYear(), today.getMonth() + month, 1);
+    const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    const price = getProjectedPrice(options, month);
+    const income = shares * monthlyDividend;
+    cumulativeIncome += income;
+
+    const sharesBought = reinvest && price > 0 ? income / price : 0;
+    const contribution = price > 0 ? contributionsByMonth[monthKey] || 0 : 0;
+    const contributionShares = contribution > 0 ? contribution / price : 0;
+    shares += sharesBought + contributionShares;
+    contributed += contribution;
+    // Reinvested payouts are purchases too, so they add to the cost basis
+    costBasis += contribution + (sharesBought > 0 ? income : 0);
+
+    schedule.push({
+      month,
+      date: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-01`,
+      label: `${date.toLocaleString('default', { month: 'short' })} ${date.getFullYear()}`,
+      price,
+      income,
+      sharesBought,
+      contribution,
+      contributionShares,
+      shares,
+      contributed,
+      costBasis,
+      cumulativeIncome,
+      // Without reinvestment the income is held as cash alongside the shares
+      positionValue: shares * price,
+      totalValue: shares * price + (reinvest ? 0 : cumulativeIncome)
+    });
+  }
+
+  return schedule;
+};
+
+/**
+ * Get the shares held on a date from a simulatePosition schedule
+ * Uses the last row dated on or before the date, so dates past the end of
+ * the schedule keep its final share count.
+ * @param {Array<Object>} schedule - Rows from simulatePosition
+ * @param {string} date - Date to look up (YYYY-MM-DD)
+ * @param {number} initialShares - Shares held before the first row
+ * @returns {number} Shares held on the date
+ */
+export const getScheduledShares = (schedule, date, initialShares) => schedule
+  .reduce((shares, row) => (row.date <= date ? row.shares : shares), initialShares);
+
+/**
+ * Runs the same projection with and without reinvestment
+ * @param {Object} options - Options accepted by simulatePosition (reinvest is ignored)
+ * @returns {Object} { reinvest, noReinvest, chartData }
+ */
+export const compareDripProjection = (options) => {
+  const reinvest = simulatePosition({ ...options, reinvest: true });
+  const noReinvest = simulatePosition({ ...options, reinvest: false });
+
+  const chartData = reinvest.map((row, index) => ({
+    label: row.label,
+    dripValue: parseFloat(row.positionValue.toFixed(2)),
+    dripIncome: parseFloat(row.income.toFixed(2)),
+    noDripValue: parseFloat(noReinvest[index].positionValue.toFixed(2)),
+    noDripIncome: parseFloat(noReinvest[index].income.toFixed(2))
+  }));
+
+  return { reinvest, noReinvest, chartData };
+};
+
+/**
+ * Estimates average monthly price drift from a price history
+ * Uses the compound monthly rate between the first and last points.
+ * @param {Array<Object>} history - Points of { date: 'YYYY-MM-DD', close }
+ * @returns {number|null} Monthly drift in percent, or null if history is too short
+ */
+export const estimateMonthlyDrift = (history) => {
+  if (!history || history.length < 2) {
+    return null;
+  }
+
+  const sorted = [...history].sort((a, b) => a.date.localeCompare(b.date));
+  const first = sorted[0];
+  const last = sorted[sorted.length - 1];
+  const days = (new Date(last.date) - new Date(first.date)) / (1000 * 60 * 60 * 24);
+
+  if (days <= 0 || !(first.close > 0) || !(last.close > 0)) {
+    return null;
+  }
+
+  const months = days / (365.25 / 12);
+  return (Math.pow(last.close / first.close, 1 / months) - 1) * 100;
+};
+
+/**
+ * Estimates monthly price volatility from a price history
+ * Each interval's log return is scaled to one month, so sparse histories
+ * (such as prices implied by dividend yields) work as well as daily closes.
+ * @param {Array<Object>} history - Points of { date: 'YYYY-MM-DD', close }
+ * @returns {number|null} Monthly volatility in percent, or null with fewer than three points
+ */
+export const estimateMonthlyVolatility = (history) => {
+  if (!history || history.length < 3) {
+    return null;
+  }
+
+  const sorted = [...history]
+    .filter(point => point.close > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const scaledReturns = sorted.slice(1)
+    .map((point, index) => {
+      const previous = sorted[index];
+      const months = (new Date(point.date) - new Date(previous.date)) / (1000 * 60 * 60 * 24) / (365.25 / 12);
+      return months > 0 ? Math.log(point.close / previous.close) / Math.sqrt(months) : null;
+    })
+    .filter(value => value !== null);
+
+  if (scaledReturns.length < 2) {
+    return null;
+  }
+
+  const mean = scaledReturns.reduce((sum, value) => sum + value, 0) / scaledReturns.length;
+  const variance = scaledReturns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (scaledReturns.length - 1);
+  return Math.sqrt(variance) * 100;
+};
+
+/**
+ * Builds a sparse price history from dividend records
+ * Each record's yield was computed against the price on its ex-date, so
+ * amount / yield recovers that price. Used when no quote history is available.
+ * @param {Array<Object>} dividends - Dividend history
+ * @returns {Array<Object>} Points of { date, close }
+ */
+export const getImpliedPriceHistory = (dividends) => {
+  return dividends
+    .filter(item => item.exDate && item.yield > 0)
+    .map(item => ({
+      date: item.exDate,
+      close: item.dividend / (item.yield / 100)
+    }));
+};
+
+/**
+ * Projects total return (distributions plus price change) without reinvestment
+ * @param {Object} options - Projection options
+ * @param {number} options.investmentAmount - Initial investment in dollars
+ * @param {number} options.currentPrice - Today's price
+ * @param {number} options.monthlyDividend - Dividend per share per month
+ * @param {number} options.months - Projection horizon in months
+ * @param {number} options.monthlyDrift - Monthly price change in percent (negative for NAV erosion)
+ * @returns {Object} { schedule, summary }
+ */
+export const simulateTotalReturn = ({ investmentAmount, currentPrice, monthlyDividend, months, monthlyDrift }) => {
+  const positions = simulatePosition({
+    investmentAmount,
+    currentPrice,
+    monthlyDividend,
+    years: months / 12,
+    reinvest: false,
+    priceMode: REINVEST_PRICE_MODES.NAV_DECAY,
+    monthlyNavDecay: -monthlyDrift
+  });
+
+  const schedule = positions.map(row => {
+    const capitalChange = row.positionValue - investmentAmount;
+    const totalReturn = row.cumulativeIncome + capitalChange;
+
+    return {
+      month: row.month,
+      label: row.label,
+      price: row.price,
+      cumulativeIncome: parseFloat(row.cumulativeIncome.toFixed(2)),
+      capitalChange: parseFloat(capitalChange.toFixed(2)),
+      totalReturn: parseFloat(totalReturn.toFixed(2)),
+      totalReturnPercentage: (totalReturn / investmentAmount) * 100
+    };
+  });
+
+  if (schedule.length === 0) {
+    return { schedule, summary: null };
+  }
+
+  const last = schedule[schedule.length - 1];
+  // Break-even: first month in which distributions alone have repaid the investment
+  const breakEven = schedule.find(row => row.cumulativeIncome >= investmentAmount);
+
+  return {
+    schedule,
+    summary: {
+      totalReturn: last.totalReturn,
+      totalReturnPercentage: last.totalReturnPercentage,
+      cumulativeIncome: last.cumulativeIncome,
+      capitalChange: last.capitalChange,
+      endingPrice: last.price,
+      breakEvenMonth: breakEven ? breakEven.month : null,
+      breakEvenLabel: breakEven ? breakEven.label : null
+    }
+  };
+};
+
+/**
+ * Shares and dollars needed for a target monthly income at today's price
+ * @param {number} targetMonthlyIncome - Desired income per month in dollars
+ * @param {number} monthlyDividend - Dividend per share per month
+ * @param {number} currentPrice - Today's price
+ * @returns {Object|null} { shares, amount }, or null when the inputs can't produce income
+ */
+export const calculateRequiredInvestment = (targetMonthlyIncome, monthlyDividend, currentPrice) => {
+  if (!(targetMonthlyIncome > 0) || !(monthlyDividend > 0) || !(currentPrice > 0)) {
+    return null;
+  }
+
+  const shares = targetMonthlyIncome / monthlyDividend;
+  return { shares, amount: shares * currentPrice };
+};
+
+/**
+ * Projects how long it takes to reach a target monthly income
+ * Each month pays the dividend on the shares held, then the contribution
+ * (and the payout, with reinvest enabled) buys shares at that month's price.
+ * The schedule runs until a year past the goal month, or maxMonths.
+ * @param {Object} options - Plan options
+ * @param {number} options.targetMonthlyIncome - Desired income per month in dollars
+ * @param {number} options.monthlyDividend - Dividend per share per month
+ * @param {number} options.currentPrice - Today's price
+ * @param {number} options.startingAmount - Dollars invested today
+ * @param {number} options.monthlyContribution - Dollars added each month
+ * @param {boolean} options.reinvest - Reinvest each payout
+ * @param {number} options.monthlyDrift - Monthly price change in percent (negative for NAV erosion)
+ * @param {number} options.maxMonths - Longest timeline to project
+ * @returns {Object} { schedule, goalMonth, goalLabel }; goalMonth is 0 if already reached and null if never
+ */
+export const projectIncomeGoal = ({
+  targetMonthlyIncome,
+  monthlyDividend,
+  currentPrice,
+  startingAmount = 0,
+  monthlyContribution = 0,
+  reinvest = true,
+  monthlyDrift = 0,
+  maxMonths = 600
+}) => {
+  if (!(targetMonthlyIncome > 0) || !(monthlyDividend > 0) || !(currentPrice > 0)) {
+    return { schedule: [], goalMonth: null, goalLabel: null };
+  }
+
+  const today = new Date();
+  let shares = Math.max(startingAmount, 0) / currentPrice;
+  let contributed = Math.max(startingAmount, 0);
+  let goalMonth = shares * monthlyDividend >= targetMonthlyIncome ? 0 : null;
+  let goalLabel = goalMonth === 0 ? 'Now' : null;
+  const schedule = [];
+
+  for (let month = 1; month <= maxMonths; month++) {
+    if (goalMonth !== null && month > goalMonth + 12) break;
+
+    const date = new Date(today.getFullYear(), today.getMonth() + month, 1);
+    const label = `${date.toLocaleString('default', { month: 'short' })} ${date.getFullYear()}`;
+    const price = getProjectedPrice({
+      priceMode: REINVEST_PRICE_MODES.NAV_DECAY,
+      currentPrice,
+      monthlyNavDecay: -monthlyDrift
+    }, month);
+    const income = shares * monthlyDividend;
+
+    if (goalMonth === null && income >= targetMonthlyIncome) {
+      goalMonth = month;
+      goalLabel = label;
+    }
+
+    if (price > 0) {
+      shares += (monthlyContribution + (reinvest ? income : 0)) / price;
+    }
+    contributed += monthlyContribution;
+
+    schedule.push({
+      month,
+      date: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-01`,
+      label,
+      price,
+      shares,
+      income: parseFloat(income.toFixed(2)),
+      contributed: parseFloat(contributed.toFixed(2)),
+      positionValue: parseFloat((shares * price).toFixed(2))
+    });
+  }
+
+  return { schedule, goalMonth, goalLabel };
+};
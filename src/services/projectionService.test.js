@@ -0,0 +1,23 @@
+import { getScheduledShares } from './projectionService';
+
+const schedule = [
+  { date: '2025-08-01', shares: 110 },
+  { date: '2025-09-01', shares: 120 },
+  { date: '2025-10-01', shares: 130 }
+];
+
+describe('getScheduledShares', () => {
+  test('takes the last row on or before the date', () => {
+    expect(getScheduledShares(schedule, '2025-09-01', 100)).toBe(120);
+    expect(getScheduledShares(schedule, '2025-09-15', 100)).toBe(120);
+  });
+
+  test('keeps the initial shares before the schedule starts', () => {
+    expect(getScheduledShares(schedule, '2025-07-01', 100)).toBe(100);
+    expect(getScheduledShares([], '2025-09-01', 100)).toBe(100);
+  });
+
+  test('carries the last share count past the end of the schedule', () => {
+    expect(getScheduledShares(schedule, '2026-06-01', 100)).toBe(130);
+  });
+});
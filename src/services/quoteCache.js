@@ -0,0 +1,82 @@
+/**
+ * Quote Cache for the Dividend Dashboard
+ *
+ * Wraps fetchRealTimePrice with a market-hours-aware TTL and keeps the last
+ * good live quote per ticker in localStorage, so reloads within the TTL don't
+ * spend API quota and a provider outage shows the last real price instead of
+ * static data.
+ */
+
+import { fetchRealTimePrice } from './financeService';
+import { getRefreshDelay } from './marketHours';
+import { getTickerStorageKey, DEFAULT_SYMBOL } from './tickerRegistry';
+
+export const LAST_QUOTE_STORAGE_KEY = 'wntrLastQuote';
+
+/**
+ * Load the last good live quote from localStorage
+ * @param {string} symbol - Ticker (default WNTR)
+ * @returns {Object|null} { quote, fetchedAt }, or null when none is saved
+ */
+export const loadLastGoodQuote = (symbol = DEFAULT_SYMBOL) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(getTickerStorageKey(LAST_QUOTE_STORAGE_KEY, symbol)));
+    return saved && saved.quote && saved.fetchedAt ? saved : null;
+  } catch (error) {
+    console.error('Error loading cached quote:', error);
+    return null;
+  }
+};
+
+/**
+ * Save a live quote as the last good quote
+ * @param {Object} quote - Dashboard quote
+ * @param {number} fetchedAt - Fetch time in ms
+ * @param {string} symbol - Ticker (default WNTR)
+ */
+export const saveLastGoodQuote = (quote, fetchedAt, symbol = DEFAULT_SYMBOL) => {
+  try {
+    localStorage.setItem(getTickerStorageKey(LAST_QUOTE_STORAGE_KEY, symbol), JSON.stringify({ quote, fetchedAt }));
+  } catch (error) {
+    console.error('Error saving cached quote:', error);
+  }
+};
+
+/**
+ * Get a ticker's quote, fetching only when the cached one has expired
+ * The TTL follows the refresh cadence of the current market session. When
+ * every live provider fails, the last good quote is returned flagged stale;
+ * with neither a live nor a saved quote, tickers lacking a static quote throw.
+ * @param {Object} options - Options
+ * @param {string} options.symbol - Ticker (default WNTR)
+ * @param {boolean} options.force - Skip the TTL check (manual refresh)
+ * @param {number} options.now - Current time in ms
+ * @returns {Promise<Object>} Dashboard quote, with cached/lastGood flags when not freshly fetched
+ */
+export const getCachedQuote = async ({ symbol = DEFAULT_SYMBOL, force = false, now = Date.now() } = {}) => {
+  const saved = loadLastGoodQuote(symbol);
+
+  if (!force && saved && now - saved.fetchedAt < getRefreshDelay(new Date(now))) {
+    return { ...saved.quote, cached: true };
+  }
+
+  let quote = null;
+  try {
+    quote = await fetchRealTimePrice(symbol);
+  } catch (error) {
+    // Tickers without a static quote have nothing to fall back on but the saved one
+    if (!saved) throw error;
+  }
+
+  if (quote && quote.source !== 'static') {
+    saveLastGoodQuote(quote, now, symbol);
+    return quote;
+  }
+
+  if (saved) {
+    console.warn('Live price unavailable, using last good quote from', new Date(saved.fetchedAt).toLocaleString());
+    return { ...saved.quote, cached: true, lastGood: true, stale: true };
+  }
+
+  return quote;
+};
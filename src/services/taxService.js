@@ -0,0 +1,175 @@
+/**
+ * Tax Service for WNTR Dashboard
+ *
+ * Estimates tax on distributions by character (ordinary income, qualified
+ * dividends, capital gains, return of capital) and the cost-basis reduction
+ * implied by return of capital. Estimates only; not tax advice.
+ */
+
+// 2025 federal ordinary income brackets (taxable income thresholds)
+export const FEDERAL_BRACKETS_2025 = {
+  single: [
+    { upTo: 11925, rate: 10 },
+    { upTo: 48475, rate: 12 },
+    { upTo: 103350, rate: 22 },
+    { upTo: 197300, rate: 24 },
+    { upTo: 250525, rate: 32 },
+    { upTo: 626350, rate: 35 },
+    { upTo: Infinity, rate: 37 }
+  ],
+  marriedJoint: [
+    { upTo: 23850, rate: 10 },
+    { upTo: 96950, rate: 12 },
+    { upTo: 206700, rate: 22 },
+    { upTo: 394600, rate: 24 },
+    { upTo: 501050, rate: 32 },
+    { upTo: 751600, rate: 35 },
+    { upTo: Infinity, rate: 37 }
+  ]
+};
+
+// 2025 qualified dividend / long-term capital gain brackets
+export const QUALIFIED_BRACKETS_2025 = {
+  single: [
+    { upTo: 48350, rate: 0 },
+    { upTo: 533400, rate: 15 },
+    { upTo: Infinity, rate: 20 }
+  ],
+  marriedJoint: [
+    { upTo: 96700, rate: 0 },
+    { upTo: 600050, rate: 15 },
+    { upTo: Infinity, rate: 20 }
+  ]
+};
+
+// Used when no distribution in the history carries character data
+export const DEFAULT_CHARACTER = { ordinary: 1, qualified: 0, returnOfCapital: 0, capitalGain: 0 };
+
+export const DEFAULT_TAX_SETTINGS = {
+  federalMode: 'flat',
+  federalRate: 22,
+  qualifiedRate: 15,
+  filingStatus: 'single',
+  otherIncome: 75000,
+  stateRate: 5
+};
+
+/**
+ * Calculates tax on income stacked on top of a base amount using brackets
+ * @param {number} base - Income already taxed in the brackets
+ * @param {number} amount - Additional income to tax
+ * @param {Array<Object>} brackets - Brackets of { upTo, rate } (rate in percent)
+ * @returns {number} Tax owed on the additional income
+ */
+export const calculateBracketTax = (base, amount, brackets) => {
+  let tax = 0;
+  let lower = 0;
+
+  brackets.forEach(({ upTo, rate }) => {
+    const start = Math.max(base, lower);
+    const end = Math.min(base + amount, upTo);
+    if (end > start) {
+      tax += (end - start) * rate / 100;
+    }
+    lower = upTo;
+  });
+
+  return tax;
+};
+
+/**
+ * Averages the tax character of distributions that report one, weighted by amount
+ * @param {Array<Object>} dividends - Dividend history
+ * @returns {Object} { character, reportedCount }
+ */
+export const getAverageCharacter = (dividends) => {
+  const reported = dividends.filter(item => item.character);
+
+  if (reported.length === 0) {
+    return { character: DEFAULT_CHARACTER, reportedCount: 0 };
+  }
+
+  const totalAmount = reported.reduce((sum, item) => sum + item.dividend, 0);
+  const character = Object.keys(DEFAULT_CHARACTER).reduce((result, key) => ({
+    ...result,
+    [key]: reported.reduce((sum, item) => sum + item.character[key] * item.dividend, 0) / totalAmount
+  }), {});
+
+  return { character, reportedCount: reported.length };
+};
+
+/**
+ * Estimates tax on a year of distributions
+ * @param {number} annualDistribution - Total distributions for the year in dollars
+ * @param {Object} character - Fractions { ordinary, qualified, returnOfCapital, capitalGain }
+ * @param {Object} settings - Tax settings (see DEFAULT_TAX_SETTINGS)
+ * @returns {Object} Breakdown by character, tax owed, and after-tax income
+ */
+export const estimateDistributionTax = (annualDistribution, character, settings) => {
+  const ordinary = annualDistribution * character.ordinary;
+  const preferential = annualDistribution * (character.qualified + character.capitalGain);
+  const returnOfCapital = annualDistribution * character.returnOfCapital;
+
+  let federalTax;
+  if (settings.federalMode === 'brackets') {
+    const ordinaryBrackets = FEDERAL_BRACKETS_2025[settings.filingStatus];
+    const qualifiedBrackets = QUALIFIED_BRACKETS_2025[settings.filingStatus];
+    // Qualified income stacks on top of ordinary income
+    federalTax = calculateBracketTax(settings.otherIncome, ordinary, ordinaryBrackets) +
+      calculateBracketTax(settings.otherIncome + ordinary, preferential, qualifiedBrackets);
+  } else {
+    federalTax = ordinary * settings.federalRate / 100 + preferential * settings.qualifiedRate / 100;
+  }
+
+  // Return of capital is not taxed when paid; it lowers cost basis instead
+  const stateTax = (ordinary + preferential) * settings.stateRate / 100;
+  const totalTax = federalTax + stateTax;
+
+  return {
+    ordinary,
+    preferential,
+    returnOfCapital,
+    federalTax,
+    stateTax,
+    totalTax,
+    effectiveRate: annualDistribution > 0 ? (totalTax / annualDistribution) * 100 : 0,
+    afterTaxAnnual: annualDistribution - totalTax,
+    afterTaxMonthly: (annualDistribution - totalTax) / 12
+  };
+};
+
+/**
+ * Projects cost basis as return of capital is paid out
+ * Once basis reaches zero, further return of capital is taxable as capital gain.
+ * @param {Object} options - Projection options
+ * @param {number} options.shares - Shares held
+ * @param {number} options.costBasis - Starting total cost basis
+ * @param {number} options.monthlyDividend - Dividend per share per month
+ * @param {number} options.returnOfCapital - Fraction of each payout that is return of capital
+ * @param {number} options.months - Months to project
+ * @returns {Array<Object>} Monthly rows of { month, costBasis, cumulativeReturnOfCapital, excessGain }
+ */
+export const projectCostBasis = ({ shares, costBasis, monthlyDividend, returnOfCapital, months }) => {
+  const schedule = [];
+  let basis = costBasis;
+  let cumulativeReturnOfCapital = 0;
+  let excessGain = 0;
+
+  for (let month = 1; month <= months; month++) {
+    const roc = shares * monthlyDividend * returnOfCapital;
+    cumulativeReturnOfCapital += roc;
+
+    const reduction = Math.min(basis, roc);
+    basis -= reduction;
+    excessGain += roc - reduction;
+
+    schedule.push({
+      month,
+      costBasis: parseFloat(basis.toFixed(2)),
+      cumulativeReturnOfCapital: parseFloat(cumulativeReturnOfCapital.toFixed(2)),
+      excessGain: parseFloat(excessGain.toFixed(2))
+    });
+  }
+
+  return schedule;
+};
@@ -0,0 +1,76 @@
+/**
+ * Ticker Registry for the Dividend Dashboard
+ *
+ * The tickers the dashboard, data files and updater know about, read from
+ * src/config/tickers.json (scripts/lib/tickers.js reads the same file).
+ * Each entry has the symbol, TradingView exchange, description, the
+ * underlying used for volatility inputs, payout frequency and the typical
+ * ex-dividend day (day of the month, or weekday for weekly payers) used for
+ * estimates. Routes are hash based (#/MSTY, and #/compare for the comparison
+ * view) so the static build works on any host.
+ */
+
+import registry from '../config/tickers.json';
+
+export const PAYOUT_FREQUENCIES = {
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly'
+};
+
+export const TICKERS = registry.tickers;
+export const DEFAULT_SYMBOL = registry.defaultSymbol;
+
+export const COMPARE_HASH = '#/compare';
+
+// Storage keys saved before multi-ticker support belong to this symbol
+const LEGACY_STORAGE_SYMBOL = 'WNTR';
+
+/**
+ * Look up a registered ticker
+ * @param {string} symbol - Symbol in any case
+ * @returns {Object|null} Registry entry, or null when unknown
+ */
+export const getTicker = (symbol) => {
+  const normalized = String(symbol || '').trim().toUpperCase();
+  return TICKERS.find(ticker => ticker.symbol === normalized) || null;
+};
+
+/**
+ * TradingView symbol for a ticker (e.g. "AMEX:WNTR")
+ * @param {Object} ticker - Registry entry
+ * @returns {string} Exchange-qualified symbol
+ */
+export const getTradingViewSymbol = (ticker) => `${ticker.exchange}:${ticker.symbol}`;
+
+/**
+ * Read the ticker from a location hash (#/MSTY); unknown or missing symbols give the default
+ * @param {string} hash - window.location.hash
+ * @returns {string} Registered symbol
+ */
+export const getSymbolFromHash = (hash) => {
+  const match = /^#\/([^/?]+)/.exec(hash || '');
+  const ticker = match ? getTicker(decodeURIComponent(match[1])) : null;
+  return ticker ? ticker.symbol : DEFAULT_SYMBOL;
+};
+
+/**
+ * Whether a location hash points at the comparison view
+ * @param {string} hash - window.location.hash
+ * @returns {boolean} True for #/compare
+ */
+export const isCompareHash = (hash) => /^#\/compare\/?$/i.test(hash || '');
+
+/**
+ * Location hash for a ticker's dashboard
+ * @param {string} symbol - Registered symbol
+ * @returns {string} Hash route
+ */
+export const getTickerHash = (symbol) => `#/${symbol}`;
+
+/**
+ * localStorage key for per-ticker data
+ * @param {string} key - Base key (e.g. "wntrHoldings")
+ * @param {string} symbol - Registered symbol
+ * @returns {string} The base key for legacy WNTR data, else the key suffixed with the symbol
+ */
+export const getTickerStorageKey = (key, symbol) => (symbol === LEGACY_STORAGE_SYMBOL ? key : `${key}.${symbol}`);
@@ -0,0 +1,355 @@
+/**
+ * Transaction Import for WNTR Dashboard
+ *
+ * Parses brokerage CSV exports into buy/sell/dividend transactions using a
+ * column mapping (generic or a broker preset) and reconciles imported
+ * dividend payments against the dividend history.
+ */
+
+import { computeEarnedDividends } from './dividendEligibility';
+import { getAggregateDividends } from './dividendData';
+
+export const IMPORT_FIELDS = ['date', 'action', 'symbol', 'quantity', 'price', 'amount', 'account'];
+
+// Default action patterns; presets override them where a broker's wording differs
+const DEFAULT_ACTION_PATTERNS = {
+  buy: /\b(buy|bought|reinvest(ment)? shares|reinvestment)\b/i,
+  sell: /\b(sell|sold)\b/i,
+  dividend: /\b(dividend|div|distribution)\b/i
+};
+
+export const BROKER_PRESETS = {
+  fidelity: {
+    label: 'Fidelity (Accounts History)',
+    mapping: {
+      date: 'Run Date',
+      action: 'Action',
+      symbol: 'Symbol',
+      quantity: 'Quantity',
+      price: 'Price ($)',
+      amount: 'Amount ($)',
+      account: 'Account'
+    },
+    actionPatterns: {
+      buy: /^(YOU BOUGHT|REINVESTMENT)/i,
+      sell: /^YOU SOLD/i,
+      dividend: /^DIVIDEND RECEIVED/i
+    }
+  },
+  schwab: {
+    label: 'Charles Schwab (Transactions)',
+    mapping: {
+      date: 'Date',
+      action: 'Action',
+      symbol: 'Symbol',
+      quantity: 'Quantity',
+      price: 'Price',
+      amount: 'Amount',
+      account: ''
+    },
+    actionPatterns: {
+      buy: /^(Buy|Reinvest Shares)$/i,
+      sell: /^Sell$/i,
+      dividend: /^(Cash Dividend|Qualified Dividend|Non-Qualified Div|Reinvest Dividend|Special Dividend)$/i
+    }
+  }
+};
+
+/**
+ * Parses CSV text into rows of fields (handles quoted fields and escaped quotes)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields, blank lines removed
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Finds the header row and returns it with the data rows as objects
+ * Broker exports often start with account banner lines, so the header is
+ * the first row containing a date column.
+ * @param {Array<Array<string>>} rows - Parsed CSV rows
+ * @returns {Object} { headers, records }
+ */
+export const toHeaderedRecords = (rows) => {
+  const headerIndex = rows.findIndex(fields => fields.some(value => /date/i.test(value)));
+  const start = headerIndex === -1 ? 0 : headerIndex;
+  const headers = (rows[start] || []).map(value => value.trim());
+
+  const records = rows.slice(start + 1)
+    .filter(fields => fields.length >= Math.min(headers.length, 3))
+    .map(fields => headers.reduce((record, header, index) => ({
+      ...record,
+      [header]: (fields[index] || '').trim()
+    }), {}));
+
+  return { headers, records };
+};
+
+/**
+ * Picks the preset whose mapped columns all appear in the headers
+ * @param {Array<string>} headers - CSV headers
+ * @returns {string|null} Preset key, or null for the generic mapping
+ */
+export const detectPreset = (headers) => {
+  const match = Object.entries(BROKER_PRESETS).find(([, preset]) =>
+    Object.values(preset.mapping).every(column => column === '' || headers.includes(column))
+  );
+  return match ? match[0] : null;
+};
+
+/**
+ * Guesses a mapping for an unknown layout from header names
+ * @param {Array<string>} headers - CSV headers
+ * @returns {Object} Mapping of import field to header ('' when not found)
+ */
+export const guessMapping = (headers) => {
+  const find = (pattern) => headers.find(header => pattern.test(header)) || '';
+
+  return {
+    date: find(/^(trade |run |transaction )?date/i),
+    action: find(/action|type|activity|description/i),
+    symbol: find(/symbol|ticker/i),
+    quantity: find(/quantity|shares|qty/i),
+    price: find(/price/i),
+    amount: find(/amount|net|total/i),
+    account: find(/account/i)
+  };
+};
+
+/**
+ * Parses a number from a broker cell ("$1,234.56", "(12.00)", "-3")
+ * @param {string} value - Cell text
+ * @returns {number} Parsed number, NaN when empty or invalid
+ */
+export const parseAmount = (value) => {
+  if (!value) return NaN;
+  const negative = /^\(.*\)$/.test(value.trim());
+  const number = parseFloat(value.replace(/[$,()\s]/g, ''));
+  return negative ? -number : number;
+};
+
+/**
+ * Parses a broker date cell into YYYY-MM-DD
+ * Accepts ISO dates and MM/DD/YYYY (Schwab's "06/09/2025 as of 06/06/2025" uses the first date).
+ * @param {string} value - Cell text
+ * @returns {string|null} ISO date, or null when unrecognized
+ */
+export const parseDate = (value) => {
+  if (!value) return null;
+
+  const iso = value.match(/(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+
+  const us = value.match(/(\d{1,2})\/(\d{1,2})\/(\d{2,4})/);
+  if (us) {
+    const year = us[3].length === 2 ? `20${us[3]}` : us[3];
+    return `${year}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Classifies an action cell as buy, sell or dividend
+ * @param {string} action - Action text
+ * @param {Object} patterns - Patterns of { buy, sell, dividend }
+ * @returns {string|null} Transaction type, or null when unrelated (fees, transfers, ...)
+ */
+const classifyAction = (action, patterns) => {
+  // Check reinvestment before dividend: "Reinvest Shares" is a buy, "Reinvest Dividend" is income
+  if (patterns.buy.test(action)) return 'buy';
+  if (patterns.sell.test(action)) return 'sell';
+  if (patterns.dividend.test(action)) return 'dividend';
+  return null;
+};
+
+/**
+ * Converts mapped CSV records into transactions for one symbol
+ * @param {Array<Object>} records - Header-keyed CSV records
+ * @param {Object} mapping - Mapping of import field to header
+ * @param {Object} options - Options
+ * @param {string} options.symbol - Symbol to keep (case-insensitive)
+ * @param {string} options.preset - Preset key for action patterns
+ * @returns {Object} { transactions, skipped }
+ */
+export const mapTransactions = (records, mapping, { symbol, preset } = {}) => {
+  const patterns = preset && BROKER_PRESETS[preset]
+    ? BROKER_PRESETS[preset].actionPatterns
+    : DEFAULT_ACTION_PATTERNS;
+  const transactions = [];
+  let skipped = 0;
+
+  records.forEach(record => {
+    const get = (field) => (mapping[field] ? record[mapping[field]] || '' : '');
+    const recordSymbol = get('symbol').toUpperCase();
+
+    if (symbol && mapping.symbol && recordSymbol !== symbol.toUpperCase()) {
+      skipped++;
+      return;
+    }
+
+    const type = classifyAction(get('action'), patterns);
+    const date = parseDate(get('date'));
+
+    if (!type || !date) {
+      skipped++;
+      return;
+    }
+
+    const quantity = Math.abs(parseAmount(get('quantity')));
+    const price = parseAmount(get('price'));
+    const amount = Math.abs(parseAmount(get('amount')));
+
+    if ((type === 'buy' || type === 'sell') && !(quantity > 0)) {
+      skipped++;
+      return;
+    }
+    if (type === 'dividend' && !(amount > 0)) {
+      skipped++;
+      return;
+    }
+
+    transactions.push({
+      date,
+      type,
+      shares: type === 'dividend' ? null : quantity,
+      price: isNaN(price) ? null : Math.abs(price),
+      amount: isNaN(amount) ? null : amount,
+      account: get('account') || 'Imported'
+    });
+  });
+
+  transactions.sort((a, b) => a.date.localeCompare(b.date));
+  return { transactions, skipped };
+};
+
+const daysBetween = (a, b) => Math.abs(new Date(a) - new Date(b)) / (1000 * 60 * 60 * 24);
+
+/**
+ * Reconciles imported dividend payments against the dividend history
+ * Each payment is matched to the confirmed (paid) record whose pay date is
+ * closest within the window, then one no earlier payment matched and the
+ * one whose expected amount is closest (a special can be paid alongside a
+ * regular distribution); the expected amount comes from the imported buys
+ * and sells.
+ * @param {Array<Object>} transactions - Imported transactions
+ * @param {Array<Object>} dividends - Dividend history
+ * @param {Object} options - Options
+ * @param {number} options.windowDays - Max days between broker date and pay date (default 5)
+ * @param {number} options.tolerance - Allowed relative difference (default 0.01)
+ * @param {string} options.asOf - Date for detecting missing payments (YYYY-MM-DD)
+ * @returns {Array<Object>} Rows of { status, date, payDate, exDate, received, expected, difference, message }
+ */
+export const reconcileImportedDividends = (transactions, dividends, {
+  windowDays = 5,
+  tolerance = 0.01,
+  asOf = new Date().toISOString().split('T')[0]
+} = {}) => {
+  const trades = transactions.filter(tx => tx.type === 'buy' || tx.type === 'sell');
+  const payments = transactions.filter(tx => tx.type === 'dividend');
+  const earned = computeEarnedDividends(trades, dividends);
+  const confirmed = getAggregateDividends(dividends, false);
+  const matchedExDates = new Set();
+  const rows = [];
+
+  const expectedFor = (record) => {
+    const item = earned.find(entry => entry.exDate === record.exDate);
+    return item ? item.amount : 0;
+  };
+
+  payments.forEach(payment => {
+    const [record] = confirmed
+      .filter(item => item.payDate && daysBetween(item.payDate, payment.date) <= windowDays)
+      .sort((a, b) => daysBetween(a.payDate, payment.date) - daysBetween(b.payDate, payment.date) ||
+        matchedExDates.has(a.exDate) - matchedExDates.has(b.exDate) ||
+        Math.abs(expectedFor(a) - payment.amount) - Math.abs(expectedFor(b) - payment.amount));
+
+    if (!record) {
+      rows.push({
+        status: 'no-record',
+        date: payment.date,
+        received: payment.amount,
+        message: 'Broker paid a dividend that is not in the dividend history'
+      });
+      return;
+    }
+
+    matchedExDates.add(record.exDate);
+    const expected = earned.find(item => item.exDate === record.exDate);
+    const expectedAmount = expected ? expected.amount : 0;
+    const difference = payment.amount - expectedAmount;
+    const withinTolerance = Math.abs(difference) <= Math.max(0.01, expectedAmount * tolerance);
+
+    rows.push({
+      status: withinTolerance ? 'match' : 'amount-mismatch',
+      date: payment.date,
+      payDate: record.payDate,
+      exDate: record.exDate,
+      received: payment.amount,
+      expected: expectedAmount,
+      difference,
+      message: withinTolerance
+        ? 'Matches the dividend history'
+        : expectedAmount === 0
+          ? 'Imported trades held no shares on the ex-date'
+          : `Expected ${expected.shares.toFixed(4)} shares x $${record.dividend.toFixed(4)}`
+    });
+  });
+
+  // Distributions the trades qualified for but the broker file never paid
+  earned
+    .filter(item => !matchedExDates.has(item.exDate) && item.payDate && item.payDate <= asOf)
+    .forEach(item => {
+      rows.push({
+        status: 'missing-payment',
+        date: item.payDate,
+        payDate: item.payDate,
+        exDate: item.exDate,
+        received: 0,
+        expected: item.amount,
+        difference: -item.amount,
+        message: 'No matching payment in the imported file'
+      });
+    });
+
+  return rows.sort((a, b) => a.date.localeCompare(b.date));
+};
@@ -0,0 +1,158 @@
+import {
+  parseCsv,
+  toHeaderedRecords,
+  detectPreset,
+  guessMapping,
+  parseAmount,
+  parseDate,
+  mapTransactions,
+  reconcileImportedDividends,
+  BROKER_PRESETS
+} from './transactionImport';
+
+const dividends = [
+  { exDate: '2025-06-27', payDate: '2025-06-30', dividend: 0.15, status: 'paid', type: 'special' },
+  { exDate: '2025-06-06', payDate: '2025-06-09', dividend: 3.07, status: 'paid' },
+  { exDate: '2025-05-08', payDate: '2025-05-09', dividend: 2.719, status: 'paid' }
+];
+
+describe('parseCsv', () => {
+  test('handles quoted fields, escaped quotes and CRLF', () => {
+    const text = 'Date,Action,Amount\r\n06/09/2025,"Cash ""Dividend""","$1,234.56"\r\n\r\n';
+    expect(parseCsv(text)).toEqual([
+      ['Date', 'Action', 'Amount'],
+      ['06/09/2025', 'Cash "Dividend"', '$1,234.56']
+    ]);
+  });
+
+  test('keeps a last row without a trailing newline', () => {
+    expect(parseCsv('a,b\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+});
+
+describe('toHeaderedRecords', () => {
+  test('skips banner lines before the header row', () => {
+    const rows = parseCsv('Brokerage Account ...1234\n\nRun Date,Action,Symbol\n06/09/2025,DIVIDEND RECEIVED,WNTR\n');
+    const { headers, records } = toHeaderedRecords(rows);
+
+    expect(headers).toEqual(['Run Date', 'Action', 'Symbol']);
+    expect(records).toEqual([{ 'Run Date': '06/09/2025', Action: 'DIVIDEND RECEIVED', Symbol: 'WNTR' }]);
+  });
+});
+
+describe('detectPreset and guessMapping', () => {
+  test('recognizes broker layouts', () => {
+    expect(detectPreset(Object.values(BROKER_PRESETS.fidelity.mapping))).toBe('fidelity');
+    expect(detectPreset(['Date', 'Action', 'Symbol', 'Description', 'Quantity', 'Price', 'Fees & Comm', 'Amount'])).toBe('schwab');
+    expect(detectPreset(['Trade Date', 'Type', 'Ticker'])).toBeNull();
+  });
+
+  test('guesses a mapping from header names', () => {
+    expect(guessMapping(['Trade Date', 'Type', 'Ticker', 'Shares', 'Price', 'Net Amount'])).toEqual({
+      date: 'Trade Date',
+      action: 'Type',
+      symbol: 'Ticker',
+      quantity: 'Shares',
+      price: 'Price',
+      amount: 'Net Amount',
+      account: ''
+    });
+  });
+});
+
+describe('parseAmount and parseDate', () => {
+  test('parses broker number formats', () => {
+    expect(parseAmount('$1,234.56')).toBeCloseTo(1234.56);
+    expect(parseAmount('(12.00)')).toBe(-12);
+    expect(parseAmount('-3')).toBe(-3);
+    expect(parseAmount('')).toBeNaN();
+  });
+
+  test('parses ISO and US dates', () => {
+    expect(parseDate('2025-06-09')).toBe('2025-06-09');
+    expect(parseDate('6/9/25')).toBe('2025-06-09');
+    expect(parseDate('06/09/2025 as of 06/06/2025')).toBe('2025-06-09');
+    expect(parseDate('Pending')).toBeNull();
+  });
+});
+
+describe('mapTransactions', () => {
+  const mapping = BROKER_PRESETS.schwab.mapping;
+  const record = (fields) => ({ Date: '06/02/2025', Symbol: 'WNTR', Quantity: '', Price: '', Amount: '', ...fields });
+
+  test('classifies actions with the preset\'s patterns', () => {
+    const { transactions, skipped } = mapTransactions([
+      record({ Action: 'Buy', Quantity: '100', Price: '$36.10', Amount: '-$3,610.00' }),
+      record({ Date: '06/09/2025', Action: 'Reinvest Shares', Quantity: '2', Price: '$36.50', Amount: '-$73.00' }),
+      record({ Date: '06/09/2025', Action: 'Reinvest Dividend', Amount: '$307.00' }),
+      record({ Date: '06/10/2025', Action: 'Sell', Quantity: '-10', Price: '$35.00', Amount: '$350.00' }),
+      record({ Action: 'Journal', Amount: '$5.00' })
+    ], mapping, { symbol: 'wntr', preset: 'schwab' });
+
+    expect(transactions.map(tx => [tx.date, tx.type, tx.shares, tx.amount])).toEqual([
+      ['2025-06-02', 'buy', 100, 3610],
+      ['2025-06-09', 'buy', 2, 73],
+      ['2025-06-09', 'dividend', null, 307],
+      ['2025-06-10', 'sell', 10, 350]
+    ]);
+    expect(transactions[0].account).toBe('Imported');
+    expect(skipped).toBe(1);
+  });
+
+  test('skips other symbols and incomplete rows', () => {
+    const { transactions, skipped } = mapTransactions([
+      record({ Symbol: 'MSTY', Action: 'Buy', Quantity: '5' }),
+      record({ Action: 'Buy' }),
+      record({ Action: 'Cash Dividend', Amount: '$0.00' }),
+      record({ Date: '', Action: 'Buy', Quantity: '5' })
+    ], mapping, { symbol: 'WNTR', preset: 'schwab' });
+
+    expect(transactions).toEqual([]);
+    expect(skipped).toBe(4);
+  });
+});
+
+describe('reconcileImportedDividends', () => {
+  const buy = { date: '2025-05-01', type: 'buy', shares: 100 };
+  const payment = (date, amount) => ({ date, type: 'dividend', amount });
+
+  test('matches payments to the paid distribution with the closest pay date', () => {
+    const rows = reconcileImportedDividends([buy, payment('2025-06-10', 307), payment('2025-05-09', 271.9)], dividends, { asOf: '2025-06-20' });
+
+    expect(rows.map(row => [row.status, row.exDate])).toEqual([
+      ['match', '2025-05-08'],
+      ['match', '2025-06-06']
+    ]);
+  });
+
+  test('never matches an estimate', () => {
+    const withEstimate = [{ exDate: '2025-07-08', payDate: '2025-07-09', dividend: 2.5, status: 'estimated' }, ...dividends];
+    const rows = reconcileImportedDividends([buy, payment('2025-07-09', 250)], withEstimate, { asOf: '2025-07-05' });
+
+    expect(rows.find(row => row.date === '2025-07-09').status).toBe('no-record');
+  });
+
+  test('tells a special apart from a regular payout paid the same day', () => {
+    const sameDay = [
+      { exDate: '2025-06-27', payDate: '2025-06-30', dividend: 0.15, status: 'paid', type: 'special' },
+      { exDate: '2025-06-26', payDate: '2025-06-30', dividend: 2.5, status: 'paid' }
+    ];
+    const rows = reconcileImportedDividends([buy, payment('2025-06-30', 15), payment('2025-06-30', 250)], sameDay, { asOf: '2025-07-05' });
+
+    expect(rows.map(row => [row.status, row.exDate, row.received])).toEqual([
+      ['match', '2025-06-27', 15],
+      ['match', '2025-06-26', 250]
+    ]);
+  });
+
+  test('reports wrong amounts and payments the file is missing', () => {
+    const rows = reconcileImportedDividends([buy, payment('2025-06-09', 300)], dividends, { asOf: '2025-07-05' });
+
+    expect(rows.map(row => [row.status, row.exDate])).toEqual([
+      ['missing-payment', '2025-05-08'],
+      ['amount-mismatch', '2025-06-06'],
+      ['missing-payment', '2025-06-27']
+    ]);
+    expect(rows[1].difference).toBeCloseTo(-7);
+  });
+});
@@ -0,0 +1,20 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * Monte Carlo Worker for WNTR Dashboard
+ *
+ * Runs runMonteCarlo off the main thread so thousands of trials don't block
+ * the UI. Receives simulation options and posts back { id, result } or
+ * { id, error }; the id lets the panel ignore results from superseded runs.
+ */
+
+import { runMonteCarlo } from '../services/monteCarloService';
+
+self.onmessage = (event) => {
+  const { id, options } = event.data;
+
+  try {
+    self.postMessage({ id, result: runMonteCarlo(options) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};